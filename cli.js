@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+/**
+ * Command line for one-off runs and the job store:
+ *
+ *   node cli.js scrape [--category C] [--source S] [--location L] [--role R] [--dry-run] [--fresh] [--every-search] [--pages N]
+ *   node cli.js plan [--category C] [--source S] [--json]
+ *   node cli.js list [filters] [--json]
+ *   node cli.js search <text> [filters] [--json]
+ *   node cli.js export [--format csv|json|xlsx|rss|atom|ical] [--output FILE] [filters]
+ *   node cli.js companies [filters] [--json]
+ *   node cli.js matches <candidate> [--limit N] [--json]
+ *   node cli.js status set <id|url> <status> [--note TEXT]
+ *   node cli.js status show <id|url>
+ *   node cli.js trends [--category C] [--weeks N] [--output FILE] [--if-due] [--json]
+ *   node cli.js validate-config [--profiles PATH] [--candidates PATH]
+ *   node cli.js serve [--port N] [--host HOST]
+ *
+ * Filters: --category, --status, --days (seen within), --min-score, --company-tag, --lifecycle, --limit.
+ * Exit codes (see EXIT_CODES): 0 new jobs / done, 1 scrape broken (incl. health alerts) or crash,
+ * 2 bad arguments or config, 3 scrape ran but found no new jobs, 4 another scrape is running.
+ * `npm start` (index.js) is the hourly service.
+ */
+require('dotenv').config({ quiet: true }); // stdout may be an export or --json output
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { loadProfiles, getSheetOutputs } = require('./lib/profiles');
+const { openStore, STATUSES } = require('./lib/store');
+const { EXPORT_FORMATS } = require('./lib/export');
+const { createSheetsClient } = require('./lib/sheets');
+const { queryJobs, COMPANY_TAGS, LIFECYCLES } = require('./lib/query');
+const { groupByCompany } = require('./lib/companies');
+const { loadCandidates } = require('./lib/candidates');
+const { shortlist } = require('./lib/matching');
+const { EXIT_CODES, selectProfiles, runScraper, scrapeExitCode } = require('./lib/scraper');
+const { getSources } = require('./lib/sources');
+const { searchTask } = require('./lib/checkpoint');
+const { planSearches, historySince } = require('./lib/planner');
+const { sessionOptions } = require('./lib/session');
+const { startDashboard } = require('./lib/server');
+const { analyzeJobs } = require('./lib/analytics');
+const { writeTrendsReport } = require('./lib/trends');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  scrape            Run one scrape now
+      --category, -c NAME   Only this profile (repeatable; runs disabled profiles too)
+      --source, -s NAME     Only this source, e.g. naukri, linkedin (repeatable)
+      --location, -l NAME   Search this location instead of the profile's (repeatable)
+      --role, -r NAME       Search this role instead of the profile's (repeatable)
+      --dry-run             Scrape and print; no sheet writes, alerts or store changes
+      --fresh               Start over instead of resuming an interrupted run
+      --every-search        Run every search, not just the planner's (profiles' planner section)
+      --pages N             Browser pages searching at once (default: the profiles' scheduling.pages)
+  plan              The searches the next scrape runs, with their recent yield
+      --category, -c NAME / --source, -s NAME / --json
+  list              Stored jobs, newest first
+  search <text>     Stored jobs whose title, company, location, skills or description match
+  export            Stored jobs as a file
+      --format FORMAT       ${Object.keys(EXPORT_FORMATS).join('|')} (default csv); ical lists applied jobs' follow-ups
+      --output, -o FILE     Default stdout
+  companies         Employers of the stored jobs with their open roles, most first
+  matches <name>    A candidate's shortlist, best match first, with matched and missing skills
+      --limit N             Default: the candidate's limit
+  status set <job> <status> [--note TEXT]
+                    Move a job (id or URL) to ${STATUSES.join('|')}
+  status show <job> A job's sources, sightings, changes and status history
+  trends            Market trends of the stored jobs as an HTML report (reports/trends-<date>.html)
+                    and the Trends tab of profiles whose sheets output sets trendsTab
+      --category, -c NAME   Only this category (repeatable)
+      --weeks N             Weeks covered (default 12)
+      --output, -o FILE     Report file instead of reports/
+      --if-due              Skip unless a week has passed since the last report (scheduled runs)
+      --json                Print the figures; no report or sheet writes
+  validate-config   Check the search profiles and candidates and exit
+  serve             Triage dashboard and JSON API (GET /jobs, GET|PATCH /jobs/:id, GET /companies, GET /runs)
+      --port N              Default 3000 (or DASHBOARD_PORT)
+      --host HOST           Default 127.0.0.1; the API has no login, keep it off public interfaces
+
+Filters (list, search, export, companies):
+  --category NAME  --status STATUS  --days N  --min-score N  --limit N  --json
+  --company-tag ${COMPANY_TAGS.join('|')}  --lifecycle ${LIFECYCLES.join('|')}
+
+Common: --profiles PATH (search profiles; default profiles/),
+        --candidates PATH (candidate profiles; default candidates/), --help`;
+
+const OPTIONS = {
+    category: { type: 'string', short: 'c', multiple: true },
+    source: { type: 'string', short: 's', multiple: true },
+    location: { type: 'string', short: 'l', multiple: true },
+    role: { type: 'string', short: 'r', multiple: true },
+    'dry-run': { type: 'boolean' },
+    fresh: { type: 'boolean' },
+    'every-search': { type: 'boolean' },
+    pages: { type: 'string' },
+    weeks: { type: 'string' },
+    'if-due': { type: 'boolean' },
+    profiles: { type: 'string' },
+    candidates: { type: 'string' },
+    status: { type: 'string' },
+    days: { type: 'string' },
+    'min-score': { type: 'string' },
+    'company-tag': { type: 'string' },
+    lifecycle: { type: 'string' },
+    limit: { type: 'string' },
+    json: { type: 'boolean' },
+    format: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    note: { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.usage;
+    return error;
+}
+
+function toNumber(value, flag) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw usageError(`--${flag} must be a non-negative number (got "${value}")`);
+    return number;
+}
+
+// --- Store Queries ---
+
+function findJob(store, ref) {
+    if (!ref) throw usageError('Missing job (an id or URL)');
+    const job = /^\d+$/.test(ref) ? store.getJob(Number(ref)) : store.findByUrl(ref);
+    if (!job) throw usageError(`No stored job matches "${ref}"`);
+    return job;
+}
+
+// Jobs for list/search/export; `text` is the search query, if any
+function listedJobs(store, values, text) {
+    if (values.status && !STATUSES.includes(values.status)) {
+        throw usageError(`Unknown status "${values.status}" (expected one of: ${STATUSES.join(', ')})`);
+    }
+    const companyTag = values['company-tag'];
+    if (companyTag && !COMPANY_TAGS.includes(companyTag)) {
+        throw usageError(`Unknown company tag "${companyTag}" (expected one of: ${COMPANY_TAGS.join(', ')})`);
+    }
+    if (values.lifecycle && !LIFECYCLES.includes(values.lifecycle)) {
+        throw usageError(`Unknown lifecycle "${values.lifecycle}" (expected one of: ${LIFECYCLES.join(', ')})`);
+    }
+    return queryJobs(store, {
+        category: values.category,
+        status: values.status,
+        text,
+        minScore: toNumber(values['min-score'], 'min-score'),
+        companyTag,
+        lifecycle: values.lifecycle,
+        seenWithinDays: toNumber(values.days, 'days'),
+        limit: toNumber(values.limit, 'limit')
+    });
+}
+
+function printJobs(jobs, asJson) {
+    if (asJson) {
+        console.log(JSON.stringify(jobs, null, 2));
+        return;
+    }
+    for (const job of jobs) {
+        const score = job.score === undefined ? '  -' : String(job.score).padStart(3);
+        const closed = job.closedAt ? `  [closed ${job.closedAt.slice(0, 10)}]` : '';
+        console.log(`${String(job.id).padStart(5)}  ${score}  ${job.status.padEnd(12)} ${job.title} — ${job.company} (${job.location})  ${job.detailUrl}${closed}`);
+    }
+    console.log(`${jobs.length} job${jobs.length === 1 ? '' : 's'}.`);
+}
+
+function withStore(fn) {
+    const store = openStore();
+    try {
+        return fn(store);
+    } finally {
+        store.close();
+    }
+}
+
+// --- Commands ---
+
+async function scrapeCommand(values) {
+    const selectors = {
+        categories: values.category || [],
+        sources: values.source || [],
+        locations: values.location || [],
+        roles: values.role || []
+    };
+    // Config and selector mistakes are usage errors, caught before the browser starts
+    try {
+        selectProfiles(loadProfiles(values.profiles), selectors);
+        loadCandidates(values.candidates);
+        sessionOptions(); // e.g. a malformed SCRAPER_PROXIES
+    } catch (e) {
+        throw usageError(e.message);
+    }
+
+    const pages = toNumber(values.pages, 'pages');
+    if (pages !== undefined && !(Number.isInteger(pages) && pages >= 1)) throw usageError('--pages must be a whole number of 1 or more');
+
+    const summary = await runScraper({ ...selectors, pages, dryRun: values['dry-run'], fresh: values.fresh, everySearch: values['every-search'], profilesPath: values.profiles, candidatesPath: values.candidates });
+    const code = scrapeExitCode(summary);
+    if (code === EXIT_CODES.busy) {
+        console.log('[CLI] Skipped: another scrape is still running.');
+    } else if (code === EXIT_CODES.broken) {
+        const errors = summary.alerts.filter(alert => alert.level === 'error');
+        const cause = errors.length ? errors.map(alert => alert.message).join(' ')
+            : summary.searches && summary.failedSearches === summary.searches ? `all ${summary.searches} searches failed.` : 'run error (see the log).';
+        console.error(`[CLI] Scrape broken: ${cause}`);
+    } else {
+        console.log(`[CLI] ${summary.newJobs} new jobs (${summary.categories.map(c => `${c.category}: ${c.kept}`).join(', ') || 'no profiles'}).`);
+    }
+    return code;
+}
+
+// What the planner would run now: per profile, each search's state and yield
+function planCommand(values) {
+    let profiles;
+    try {
+        profiles = selectProfiles(loadProfiles(values.profiles), { categories: values.category || [], sources: values.source || [] });
+    } catch (e) {
+        throw usageError(e.message);
+    }
+    return withStore(store => {
+        const history = store.taskHistory('search:', { since: historySince() });
+        const plans = profiles.map(config => {
+            const searches = getSources(config.sources).flatMap(source => source.buildSearches(config)
+                .map(search => ({ source: source.name, search, task: searchTask(config.category, source, search) })));
+            return { category: config.category, budget: config.planner.budget, ...planSearches(searches, history, config.planner) };
+        });
+        const rows = plans.flatMap(plan => [['run', plan.run], ['waiting', plan.waiting], ['over budget', plan.overBudget]]
+            .flatMap(([state, items]) => items.map(({ source, search, stats, intervalHours }) => ({
+                category: plan.category, state, source, role: search.role, location: search.location, url: search.url,
+                runs: stats.runs, yield: stats.yield, lastRunAt: stats.lastRunAt, intervalHours
+            }))));
+        if (values.json) {
+            console.log(JSON.stringify(rows, null, 2));
+            return EXIT_CODES.ok;
+        }
+        for (const row of rows) {
+            const yieldText = row.yield === null ? '   -' : row.yield.toFixed(1).padStart(4);
+            const wait = row.intervalHours ? `  every ${row.intervalHours}h` : '';
+            console.log(`${row.state.padEnd(11)} ${yieldText}  ${row.category}/${row.source}: ${row.role} in ${row.location} (${row.runs} runs${wait})`);
+        }
+        for (const plan of plans) {
+            console.log(`[Plan] ${plan.category}: ${plan.run.length} searches due (budget ${plan.budget}), ${plan.waiting.length} waiting, ${plan.overBudget.length} over budget.`);
+        }
+        return EXIT_CODES.ok;
+    });
+}
+
+function listCommand(values, positionals) {
+    const text = positionals.join(' ');
+    if (positionals.length === 0 && values.command === 'search') throw usageError('search needs a query, e.g. `search react`');
+    return withStore(store => {
+        printJobs(listedJobs(store, values, text), values.json);
+        return EXIT_CODES.ok;
+    });
+}
+
+function exportCommand(values) {
+    const format = values.format || 'csv';
+    const render = EXPORT_FORMATS[format];
+    if (!render) throw usageError(`Unknown format "${format}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    if (format === 'xlsx' && !values.output && process.stdout.isTTY) throw usageError('xlsx is a binary file; pass --output FILE');
+
+    return withStore(store => {
+        const jobs = listedJobs(store, values);
+        const content = render(jobs);
+        if (values.output) {
+            fs.writeFileSync(values.output, content);
+            console.log(`[Export] Wrote ${jobs.length} jobs to ${values.output}.`);
+        } else {
+            process.stdout.write(content);
+        }
+        return EXIT_CODES.ok;
+    });
+}
+
+// Open roles per employer; --limit caps the companies, not the jobs
+function companiesCommand(values) {
+    return withStore(store => {
+        const groups = groupByCompany(listedJobs(store, { ...values, limit: undefined }));
+        const shown = groups.slice(0, toNumber(values.limit, 'limit') || groups.length);
+        if (values.json) {
+            console.log(JSON.stringify(shown.map(({ jobs, ...group }) => ({ ...group, jobIds: jobs.map(job => job.id) })), null, 2));
+            return EXIT_CODES.ok;
+        }
+        for (const group of shown) {
+            const tags = group.tags.length ? `  [${group.tags.join(', ')}]` : '';
+            console.log(`${String(group.openRoles).padStart(4)}  ${group.company}${tags}  (${group.categories.join(', ')})`);
+        }
+        console.log(`${shown.length} compan${shown.length === 1 ? 'y' : 'ies'}.`);
+        return EXIT_CODES.ok;
+    });
+}
+
+// The candidate's shortlist from the store (matched during scrapes)
+function matchesCommand(values, [name]) {
+    if (!name) throw usageError('matches needs a candidate name, e.g. `matches Priya`');
+    let candidates;
+    try {
+        candidates = loadCandidates(values.candidates);
+    } catch (e) {
+        throw usageError(e.message);
+    }
+    const candidate = candidates.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (!candidate) {
+        throw usageError(`Unknown candidate "${name}" (candidates: ${candidates.map(c => c.name).join(', ') || 'none'})`);
+    }
+    const limit = toNumber(values.limit, 'limit');
+
+    return withStore(store => {
+        const jobs = shortlist(store.listJobs(), { ...candidate, limit: limit || candidate.limit });
+        if (values.json) {
+            console.log(JSON.stringify(jobs.map(job => ({ ...job, match: job.matches[candidate.name] })), null, 2));
+            return EXIT_CODES.ok;
+        }
+        for (const job of jobs) {
+            const { matched, missing } = job.matches[candidate.name];
+            console.log(`${String(job.id).padStart(5)}  ${String(job.score).padStart(3)}  ${job.title} — ${job.company} (${job.location})  ${job.detailUrl}`);
+            console.log(`              matched: ${matched.join(', ') || '-'}; missing: ${missing.join(', ') || '-'}`);
+        }
+        console.log(`${jobs.length} job${jobs.length === 1 ? '' : 's'} for ${candidate.name} at or above ${candidate.minScore}.`);
+        return EXIT_CODES.ok;
+    });
+}
+
+function statusCommand(values, [action, ref, status]) {
+    if (action === 'show') {
+        return withStore(store => {
+            const job = findJob(store, ref);
+            console.log(JSON.stringify({ id: job.id, title: job.title, company: job.company, status: job.status, ...store.getHistory(job.id) }, null, 2));
+            return EXIT_CODES.ok;
+        });
+    }
+    if (action !== 'set') throw usageError('Usage: status set <id|url> <status> [--note TEXT] | status show <id|url>');
+    if (!status) throw usageError(`Missing status (expected one of: ${STATUSES.join(', ')})`);
+
+    return withStore(store => {
+        const job = findJob(store, ref);
+        const from = job.status;
+        try {
+            store.setStatus(job.id, status, values.note);
+        } catch (e) {
+            throw usageError(e.message);
+        }
+        console.log(`[Status] Job ${job.id} (${job.title} — ${job.company}): ${from} -> ${status}`);
+        return EXIT_CODES.ok;
+    });
+}
+
+// The HTML report and the profiles' Trends tabs; --json prints the figures instead
+async function trendsCommand(values) {
+    const weeks = toNumber(values.weeks, 'weeks');
+    if (weeks !== undefined && !(Number.isInteger(weeks) && weeks >= 1)) throw usageError('--weeks must be a whole number of 1 or more');
+    let profiles;
+    try {
+        profiles = loadProfiles(values.profiles);
+    } catch (e) {
+        throw usageError(e.message);
+    }
+    const categories = values.category || [];
+    if (values.json) {
+        return withStore(store => {
+            console.log(JSON.stringify(analyzeJobs(store.listJobs(), { categories, weeks }), null, 2));
+            return EXIT_CODES.ok;
+        });
+    }
+
+    const wanted = categories.map(c => c.toLowerCase());
+    const withTabs = profiles.filter(p => (!wanted.length || wanted.includes(p.category.toLowerCase()))
+        && getSheetOutputs(p).some(output => output.trendsTab));
+    const sheets = withTabs.length ? createSheetsClient() : null;
+    const store = openStore();
+    try {
+        await writeTrendsReport({ store, profiles: withTabs, sheets, categories, weeks, file: values.output, ifDue: values['if-due'] });
+        return EXIT_CODES.ok;
+    } finally {
+        store.close();
+    }
+}
+
+function validateConfigCommand(values) {
+    let profiles;
+    let candidates;
+    try {
+        profiles = loadProfiles(values.profiles);
+        candidates = loadCandidates(values.candidates);
+    } catch (e) {
+        console.error(e.message);
+        return EXIT_CODES.usage;
+    }
+    for (const profile of profiles) {
+        console.log(`[Config] ${profile.category}: ${profile.enabled ? 'enabled' : 'disabled'}, sources ${profile.sources.join(', ')}, ${profile.roles.length} roles`);
+    }
+    for (const candidate of candidates) {
+        const experience = candidate.experience === null ? 'experience unknown' : `${candidate.experience} yrs`;
+        console.log(`[Config] Candidate ${candidate.name}: ${candidate.skills.length} skills, ${experience}, ${candidate.categories.join(', ') || 'all categories'}`);
+    }
+    console.log(`[Config] ${profiles.length} valid profile${profiles.length === 1 ? '' : 's'}, ${candidates.length} candidate${candidates.length === 1 ? '' : 's'}.`);
+    return EXIT_CODES.ok;
+}
+
+// Runs until interrupted (Ctrl+C)
+async function serveCommand(values) {
+    const port = toNumber(values.port ?? process.env.DASHBOARD_PORT ?? '3000', 'port');
+    if (!Number.isInteger(port) || port > 65535) throw usageError('--port must be a port number');
+    let profiles;
+    try {
+        profiles = loadProfiles(values.profiles);
+    } catch (e) {
+        throw usageError(e.message);
+    }
+    // Status changes go to the sheets of the job's profile
+    const outputsFor = category => profiles.filter(p => p.category === category).flatMap(getSheetOutputs);
+    const sheets = profiles.some(p => getSheetOutputs(p).length) ? createSheetsClient() : null;
+
+    const host = values.host || '127.0.0.1';
+    const server = await startDashboard({ port, host, outputsFor, sheets });
+    console.log(`[Dashboard] Serving http://${host}:${server.address().port}/ (Ctrl+C to stop)`);
+    await new Promise(resolve => process.once('SIGINT', () => {
+        server.close(resolve);
+        server.closeAllConnections?.();
+    }));
+    return EXIT_CODES.ok;
+}
+
+const COMMANDS = {
+    scrape: scrapeCommand,
+    plan: planCommand,
+    list: listCommand,
+    search: listCommand,
+    export: exportCommand,
+    companies: companiesCommand,
+    matches: matchesCommand,
+    status: statusCommand,
+    trends: trendsCommand,
+    'validate-config': validateConfigCommand,
+    serve: serveCommand
+};
+
+// Runs one command line (without `node cli.js`); resolves to the exit code
+async function main(argv) {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        const [command, ...rest] = positionals;
+        if (values.help || !command || command === 'help') {
+            console.log(USAGE);
+            return command || values.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+        }
+        if (!COMMANDS[command]) throw usageError(`Unknown command "${command}". Run \`node cli.js help\`.`);
+        return await COMMANDS[command]({ ...values, command }, rest);
+    } catch (e) {
+        if (e.code && e.code.startsWith('ERR_PARSE_ARGS')) {
+            console.error(`${e.message}\nRun \`node cli.js help\`.`);
+            return EXIT_CODES.usage;
+        }
+        if (e.exitCode) {
+            console.error(e.message);
+            return e.exitCode;
+        }
+        console.error('[CLI] Failed:', e);
+        return EXIT_CODES.broken;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { main };
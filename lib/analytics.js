@@ -0,0 +1,180 @@
+// --- Job Market Analytics ---
+// Aggregates over the stored jobs of the last few weeks: listings per week, the
+// companies, cities, platforms, skills and work modes behind them, and how long
+// postings stay open (jobs lib/lifecycle saw close). Top lists compare the latest
+// weeks with the ones before, so a skill or employer picking up stands out. Feeds
+// the HTML trends report and the sheets' Trends tab (lib/trends).
+const { normalizeCompany, normalizeLocations } = require('./dedupe');
+const { DAY } = require('./dates');
+
+const DEFAULT_TRENDS = {
+    weeks: 12,          // weeks covered, this one included
+    top: 10,            // entries per top list
+    recentWeeks: 4      // "lately" in the top lists, against as many weeks before
+};
+
+// When a job was listed: its posting date, else when it was found
+const listedAt = job => new Date(job.postedAt || job.scrapedAt);
+
+// The Monday (UTC) of the week of `date`, as YYYY-MM-DD
+function weekOf(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+}
+
+const titleCase = text => text.replace(/\b[a-z]/g, c => c.toUpperCase());
+
+// Cities of a job (as normalized by dedup), plus "Remote" for remote jobs
+function citiesOf(job) {
+    const cities = [...normalizeLocations(job.location)].map(titleCase);
+    return job.workMode === 'Remote' ? [...cities, 'Remote'] : cities;
+}
+
+// The `q` quantile (0.5: median) of `values`, interpolated, to one decimal
+function quantile(values, q) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const low = Math.floor(position);
+    const value = sorted[low] + (sorted[Math.ceil(position)] - sorted[low]) * (position - low);
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * The `top` most frequent keys of `jobs` as `[{ name, jobs, recent, previous }]`:
+ * `keysOf(job)` lists a job's keys (each counted once per job), `recent`/`previous`
+ * count the jobs of the latest weeks and of as many weeks before them.
+ */
+function rank(jobs, keysOf, { top, recentSince, previousSince }, label = key => key) {
+    const counts = new Map();
+    for (const job of jobs) {
+        const at = listedAt(job);
+        for (const key of new Set(keysOf(job).filter(Boolean))) {
+            if (!counts.has(key)) counts.set(key, { name: label(key), jobs: 0, recent: 0, previous: 0 });
+            const entry = counts.get(key);
+            entry.jobs++;
+            if (at >= recentSince) entry.recent++;
+            else if (at >= previousSince) entry.previous++;
+        }
+    }
+    return [...counts.values()].sort((a, b) => b.jobs - a.jobs || a.name.localeCompare(b.name)).slice(0, top);
+}
+
+// Days from listing to closing, over the jobs seen closed: overall and per platform
+function timeOpen(jobs) {
+    const closed = jobs
+        .filter(job => job.closedAt)
+        .map(job => ({ platform: job.platform || 'Unknown', days: (new Date(job.closedAt) - listedAt(job)) / DAY }))
+        .filter(entry => entry.days >= 0);
+    const platforms = [...new Set(closed.map(entry => entry.platform))].sort();
+    return {
+        closed: closed.length,
+        medianDays: quantile(closed.map(entry => entry.days), 0.5),
+        p75Days: quantile(closed.map(entry => entry.days), 0.75),
+        platforms: platforms.map(platform => {
+            const days = closed.filter(entry => entry.platform === platform).map(entry => entry.days);
+            return { name: platform, closed: days.length, medianDays: quantile(days, 0.5), p75Days: quantile(days, 0.75) };
+        })
+    };
+}
+
+// One scope's aggregates (all jobs, or a category's), `weeks` being the week starts covered
+function summarize(jobs, weeks, window) {
+    const perWeek = new Map(weeks.map(week => [week, 0]));
+    for (const job of jobs) {
+        const week = weekOf(listedAt(job));
+        perWeek.set(week, (perWeek.get(week) || 0) + 1);
+    }
+
+    // Employers by normalized name, shown under their most common spelling
+    const names = new Map();
+    for (const job of jobs) {
+        const key = job.companyKey || normalizeCompany(job.company);
+        const spellings = names.get(key) || new Map();
+        spellings.set(job.company, (spellings.get(job.company) || 0) + 1);
+        names.set(key, spellings);
+    }
+    const companyName = key => [...names.get(key)].sort((a, b) => b[1] - a[1])[0][0];
+    const companyKey = job => {
+        const key = job.companyKey || normalizeCompany(job.company);
+        return key && key !== 'n a' ? key : null;
+    };
+
+    return {
+        totals: {
+            jobs: jobs.length,
+            companies: new Set(jobs.map(companyKey).filter(Boolean)).size,
+            closed: jobs.filter(job => job.closedAt).length,
+            reposts: jobs.filter(job => job.repostOf).length,
+            agencies: jobs.filter(job => (job.companyTags || []).includes('agency')).length
+        },
+        weeks: weeks.map(week => ({ week, jobs: perWeek.get(week) })),
+        companies: rank(jobs, job => [companyKey(job)], window, companyName),
+        locations: rank(jobs, citiesOf, window),
+        platforms: rank(jobs, job => job.platforms || [job.platform], window),
+        skills: rank(jobs, job => job.skills || [], window),
+        workModes: rank(jobs, job => [job.workMode], window),
+        timeOpen: timeOpen(jobs)
+    };
+}
+
+/**
+ * Trends over `jobs` (the store's) listed in the last `options.weeks` weeks:
+ * `{ generatedAt, since, weeks, recentWeeks, overall, categories: [{ category, ...}] }`,
+ * each scope with `totals`, `weeks` (jobs per week), top `companies`, `locations`,
+ * `platforms`, `skills` and `workModes` and `timeOpen`. `options.categories` limits
+ * the categories (default: all found).
+ */
+function analyzeJobs(jobs, options = {}, now = new Date()) {
+    const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const { weeks: weekCount, top, recentWeeks, categories } = { ...DEFAULT_TRENDS, ...given };
+    const thisWeek = new Date(`${weekOf(now)}T00:00:00.000Z`);
+    const weekStart = back => new Date(thisWeek.getTime() - back * 7 * DAY);
+    const weeks = Array.from({ length: weekCount }, (_, i) => weekStart(weekCount - 1 - i).toISOString().slice(0, 10));
+    const since = weekStart(weekCount - 1);
+    const window = { top, recentSince: weekStart(recentWeeks - 1), previousSince: weekStart(2 * recentWeeks - 1) };
+
+    const wanted = categories && categories.length ? categories.map(c => c.toLowerCase()) : null;
+    const listed = jobs.filter(job => {
+        const at = listedAt(job);
+        return !Number.isNaN(at.getTime()) && at >= since && at <= now
+            && (!wanted || wanted.includes(String(job.category).toLowerCase()));
+    });
+    const names = [...new Set(listed.map(job => job.category).filter(Boolean))].sort();
+
+    return {
+        generatedAt: now.toISOString(),
+        since: weeks[0],
+        weeks: weekCount,
+        recentWeeks,
+        overall: summarize(listed, weeks, window),
+        categories: names.map(category => ({ category, ...summarize(listed.filter(job => job.category === category), weeks, window) }))
+    };
+}
+
+/** A scope's aggregates as sheet rows: a block per table, a blank row between. */
+function trendRows(scope, { title, generatedAt, recentWeeks }) {
+    const lately = `Last ${recentWeeks} weeks`;
+    const before = `${recentWeeks} weeks before`;
+    const table = (heading, entries) => [[heading, 'Jobs', lately, before], ...entries.map(e => [e.name, e.jobs, e.recent, e.previous]), []];
+    const { totals, timeOpen: open } = scope;
+    return [
+        [title, `Generated ${generatedAt.slice(0, 16).replace('T', ' ')} UTC`],
+        ['Jobs', totals.jobs, 'Companies', totals.companies, 'Closed', totals.closed, 'Reposts', totals.reposts, 'Via agencies', totals.agencies],
+        [],
+        ['Week of', 'Jobs'],
+        ...scope.weeks.map(w => [w.week, w.jobs]),
+        [],
+        ...table('Company', scope.companies),
+        ...table('Location', scope.locations),
+        ...table('Platform', scope.platforms),
+        ...table('Skill', scope.skills),
+        ...table('Work mode', scope.workModes),
+        ['Days open (closed jobs)', 'Closed', 'Median', '75th percentile'],
+        ['All platforms', open.closed, open.medianDays ?? '', open.p75Days ?? ''],
+        ...open.platforms.map(p => [p.name, p.closed, p.medianDays ?? '', p.p75Days ?? ''])
+    ];
+}
+
+module.exports = { DEFAULT_TRENDS, weekOf, analyzeJobs, trendRows };
@@ -0,0 +1,92 @@
+// --- Follow-up Calendar ---
+// An iCalendar (.ics) file with a reminder to follow up on every applied job,
+// `followUpDays` after the day it was marked applied. Calendar apps that subscribe
+// to the file update the events in place (each has a stable UID).
+
+const DEFAULT_FOLLOW_UP_DAYS = [7];
+const REMINDER_AT = 'PT9H'; // 09:00 on the day
+
+// TEXT values: backslash, semicolon, comma and line breaks escaped
+const escapeText = value => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length ? 74 : 75;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+const compactDate = iso => iso.slice(0, 10).replace(/-/g, '');
+const stamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+function addDays(day, days) {
+    const date = new Date(`${day}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// The day (YYYY-MM-DD) a job was marked applied, or null
+function appliedOn(job) {
+    return job.status === 'applied' && job.statusChangedAt ? job.statusChangedAt.slice(0, 10) : null;
+}
+
+function followUpEvent(job, day, afterDays, now) {
+    const summary = `Follow up: ${job.title} — ${job.company}`;
+    const description = [`Applied on ${appliedOn(job)} (${afterDays} days ago).`, job.detailUrl, job.applyUrl]
+        .filter(Boolean).join('\n');
+    return [
+        'BEGIN:VEVENT',
+        `UID:job-${job.id}-follow-up-${afterDays}d@job-search`,
+        `DTSTAMP:${stamp(now)}`,
+        `DTSTART;VALUE=DATE:${compactDate(day)}`,
+        `DTEND;VALUE=DATE:${compactDate(addDays(day, 1))}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        job.detailUrl ? `URL:${job.detailUrl}` : null,
+        job.category ? `CATEGORIES:${escapeText(job.category)}` : null,
+        'TRANSP:TRANSPARENT',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(summary)}`,
+        `TRIGGER:${REMINDER_AT}`,
+        'END:VALARM',
+        'END:VEVENT'
+    ].filter(Boolean);
+}
+
+/**
+ * An .ics calendar of follow-ups for the applied jobs among `jobs`. Options:
+ * followUpDays (a number or a list, days after applying; default 7), name, now.
+ */
+function toIcal(jobs, { followUpDays = DEFAULT_FOLLOW_UP_DAYS, name = 'Job follow-ups', now = new Date() } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//job-search//Follow-ups//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    for (const job of jobs.filter(appliedOn)) {
+        for (const days of [].concat(followUpDays)) {
+            lines.push(...followUpEvent(job, addDays(appliedOn(job), days), days, now));
+        }
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { DEFAULT_FOLLOW_UP_DAYS, appliedOn, toIcal };
@@ -0,0 +1,138 @@
+// --- Candidate Profiles ---
+// The people the scraper runs for, one YAML/JSON file each under candidates/ (or
+// CANDIDATES_PATH): their skills, years of experience, preferred locations and a
+// resume (.pdf or .txt, read locally). Every job of their categories is matched
+// against them (lib/matching) and each gets a ranked shortlist in their outputs.
+//
+//   name: Priya
+//   skills: [React, TypeScript]      # added to the skills found in the resume
+//   experience: 4                    # years (default: what the resume says)
+//   locations: [Chennai, Remote]
+//   resume: resumes/priya.pdf        # relative to this file
+//   categories: [Frontend]           # profiles to match (default: all)
+//   minScore: 60                     # shortlist threshold (default 50)
+//   outputs:                         # a sheet tab and/or files, as in profiles
+//     - { type: sheets, spreadsheetId: '${GOOGLE_SHEET_ID}', tab: Priya }
+//
+// No candidates directory means no matching.
+const fs = require('fs');
+const path = require('path');
+const { listProfileFiles, parseProfileFile, interpolateEnv, validateOutput } = require('./profiles');
+const { FILE_OUTPUT_TYPES } = require('./outputs');
+const { extractSkills, canonicalSkill } = require('./skills');
+const { readResume, resumeYears } = require('./resume');
+
+const DEFAULT_CANDIDATES_PATH = path.join(__dirname, '..', 'candidates');
+const CANDIDATE_KEYS = ['name', 'enabled', 'skills', 'experience', 'locations', 'resume', 'categories', 'minScore', 'limit', 'outputs'];
+const OUTPUT_TYPES = ['sheets', ...FILE_OUTPUT_TYPES];
+const DEFAULT_CANDIDATE = { minScore: 50, limit: 100 };
+
+const isString = v => typeof v === 'string' && v.trim() !== '';
+const isStringList = v => Array.isArray(v) && v.every(isString);
+
+/** Schema errors of one candidate (as written in its file). */
+function validateCandidate(candidate, label) {
+    const errors = [];
+    const fail = (field, message) => errors.push(`${label}: "${field}" ${message}`);
+
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return [`${label}: must be a mapping of candidate fields`];
+    }
+    for (const key of Object.keys(candidate)) {
+        if (!CANDIDATE_KEYS.includes(key)) fail(key, `is not a known candidate field (expected one of: ${CANDIDATE_KEYS.join(', ')})`);
+    }
+    if (!isString(candidate.name)) fail('name', 'is required');
+    if (candidate.enabled !== undefined && typeof candidate.enabled !== 'boolean') fail('enabled', 'must be true or false');
+    for (const list of ['skills', 'locations', 'categories']) {
+        if (candidate[list] !== undefined && !isStringList(candidate[list])) fail(list, 'must be a list of strings');
+    }
+    if (candidate.resume !== undefined && !isString(candidate.resume)) fail('resume', 'must be a file path');
+    if (!candidate.resume && !(candidate.skills || []).length) fail('skills', 'are required without a resume');
+    if (candidate.experience !== undefined && !(typeof candidate.experience === 'number' && candidate.experience >= 0 && candidate.experience <= 60)) {
+        fail('experience', 'must be a number of years');
+    }
+    if (candidate.minScore !== undefined && !(typeof candidate.minScore === 'number' && candidate.minScore >= 0 && candidate.minScore <= 100)) {
+        fail('minScore', 'must be a number from 0 to 100');
+    }
+    if (candidate.limit !== undefined && !(Number.isInteger(candidate.limit) && candidate.limit >= 1)) fail('limit', 'must be a whole number (1 or more)');
+    if (candidate.outputs !== undefined) {
+        if (!Array.isArray(candidate.outputs)) {
+            fail('outputs', 'must be a list');
+        } else {
+            candidate.outputs.forEach((output, i) => {
+                if (!output || !OUTPUT_TYPES.includes(output.type)) fail(`outputs[${i}].type`, `must be one of: ${OUTPUT_TYPES.join(', ')}`);
+                else if (output.type === 'sheets' && !isString(output.tab)) fail(`outputs[${i}].tab`, 'is required (the candidate\'s own tab)');
+                else validateOutput(output, (field, message) => fail(`outputs[${i}].${field}`, message));
+            });
+        }
+    }
+    return errors;
+}
+
+// Reads the resume (a missing or unreadable one is logged and skipped) and merges its skills
+function normalizeCandidate(candidate, dir) {
+    let resumeText = '';
+    if (candidate.resume) {
+        const file = path.resolve(dir, candidate.resume);
+        try {
+            resumeText = readResume(file);
+            if (!resumeText.trim()) console.warn(`[Candidates] No text found in ${file}; use a .txt copy if it is a scan.`);
+        } catch (e) {
+            console.warn(`[Candidates] Could not read the resume of ${candidate.name} (${e.message}); using the listed skills.`);
+        }
+    }
+    const skills = [...new Set([...(candidate.skills || []).map(canonicalSkill), ...extractSkills(resumeText)])];
+    return {
+        ...DEFAULT_CANDIDATE,
+        ...candidate,
+        enabled: candidate.enabled !== false,
+        skills,
+        experience: candidate.experience ?? resumeYears(resumeText),
+        locations: candidate.locations || [],
+        categories: candidate.categories || [],
+        outputs: candidate.outputs || [],
+        // What the text matcher compares jobs with
+        text: [resumeText, skills.join(', ')].filter(Boolean).join('\n')
+    };
+}
+
+/**
+ * Loads the enabled candidates under `candidatesPath` (a file or directory); none
+ * when it doesn't exist. Throws one Error listing every problem found.
+ */
+function loadCandidates(candidatesPath = process.env.CANDIDATES_PATH || DEFAULT_CANDIDATES_PATH) {
+    if (!fs.existsSync(candidatesPath)) return [];
+    const errors = [];
+    const candidates = [];
+
+    for (const file of listProfileFiles(candidatesPath)) {
+        const label = path.relative(process.cwd(), file) || file;
+        let entries;
+        try {
+            entries = parseProfileFile(file);
+        } catch (e) {
+            errors.push(`${label}: could not parse (${e.message.split('\n')[0]})`);
+            continue;
+        }
+        entries.forEach((entry, i) => {
+            const entryLabel = entries.length > 1 ? `${label} [candidate ${i + 1}]` : label;
+            const candidateErrors = validateCandidate(entry, entryLabel);
+            if (candidateErrors.length) errors.push(...candidateErrors);
+            else candidates.push(normalizeCandidate(interpolateEnv(entry), path.dirname(file)));
+        });
+    }
+
+    const seen = new Set();
+    for (const candidate of candidates) {
+        if (seen.has(candidate.name.toLowerCase())) errors.push(`Duplicate candidate name "${candidate.name}"`);
+        seen.add(candidate.name.toLowerCase());
+    }
+    if (errors.length) {
+        const error = new Error(`Invalid candidates:\n  - ${errors.join('\n  - ')}`);
+        error.errors = errors;
+        throw error;
+    }
+    return candidates.filter(candidate => candidate.enabled);
+}
+
+module.exports = { DEFAULT_CANDIDATES_PATH, loadCandidates, validateCandidate };
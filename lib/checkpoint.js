@@ -0,0 +1,63 @@
+// --- Checkpoints ---
+// A scrape records every search it finishes, and every profile whose jobs it has
+// scored, synced and saved, in the job store as it goes. New jobs are stored the
+// moment they are accepted. A run that dies part-way (browser crash, CI timeout,
+// kill) leaves its checkpoint behind, and the next run takes it up: it skips the
+// finished searches and profiles and ranks, syncs and alerts the jobs found before
+// the interruption together with its own. A checkpoint older than
+// CHECKPOINT_MAX_HOURS (default 6) is dropped; the searches would be stale.
+const DEFAULT_MAX_AGE_HOURS = 6;
+const CHECKPOINT_KEY = 'checkpoint';
+
+const searchTask = (category, source, search) => `search:${category}:${source.name}:${search.url}`;
+const profileTask = category => `profile:${category}`;
+
+function maxAgeHours() {
+    const hours = Number(process.env.CHECKPOINT_MAX_HOURS);
+    return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_MAX_AGE_HOURS;
+}
+
+/**
+ * Starts a run, or takes up the interrupted one when its checkpoint is recent.
+ * `resume: false` always starts over (dry runs, --fresh). Returns
+ * `{ runId, resumed, isDone(task), result(task), done(task, result), finish() }`;
+ * `result` is what a finished task recorded and `finish` drops the checkpoint once
+ * the whole run is through.
+ */
+function openCheckpoint(store, { resume = true, maxHours = maxAgeHours(), now = new Date() } = {}) {
+    const saved = JSON.parse(store.getMeta(CHECKPOINT_KEY) || 'null');
+    const fresh = saved && now - new Date(saved.startedAt) <= maxHours * 60 * 60 * 1000;
+    const resumed = Boolean(saved && fresh && resume);
+    const finished = new Map();
+    let runId;
+
+    if (resumed) {
+        runId = saved.runId;
+        store.reopenRun(runId);
+        for (const { task, result } of store.listTasks(runId)) finished.set(task, result);
+        console.log(`[Checkpoint] Resuming run ${runId} (started ${saved.startedAt}): ${finished.size} searches and profiles already done.`);
+    } else {
+        if (saved) {
+            const why = resume ? `its checkpoint is older than ${maxHours} hours` : 'not resuming it';
+            console.log(`[Checkpoint] Run ${saved.runId} was interrupted; ${why}. Starting a new run.`);
+        }
+        runId = store.startRun(now);
+        store.setMeta(CHECKPOINT_KEY, JSON.stringify({ runId, startedAt: now.toISOString() }));
+    }
+
+    return {
+        runId,
+        resumed,
+        isDone: task => finished.has(task),
+        result: task => finished.get(task) ?? null,
+        done(task, result = null) {
+            store.recordTask(runId, task, result);
+            finished.set(task, result);
+        },
+        finish() {
+            store.setMeta(CHECKPOINT_KEY, null);
+        }
+    };
+}
+
+module.exports = { DEFAULT_MAX_AGE_HOURS, searchTask, profileTask, openCheckpoint };
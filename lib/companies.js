@@ -0,0 +1,125 @@
+// --- Company Intelligence ---
+// One name per employer ("Walmart Labs" and "Walmart Global Tech" are both
+// "walmart"), the profile's allow/block/priority lists and likely recruitment
+// agencies. Tagged jobs carry `companyKey` and `companyTags` ("agency", "priority"),
+// which the pipeline filters on, scoring weighs and the sheet shows.
+const { normalizeCompany } = require('./dedupe');
+
+const DEFAULT_COMPANIES = {
+    allow: [],          // only jobs at these companies (empty: any company)
+    block: [],          // never jobs at these
+    priority: [],       // tagged "priority" and scored up
+    agencies: 'tag',    // likely agencies: 'tag' (kept, scored down), 'skip' (dropped) or 'ignore'
+    priorityBonus: 10,  // score points
+    agencyPenalty: 15
+};
+
+const AGENCY_MODES = ['tag', 'skip', 'ignore'];
+
+// Staffing and recruitment firms that post for their clients. Matched on the
+// normalized name (legal/generic suffixes dropped), so "Kelly Services" is "kelly".
+const KNOWN_AGENCIES = [
+    'Randstad', 'Adecco', 'ManpowerGroup', 'Manpower', 'Kelly Services', 'Robert Half', 'Michael Page',
+    'Hays', 'Allegis', 'TEKsystems', 'Aerotek', 'Insight Global', 'Kforce', 'Collabera', 'Artech',
+    'TeamLease', 'Quess Corp', 'CIEL HR', 'ABC Consultants', 'Xpheno', 'Careernet', 'Antal International',
+    'Mount Talent Consulting', 'Genius Consultants', 'First Meridian', 'People Prime Worldwide',
+    'Ikya Human Capital', 'Spectrum Talent Management', 'Innovsource', 'Taggd'
+].map(normalizeCompany);
+
+// Words in a company name that mark a recruiter ("Consultancy" alone doesn't: TCS)
+const AGENCY_NAME = /\b(staffing|recruit(ers?|ment|ing)|manpower|head ?hunt\w*|placements?|executive search|talent (acquisition|solutions|hunt\w*)|hr (solutions|services|consult\w*)|(placement|recruitment|hr) consult\w*)\b/i;
+
+// Description phrases of a post made for someone else
+const AGENCY_TEXT = /\b((hiring )?(for|on behalf of) (one of )?our (esteemed |reputed |leading |prestigious )?clients?|our client,? (a|an|is)\b|client of ours)/i;
+
+// Whether the normalized `key` is `entry` or starts with it ("google" matches "google cloud")
+function matchesCompany(key, entry) {
+    return Boolean(key && entry) && (key === entry || key.startsWith(`${entry} `));
+}
+
+const onList = (key, list) => list.some(name => matchesCompany(key, normalizeCompany(name)));
+
+/**
+ * Why `job` looks like a recruitment agency's post, or null:
+ * "known agency", "name: staffing" or "description: our client".
+ */
+function agencyReason(job) {
+    const key = normalizeCompany(job.company);
+    if (KNOWN_AGENCIES.some(entry => matchesCompany(key, entry))) return 'known agency';
+    const name = String(job.company || '').match(AGENCY_NAME);
+    if (name) return `name: ${name[0].toLowerCase()}`;
+    const text = String(job.description || '').match(AGENCY_TEXT);
+    if (text) return `description: ${text[0].trim().toLowerCase()}`;
+    return null;
+}
+
+/**
+ * Sets `companyKey`, `companyTags` and (for agencies) `agencyReason` on the job
+ * (in place) for a profile's `companies` settings. Companies the profile allows or
+ * prioritizes by name are never tagged as agencies. Returns the job.
+ */
+function tagCompany(job, companies = DEFAULT_COMPANIES) {
+    const settings = { ...DEFAULT_COMPANIES, ...companies };
+    const key = normalizeCompany(job.company);
+    const tags = [];
+    const listed = onList(key, settings.allow) || onList(key, settings.priority);
+
+    const reason = settings.agencies === 'ignore' || listed ? null : agencyReason(job);
+    if (reason) tags.push('agency');
+    if (onList(key, settings.priority)) tags.push('priority');
+
+    job.companyKey = key;
+    job.companyTags = tags;
+    if (reason) job.agencyReason = reason;
+    else delete job.agencyReason;
+    return job;
+}
+
+// 'company' (blocked, or not on the allowlist), 'agency' (skipped agency) or null
+function companyRejectReason(job, companies = DEFAULT_COMPANIES) {
+    const settings = { ...DEFAULT_COMPANIES, ...companies };
+    const key = job.companyKey ?? normalizeCompany(job.company);
+    if (onList(key, settings.block)) return 'company';
+    if (settings.allow.length && !onList(key, settings.allow)) return 'company';
+    if (settings.agencies === 'skip' && (job.companyTags || []).includes('agency')) return 'agency';
+    return null;
+}
+
+/**
+ * Jobs grouped by employer, most open roles first:
+ * `[{ key, company, openRoles, tags, categories, jobs }]`. `company` is the name
+ * the employer's jobs use most.
+ */
+function groupByCompany(jobs) {
+    const groups = new Map();
+    for (const job of jobs) {
+        const key = job.companyKey || normalizeCompany(job.company);
+        if (!key || key === 'n a') continue;
+        if (!groups.has(key)) groups.set(key, { key, names: new Map(), tags: new Set(), categories: new Set(), jobs: [] });
+        const group = groups.get(key);
+        group.names.set(job.company, (group.names.get(job.company) || 0) + 1);
+        (job.companyTags || []).forEach(tag => group.tags.add(tag));
+        if (job.category) group.categories.add(job.category);
+        group.jobs.push(job);
+    }
+    return [...groups.values()]
+        .map(group => ({
+            key: group.key,
+            company: [...group.names].sort((a, b) => b[1] - a[1])[0][0],
+            openRoles: group.jobs.length,
+            tags: [...group.tags],
+            categories: [...group.categories],
+            jobs: group.jobs
+        }))
+        .sort((a, b) => b.openRoles - a.openRoles || a.company.localeCompare(b.company));
+}
+
+module.exports = {
+    DEFAULT_COMPANIES,
+    AGENCY_MODES,
+    KNOWN_AGENCIES,
+    agencyReason,
+    tagCompany,
+    companyRejectReason,
+    groupByCompany
+};
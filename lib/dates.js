@@ -0,0 +1,88 @@
+// --- Posted Date Normalization ---
+// Turns board-specific posted-date text ("Just now", "30+ days ago", "3 weeks ago")
+// and machine-readable values (<time datetime>, API timestamps) into absolute
+// timestamps, measured from the moment the job was scraped.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+const UNIT_MS = {
+    sec: 1000,
+    min: MINUTE,
+    hour: HOUR,
+    hr: HOUR,
+    day: DAY,
+    week: WEEK,
+    wk: WEEK,
+    month: 30 * DAY,
+    mo: 30 * DAY,
+    year: 365 * DAY,
+    yr: 365 * DAY
+};
+
+// "few hours ago" has no number; assume the middle of the usual range
+const FEW = { sec: 30 * 1000, min: 5 * MINUTE, hour: 3 * HOUR };
+
+/**
+ * Returns how long ago (ms) a relative posted-date text is, or null when it
+ * cannot be read. Absolute dates are handled by parsePostedDate.
+ */
+function parseRelativeAge(text) {
+    const lower = String(text || '').toLowerCase().trim();
+    if (!lower || lower === 'n/a') return null;
+
+    if (/just (now|posted)|moments? ago/.test(lower)) return 0;
+    if (lower.includes('today')) return 0;
+    if (lower.includes('yesterday')) return DAY;
+
+    const few = lower.match(/(?:few|a couple of)\s+(sec|min|hour)/);
+    if (few) return FEW[few[1]];
+
+    // "an hour ago", "a day ago", "a week ago"
+    const single = lower.match(/\ban?\s+(sec|min|hour|hr|day|week|wk|month|mo|year|yr)/);
+    const counted = lower.match(/(\d+)\+?\s*(sec|min|hour|hr|day|week|wk|month|mo|year|yr)/);
+    if (counted) return parseInt(counted[1]) * UNIT_MS[counted[2]];
+    if (single) return UNIT_MS[single[1]];
+
+    return null;
+}
+
+// Epoch ms or ISO-8601 ("2026-01-31", "2026-01-31T10:00:00Z"); free text like "12 Jan" is not trusted
+function parseAbsoluteDate(value) {
+    if (typeof value === 'number') return new Date(value);
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value.trim())) return null;
+    const time = Date.parse(value.trim());
+    return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * Resolves when a job was posted.
+ * - `postedDate`: the text shown on the card ("2 days ago").
+ * - `postedDatetime`: optional machine-readable value (ISO string or epoch ms).
+ * - `scrapedAt`: reference point for relative texts.
+ *
+ * Relative texts under a week ("5 hours ago", "2 days ago") are at least as
+ * precise as date-only attributes like LinkedIn's `<time datetime="2026-02-02">`,
+ * so they win; for "3 weeks ago" or "30+ days ago" the absolute value wins.
+ * Returns an ISO string, or null when nothing could be parsed.
+ */
+function parsePostedDate(postedDate, postedDatetime, scrapedAt = new Date()) {
+    const reference = new Date(scrapedAt).getTime();
+    const age = parseRelativeAge(postedDate);
+    const absolute = parseAbsoluteDate(postedDatetime) || (age === null ? parseAbsoluteDate(postedDate) : null);
+
+    if (age !== null && (age < WEEK || !absolute)) return new Date(reference - age).toISOString();
+    if (absolute) return absolute.toISOString();
+    return null;
+}
+
+// Whether `postedAt` falls inside the last `days` days before `scrapedAt`
+function isWithinDays(postedAt, scrapedAt, days) {
+    if (!postedAt) return false;
+    const age = new Date(scrapedAt).getTime() - new Date(postedAt).getTime();
+    return age <= days * DAY;
+}
+
+module.exports = { DAY, parseRelativeAge, parsePostedDate, isWithinDays };
@@ -0,0 +1,172 @@
+// --- Cross-Source Deduplication ---
+// The same opening is often posted on Naukri and LinkedIn, or reposted on Naukri
+// under a new ID. Jobs are matched on normalized company, title and location
+// within a time window, and duplicates are merged into one canonical job that
+// lists every source URL.
+
+const DEFAULT_DEDUPE = { windowDays: 30, titleSimilarity: 0.8 };
+const DAY = 24 * 60 * 60 * 1000;
+
+const COMPANY_SUFFIXES = new Set([
+    'pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'corp', 'corporation', 'co', 'company',
+    'the', 'india', 'technologies', 'technology', 'tech', 'solutions', 'software', 'services',
+    'systems', 'labs', 'group', 'global', 'consulting', 'digital', 'infotech', 'it'
+]);
+
+const TITLE_REPLACEMENTS = [
+    [/\bfront[\s-]?end\b/g, 'frontend'],
+    [/\bback[\s-]?end\b/g, 'backend'],
+    [/\bfull[\s-]?stack\b/g, 'fullstack'],
+    [/\breact[\s.]?js\b/g, 'react'],
+    [/\bangular[\s.]?js\b/g, 'angular'],
+    [/\bvue[\s.]?js\b/g, 'vue'],
+    [/\b(?:ui\s*[/&-]?\s*ux|ux\s*[/&-]?\s*ui)\b/g, 'uiux'],
+    [/\bsr\b\.?/g, 'senior'],
+    [/\bjr\b\.?/g, 'junior'],
+    [/\bdev\b/g, 'developer']
+];
+
+// Words that don't change which opening a title refers to
+const TITLE_NOISE = new Set([
+    'urgent', 'urgently', 'hiring', 'opening', 'openings', 'immediate', 'joiner', 'joiners',
+    'job', 'jobs', 'for', 'the', 'a', 'an', 'and', 'of', 'in', 'with', 'wfo', 'wfh', 'remote',
+    'hybrid', 'onsite', 'permanent', 'contract', 'fulltime'
+]);
+
+const CITY_ALIASES = {
+    bangalore: 'bengaluru', madras: 'chennai', cochin: 'kochi', ernakulam: 'kochi',
+    trivandrum: 'thiruvananthapuram', gurgaon: 'gurugram', bombay: 'mumbai', calicut: 'kozhikode',
+    'navi mumbai': 'mumbai', 'new delhi': 'delhi'
+};
+
+// Regions shared by many cities ("Chennai, Tamil Nadu, India"), so they never count as a match
+const LOCATION_NOISE = new Set([
+    'india', 'remote', 'hybrid', 'onsite', 'on-site', 'work from home', 'wfh', 'n/a',
+    'tamil nadu', 'karnataka', 'kerala', 'telangana', 'andhra pradesh', 'maharashtra',
+    'delhi ncr', 'ncr', 'haryana', 'uttar pradesh', 'west bengal', 'gujarat', 'rajasthan'
+]);
+
+const tokenize = text => String(text || '').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+
+function normalizeCompany(name) {
+    const tokens = tokenize(String(name || '').replace(/\(.*?\)/g, ' ').replace(/&/g, ' and '));
+    const core = tokens.filter(t => !COMPANY_SUFFIXES.has(t));
+    return (core.length ? core : tokens).join(' ');
+}
+
+function normalizeTitle(title) {
+    let text = String(title || '').toLowerCase().replace(/\(.*?\)|\[.*?\]/g, ' ');
+    for (const [pattern, replacement] of TITLE_REPLACEMENTS) text = text.replace(pattern, replacement);
+    return tokenize(text).filter(t => !TITLE_NOISE.has(t));
+}
+
+function normalizeLocations(location) {
+    return new Set(String(location || '')
+        .toLowerCase()
+        .split(/[,/|()]|\s-\s|\bor\b|\band\b/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => CITY_ALIASES[part] || part)
+        .filter(part => !LOCATION_NOISE.has(part)));
+}
+
+// Token-set similarity (Jaccard) between two normalized titles
+function titleSimilarity(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    if (setA.size === 0 || setB.size === 0) return 0;
+    const shared = [...setA].filter(t => setB.has(t)).length;
+    return shared / (setA.size + setB.size - shared);
+}
+
+function locationsOverlap(a, b) {
+    const setA = normalizeLocations(a);
+    const setB = normalizeLocations(b);
+    // Unknown or remote-only on either side: let company + title decide
+    if (setA.size === 0 || setB.size === 0) return true;
+    return [...setA].some(city => setB.has(city));
+}
+
+function withinWindow(a, b, windowDays) {
+    const timeA = Date.parse(a.postedAt || a.scrapedAt);
+    const timeB = Date.parse(b.postedAt || b.scrapedAt);
+    if (Number.isNaN(timeA) || Number.isNaN(timeB)) return true;
+    return Math.abs(timeA - timeB) <= windowDays * DAY;
+}
+
+function isSameOpening(job, other, options = DEFAULT_DEDUPE) {
+    return titleSimilarity(normalizeTitle(job.title), normalizeTitle(other.title)) >= options.titleSimilarity
+        && locationsOverlap(job.location, other.location)
+        && withinWindow(job, other, options.windowDays);
+}
+
+// Every URL a job is known under, starting with its own
+function sourceList(job) {
+    if (job.sources && job.sources.length) return job.sources;
+    return [{ platform: job.platform || 'Naukri', detailUrl: job.detailUrl, postedAt: job.postedAt || null }];
+}
+
+/**
+ * Merges `duplicate` into `canonical` (in place): records its URL/platform and
+ * fills fields the canonical job is missing (salary, experience, description...).
+ */
+function mergeInto(canonical, duplicate) {
+    const sources = sourceList(canonical);
+    for (const source of sourceList(duplicate)) {
+        if (!sources.some(s => s.detailUrl === source.detailUrl)) sources.push(source);
+    }
+    canonical.sources = sources;
+    canonical.platforms = [...new Set(sources.map(s => s.platform))];
+
+    for (const [key, value] of Object.entries(duplicate)) {
+        const missing = canonical[key] === undefined || canonical[key] === null || canonical[key] === 'N/A' || canonical[key] === '';
+        if (missing && value !== null && value !== undefined && !['sources', 'platforms', 'detailUrl'].includes(key)) {
+            canonical[key] = value;
+        }
+    }
+    return canonical;
+}
+
+/**
+ * Index of known jobs bucketed by normalized company.
+ * `find(job)` returns the canonical job the given job duplicates, or null; closed
+ * listings (lib/lifecycle) are not merged into. `findEarlier(job)` returns a listing
+ * of the same opening that `find` passes over (closed, or posted outside the
+ * window): the job is a repost of it.
+ */
+function createDedupIndex(jobs = [], options = DEFAULT_DEDUPE) {
+    const byCompany = new Map();
+
+    const add = (job) => {
+        const company = normalizeCompany(job.company);
+        if (!company || company === 'n a') return;
+        if (!byCompany.has(company)) byCompany.set(company, []);
+        byCompany.get(company).push(job);
+    };
+
+    const find = (job, findOptions = options) => {
+        const candidates = byCompany.get(normalizeCompany(job.company)) || [];
+        return candidates.find(other => other.detailUrl !== job.detailUrl && !other.closedAt && isSameOpening(job, other, findOptions)) || null;
+    };
+
+    const findEarlier = (job, findOptions = options) => {
+        const candidates = byCompany.get(normalizeCompany(job.company)) || [];
+        return candidates.find(other => other.detailUrl !== job.detailUrl && other !== job
+            && isSameOpening(job, other, { ...findOptions, windowDays: Infinity })) || null;
+    };
+
+    jobs.forEach(add);
+    return { add, find, findEarlier };
+}
+
+module.exports = {
+    DEFAULT_DEDUPE,
+    normalizeCompany,
+    normalizeTitle,
+    normalizeLocations,
+    titleSimilarity,
+    isSameOpening,
+    sourceList,
+    mergeInto,
+    createDedupIndex
+};
@@ -0,0 +1,114 @@
+// --- Job Detail Enrichment ---
+// Visits each new job's detail page and adds what the search card lacks:
+// description, key skills, employment type, work mode, applicant count and the
+// company's own apply link. Failures are recorded on the job, never dropped.
+const { createHostLimiter } = require('./scheduler');
+const { parseExperience, formatExperience } = require('./experience');
+const { parseSalary } = require('./salary');
+const { extractSkills, canonicalSkill } = require('./skills');
+
+const DEFAULT_ENRICHMENT = { enabled: false, concurrency: 2, minDelayMs: 3000 };
+
+// "Hybrid", "Remote" or "Onsite" from free text (location, badges, description)
+function detectWorkMode(...texts) {
+    const text = texts.filter(Boolean).join(' ').toLowerCase();
+    if (!text) return null;
+    if (/\bhybrid\b/.test(text)) return 'Hybrid';
+    if (/\bremote\b|work from home|\bwfh\b/.test(text)) return 'Remote';
+    if (/on-?site|work from office|\bwfo\b|in[- ]office/.test(text)) return 'Onsite';
+    return null;
+}
+
+// "Over 200 applicants", "Applicants: 100+", "25 applicants" -> lower bound
+function parseApplicantCount(text) {
+    const match = String(text || '').replace(/,/g, '').match(/(\d+)\+?/);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Merges what `source.extractDetail` read from a job page into the job (in place).
+ * Card values win over detail values for experience and salary.
+ */
+function applyDetail(job, detail) {
+    const experience = parseExperience(detail.experience)
+        || parseExperience(detail.description, { singleIsMinimum: true });
+    if (job.expMin === null && experience) {
+        Object.assign(job, experience, { experience: formatExperience(experience) });
+    }
+
+    const salary = job.salaryMin === null ? parseSalary(detail.salary) : null;
+    if (salary) Object.assign(job, salary, { salary: detail.salary.trim() });
+
+    const description = (detail.description || '').trim();
+    const boardSkills = (detail.skills || []).map(canonicalSkill).filter(Boolean);
+
+    Object.assign(job, {
+        description: description || null,
+        skills: [...new Set([...boardSkills, ...extractSkills(description)])],
+        employmentType: detail.employmentType ? detail.employmentType.trim() : null,
+        // A page that doesn't say keeps what the card or the search's work-mode filter set
+        workMode: detectWorkMode(detail.workMode, job.location, job.title) || detectWorkMode(description) || (job.workMode ?? null),
+        applicantCount: parseApplicantCount(detail.applicants),
+        applyUrl: detail.applyUrl || null,
+        enrichedAt: new Date().toISOString(),
+        enrichmentError: null
+    });
+    return job;
+}
+
+// Opens one job page and enriches the job in place
+async function enrichJob(page, source, job) {
+    try {
+        await page.goto(job.detailUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        applyDetail(job, await source.extractDetail(page));
+    } catch (e) {
+        job.enrichmentError = e.message.split('\n')[0];
+        console.error(`[Enrich] ${source.platform} ${job.detailUrl}: ${job.enrichmentError}`);
+    }
+    return job;
+}
+
+/**
+ * Enriches `jobs` in place with `options.concurrency` browser pages.
+ * `getSource(job)` returns the adapter for a job; jobs whose source has no
+ * `extractDetail`, or that were already enriched, are skipped. Pass the run's
+ * `options.limiter` (lib/scheduler) to share its per-host pacing and
+ * `options.openPage` (lib/session) to open pages like the search pages.
+ */
+async function enrichJobs(browser, jobs, getSource, options = {}) {
+    const { concurrency, minDelayMs } = { ...DEFAULT_ENRICHMENT, ...options };
+    const queue = jobs.filter(job => !job.enrichedAt && getSource(job)?.extractDetail);
+    if (queue.length === 0) return { enriched: 0, failed: 0 };
+
+    console.log(`[Enrich] Visiting ${queue.length} job pages (${concurrency} at a time)...`);
+    const limiter = options.limiter || createHostLimiter();
+    let next = 0;
+    let failed = 0;
+
+    const worker = async () => {
+        const page = await (options.openPage ? options.openPage() : browser.newPage());
+        try {
+            while (next < queue.length) {
+                const job = queue[next++];
+                await limiter.throttle(job.detailUrl, { minDelayMs });
+                await enrichJob(page, getSource(job), job);
+                if (job.enrichmentError) failed++;
+            }
+        } finally {
+            await page.close().catch(() => { });
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    console.log(`[Enrich] Done: ${queue.length - failed} enriched, ${failed} failed.`);
+    return { enriched: queue.length - failed, failed };
+}
+
+module.exports = {
+    DEFAULT_ENRICHMENT,
+    detectWorkMode,
+    parseApplicantCount,
+    applyDetail,
+    enrichJob,
+    enrichJobs
+};
@@ -0,0 +1,45 @@
+// --- Experience Parsing ---
+// Reads "2-5 Yrs", "3 to 5 years", "5+ years", "Fresher" into numeric { expMin, expMax }.
+// expMax is null for open-ended requirements ("5+ years", "minimum 3 years").
+
+const YEARS = '(?:years?|yrs?)';
+
+/**
+ * Parses the first experience requirement found in `text`.
+ * Set `singleIsMinimum` for free text (job descriptions), where "3 years of
+ * experience" means at least three; on cards "3 Yrs" is an exact value.
+ * Returns null when no requirement can be read.
+ */
+function parseExperience(text, { singleIsMinimum = false } = {}) {
+    const lower = String(text || '').toLowerCase().replace(/[–—]/g, '-');
+    if (!lower || lower === 'n/a') return null;
+
+    const range = lower.match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(?:-|to)\\s*(\\d+(?:\\.\\d+)?)\\s*\\+?\\s*${YEARS}`))
+        || lower.match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+    if (range) {
+        return { expMin: Math.floor(parseFloat(range[1])), expMax: Math.ceil(parseFloat(range[2])) };
+    }
+
+    const plus = lower.match(new RegExp(`(\\d+)\\s*\\+\\s*${YEARS}`))
+        || lower.match(new RegExp(`(?:minimum|min\\.?|at least|over)\\s*(?:of\\s*)?(\\d+)\\s*${YEARS}`));
+    if (plus) return { expMin: parseInt(plus[1]), expMax: null };
+
+    const single = lower.match(new RegExp(`(\\d+)\\s*${YEARS}`));
+    if (single) {
+        const years = parseInt(single[1]);
+        return { expMin: years, expMax: singleIsMinimum ? null : years };
+    }
+
+    if (/\bfreshers?\b|entry level/.test(lower)) return { expMin: 0, expMax: 0 };
+
+    return null;
+}
+
+// "2-5 Yrs", "3+ Yrs", "4 Yrs" - the card format used by Naukri
+function formatExperience({ expMin, expMax }) {
+    if (expMax === null) return `${expMin}+ Yrs`;
+    if (expMin === expMax) return `${expMin} Yrs`;
+    return `${expMin}-${expMax} Yrs`;
+}
+
+module.exports = { parseExperience, formatExperience };
@@ -0,0 +1,58 @@
+// --- Export ---
+// Stored jobs as files: CSV (the sheet's columns plus id/status), JSON, Excel (a tab
+// per category), RSS/Atom feeds of the newest jobs and an iCal of applied jobs'
+// follow-ups. Every format works offline. Renderers take `(jobs, options)` and
+// return a string, or a Buffer for Excel.
+const { SHEET_COLUMNS } = require('./sheets');
+const { toWorkbook } = require('./xlsx');
+const { toRss, toAtom } = require('./feed');
+const { toIcal } = require('./calendar');
+
+const EXPORT_COLUMNS = [
+    { header: 'Id', value: job => job.id ?? '' },
+    { header: 'Status', value: job => job.status || '' },
+    { header: 'Category', value: job => job.category || '' },
+    ...SHEET_COLUMNS
+];
+
+// RFC 4180 quoting: fields with commas, quotes or line breaks are wrapped in quotes
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(jobs) {
+    const lines = [EXPORT_COLUMNS.map(c => csvField(c.header)).join(',')];
+    for (const job of jobs) {
+        lines.push(EXPORT_COLUMNS.map(c => csvField(c.value(job))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+function toJson(jobs) {
+    return JSON.stringify(jobs, null, 2) + '\n';
+}
+
+// The CSV's header and rows as cell values (numbers stay numbers)
+function jobRows(jobs) {
+    return [EXPORT_COLUMNS.map(c => c.header), ...jobs.map(job => EXPORT_COLUMNS.map(c => c.value(job)))];
+}
+
+/**
+ * An Excel workbook with a tab per category (in order of first appearance), each with
+ * the CSV's columns. `tabs` maps a category to its tab name (default: the category).
+ */
+function toXlsx(jobs, { tabs = {}, now = new Date() } = {}) {
+    const byCategory = new Map();
+    for (const job of jobs) {
+        const category = job.category || 'Jobs';
+        if (!byCategory.has(category)) byCategory.set(category, []);
+        byCategory.get(category).push(job);
+    }
+    const sheets = [...byCategory].map(([category, categoryJobs]) => ({ name: tabs[category] || category, rows: jobRows(categoryJobs) }));
+    return toWorkbook(sheets.length ? sheets : [{ name: 'Jobs', rows: jobRows([]) }], now);
+}
+
+const EXPORT_FORMATS = { csv: toCsv, json: toJson, xlsx: toXlsx, rss: toRss, atom: toAtom, ical: toIcal };
+
+module.exports = { EXPORT_COLUMNS, EXPORT_FORMATS, jobRows, toCsv, toJson, toXlsx };
@@ -0,0 +1,97 @@
+// --- Job Feeds ---
+// Static RSS 2.0 and Atom feeds of the newest jobs, for feed readers. Items are
+// ordered by when the job was found and keyed by its URL, so readers show each once.
+
+const DEFAULT_FEED = { title: 'New jobs', link: '', limit: 50 };
+
+const escapeXml = value => String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+
+// When the job was found (falls back to its posting date)
+const foundAt = job => job.scrapedAt || job.postedAt || null;
+
+function newestJobs(jobs, limit) {
+    return jobs
+        .filter(job => job.detailUrl && foundAt(job))
+        .sort((a, b) => (foundAt(a) < foundAt(b) ? 1 : foundAt(a) > foundAt(b) ? -1 : 0))
+        .slice(0, limit);
+}
+
+const itemTitle = job => `${job.title} — ${job.company}${job.location ? ` (${job.location})` : ''}`;
+
+// The item body as HTML (escaped again by the caller)
+function itemHtml(job) {
+    const facts = [
+        ['Category', job.category],
+        ['Experience', job.experience],
+        ['Salary', job.salary],
+        ['Work mode', job.workMode],
+        ['Score', job.score],
+        ['Skills', (job.skills || []).join(', ')],
+        ['Company', (job.companyTags || []).join(', ')]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+    const list = facts.map(([label, value]) => `<li>${escapeXml(label)}: ${escapeXml(value)}</li>`).join('');
+    const reasons = (job.scoreReasons || []).length ? `<p>${job.scoreReasons.map(escapeXml).join('<br>')}</p>` : '';
+    const apply = job.applyUrl ? `<p><a href="${escapeXml(job.applyUrl)}">Apply</a></p>` : '';
+    return `<ul>${list}</ul>${reasons}${apply}`;
+}
+
+/** RSS 2.0 of the `limit` newest `jobs`. Options: title, link (the feed's site), limit, now. */
+function toRss(jobs, options = {}) {
+    const { title, link, limit, now = new Date() } = { ...DEFAULT_FEED, ...options };
+    const items = newestJobs(jobs, limit);
+    const built = items.length ? new Date(foundAt(items[0])) : now;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0">',
+        '<channel>',
+        `<title>${escapeXml(title)}</title>`,
+        `<link>${escapeXml(link)}</link>`,
+        `<description>${escapeXml(title)}</description>`,
+        `<lastBuildDate>${built.toUTCString()}</lastBuildDate>`,
+        ...items.map(job => [
+            '<item>',
+            `<title>${escapeXml(itemTitle(job))}</title>`,
+            `<link>${escapeXml(job.detailUrl)}</link>`,
+            `<guid isPermaLink="true">${escapeXml(job.detailUrl)}</guid>`,
+            `<pubDate>${new Date(foundAt(job)).toUTCString()}</pubDate>`,
+            job.category ? `<category>${escapeXml(job.category)}</category>` : '',
+            `<description>${escapeXml(itemHtml(job))}</description>`,
+            '</item>'
+        ].filter(Boolean).join('\n')),
+        '</channel>',
+        '</rss>'
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/** Atom 1.0 of the `limit` newest `jobs`; same options as toRss. */
+function toAtom(jobs, options = {}) {
+    const { title, link, limit, now = new Date() } = { ...DEFAULT_FEED, ...options };
+    const items = newestJobs(jobs, limit);
+    const updated = items.length ? new Date(foundAt(items[0])) : now;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `<title>${escapeXml(title)}</title>`,
+        `<id>${escapeXml(link || `urn:job-search:${encodeURIComponent(title)}`)}</id>`,
+        link ? `<link href="${escapeXml(link)}"/>` : '',
+        `<updated>${updated.toISOString()}</updated>`,
+        '<author><name>job-search</name></author>',
+        ...items.map(job => [
+            '<entry>',
+            `<title>${escapeXml(itemTitle(job))}</title>`,
+            `<id>${escapeXml(job.detailUrl)}</id>`,
+            `<link href="${escapeXml(job.detailUrl)}"/>`,
+            `<updated>${new Date(foundAt(job)).toISOString()}</updated>`,
+            job.category ? `<category term="${escapeXml(job.category)}"/>` : '',
+            `<content type="html">${escapeXml(itemHtml(job))}</content>`,
+            '</entry>'
+        ].filter(Boolean).join('\n')),
+        '</feed>'
+    ];
+    return lines.filter(Boolean).join('\n') + '\n';
+}
+
+module.exports = { DEFAULT_FEED, toRss, toAtom };
@@ -0,0 +1,21 @@
+// --- Structured Job Fields ---
+// Numeric fields derived from a job's card texts, shared by the pipeline (new jobs)
+// and the store (jobs imported from jobs.json).
+const { parseExperience } = require('./experience');
+const { parseSalary } = require('./salary');
+
+// Numeric experience/salary fields parsed from the card texts
+function addStructuredFields(job) {
+    const experience = parseExperience(job.experience);
+    const salary = parseSalary(job.salary);
+    return {
+        ...job,
+        expMin: experience ? experience.expMin : null,
+        expMax: experience ? experience.expMax : null,
+        salaryMin: salary ? salary.salaryMin : null,
+        salaryMax: salary ? salary.salaryMax : null,
+        salaryCurrency: salary ? salary.salaryCurrency : null
+    };
+}
+
+module.exports = { addStructuredFields };
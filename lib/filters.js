@@ -0,0 +1,73 @@
+// --- Job Filters ---
+// Keyword based checks shared by every source adapter.
+
+const DEFAULT_EXCLUDED_LOCATIONS = [
+    'san francisco', 'usa', 'united states', 'uk', 'united kingdom', 'london',
+    'europe', 'germany', 'singapore', 'australia', 'canada', 'dubai', 'uae'
+];
+
+// Keywords match whole words ("net" does not match "Internet", "hr" not "three").
+// A trailing "*" matches word prefixes: "develop*" covers "developer" and "development".
+const keywordPatterns = new Map();
+
+function keywordPattern(keyword) {
+    const key = keyword.trim().toLowerCase();
+    if (!keywordPatterns.has(key)) {
+        const prefix = key.endsWith('*');
+        const body = (prefix ? key.slice(0, -1) : key)
+            .replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+            .replace(/\s+/g, '[\\s/-]+'); // "ui ux" also matches "UI/UX" and "UI-UX"
+        keywordPatterns.set(key, new RegExp(`(?<![a-z0-9])${body}${prefix ? '' : '(?![a-z0-9])'}`, 'gi'));
+    }
+    const pattern = keywordPatterns.get(key);
+    pattern.lastIndex = 0;
+    return pattern;
+}
+
+// Whole-word (or "prefix*") keyword test
+function containsKeyword(text, keyword) {
+    return keywordPattern(keyword).test(String(text || ''));
+}
+
+// Blanks out every match of `keywords` in `text`
+function removeKeywords(text, keywords) {
+    return keywords.reduce((rest, k) => rest.replace(keywordPattern(k), ' '), text);
+}
+
+/**
+ * A title is valid when it has one of the include keywords and none of the exclude
+ * keywords. Excludes inside a matched include phrase don't count, so "product manager"
+ * can be wanted while a bare "manager" is not.
+ */
+function matchesTitleKeywords(title, keywords) {
+    if (!title) return false;
+
+    const included = keywords.include.filter(k => containsKeyword(title, k));
+    if (included.length === 0) return false;
+
+    const rest = removeKeywords(title, included.filter(k => k.trim().includes(' ')));
+    return !(keywords.exclude || []).some(k => containsKeyword(rest, k));
+}
+
+function isValidLocation(location, allowedLocations, excludedLocations = DEFAULT_EXCLUDED_LOCATIONS) {
+    if (!location) return false;
+    const loc = location.toLowerCase();
+
+    // Broad inclusion first would let "San Francisco" through, so strictly exclude
+    // "bad" locations, then require one of the target locations.
+    const hasExcluded = excludedLocations.some(l => loc.includes(l.toLowerCase()));
+    if (hasExcluded) return false;
+
+    // User asked "Location chennai... remote, hybrid. No others."
+    // Check if the location string contains at least one of our target locations
+    const allowed = allowedLocations.some(allowedLoc => loc.includes(allowedLoc.toLowerCase()));
+
+    return allowed;
+}
+
+module.exports = {
+    DEFAULT_EXCLUDED_LOCATIONS,
+    containsKeyword,
+    matchesTitleKeywords,
+    isValidLocation
+};
@@ -0,0 +1,181 @@
+// --- Run Health ---
+// Per-search metrics, the JSON run report and checks against recent runs, so a board
+// that changed its markup or started blocking us raises an alert instead of passing
+// for "No new jobs found".
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REPORTS_DIR = 'reports';
+const BASELINE_RUNS = 5;          // recent runs a source is compared with
+const MIN_BASELINE_RUNS = 2;
+const MIN_BASELINE_CARDS = 5;     // cards per loaded search that count as "used to return many"
+const CARD_DROP_RATIO = 0.25;     // below this share of the baseline is a warning
+
+// Checked against the page title and the start of its text when a search has no cards
+const BLOCK_PATTERNS = [
+    { kind: 'captcha', pattern: /captcha|are you a robot|unusual traffic|verify (that )?you are (a )?human|security check|access denied/i },
+    { kind: 'login-wall', pattern: /sign ?in to (view|see|continue)|join (linkedin|now) to see|log ?in to (view|apply|continue)/i }
+];
+const LOGIN_URL = /\/(authwall|login|signin|uas\/login|checkpoint)\b/i;
+
+function createSearchMetrics(source, search, category) {
+    return {
+        category,
+        source: source.name,
+        platform: source.platform,
+        role: search.role || null,
+        location: search.location || null,
+        url: search.url,
+        attempts: 0,
+        completed: false,
+        pagesLoaded: 0,
+        rawCards: 0,
+        accepted: 0,
+        dropped: {},      // by reason: duplicate, merged, title, location, stale, ...
+        errors: [],
+        blocked: null,    // 'captcha' | 'login-wall'
+        skipped: null,    // 'cooldown': the source was paused after a block
+        durationMs: 0
+    };
+}
+
+function countDrop(metrics, reason) {
+    metrics.dropped[reason] = (metrics.dropped[reason] || 0) + 1;
+}
+
+// 'captcha', 'login-wall' or null for the page as it is now
+async function detectBlock(page) {
+    const url = typeof page.url === 'function' ? page.url() : '';
+    if (LOGIN_URL.test(url)) return 'login-wall';
+
+    let text = '';
+    try {
+        text = await page.evaluate(() => `${document.title}\n${document.body ? document.body.innerText.slice(0, 3000) : ''}`);
+    } catch (e) {
+        return null; // page gone or mid-navigation; the search error says more
+    }
+    if (typeof text !== 'string') return null;
+    const match = BLOCK_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.kind : null;
+}
+
+// Totals per platform over a run's search metrics
+function summarizeSources(searches) {
+    const sources = {};
+    for (const m of searches) {
+        const s = sources[m.platform] = sources[m.platform] || {
+            searches: 0, loaded: 0, failed: 0, blocked: 0, skipped: 0, pagesLoaded: 0, rawCards: 0, accepted: 0, dropped: {}, durationMs: 0
+        };
+        s.searches++;
+        if (m.pagesLoaded > 0) s.loaded++;
+        if (m.skipped) s.skipped++;
+        else if (!m.completed) s.failed++;
+        if (m.blocked) s.blocked++;
+        s.pagesLoaded += m.pagesLoaded;
+        s.rawCards += m.rawCards;
+        s.accepted += m.accepted;
+        s.durationMs += m.durationMs;
+        for (const [reason, count] of Object.entries(m.dropped)) s.dropped[reason] = (s.dropped[reason] || 0) + count;
+    }
+    for (const s of Object.values(sources)) {
+        s.cardsPerSearch = s.loaded ? Math.round(s.rawCards / s.loaded * 10) / 10 : null;
+    }
+    return sources;
+}
+
+// Average cards per loaded search of `platform` over recent healthy reports (null if too few)
+function baselineFor(platform, previousReports) {
+    const values = previousReports
+        .filter(report => !(report.alerts || []).some(alert => alert.level === 'error' && alert.platform === platform))
+        .map(report => report.sources?.[platform]?.cardsPerSearch)
+        .filter(value => typeof value === 'number')
+        .slice(0, BASELINE_RUNS);
+    if (values.length < MIN_BASELINE_RUNS) return null;
+    return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 10) / 10;
+}
+
+/**
+ * Alerts for one run's source totals, given recent reports (newest first):
+ * `{ level: 'error' | 'warning', platform, type, message }`. Errors mean the scrape
+ * is broken (selectors, blocks, every search failing) and fail the run.
+ */
+function checkHealth(sources, previousReports = []) {
+    const alerts = [];
+    const add = (level, platform, type, message) => alerts.push({ level, platform, type, message });
+
+    for (const [platform, s] of Object.entries(sources)) {
+        const baseline = baselineFor(platform, previousReports);
+        const since = baseline === null ? '' : ` (baseline ${baseline} per search over recent runs)`;
+
+        const completed = s.searches - s.failed - s.skipped;
+
+        if (s.blocked > 0 && completed === 0) {
+            add('error', platform, 'blocked', `${platform} is blocking the scraper (CAPTCHA or login wall); it is paused.`);
+        } else if (s.blocked > 0) {
+            add('warning', platform, 'blocked', `${platform} showed a block page on ${s.blocked} searches; it is paused.`);
+        } else if (s.skipped === s.searches) {
+            add('warning', platform, 'cooldown', `${platform} was skipped: still paused after a block.`);
+        } else if (s.searches > 0 && s.failed === s.searches) {
+            add('error', platform, 'failing', `${platform}: all ${s.searches} searches failed.`);
+        } else if (s.loaded > 0 && s.rawCards === 0 && baseline !== null && baseline >= MIN_BASELINE_CARDS) {
+            add('error', platform, 'selectors-broken', `${platform} selectors likely broken: 0 cards from ${s.pagesLoaded} loaded pages${since}.`);
+        } else if (s.loaded >= 3 && s.rawCards === 0) {
+            add('warning', platform, 'no-cards', `${platform} found no cards on ${s.pagesLoaded} loaded pages.`);
+        } else if (baseline !== null && baseline >= MIN_BASELINE_CARDS && s.cardsPerSearch !== null && s.cardsPerSearch < baseline * CARD_DROP_RATIO) {
+            add('warning', platform, 'card-drop', `${platform} cards dropped to ${s.cardsPerSearch} per search${since}.`);
+        }
+
+        if (s.failed > 0 && s.failed < s.searches && s.failed / s.searches > 0.5) {
+            add('warning', platform, 'errors', `${platform}: ${s.failed} of ${s.searches} searches failed.`);
+        }
+    }
+    return alerts;
+}
+
+/**
+ * The run report: every search's metrics, per-source totals and health alerts.
+ * `previousReports` (newest first) are the baseline.
+ */
+function buildRunReport({ runId, startedAt, finishedAt = new Date(), dryRun = false, searches, previousReports = [] }) {
+    const sources = summarizeSources(searches);
+    return {
+        runId,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        dryRun,
+        sources,
+        alerts: checkHealth(sources, previousReports),
+        searches
+    };
+}
+
+// reports/run-<id>-<time>.json; returns the path
+function writeRunReport(report, dir = process.env.RUN_REPORTS_DIR || DEFAULT_REPORTS_DIR) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `run-${report.runId}-${report.startedAt.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return file;
+}
+
+// Alerts to the log; on GitHub Actions also as annotations on the run
+function printAlerts(alerts) {
+    for (const alert of alerts) {
+        const line = `[Health] ${alert.level === 'error' ? 'ALERT' : 'Warning'}: ${alert.message}`;
+        if (alert.level === 'error') console.error(line);
+        else console.log(line);
+        if (process.env.GITHUB_ACTIONS === 'true') console.log(`::${alert.level} title=Scrape health::${alert.message}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_REPORTS_DIR,
+    createSearchMetrics,
+    countDrop,
+    detectBlock,
+    summarizeSources,
+    checkHealth,
+    buildRunReport,
+    writeRunReport,
+    printAlerts
+};
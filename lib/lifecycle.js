@@ -0,0 +1,247 @@
+// --- Job Lifecycle ---
+// Stored jobs are revisited after they were found: a periodic pass opens the detail
+// pages of a profile's tracked jobs (within a per-run budget) and records on each job
+// - `closedAt` / `closedReason` when the page is gone (404/410) or says the posting
+//   expired or stopped taking applications;
+// - `changes`, the latest field-level diffs (salary, experience, work mode...) of a
+//   listing edited since it was found (the store keeps the full history);
+// - `checkedAt` / `checkError`: when it was last looked at, and what went wrong.
+// New listings of an opening seen before (closed, or posted outside the dedup window)
+// get `repostOf` instead (see lib/pipeline). Changed jobs get `updatedAt`, so their
+// sheet rows are written again.
+const { createHostLimiter } = require('./scheduler');
+const { detectBlock } = require('./health');
+const { parseExperience, formatExperience } = require('./experience');
+const { parseSalary } = require('./salary');
+const { detectWorkMode, parseApplicantCount } = require('./enrich');
+
+const DEFAULT_REVALIDATION = {
+    enabled: false,
+    budget: 20,             // job pages per run for the profile
+    everyHours: 24,         // how long a checked job is left alone
+    concurrency: 2,
+    minDelayMs: 3000
+};
+
+// Statuses whose jobs are no longer worth a visit
+const SETTLED_STATUSES = ['rejected', 'offer', 'hidden'];
+const MAX_CHANGES = 10;     // diffs kept on the job
+const HOUR = 60 * 60 * 1000;
+
+// Checked against the page title and the start of its text (banners sit at the top;
+// the description further down may mention deadlines of its own)
+const CLOSED_TEXT_LIMIT = 5000;
+const CLOSED_PATTERNS = [
+    /no longer accepting applications/i,
+    /(job|position|posting|listing|vacancy) (has )?(expired|been closed|been filled|been removed)/i,
+    /(job|position|posting|listing) is no longer (available|active|open)/i,
+    /this job (has )?(expired|closed)|job (has )?expired on/i
+];
+
+// The closed banner found in a page's text, or null
+function closedReason(text) {
+    const head = String(text || '').slice(0, CLOSED_TEXT_LIMIT);
+    for (const pattern of CLOSED_PATTERNS) {
+        const match = head.match(pattern);
+        if (match) return match[0].toLowerCase();
+    }
+    return null;
+}
+
+// 'open', 'closed' or 'reposted' (a new listing of an opening seen before)
+function lifecycleOf(job) {
+    if (job.closedAt) return 'closed';
+    return job.repostOf ? 'reposted' : 'open';
+}
+
+function markClosed(job, reason, now = new Date()) {
+    if (job.closedAt) return job;
+    Object.assign(job, { closedAt: now.toISOString(), closedReason: reason, updatedAt: now.toISOString() });
+    return job;
+}
+
+// Adds diffs `[{ field, from, to, at }]` to the job's latest changes (in place)
+function noteChanges(job, diffs) {
+    if (diffs.length === 0) return job;
+    job.changes = [...(job.changes || []), ...diffs].slice(-MAX_CHANGES);
+    job.updatedAt = diffs[diffs.length - 1].at;
+    return job;
+}
+
+// A closed job that turned up in a search again is live
+function reopen(job, now = new Date()) {
+    if (!job.closedAt) return job;
+    Object.assign(job, { closedAt: null, closedReason: null, reopenedAt: now.toISOString(), updatedAt: now.toISOString() });
+    return job;
+}
+
+/**
+ * Takes what `source.extractDetail` read from a live job page into the job (in
+ * place). Unlike enrichment the page wins: experience and salary are compared as
+ * numbers, so a reworded "6-12 Lacs" is not a change. Returns the diffs
+ * `[{ field, from, to, at }]`, also appended to `job.changes`.
+ */
+function applyRevalidation(job, detail, now = new Date()) {
+    const at = now.toISOString();
+    const diffs = [];
+    const update = (field, to, fields = {}) => {
+        const from = job[field];
+        if (from !== undefined && from !== null && from !== '' && from !== 'N/A') diffs.push({ field, from: String(from), to: String(to), at });
+        Object.assign(job, fields, { [field]: to });
+    };
+
+    const experience = parseExperience(detail.experience);
+    if (experience && (experience.expMin !== job.expMin || experience.expMax !== job.expMax)) {
+        update('experience', formatExperience(experience), experience);
+    }
+    const salary = parseSalary(detail.salary);
+    if (salary && (salary.salaryMin !== job.salaryMin || salary.salaryMax !== job.salaryMax)) {
+        update('salary', detail.salary.trim(), salary);
+    }
+    const texts = {
+        workMode: detectWorkMode(detail.workMode),
+        employmentType: detail.employmentType ? detail.employmentType.trim() : null,
+        applyUrl: detail.applyUrl || null
+    };
+    for (const [field, value] of Object.entries(texts)) {
+        if (value && value !== job[field]) update(field, value);
+    }
+
+    const applicants = parseApplicantCount(detail.applicants);
+    if (applicants !== null) job.applicantCount = applicants; // moves daily; the store has its history
+
+    noteChanges(job, diffs);
+    return diffs;
+}
+
+/**
+ * Opens one job page and records what it shows (in place): closed, changed or
+ * neither. A page that failed to load or was blocked sets `checkError` and leaves
+ * the job open; a blocked one is not counted as checked, so it is tried again next run.
+ * Returns 'closed', 'changed', 'unchanged', 'blocked' or 'failed'.
+ */
+async function revalidateJob(page, source, job, now = new Date()) {
+    const outcome = await visitJob(page, source, job, now);
+    if (outcome !== 'blocked') job.checkedAt = now.toISOString();
+    return outcome;
+}
+
+async function visitJob(page, source, job, now) {
+    try {
+        const response = await page.goto(job.detailUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        const status = response ? response.status() : null;
+        if (status === 404 || status === 410) {
+            markClosed(job, `page gone (HTTP ${status})`, now);
+            return 'closed';
+        }
+        const blocked = await detectBlock(page);
+        if (blocked) {
+            job.checkError = blocked;
+            return 'blocked';
+        }
+        const text = await page.evaluate(() => `${document.title}\n${document.body ? document.body.innerText : ''}`);
+        const reason = closedReason(text);
+        if (reason) {
+            markClosed(job, reason, now);
+            return 'closed';
+        }
+        const diffs = source.extractDetail ? applyRevalidation(job, await source.extractDetail(page), now) : [];
+        job.checkError = null;
+        return diffs.length ? 'changed' : 'unchanged';
+    } catch (e) {
+        job.checkError = e.message.split('\n')[0];
+        console.error(`[Lifecycle] ${source.platform} ${job.detailUrl}: ${job.checkError}`);
+        return 'failed';
+    }
+}
+
+/**
+ * The open jobs due for a visit, at most `budget`: never checked first, then the
+ * longest unchecked; applied and shortlisted jobs ahead of the rest.
+ */
+function dueForRevalidation(jobs, revalidation = DEFAULT_REVALIDATION, now = new Date()) {
+    const rank = job => (['applied', 'interviewing', 'shortlisted'].includes(job.status) ? 0 : 1);
+    return jobs
+        .filter(job => !job.closedAt && !SETTLED_STATUSES.includes(job.status))
+        .filter(job => !job.checkedAt || now - new Date(job.checkedAt) >= revalidation.everyHours * HOUR)
+        .sort((a, b) => (rank(a) - rank(b)) || String(a.checkedAt || '').localeCompare(String(b.checkedAt || '')))
+        .slice(0, revalidation.budget);
+}
+
+/**
+ * The store's open `category` jobs found before run `runId`, however long ago a
+ * search last showed them: a tracked job that stopped turning up has most likely closed.
+ */
+function jobsToRevalidate(store, category, runId) {
+    return store.listJobs({ category }).filter(job => !job.closedAt && job.foundInRun !== runId);
+}
+
+/**
+ * Revisits the due jobs of `jobs` with `revalidation.concurrency` pages (in place).
+ * `getSource(job)` returns a job's adapter; `options.openPage`, `options.limiter`
+ * and `options.cooldowns` are the run's (lib/session, lib/scheduler). A source that
+ * shows a block page is left alone for the rest of the pass.
+ * Returns `{ checked, closed, changed, failed }`.
+ */
+async function revalidateJobs(jobs, getSource, revalidation, options = {}) {
+    const { concurrency, minDelayMs } = { ...DEFAULT_REVALIDATION, ...revalidation };
+    const now = options.now || new Date();
+    const { cooldowns } = options;
+    const queue = dueForRevalidation(jobs, { ...DEFAULT_REVALIDATION, ...revalidation }, now)
+        .filter(job => getSource(job) && !(cooldowns && cooldowns.until(getSource(job))));
+    const totals = { checked: 0, closed: 0, changed: 0, failed: 0 };
+    if (queue.length === 0) return totals;
+
+    console.log(`[Lifecycle] Revisiting ${queue.length} job pages (${concurrency} at a time)...`);
+    const limiter = options.limiter || createHostLimiter();
+    const blockedSources = new Set();
+    let next = 0;
+
+    const worker = async () => {
+        const page = await options.openPage();
+        try {
+            while (next < queue.length) {
+                const job = queue[next++];
+                const source = getSource(job);
+                if (blockedSources.has(source)) continue;
+                await limiter.throttle(job.detailUrl, { minDelayMs });
+                const outcome = await revalidateJob(page, source, job, now);
+                if (outcome === 'blocked') {
+                    blockedSources.add(source);
+                    if (cooldowns) cooldowns.start(source, job.checkError);
+                    continue;
+                }
+                totals.checked++;
+                if (outcome === 'closed') {
+                    totals.closed++;
+                    console.log(`[Lifecycle] Closed: "${job.title}" at ${job.company} (${job.closedReason}).`);
+                } else if (outcome === 'changed') {
+                    totals.changed++;
+                    console.log(`[Lifecycle] Changed: "${job.title}" at ${job.company}: ${job.changes.filter(c => c.at === now.toISOString()).map(c => c.field).join(', ')}.`);
+                } else if (outcome === 'failed') {
+                    totals.failed++;
+                }
+            }
+        } finally {
+            await page.close().catch(() => { });
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    console.log(`[Lifecycle] Done: ${totals.checked} checked, ${totals.closed} closed, ${totals.changed} changed, ${totals.failed} failed.`);
+    return totals;
+}
+
+module.exports = {
+    DEFAULT_REVALIDATION,
+    closedReason,
+    lifecycleOf,
+    markClosed,
+    noteChanges,
+    reopen,
+    applyRevalidation,
+    revalidateJob,
+    dueForRevalidation,
+    jobsToRevalidate,
+    revalidateJobs
+};
@@ -0,0 +1,77 @@
+// --- Run Lock ---
+// One scrape at a time: a run holds a lock file (LOCK_FILE, default scrape.lock)
+// naming its process, so an hourly cron tick or a second `cli.js scrape` that fires
+// while a run is still going skips instead of scraping and syncing the same jobs
+// twice. A lock whose process is gone (crash, kill) or that is older than
+// LOCK_STALE_HOURS (default 6) is taken over.
+const fs = require('fs');
+const os = require('os');
+
+const DEFAULT_LOCK_FILE = 'scrape.lock';
+const DEFAULT_STALE_HOURS = 6;
+
+function staleHours() {
+    const hours = Number(process.env.LOCK_STALE_HOURS);
+    return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_STALE_HOURS;
+}
+
+// Whether process `pid` of this machine is still running
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM'; // alive, but another user's
+    }
+}
+
+/** The lock's holder `{ pid, host, startedAt }`, or null when unlocked (or unreadable). */
+function readLock(file = process.env.LOCK_FILE || DEFAULT_LOCK_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// A holder whose process has ended, or that has held the lock for too long
+function isStale(holder, now, hours) {
+    if (!holder || !holder.startedAt) return true;
+    if (now - new Date(holder.startedAt) > hours * 60 * 60 * 1000) return true;
+    return holder.host === os.hostname() && !isRunning(holder.pid);
+}
+
+/**
+ * Takes the lock at `file`. Returns `{ release() }`, or null when another live run
+ * holds it (its holder is logged).
+ */
+function acquireLock(file = process.env.LOCK_FILE || DEFAULT_LOCK_FILE, { now = new Date(), hours = staleHours() } = {}) {
+    const holder = { pid: process.pid, host: os.hostname(), startedAt: now.toISOString() };
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(file, JSON.stringify(holder), { flag: 'wx' });
+            let released = false;
+            return {
+                release() {
+                    if (released) return;
+                    released = true;
+                    // Only our own lock: a stale one may have been taken over meanwhile
+                    const current = readLock(file);
+                    if (current && current.pid === holder.pid && current.startedAt === holder.startedAt) fs.rmSync(file, { force: true });
+                }
+            };
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+        const current = readLock(file);
+        if (!isStale(current, now, hours)) {
+            console.log(`[Lock] Another run (pid ${current.pid} on ${current.host}, since ${current.startedAt}) holds ${file}. Skipping this run.`);
+            return null;
+        }
+        console.log(`[Lock] Taking over the stale lock ${file}${current ? ` of pid ${current.pid} (since ${current.startedAt})` : ''}.`);
+        fs.rmSync(file, { force: true });
+    }
+    return null;
+}
+
+module.exports = { DEFAULT_LOCK_FILE, acquireLock, readLock };
@@ -0,0 +1,170 @@
+// --- Candidate Matching ---
+// Scores jobs 0-100 for each candidate (lib/candidates) without any outside service:
+// the skills a job asks for that the candidate has, how close the job's text is to
+// the resume (TF-IDF cosine over the run's jobs), experience and location fit.
+// Each match lists the matched and missing skills behind it.
+const { extractSkills, canonicalSkill } = require('./skills');
+const { containsKeyword } = require('./filters');
+
+const MATCH_WEIGHTS = { skills: 50, text: 30, experience: 10, location: 10 };
+const UNKNOWN = 0.5;
+const FULL_SIMILARITY = 0.35; // resume/job cosine at which the text component maxes out
+
+// Words that say nothing about the work
+const STOPWORDS = new Set((
+    'a an and are as at be by for from has have in is it its of on or our the to we will with you your '
+    + 'job role work team working candidate candidates looking apply years year experience required '
+    + 'requirements responsibilities skills strong good excellent ability knowledge etc including'
+).split(' '));
+
+/** Lowercase terms of `text`: words, plus "skill:<name>" for every dictionary skill. */
+function tokenize(text) {
+    const words = String(text || '').toLowerCase().match(/[a-z][a-z0-9+#]*(?:\.[a-z0-9]+)*/g) || [];
+    const terms = words.filter(word => word.length > 1 && !STOPWORDS.has(word));
+    return [...terms, ...extractSkills(text).map(skill => `skill:${skill.toLowerCase()}`)];
+}
+
+// The words the matcher reads of a job: its title twice (it says most), skills, description
+const jobText = job => [job.title, job.title, (job.skills || []).join(', '), job.description].filter(Boolean).join('\n');
+
+const termCounts = terms => terms.reduce((counts, term) => counts.set(term, (counts.get(term) || 0) + 1), new Map());
+
+/**
+ * A TF-IDF model over `documents` (texts): `vector(text)` gives a unit-length
+ * Map of term -> weight, `similarity(a, b)` the cosine of two vectors.
+ */
+function createTfIdf(documents) {
+    const docFrequency = new Map();
+    for (const text of documents) {
+        for (const term of new Set(tokenize(text))) docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+    }
+    const idf = term => Math.log((documents.length + 1) / ((docFrequency.get(term) || 0) + 1)) + 1;
+
+    function vector(text) {
+        const weights = new Map();
+        for (const [term, count] of termCounts(tokenize(text))) weights.set(term, (1 + Math.log(count)) * idf(term));
+        const norm = Math.sqrt([...weights.values()].reduce((sum, w) => sum + w * w, 0)) || 1;
+        for (const [term, weight] of weights) weights.set(term, weight / norm);
+        return weights;
+    }
+
+    function similarity(a, b) {
+        const [small, large] = a.size < b.size ? [a, b] : [b, a];
+        let dot = 0;
+        for (const [term, weight] of small) dot += weight * (large.get(term) || 0);
+        return dot;
+    }
+
+    return { vector, similarity };
+}
+
+// Skills the job asks for: its chips and the dictionary skills in its title and
+// description, plus any of the candidate's own (non-dictionary) skills it names
+function jobSkills(job, candidate) {
+    const text = `${job.title || ''}\n${job.description || ''}`;
+    const skills = new Set([...(job.skills || []).map(canonicalSkill), ...extractSkills(text)]);
+    for (const skill of candidate.skills) {
+        if (!skills.has(skill) && containsKeyword(text, skill)) skills.add(skill);
+    }
+    return [...skills];
+}
+
+function matchSkills(job, candidate) {
+    const asked = jobSkills(job, candidate);
+    const has = new Set(candidate.skills.map(skill => skill.toLowerCase()));
+    const matched = asked.filter(skill => has.has(skill.toLowerCase()));
+    const missing = asked.filter(skill => !has.has(skill.toLowerCase()));
+    if (!asked.length) return { matched, missing, value: UNKNOWN, reason: 'skills: unknown' };
+    return { matched, missing, value: matched.length / asked.length, reason: `skills: ${matched.length}/${asked.length}` };
+}
+
+function matchExperience(job, years) {
+    if (years === null || job.expMin == null) return { value: UNKNOWN, reason: 'experience: unknown' };
+    const text = job.expMax == null ? `${job.expMin}+` : `${job.expMin}-${job.expMax}`;
+    if (years >= job.expMin && (job.expMax == null || years <= job.expMax)) return { value: 1, reason: `experience: ${years} yrs fits ${text}` };
+    if (years >= job.expMin - 1 && (job.expMax == null || years <= job.expMax + 2)) return { value: 0.5, reason: `experience: ${years} yrs near ${text}` };
+    return { value: 0, reason: `experience: ${years} yrs outside ${text}` };
+}
+
+function matchLocation(job, locations) {
+    const remote = job.workMode === 'Remote' && locations.some(l => /^remote$/i.test(l.trim()));
+    const hit = remote ? 'Remote' : locations.find(l => containsKeyword(job.location, l));
+    return hit ? { value: 1, reason: `location: ${hit}` } : { value: 0, reason: 'location: not preferred' };
+}
+
+/**
+ * Matches `jobs` against `candidates`. Returns a function (job, candidate) ->
+ * `{ score, matched, missing, similarity, reasons }`; the TF-IDF weights come from
+ * the jobs and resumes given here.
+ */
+function createMatcher(jobs, candidates) {
+    const model = createTfIdf([...jobs.map(jobText), ...candidates.map(c => c.text)]);
+    const profiles = new Map(candidates.map(c => [c.name, model.vector(c.text)]));
+
+    return function match(job, candidate) {
+        const skills = matchSkills(job, candidate);
+        const similarity = model.similarity(model.vector(jobText(job)), profiles.get(candidate.name) || model.vector(candidate.text));
+        const components = [
+            ['skills', skills],
+            ['text', { value: Math.min(1, similarity / FULL_SIMILARITY), reason: `text: ${similarity.toFixed(2)} similar` }],
+            ['experience', matchExperience(job, candidate.experience)],
+            ['location', candidate.locations.length ? matchLocation(job, candidate.locations) : null]
+        ].filter(([, result]) => result);
+
+        const total = components.reduce((sum, [name]) => sum + MATCH_WEIGHTS[name], 0);
+        const points = components.reduce((sum, [name, result]) => sum + MATCH_WEIGHTS[name] * result.value, 0);
+        return {
+            score: Math.round((points / total) * 100),
+            matched: skills.matched,
+            missing: skills.missing,
+            similarity: Math.round(similarity * 100) / 100,
+            reasons: [
+                ...components.map(([, result]) => result.reason),
+                ...(skills.matched.length ? [`matched skills: ${skills.matched.join(', ')}`] : []),
+                ...(skills.missing.length ? [`missing skills: ${skills.missing.join(', ')}`] : [])
+            ]
+        };
+    };
+}
+
+// Whether the candidate wants jobs of `category` (no categories: every one)
+const forCategory = (candidate, category) => !candidate.categories.length
+    || candidate.categories.some(c => c.toLowerCase() === String(category || '').toLowerCase());
+
+/**
+ * Sets `job.matches[candidate.name]` for every job and candidate of its category
+ * (in place). Returns the number of matches made.
+ */
+function matchJobs(jobs, candidates) {
+    if (!jobs.length || !candidates.length) return 0;
+    const match = createMatcher(jobs, candidates);
+    let count = 0;
+    for (const job of jobs) {
+        for (const candidate of candidates) {
+            if (forCategory(candidate, job.category)) {
+                job.matches = { ...job.matches, [candidate.name]: match(job, candidate) };
+                count++;
+            }
+        }
+    }
+    return count;
+}
+
+// A job as a candidate's shortlist shows it: their match as its score and reasons.
+// `sheetSynced` is the job's candidate-tab sync state (shared, so syncs update it).
+function candidateRow(job, candidate) {
+    const match = job.matches?.[candidate.name];
+    return { ...job, score: match ? match.score : null, scoreReasons: match ? match.reasons : [], sheetSynced: job.candidateSynced };
+}
+
+/** The candidate's shortlist of `jobs`: matched at or above minScore, not hidden, best first. */
+function shortlist(jobs, candidate) {
+    return jobs
+        .filter(job => job.status !== 'hidden' && forCategory(candidate, job.category))
+        .filter(job => (job.matches?.[candidate.name]?.score ?? -1) >= candidate.minScore)
+        .map(job => candidateRow(job, candidate))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, candidate.limit);
+}
+
+module.exports = { MATCH_WEIGHTS, tokenize, createTfIdf, createMatcher, forCategory, matchJobs, shortlist };
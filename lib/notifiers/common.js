@@ -0,0 +1,43 @@
+// --- Shared Notifier Helpers ---
+// Message pieces and the HTTP call used by the webhook/bot sinks.
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+    return response;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// "Acme · Chennai · 2-5 Yrs · 6-12 Lacs PA · score 86" (unknown parts left out)
+function jobSummary(job) {
+    return [
+        job.company,
+        job.location,
+        job.experience !== 'N/A' ? job.experience : null,
+        job.salary,
+        job.score != null ? `score ${job.score}` : null
+    ].filter(Boolean).join(' · ');
+}
+
+function heading(jobs, category) {
+    return `${jobs.length} new ${category} job${jobs.length === 1 ? '' : 's'}`;
+}
+
+module.exports = { postJson, escapeHtml, jobSummary, heading };
@@ -0,0 +1,25 @@
+// --- Discord Webhook Sink ---
+//   { type: discord, webhookUrl: https://discord.com/api/webhooks/... }
+const { postJson, jobSummary, heading } = require('./common');
+
+const MESSAGE_LIMIT = 2000; // Discord rejects longer `content`
+
+const escapeMarkdown = text => String(text ?? '').replace(/([\\*_~`|[\]])/g, '\\$1');
+
+function formatMessage(jobs, category) {
+    const lines = jobs.map(job => `• **[${escapeMarkdown(job.title)}](<${job.detailUrl}>)**\n  ${escapeMarkdown(jobSummary(job))}`);
+    const content = `**${heading(jobs, category)}**\n${lines.join('\n')}`;
+    return { content: content.length > MESSAGE_LIMIT ? `${content.slice(0, MESSAGE_LIMIT - 1)}…` : content };
+}
+
+async function send(jobs, sink, { category }) {
+    await postJson(sink.webhookUrl, formatMessage(jobs, category));
+}
+
+module.exports = {
+    type: 'discord',
+    required: ['webhookUrl'],
+    batchSize: 10,
+    formatMessage,
+    send
+};
@@ -0,0 +1,65 @@
+// --- SMTP Email Digest Sink ---
+//   { type: email, host: smtp.gmail.com, port: 587, secure: false,
+//     user: ${SMTP_USER}, pass: ${SMTP_PASS}, from: jobs@example.com, to: [me@example.com] }
+// One message per run with every job in an HTML table (plain text alongside).
+const nodemailer = require('nodemailer');
+const { escapeHtml, jobSummary, heading } = require('./common');
+
+const COLUMNS = [
+    ['Score', job => job.score ?? ''],
+    ['Title', job => job.title],
+    ['Company', job => job.company],
+    ['Location', job => job.location],
+    ['Experience', job => job.experience],
+    ['Salary', job => job.salary || ''],
+    ['Skills', job => (job.skills || []).join(', ')],
+    ['Source', job => (job.platforms || [job.platform]).filter(Boolean).join(', ')]
+];
+
+function formatHtml(jobs, category) {
+    const cell = 'style="border:1px solid #ddd;padding:6px;text-align:left;vertical-align:top"';
+    const header = COLUMNS.map(([name]) => `<th ${cell}>${name}</th>`).join('');
+    const rows = jobs.map(job => '<tr>' + COLUMNS.map(([name, value]) => {
+        const text = escapeHtml(value(job));
+        return `<td ${cell}>${name === 'Title' ? `<a href="${escapeHtml(job.detailUrl)}">${text}</a>` : text}</td>`;
+    }).join('') + '</tr>');
+
+    return `<h2>${escapeHtml(heading(jobs, category))}</h2>\n`
+        + `<table style="border-collapse:collapse;font-family:sans-serif;font-size:14px">\n`
+        + `<tr>${header}</tr>\n${rows.join('\n')}\n</table>`;
+}
+
+function formatText(jobs, category) {
+    const lines = jobs.map(job => `- ${job.title}\n  ${jobSummary(job)}\n  ${job.detailUrl}`);
+    return `${heading(jobs, category)}\n\n${lines.join('\n\n')}`;
+}
+
+async function send(jobs, sink, { category }) {
+    const transport = nodemailer.createTransport({
+        host: sink.host,
+        port: sink.port || 587,
+        secure: sink.secure === true,
+        auth: sink.user ? { user: sink.user, pass: sink.pass } : undefined
+    });
+
+    try {
+        await transport.sendMail({
+            from: sink.from,
+            to: [].concat(sink.to).join(', '),
+            subject: `[Job Alert] ${heading(jobs, category)}`,
+            text: formatText(jobs, category),
+            html: formatHtml(jobs, category)
+        });
+    } finally {
+        transport.close();
+    }
+}
+
+module.exports = {
+    type: 'email',
+    required: ['host', 'from', 'to'],
+    batchSize: Infinity, // a digest
+    formatHtml,
+    formatText,
+    send
+};
@@ -0,0 +1,141 @@
+/**
+ * Notification sink registry and delivery.
+ *
+ * Every sink module exports:
+ * - type                      Registry key, used as `type:` in a profile's `notifications.sinks`.
+ * - required                  Sink fields that must be set (`webhookUrl`, `botToken`, ...).
+ * - batchSize                 Default jobs per message (Infinity for a single digest).
+ * - send(jobs, sink, context) Delivers one batch, rejects on failure. context: { category }.
+ *
+ * New jobs that pass a profile's `notifications` rules get `job.notified = {}`; each
+ * sink that delivers them records its send time there (`{ slack: '2026-...' }`).
+ * Jobs held back by quiet hours or a failed send stay pending in the job store and go
+ * out with a later run, for up to `retryDays`.
+ */
+const { DAY } = require('../dates');
+const { containsKeyword } = require('../filters');
+
+const NOTIFIERS = {
+    slack: require('./slack'),
+    discord: require('./discord'),
+    email: require('./email'),
+    telegram: require('./telegram')
+};
+
+const DEFAULT_NOTIFICATIONS = {
+    minScore: 0,
+    keywords: [],
+    quietHours: null,
+    retryDays: 3,
+    sinks: []
+};
+
+// Two sinks of one type in a profile need distinct `name`s
+function sinkKey(sink) {
+    return sink.name || sink.type;
+}
+
+const hasValue = v => (typeof v === 'string' ? v.trim() !== '' : Array.isArray(v) ? v.some(hasValue) : v != null);
+
+// A sink whose env vars are unset (empty after ${VAR} expansion) is skipped, not an error
+function isConfigured(sink) {
+    return NOTIFIERS[sink.type].required.every(field => hasValue(sink[field]));
+}
+
+const toMinutes = hhmm => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+};
+
+// Whether `now` falls in `{ start: '22:00', end: '07:00', timezone }` (may wrap midnight)
+function isQuietTime(quietHours, now = new Date()) {
+    if (!quietHours) return false;
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: quietHours.timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+    const part = type => Number(parts.find(p => p.type === type).value);
+    const minutes = part('hour') * 60 + part('minute');
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function passesRules(job, rules) {
+    if ((job.score ?? 0) < (rules.minScore || 0)) return false;
+    if (rules.keywords?.length && !rules.keywords.some(k => containsKeyword(job.title, k))) return false;
+    return true;
+}
+
+// Marks the new jobs that should be announced (in place); returns how many
+function queueNotifications(jobs, notifications) {
+    if (!notifications.sinks.length) return 0;
+    const queued = jobs.filter(job => !job.notified && passesRules(job, notifications));
+    queued.forEach(job => { job.notified = {}; });
+    return queued.length;
+}
+
+function chunk(items, size) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) batches.push(items.slice(i, i + size));
+    return batches;
+}
+
+/**
+ * Sends every pending job in `jobs` (queued by queueNotifications, this run or an
+ * earlier one) to the profile's sinks, `batchSize` jobs per message. A sink stops
+ * at its first failed batch; the rest is retried next run.
+ * Returns `{ sent, failed, held }` counts of job deliveries.
+ */
+async function sendNotifications(jobs, notifications, category, now = new Date()) {
+    const result = { sent: 0, failed: 0, held: 0 };
+    const oldest = now - notifications.retryDays * DAY;
+    const pending = jobs.filter(job => job.notified && new Date(job.scrapedAt || now) >= oldest);
+
+    for (const sink of notifications.sinks) {
+        const key = sinkKey(sink);
+        const notifier = NOTIFIERS[sink.type];
+        const due = pending
+            .filter(job => !job.notified[key] && passesRules(job, sink))
+            .sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+        if (due.length === 0) continue;
+
+        if (!isConfigured(sink)) {
+            console.log(`[Notify] ${key} is missing ${notifier.required.join('/')}. Skipping.`);
+            continue;
+        }
+        if (isQuietTime(notifications.quietHours, now)) {
+            console.log(`[Notify] Quiet hours: holding ${due.length} ${category} jobs for ${key}.`);
+            result.held += due.length;
+            continue;
+        }
+
+        let sent = 0;
+        for (const batch of chunk(due, sink.batchSize || notifier.batchSize)) {
+            try {
+                await notifier.send(batch, sink, { category });
+                batch.forEach(job => { job.notified[key] = now.toISOString(); });
+                sent += batch.length;
+            } catch (err) {
+                console.error(`[Notify] ${key} failed, ${due.length - sent} ${category} jobs will be retried:`, err.message);
+                break;
+            }
+        }
+        if (sent) console.log(`[Notify] Sent ${sent} ${category} jobs to ${key}.`);
+        result.sent += sent;
+        result.failed += due.length - sent;
+    }
+    return result;
+}
+
+module.exports = {
+    NOTIFIERS,
+    DEFAULT_NOTIFICATIONS,
+    sinkKey,
+    isQuietTime,
+    queueNotifications,
+    sendNotifications
+};
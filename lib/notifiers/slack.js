@@ -0,0 +1,23 @@
+// --- Slack Incoming Webhook Sink ---
+//   { type: slack, webhookUrl: https://hooks.slack.com/services/... }
+const { postJson, jobSummary, heading } = require('./common');
+
+// Slack mrkdwn only needs these three escaped
+const escapeMrkdwn = text => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function formatMessage(jobs, category) {
+    const lines = jobs.map(job => `• *<${job.detailUrl}|${escapeMrkdwn(job.title)}>*\n   ${escapeMrkdwn(jobSummary(job))}`);
+    return { text: `*${heading(jobs, category)}*\n${lines.join('\n')}` };
+}
+
+async function send(jobs, sink, { category }) {
+    await postJson(sink.webhookUrl, formatMessage(jobs, category));
+}
+
+module.exports = {
+    type: 'slack',
+    required: ['webhookUrl'],
+    batchSize: 20,
+    formatMessage,
+    send
+};
@@ -0,0 +1,29 @@
+// --- Telegram Bot Sink ---
+//   { type: telegram, botToken: ${TELEGRAM_BOT_TOKEN}, chatId: ${TELEGRAM_CHAT_ID} }
+// `apiBase` overrides https://api.telegram.org (e.g. a local Bot API server).
+const { postJson, escapeHtml, jobSummary, heading } = require('./common');
+
+const DEFAULT_API_BASE = 'https://api.telegram.org';
+
+function formatMessage(jobs, category) {
+    const lines = jobs.map(job => `• <b><a href="${escapeHtml(job.detailUrl)}">${escapeHtml(job.title)}</a></b>\n${escapeHtml(jobSummary(job))}`);
+    return `<b>${escapeHtml(heading(jobs, category))}</b>\n\n${lines.join('\n\n')}`;
+}
+
+async function send(jobs, sink, { category }) {
+    const apiBase = (sink.apiBase || DEFAULT_API_BASE).replace(/\/$/, '');
+    await postJson(`${apiBase}/bot${sink.botToken}/sendMessage`, {
+        chat_id: sink.chatId,
+        text: formatMessage(jobs, category),
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+    });
+}
+
+module.exports = {
+    type: 'telegram',
+    required: ['botToken', 'chatId'],
+    batchSize: 10,
+    formatMessage,
+    send
+};
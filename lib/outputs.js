@@ -0,0 +1,115 @@
+// --- File Outputs ---
+// Profile and candidate outputs that need no Google account: files rewritten from
+// the job store after every run. Outputs may share a file: a shared workbook gets
+// a tab per profile or candidate, a shared CSV, feed or calendar holds all their jobs.
+//
+//   csv    the sheet's columns plus id/status/category, best scores first
+//   xlsx   the same as an Excel workbook, a tab each (`tab` renames it)
+//   feed   the newest jobs as RSS or Atom (`format`, `title`, `link`, `limit`)
+//   ical   follow-up reminders for applied jobs (`followUpDays`, default 7)
+//
+// A profile's files list the jobs its sheet would show (not hidden, at or above
+// minScore), a candidate's their shortlist with their match scores.
+const fs = require('fs');
+const path = require('path');
+const { queryJobs } = require('./query');
+const { toCsv, jobRows } = require('./export');
+const { toWorkbook } = require('./xlsx');
+const { shortlist } = require('./matching');
+const { toRss, toAtom, DEFAULT_FEED } = require('./feed');
+const { toIcal, DEFAULT_FOLLOW_UP_DAYS } = require('./calendar');
+
+const FEED_FORMATS = { rss: toRss, atom: toAtom };
+
+// Which of a profile's jobs a file shows
+const listedJobs = (store, profile) => queryJobs(store, { category: profile.category, minScore: profile.scoring.minScore || undefined, sort: 'score' });
+const appliedJobs = (store, profile) => queryJobs(store, { category: profile.category, status: 'applied' });
+
+// type -> { jobs(store, profile), render(parts, now) }; `parts` are the `{ name, output, jobs }`
+// of each profile or candidate writing to the file
+const FILE_OUTPUTS = {
+    csv: {
+        jobs: listedJobs,
+        render: parts => toCsv(parts.flatMap(part => part.jobs))
+    },
+    xlsx: {
+        jobs: listedJobs,
+        render: (parts, now) => toWorkbook(parts.map(part => ({ name: part.output.tab || part.name, rows: jobRows(part.jobs) })), now)
+    },
+    feed: {
+        jobs: listedJobs,
+        render: (parts, now) => FEED_FORMATS[parts[0].output.format || 'rss'](parts.flatMap(part => part.jobs), {
+            title: parts[0].output.title || DEFAULT_FEED.title,
+            link: parts[0].output.link || DEFAULT_FEED.link,
+            limit: parts[0].output.limit || DEFAULT_FEED.limit,
+            now
+        })
+    },
+    ical: {
+        jobs: appliedJobs,
+        render: (parts, now) => toIcal(parts.flatMap(part => part.jobs), { followUpDays: parts[0].output.followUpDays || DEFAULT_FOLLOW_UP_DAYS, now })
+    }
+};
+
+const FILE_OUTPUT_TYPES = Object.keys(FILE_OUTPUTS);
+
+// A profile's or candidate's file outputs (empty paths, e.g. an unset ${EXPORT_DIR}, are kept out)
+function getFileOutputs(profile) {
+    return profile.outputs.filter(output => FILE_OUTPUT_TYPES.includes(output.type) && output.path);
+}
+
+// Written next to the file, then renamed over it: readers never see half a file
+function writeAtomically(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, content);
+    fs.renameSync(temp, file);
+}
+
+// Every file output as `{ file, name, output, jobs() }`
+function fileParts(profiles, candidates, store) {
+    const parts = [];
+    const add = (name, output, jobs) => parts.push({ file: path.resolve(output.path), name, output, jobs });
+    for (const profile of profiles) {
+        for (const output of getFileOutputs(profile)) add(profile.category, output, () => FILE_OUTPUTS[output.type].jobs(store, profile));
+    }
+    for (const candidate of candidates) {
+        for (const output of getFileOutputs(candidate)) {
+            add(candidate.name, output, () => shortlist(store.listJobs(output.type === 'ical' ? { status: 'applied' } : {}), candidate));
+        }
+    }
+    return parts;
+}
+
+/**
+ * Rewrites every file output of `profiles` and `candidates` from the store. A failing
+ * file is logged and skipped. Returns `[{ file, type, jobs }]` for the files written.
+ */
+function writeFileOutputs(profiles, store, now = new Date(), candidates = []) {
+    const files = new Map();
+    for (const part of fileParts(profiles, candidates, store)) {
+        if (!files.has(part.file)) files.set(part.file, []);
+        files.get(part.file).push(part);
+    }
+
+    const written = [];
+    for (const [file, parts] of files) {
+        const { type } = parts[0].output;
+        if (parts.some(part => part.output.type !== type)) {
+            console.error(`[Outputs] ${file} is used by outputs of different types (${parts.map(p => p.output.type).join(', ')}). Skipped.`);
+            continue;
+        }
+        try {
+            const filled = parts.map(part => ({ ...part, jobs: part.jobs() }));
+            const jobs = filled.reduce((sum, part) => sum + part.jobs.length, 0);
+            writeAtomically(file, FILE_OUTPUTS[type].render(filled, now));
+            console.log(`[Outputs] Wrote ${jobs} jobs to ${path.relative(process.cwd(), file) || file} (${type}).`);
+            written.push({ file, type, jobs });
+        } catch (e) {
+            console.error(`[Outputs] Could not write ${file}:`, e.message);
+        }
+    }
+    return written;
+}
+
+module.exports = { FILE_OUTPUT_TYPES, FEED_FORMATS, getFileOutputs, writeFileOutputs };
@@ -0,0 +1,224 @@
+// --- Shared Scrape Pipeline ---
+// Drives a source adapter over its searches and applies filtering + dedup,
+// so adapters only deal with URLs and DOM extraction.
+const { randomDelay, rangesOverlap } = require('./utils');
+const { matchesTitleKeywords, isValidLocation } = require('./filters');
+const { parsePostedDate, isWithinDays } = require('./dates');
+const { addStructuredFields } = require('./fields');
+const { enrichJob } = require('./enrich');
+const { sourceList, mergeInto } = require('./dedupe');
+const { noteChanges, reopen } = require('./lifecycle');
+const { hostLimits } = require('./scheduler');
+const { createSearchMetrics, countDrop, detectBlock } = require('./health');
+const { tagCompany, companyRejectReason } = require('./companies');
+
+// Experience/salary are only judged when known; unknown values are looked up on
+// the detail page (see runSearch) and kept if still unknown.
+function rejectReason(job, source, config, context) {
+    if (!job.detailUrl) return 'missing-url';
+    if (context.store.hasUrl(job.detailUrl)) return 'duplicate';
+    if (!matchesTitleKeywords(job.title, config.titleKeywords)) return 'title';
+    const companyReason = companyRejectReason(job, config.companies);
+    if (companyReason) return companyReason;
+    // A remote/hybrid job counts as in "Remote"/"Hybrid" wherever its office is
+    const place = [job.location, job.workMode].filter(Boolean).join(' ');
+    if (!isValidLocation(place, config.locations.include, config.locations.exclude)) return 'location';
+    if (!isWithinDays(job.postedAt, job.scrapedAt, config.freshnessDays)) return 'stale';
+    if (job.expMin !== null && !rangesOverlap(job.expMin, job.expMax, config.experience.min, config.experience.max)) return 'experience';
+    if (config.salary && !matchesSalaryBand(job, config.salary)) return 'salary';
+    return null;
+}
+
+function matchesSalaryBand(job, band) {
+    if (job.salaryMin === null) return band.includeUndisclosed;
+    // Amounts in another currency can't be compared, so they are kept
+    if (job.salaryCurrency !== band.currency) return true;
+    return rangesOverlap(job.salaryMin, job.salaryMax, band.min, band.max);
+}
+
+// Stamps scrapedAt and the absolute postedAt derived from the card's date text
+function stampDates(job, scrapedAt = new Date()) {
+    const { postedDatetime, ...rest } = job;
+    return {
+        ...rest,
+        scrapedAt: scrapedAt.toISOString(),
+        postedAt: parsePostedDate(job.postedDate, postedDatetime, scrapedAt)
+    };
+}
+
+function acceptJob(job, config, context) {
+    job.category = config.category;
+    job.sources = sourceList(job);
+    job.platforms = [job.platform];
+    job.foundInRun = context.runId; // a resumed run picks up the jobs found before a crash
+    // A new listing of an opening seen before (closed, or posted before the dedup window)
+    const earlier = context.dedupIndex ? context.dedupIndex.findEarlier(job, config.dedupe) : null;
+    if (earlier) {
+        job.repostOf = { id: earlier.id ?? null, detailUrl: earlier.detailUrl, postedAt: earlier.postedAt || null, closedAt: earlier.closedAt || null };
+        console.log(`[Lifecycle] "${job.title}" at ${job.company} (${job.platform}) is a repost of ${earlier.detailUrl}.`);
+    }
+    context.store.saveJob(job, context.runId);
+    context.categoryJobs.push(job);
+    context.existingJobs.push(job);
+    if (context.dedupIndex) context.dedupIndex.add(job);
+}
+
+// Card fields a board may edit on a live posting
+const CARD_FIELDS = ['title', 'company', 'location', 'experience', 'salary'];
+
+// A stored job turned up again under one of its URLs: log the sighting and take
+// the card's current values (the store records what changed). A closed one is live again.
+function recordSeenAgain(job, context) {
+    const known = context.store.findByUrl(job.detailUrl);
+    if (!known) return; // known only from a sheet
+
+    context.store.recordSighting(known, job.detailUrl, context.runId, new Date(job.scrapedAt));
+    const reopened = Boolean(known.closedAt);
+    if (reopened) {
+        reopen(known, new Date(job.scrapedAt));
+        console.log(`[Lifecycle] "${known.title}" at ${known.company} is listed again; reopened.`);
+    }
+    const changed = CARD_FIELDS.filter(field => job[field] && job[field] !== 'N/A' && job[field] !== known[field]);
+    if (changed.length > 0) {
+        noteChanges(known, changed.filter(field => known[field] && known[field] !== 'N/A')
+            .map(field => ({ field, from: String(known[field]), to: String(job[field]), at: job.scrapedAt })));
+        changed.forEach(field => { known[field] = job[field]; });
+        Object.assign(known, addStructuredFields(known), { updatedAt: job.scrapedAt });
+    }
+    if (reopened || changed.length > 0) context.store.saveJob(known, context.runId);
+}
+
+// Same opening under another URL (other board, or a repost): merge instead of adding a row
+function mergeDuplicate(job, config, context) {
+    const canonical = context.dedupIndex ? context.dedupIndex.find(job, config.dedupe) : null;
+    if (!canonical) return false;
+
+    mergeInto(canonical, job);
+    canonical.updatedAt = job.scrapedAt; // its sheet row needs the new source
+    context.store.saveJob(canonical, context.runId);
+    context.store.recordSighting(canonical, job.detailUrl, context.runId, new Date(job.scrapedAt));
+    console.log(`[Dedupe] "${job.title}" at ${job.company} (${job.platform}) is already tracked from ${canonical.platform}. Merged.`);
+    return true;
+}
+
+const searchLabel = search => (search.role ? `"${search.role}" in "${search.location}"` : search.url);
+
+// Waits for the source host's next request slot when the run has a limiter
+function pace(url, source, config, context) {
+    return context.limiter ? context.limiter.throttle(url, hostLimits(source, config.scheduling)) : null;
+}
+
+/**
+ * Runs one search (`{ url, role, location, workMode }`) of a source on `page`: its results
+ * pages (until one brings no new jobs or only jobs past the freshness window),
+ * then the detail pages of cards without experience. Throws when the search
+ * page can't be loaded or read, or shows a CAPTCHA/login wall, so the scheduler can retry it.
+ * `context` carries the run state shared across searches:
+ * { store, runId, existingJobs, categoryJobs, dedupIndex, limiter }
+ * `store` (lib/store) decides what is already known and keeps every sighting;
+ * `limiter` (optional, lib/scheduler) spaces out requests per host.
+ * `metrics` (lib/health) collects pages, cards and drops, summed over attempts.
+ * Returns how many jobs were accepted.
+ */
+async function runSearch(page, source, search, config, context, metrics = createSearchMetrics(source, search, config.category)) {
+    console.log(`[${source.platform}] Searching for ${searchLabel(search)}...`);
+    const needsDetail = [];
+    let accepted = 0;
+
+    await pace(search.url, source, config, context);
+    await page.goto(search.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await randomDelay(2000, 4000);
+    if (source.prepare) await source.prepare(page, config, search);
+
+    const maxPages = source.maxPages || 1;
+    const seenUrls = new Set(); // lists that grow in place hand back earlier pages' cards
+    for (let pageCount = 1; pageCount <= maxPages; pageCount++) {
+        metrics.pagesLoaded++;
+        const rawCards = await source.extractCards(page, search);
+
+        // No cards on the first page: a block page, or markup the selectors no longer match
+        if (pageCount === 1 && rawCards.length === 0) {
+            metrics.blocked = await detectBlock(page);
+            if (metrics.blocked) {
+                const error = new Error(`${source.platform} showed a ${metrics.blocked} instead of results`);
+                error.retryable = false; // retrying a block page only deepens it; the source gets a cooldown
+                error.blocked = metrics.blocked;
+                throw error;
+            }
+        }
+
+        let newCards = 0;
+        let dated = 0;
+        let tooOld = 0;
+        for (const raw of rawCards) {
+            if (raw.extractionError) {
+                metrics.rawCards++;
+                countDrop(metrics, 'extraction-error');
+                continue;
+            }
+            const job = tagCompany(addStructuredFields(stampDates(source.normalize(raw, search))), config.companies);
+            if (search.workMode && !job.workMode) job.workMode = search.workMode; // the board filtered on it
+            if (job.detailUrl) {
+                if (seenUrls.has(job.detailUrl)) continue;
+                seenUrls.add(job.detailUrl);
+            }
+            metrics.rawCards++;
+            newCards++;
+            if (job.postedAt) {
+                dated++;
+                if (!isWithinDays(job.postedAt, job.scrapedAt, config.freshnessDays)) tooOld++;
+            }
+
+            const reason = rejectReason(job, source, config, context);
+            if (reason === 'duplicate') recordSeenAgain(job, context);
+            if (reason) {
+                countDrop(metrics, reason);
+                continue;
+            }
+            if (mergeDuplicate(job, config, context)) {
+                countDrop(metrics, 'merged');
+                continue;
+            }
+
+            // Cards without experience (LinkedIn, Indeed) get it from the job's own page,
+            // once this search's result pages are done
+            if (job.expMin === null && source.extractDetail) {
+                needsDetail.push(job);
+                continue;
+            }
+            acceptJob(job, config, context);
+            accepted++;
+        }
+        if (maxPages > 1) console.log(`[${source.platform}] Found ${newCards} new raw jobs on page ${pageCount}.`);
+
+        if (pageCount === maxPages || !source.nextPage) break;
+        if (newCards === 0) {
+            console.log(`[${source.platform}] Page ${pageCount} had no new jobs. Stopping pagination.`);
+            break;
+        }
+        if (dated > 0 && tooOld === dated) {
+            console.log(`[${source.platform}] Page ${pageCount} is past the ${config.freshnessDays}-day window. Stopping pagination.`);
+            break;
+        }
+        await pace(search.url, source, config, context);
+        if (!(await source.nextPage(page, search, pageCount + 1))) break;
+    }
+
+    for (const job of needsDetail) {
+        await pace(job.detailUrl, source, config, context);
+        await enrichJob(page, source, job);
+        tagCompany(job, config.companies); // the description may show an agency
+        // Other searches run meanwhile and may have taken the same opening
+        const reason = rejectReason(job, source, config, context) || (mergeDuplicate(job, config, context) ? 'merged' : null);
+        if (reason) {
+            countDrop(metrics, reason);
+            continue;
+        }
+        acceptJob(job, config, context);
+        accepted++;
+    }
+    metrics.accepted += accepted;
+    return accepted;
+}
+
+module.exports = { runSearch, searchLabel, rejectReason, stampDates };
@@ -0,0 +1,72 @@
+// --- Search Planner ---
+// Decides which of a profile's searches run this time. Every finished search records
+// how many new (non-duplicate) jobs it brought (lib/checkpoint), and the planner reads
+// that history back:
+// - searches with little history, or that found something lately, run every time;
+// - a search that keeps finding nothing waits longer between runs (doubling from an
+//   hour after two empty runs, up to `maxIntervalHours`);
+// - what is due runs best yield first, up to the profile's `budget` of searches per
+//   run; the rest wait for the next run.
+const DEFAULT_PLANNER = {
+    enabled: true,          // false: every search, every run
+    mergeRoles: true,       // one search for spelling variants of a role; OR queries on boards that take them
+    budget: 100,            // searches per run for the profile
+    historyRuns: 8,         // past runs a search's yield is judged on
+    maxIntervalHours: 24    // the longest a search that keeps finding nothing waits
+};
+
+const EXPLORE_RUNS = 3;     // runs before a search's yield counts
+const EMPTY_RUNS = 2;       // empty runs in a row before a search is spaced out
+const HISTORY_DAYS = 30;
+const HOUR = 60 * 60 * 1000;
+const SLACK = 0.9;          // an hourly run that starts a little early still counts
+
+// How a search has done: runs, new jobs per run, empty runs in a row, last run
+function searchStats(history, historyRuns) {
+    const runs = (history || []).slice(0, historyRuns);
+    const accepted = runs.map(run => run.result?.accepted || 0);
+    const emptyStreak = accepted.findIndex(count => count > 0);
+    return {
+        runs: runs.length,
+        yield: runs.length ? accepted.reduce((sum, count) => sum + count, 0) / runs.length : null,
+        emptyStreak: emptyStreak === -1 ? accepted.length : emptyStreak,
+        lastRunAt: runs.length ? new Date(runs[0].finishedAt) : null
+    };
+}
+
+// Hours a search waits after its last run (0: it runs every time)
+function intervalHours(stats, planner) {
+    if (stats.runs < EXPLORE_RUNS || stats.emptyStreak < EMPTY_RUNS) return 0;
+    return Math.min(planner.maxIntervalHours, 2 ** (stats.emptyStreak - EMPTY_RUNS));
+}
+
+/**
+ * Splits `searches` (items with a `task` key into `history`, the store's taskHistory)
+ * into `{ run, waiting, overBudget }`; each item gets its `stats` and `intervalHours`.
+ * `run` is best first: searches still being explored, then by yield, then the longest
+ * since their last run.
+ */
+function planSearches(searches, history, planner = DEFAULT_PLANNER, now = new Date()) {
+    const planned = searches.map(item => {
+        const stats = searchStats(history.get(item.task), planner.historyRuns);
+        return { ...item, stats, intervalHours: intervalHours(stats, planner) };
+    });
+    if (!planner.enabled) return { run: planned, waiting: [], overBudget: [] };
+
+    const isDue = item => !item.intervalHours || now - item.stats.lastRunAt >= item.intervalHours * HOUR * SLACK;
+    const exploring = item => item.stats.runs < EXPLORE_RUNS;
+    const due = planned.filter(isDue).sort((a, b) => (exploring(b) - exploring(a))
+        || ((b.stats.yield ?? 0) - (a.stats.yield ?? 0))
+        || ((a.stats.lastRunAt || 0) - (b.stats.lastRunAt || 0)));
+
+    return {
+        run: due.slice(0, planner.budget),
+        waiting: planned.filter(item => !isDue(item)),
+        overBudget: due.slice(planner.budget)
+    };
+}
+
+// When the history worth reading starts
+const historySince = (now = new Date()) => new Date(now.getTime() - HISTORY_DAYS * 24 * HOUR);
+
+module.exports = { DEFAULT_PLANNER, searchStats, planSearches, historySince };
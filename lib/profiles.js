@@ -0,0 +1,434 @@
+// --- Search Profile Loader ---
+// Search profiles (category, roles, locations, filters, sources, outputs) live in
+// YAML/JSON files under profiles/ instead of code. A file may hold one profile
+// or `profiles: [...]`. String values may reference env vars as ${NAME}.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { SOURCES } = require('./sources');
+const { PROVIDERS } = require('./sources/careers');
+const { DEFAULT_EXCLUDED_LOCATIONS } = require('./filters');
+const { DEFAULT_ENRICHMENT } = require('./enrich');
+const { DEFAULT_REVALIDATION } = require('./lifecycle');
+const { DEFAULT_SCHEDULING } = require('./scheduler');
+const { DEFAULT_PLANNER } = require('./planner');
+const { DEFAULT_DEDUPE } = require('./dedupe');
+const { DEFAULT_SCORING } = require('./scoring');
+const { DEFAULT_COMPANIES, AGENCY_MODES } = require('./companies');
+const { NOTIFIERS, DEFAULT_NOTIFICATIONS, sinkKey } = require('./notifiers');
+const { FILE_OUTPUT_TYPES, FEED_FORMATS } = require('./outputs');
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, '..', 'profiles');
+const PROFILE_EXTENSIONS = ['.yml', '.yaml', '.json'];
+const OUTPUT_TYPES = ['sheets', ...FILE_OUTPUT_TYPES];
+
+const PROFILE_KEYS = [
+    'category', 'enabled', 'roles', 'locations', 'experience', 'salary', 'freshnessDays',
+    'titleKeywords', 'uiFilters', 'sources', 'careerBoards', 'enrichment', 'revalidation', 'scheduling', 'planner', 'dedupe', 'scoring', 'companies', 'notifications', 'outputs'
+];
+
+// --- Schema Checks ---
+const isString = v => typeof v === 'string' && v.trim() !== '';
+const isStringList = v => Array.isArray(v) && v.every(isString);
+const isNonEmptyStringList = v => isStringList(v) && v.length > 0;
+
+function validateProfile(profile, label) {
+    const errors = [];
+    const fail = (field, message) => errors.push(`${label}: "${field}" ${message}`);
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return [`${label}: profile must be an object`];
+    }
+
+    for (const key of Object.keys(profile)) {
+        if (!PROFILE_KEYS.includes(key)) fail(key, `is not a known profile field (expected one of: ${PROFILE_KEYS.join(', ')})`);
+    }
+
+    if (!isString(profile.category)) fail('category', 'must be a non-empty string');
+    if (profile.enabled !== undefined && typeof profile.enabled !== 'boolean') fail('enabled', 'must be true or false');
+    if (!isNonEmptyStringList(profile.roles)) fail('roles', 'must be a non-empty list of strings');
+
+    const locations = profile.locations || {};
+    if (!isNonEmptyStringList(locations.include)) fail('locations.include', 'must be a non-empty list of strings');
+    if (locations.exclude !== undefined && !isStringList(locations.exclude)) fail('locations.exclude', 'must be a list of strings');
+
+    const experience = profile.experience || {};
+    const validYears = v => Number.isInteger(v) && v >= 0;
+    if (!validYears(experience.min)) fail('experience.min', 'must be a whole number of years');
+    if (!validYears(experience.max)) fail('experience.max', 'must be a whole number of years');
+    if (validYears(experience.min) && validYears(experience.max) && experience.min > experience.max) {
+        fail('experience', `min (${experience.min}) must not be greater than max (${experience.max})`);
+    }
+
+    if (profile.salary !== undefined) {
+        const salary = profile.salary || {};
+        const validAmount = v => v === undefined || (typeof v === 'number' && v >= 0);
+        if (!validAmount(salary.min)) fail('salary.min', 'must be a yearly amount (e.g. 600000)');
+        if (!validAmount(salary.max)) fail('salary.max', 'must be a yearly amount (e.g. 1500000)');
+        if (typeof salary.min === 'number' && typeof salary.max === 'number' && salary.min > salary.max) {
+            fail('salary', `min (${salary.min}) must not be greater than max (${salary.max})`);
+        }
+        if (salary.currency !== undefined && !/^[A-Z]{3}$/.test(salary.currency)) fail('salary.currency', 'must be a 3-letter currency code (e.g. INR)');
+        if (salary.includeUndisclosed !== undefined && typeof salary.includeUndisclosed !== 'boolean') fail('salary.includeUndisclosed', 'must be true or false');
+    }
+
+    if (!Number.isInteger(profile.freshnessDays) || profile.freshnessDays < 1) fail('freshnessDays', 'must be a whole number of days (1 or more)');
+
+    const titleKeywords = profile.titleKeywords || {};
+    if (!isNonEmptyStringList(titleKeywords.include)) fail('titleKeywords.include', 'must be a non-empty list of strings');
+    if (titleKeywords.exclude !== undefined && !isStringList(titleKeywords.exclude)) fail('titleKeywords.exclude', 'must be a list of strings');
+
+    if (profile.uiFilters !== undefined && !isStringList(profile.uiFilters)) fail('uiFilters', 'must be a list of strings');
+
+    if (!isNonEmptyStringList(profile.sources)) {
+        fail('sources', 'must be a non-empty list of source names');
+    } else {
+        profile.sources
+            .filter(name => !SOURCES[name])
+            .forEach(name => fail('sources', `contains unknown source "${name}" (available: ${Object.keys(SOURCES).join(', ')})`));
+    }
+
+    if (profile.careerBoards !== undefined) {
+        if (!Array.isArray(profile.careerBoards)) {
+            fail('careerBoards', 'must be a list');
+        } else {
+            profile.careerBoards.forEach((board, i) => {
+                if (!board || !PROVIDERS[board.provider]) fail(`careerBoards[${i}].provider`, `must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+                if (!board || !isString(board.board)) fail(`careerBoards[${i}].board`, 'must be the board/company token');
+            });
+        }
+    }
+    if (profile.sources?.includes('careers') && !(profile.careerBoards || []).length) {
+        fail('careerBoards', 'must list at least one board when the "careers" source is used');
+    }
+
+    if (profile.enrichment !== undefined) {
+        const enrichment = profile.enrichment || {};
+        if (enrichment.enabled !== undefined && typeof enrichment.enabled !== 'boolean') fail('enrichment.enabled', 'must be true or false');
+        if (enrichment.concurrency !== undefined && !(Number.isInteger(enrichment.concurrency) && enrichment.concurrency >= 1 && enrichment.concurrency <= 8)) {
+            fail('enrichment.concurrency', 'must be a whole number from 1 to 8');
+        }
+        if (enrichment.minDelayMs !== undefined && !(Number.isInteger(enrichment.minDelayMs) && enrichment.minDelayMs >= 0)) {
+            fail('enrichment.minDelayMs', 'must be a whole number of milliseconds');
+        }
+    }
+
+    if (profile.revalidation !== undefined) {
+        const revalidation = profile.revalidation || {};
+        if (revalidation.enabled !== undefined && typeof revalidation.enabled !== 'boolean') fail('revalidation.enabled', 'must be true or false');
+        if (revalidation.budget !== undefined && !(Number.isInteger(revalidation.budget) && revalidation.budget >= 1)) {
+            fail('revalidation.budget', 'must be a whole number of job pages (1 or more)');
+        }
+        if (revalidation.everyHours !== undefined && !(typeof revalidation.everyHours === 'number' && revalidation.everyHours >= 1)) {
+            fail('revalidation.everyHours', 'must be a number of hours (1 or more)');
+        }
+        if (revalidation.concurrency !== undefined && !(Number.isInteger(revalidation.concurrency) && revalidation.concurrency >= 1 && revalidation.concurrency <= 8)) {
+            fail('revalidation.concurrency', 'must be a whole number from 1 to 8');
+        }
+        if (revalidation.minDelayMs !== undefined && !(Number.isInteger(revalidation.minDelayMs) && revalidation.minDelayMs >= 0)) {
+            fail('revalidation.minDelayMs', 'must be a whole number of milliseconds');
+        }
+    }
+
+    if (profile.scheduling !== undefined) {
+        const scheduling = profile.scheduling || {};
+        if (scheduling.pages !== undefined && !(Number.isInteger(scheduling.pages) && scheduling.pages >= 1 && scheduling.pages <= 8)) {
+            fail('scheduling.pages', 'must be a whole number from 1 to 8');
+        }
+        if (scheduling.retries !== undefined && !(Number.isInteger(scheduling.retries) && scheduling.retries >= 0 && scheduling.retries <= 5)) {
+            fail('scheduling.retries', 'must be a whole number from 0 to 5');
+        }
+        for (const [name, limits] of Object.entries(scheduling.hosts || {})) {
+            if (!SOURCES[name]) {
+                fail(`scheduling.hosts.${name}`, `is not a source (expected one of: ${Object.keys(SOURCES).join(', ')})`);
+                continue;
+            }
+            const { concurrency, minDelayMs } = limits || {};
+            if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= 8)) {
+                fail(`scheduling.hosts.${name}.concurrency`, 'must be a whole number from 1 to 8');
+            }
+            if (minDelayMs !== undefined && !(Number.isInteger(minDelayMs) && minDelayMs >= 0)) {
+                fail(`scheduling.hosts.${name}.minDelayMs`, 'must be a whole number of milliseconds');
+            }
+        }
+    }
+
+    if (profile.planner !== undefined) {
+        const planner = profile.planner || {};
+        for (const flag of ['enabled', 'mergeRoles']) {
+            if (planner[flag] !== undefined && typeof planner[flag] !== 'boolean') fail(`planner.${flag}`, 'must be true or false');
+        }
+        if (planner.budget !== undefined && !(Number.isInteger(planner.budget) && planner.budget >= 1)) {
+            fail('planner.budget', 'must be a whole number of searches (1 or more)');
+        }
+        if (planner.historyRuns !== undefined && !(Number.isInteger(planner.historyRuns) && planner.historyRuns >= 3 && planner.historyRuns <= 50)) {
+            fail('planner.historyRuns', 'must be a whole number from 3 to 50');
+        }
+        if (planner.maxIntervalHours !== undefined && !(typeof planner.maxIntervalHours === 'number' && planner.maxIntervalHours >= 1 && planner.maxIntervalHours <= 168)) {
+            fail('planner.maxIntervalHours', 'must be a number of hours from 1 to 168');
+        }
+    }
+
+    if (profile.dedupe !== undefined) {
+        const dedupe = profile.dedupe || {};
+        if (dedupe.windowDays !== undefined && !(Number.isInteger(dedupe.windowDays) && dedupe.windowDays >= 1)) {
+            fail('dedupe.windowDays', 'must be a whole number of days (1 or more)');
+        }
+        if (dedupe.titleSimilarity !== undefined && !(typeof dedupe.titleSimilarity === 'number' && dedupe.titleSimilarity > 0 && dedupe.titleSimilarity <= 1)) {
+            fail('dedupe.titleSimilarity', 'must be a number between 0 and 1');
+        }
+    }
+
+    if (profile.scoring !== undefined) {
+        const scoring = profile.scoring || {};
+        if (scoring.minScore !== undefined && !(typeof scoring.minScore === 'number' && scoring.minScore >= 0 && scoring.minScore <= 100)) {
+            fail('scoring.minScore', 'must be a number from 0 to 100');
+        }
+        if (scoring.weights !== undefined) {
+            const weights = scoring.weights || {};
+            for (const [name, weight] of Object.entries(weights)) {
+                if (!(name in DEFAULT_SCORING.weights)) fail(`scoring.weights.${name}`, `is not a score component (expected one of: ${Object.keys(DEFAULT_SCORING.weights).join(', ')})`);
+                else if (!(typeof weight === 'number' && weight >= 0)) fail(`scoring.weights.${name}`, 'must be a number (0 or more)');
+            }
+        }
+        if (scoring.titleWeights !== undefined) {
+            const titleWeights = scoring.titleWeights || {};
+            for (const [keyword, weight] of Object.entries(titleWeights)) {
+                if (!(typeof weight === 'number' && weight >= -1 && weight <= 1)) fail(`scoring.titleWeights.${keyword}`, 'must be a number from -1 to 1');
+            }
+        }
+        if (scoring.skills !== undefined && !isStringList(scoring.skills)) fail('scoring.skills', 'must be a list of strings');
+        if (scoring.preferredLocations !== undefined && !isStringList(scoring.preferredLocations)) fail('scoring.preferredLocations', 'must be a list of strings');
+    }
+
+    if (profile.companies !== undefined) {
+        const companies = profile.companies || {};
+        for (const list of ['allow', 'block', 'priority']) {
+            if (companies[list] !== undefined && !isStringList(companies[list])) fail(`companies.${list}`, 'must be a list of company names');
+        }
+        if (companies.agencies !== undefined && !AGENCY_MODES.includes(companies.agencies)) {
+            fail('companies.agencies', `must be one of: ${AGENCY_MODES.join(', ')}`);
+        }
+        for (const points of ['priorityBonus', 'agencyPenalty']) {
+            if (companies[points] !== undefined && !(typeof companies[points] === 'number' && companies[points] >= 0 && companies[points] <= 100)) {
+                fail(`companies.${points}`, 'must be a number from 0 to 100');
+            }
+        }
+    }
+
+    if (profile.notifications !== undefined) {
+        validateNotifications(profile.notifications || {}, fail);
+    }
+
+    if (profile.outputs !== undefined) {
+        if (!Array.isArray(profile.outputs)) {
+            fail('outputs', 'must be a list');
+        } else {
+            profile.outputs.forEach((output, i) => {
+                if (!output || !OUTPUT_TYPES.includes(output.type)) fail(`outputs[${i}].type`, `must be one of: ${OUTPUT_TYPES.join(', ')}`);
+                else validateOutput(output, (field, message) => fail(`outputs[${i}].${field}`, message));
+            });
+        }
+    }
+
+    return errors;
+}
+
+const isPositiveInteger = v => Number.isInteger(v) && v >= 1;
+
+function validateOutput(output, fail) {
+    if (output.tab !== undefined && !isString(output.tab)) fail('tab', 'must be a tab name');
+    if (output.type === 'sheets' && output.trendsTab !== undefined) {
+        if (!isString(output.trendsTab)) fail('trendsTab', 'must be a tab name');
+        else if (output.trendsTab === output.tab) fail('trendsTab', 'must differ from the jobs\' tab');
+    }
+    if (FILE_OUTPUT_TYPES.includes(output.type) && typeof output.path !== 'string') fail('path', 'must be a file path');
+    if (output.type === 'feed') {
+        if (output.format !== undefined && !FEED_FORMATS[output.format]) fail('format', `must be one of: ${Object.keys(FEED_FORMATS).join(', ')}`);
+        if (output.limit !== undefined && !isPositiveInteger(output.limit)) fail('limit', 'must be a whole number (1 or more)');
+        for (const field of ['title', 'link']) {
+            if (output[field] !== undefined && typeof output[field] !== 'string') fail(field, 'must be text');
+        }
+    }
+    if (output.type === 'ical' && output.followUpDays !== undefined) {
+        const days = [].concat(output.followUpDays);
+        if (!days.length || !days.every(isPositiveInteger)) fail('followUpDays', 'must be a number of days (1 or more) or a list of them');
+    }
+}
+
+const isTime = v => typeof v === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(v);
+
+function isTimeZone(name) {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: name });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function validateNotifications(notifications, fail) {
+    const validScore = v => v === undefined || (typeof v === 'number' && v >= 0 && v <= 100);
+    const validBatch = v => v === undefined || (Number.isInteger(v) && v >= 1);
+
+    if (!validScore(notifications.minScore)) fail('notifications.minScore', 'must be a number from 0 to 100');
+    if (notifications.keywords !== undefined && !isStringList(notifications.keywords)) fail('notifications.keywords', 'must be a list of strings');
+    if (notifications.retryDays !== undefined && !(Number.isInteger(notifications.retryDays) && notifications.retryDays >= 0)) {
+        fail('notifications.retryDays', 'must be a whole number of days');
+    }
+
+    if (notifications.quietHours !== undefined) {
+        const quietHours = notifications.quietHours || {};
+        if (!isTime(quietHours.start)) fail('notifications.quietHours.start', 'must be a 24h time like "22:00"');
+        if (!isTime(quietHours.end)) fail('notifications.quietHours.end', 'must be a 24h time like "07:00"');
+        if (quietHours.timezone !== undefined && !isTimeZone(quietHours.timezone)) fail('notifications.quietHours.timezone', 'must be an IANA time zone (e.g. Asia/Kolkata)');
+    }
+
+    if (!Array.isArray(notifications.sinks)) {
+        fail('notifications.sinks', 'must be a list');
+        return;
+    }
+    const keys = new Set();
+    notifications.sinks.forEach((sink, i) => {
+        const field = `notifications.sinks[${i}]`;
+        const notifier = sink && NOTIFIERS[sink.type];
+        if (!notifier) {
+            fail(`${field}.type`, `must be one of: ${Object.keys(NOTIFIERS).join(', ')}`);
+            return;
+        }
+        notifier.required
+            .filter(name => sink[name] === undefined || sink[name] === null || sink[name] === '')
+            .forEach(name => fail(`${field}.${name}`, `is required for ${sink.type}`));
+        if (!validScore(sink.minScore)) fail(`${field}.minScore`, 'must be a number from 0 to 100');
+        if (sink.keywords !== undefined && !isStringList(sink.keywords)) fail(`${field}.keywords`, 'must be a list of strings');
+        if (!validBatch(sink.batchSize)) fail(`${field}.batchSize`, 'must be a whole number (1 or more)');
+
+        if (keys.has(sinkKey(sink))) fail(`${field}.name`, `must be set to tell apart the sinks of type "${sink.type}"`);
+        keys.add(sinkKey(sink));
+    });
+}
+
+// --- Loading ---
+function interpolateEnv(value) {
+    if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+    if (Array.isArray(value)) return value.map(interpolateEnv);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v)]));
+    }
+    return value;
+}
+
+function normalizeProfile(profile) {
+    return {
+        ...profile,
+        enabled: profile.enabled !== false,
+        locations: {
+            include: profile.locations.include,
+            exclude: profile.locations.exclude || DEFAULT_EXCLUDED_LOCATIONS
+        },
+        salary: profile.salary ? {
+            min: profile.salary.min || 0,
+            max: profile.salary.max === undefined ? null : profile.salary.max,
+            currency: profile.salary.currency || 'INR',
+            includeUndisclosed: profile.salary.includeUndisclosed !== false
+        } : null,
+        titleKeywords: {
+            include: profile.titleKeywords.include,
+            exclude: profile.titleKeywords.exclude || []
+        },
+        uiFilters: profile.uiFilters || [],
+        careerBoards: profile.careerBoards || [],
+        enrichment: { ...DEFAULT_ENRICHMENT, ...profile.enrichment },
+        revalidation: { ...DEFAULT_REVALIDATION, ...profile.revalidation },
+        scheduling: { ...DEFAULT_SCHEDULING, ...profile.scheduling },
+        planner: { ...DEFAULT_PLANNER, ...profile.planner },
+        dedupe: { ...DEFAULT_DEDUPE, ...profile.dedupe },
+        scoring: {
+            ...DEFAULT_SCORING,
+            ...profile.scoring,
+            weights: { ...DEFAULT_SCORING.weights, ...profile.scoring?.weights }
+        },
+        companies: { ...DEFAULT_COMPANIES, ...profile.companies },
+        notifications: { ...DEFAULT_NOTIFICATIONS, ...profile.notifications },
+        outputs: profile.outputs || []
+    };
+}
+
+function listProfileFiles(profilesPath) {
+    if (!fs.existsSync(profilesPath)) {
+        throw new Error(`Profiles path not found: ${profilesPath}`);
+    }
+    if (!fs.statSync(profilesPath).isDirectory()) return [profilesPath];
+
+    return fs.readdirSync(profilesPath)
+        .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .map(file => path.join(profilesPath, file));
+}
+
+function parseProfileFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+    if (data && Array.isArray(data.profiles)) return data.profiles;
+    return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * Loads and validates every profile under `profilesPath` (a file or directory).
+ * Throws one Error listing every problem found; the list is also on `error.errors`.
+ */
+function loadProfiles(profilesPath = process.env.PROFILES_PATH || DEFAULT_PROFILES_PATH) {
+    const errors = [];
+    const profiles = [];
+
+    for (const file of listProfileFiles(profilesPath)) {
+        const relative = path.relative(process.cwd(), file);
+        const fileLabel = relative && !relative.startsWith('..') ? relative : file;
+        let entries;
+        try {
+            entries = parseProfileFile(file);
+        } catch (e) {
+            errors.push(`${fileLabel}: could not parse (${e.message.split('\n')[0]})`);
+            continue;
+        }
+
+        entries.forEach((entry, i) => {
+            const label = entries.length > 1 ? `${fileLabel} [profile ${i + 1}]` : fileLabel;
+            const profileErrors = validateProfile(entry, label);
+            if (profileErrors.length) errors.push(...profileErrors);
+            else profiles.push(normalizeProfile(interpolateEnv(entry)));
+        });
+    }
+
+    const seen = new Set();
+    for (const profile of profiles) {
+        if (seen.has(profile.category)) errors.push(`Duplicate profile category "${profile.category}"`);
+        seen.add(profile.category);
+    }
+
+    if (!errors.length && !profiles.length) errors.push(`No profiles found in ${profilesPath}`);
+
+    if (errors.length) {
+        const error = new Error(`Invalid search profiles:\n  - ${errors.join('\n  - ')}`);
+        error.errors = errors;
+        throw error;
+    }
+    return profiles;
+}
+
+// A profile's "sheets" outputs `{ spreadsheetId, tab }` (empty IDs are kept out)
+function getSheetOutputs(profile) {
+    return profile.outputs.filter(output => output.type === 'sheets' && output.spreadsheetId);
+}
+
+module.exports = {
+    DEFAULT_PROFILES_PATH,
+    loadProfiles,
+    validateProfile,
+    getSheetOutputs,
+    // shared with the candidate loader (lib/candidates)
+    listProfileFiles,
+    parseProfileFile,
+    interpolateEnv,
+    validateOutput
+};
@@ -0,0 +1,66 @@
+// --- Job Queries ---
+// Filters over the job store shared by the command line (list/search/export) and
+// the dashboard's API. Hidden jobs are left out unless asked for by status.
+const { rangesOverlap } = require('./utils');
+const { isWithinDays } = require('./dates');
+const { lifecycleOf } = require('./lifecycle');
+
+// Company tag filters: "direct" is any employer not tagged as an agency
+const COMPANY_TAGS = ['agency', 'priority', 'direct'];
+
+// Lifecycle filters (lib/lifecycle): "live" is any job not closed
+const LIFECYCLES = ['open', 'closed', 'reposted', 'live'];
+
+const hasLifecycle = (job, lifecycle) => (lifecycle === 'live' ? !job.closedAt : lifecycleOf(job) === lifecycle);
+
+const hasCompanyTag = (job, tag) => (tag === 'direct'
+    ? !(job.companyTags || []).includes('agency')
+    : (job.companyTags || []).includes(tag));
+
+const SORTS = {
+    score: job => job.score ?? -1,
+    posted: job => job.postedAt || '',
+    company: job => String(job.company || '').toLowerCase(),
+    title: job => String(job.title || '').toLowerCase()
+};
+
+// Every word of `text` appears in the job's title, company, location, skills or description
+function matchesText(job, text) {
+    const haystack = [job.title, job.company, job.location, (job.skills || []).join(' '), job.description]
+        .filter(Boolean).join(' ').toLowerCase();
+    return text.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+const sameText = (a, b) => String(a || '').toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Jobs from the store matching every given filter (all optional):
+ * { category (one or a list), status, platform, location, text, minScore, experience (years),
+ *   companyTag (see COMPANY_TAGS), lifecycle (see LIFECYCLES), seenWithinDays, postedWithinDays, sort (see SORTS, highest
+ *   first; default last seen), limit }
+ * Jobs with an unknown experience are kept by the experience filter.
+ */
+function queryJobs(store, filters = {}, now = new Date()) {
+    const { category, status, platform, location, text, minScore, experience, companyTag, lifecycle, seenWithinDays, postedWithinDays, sort, limit } = filters;
+    const categories = [].concat(category || []);
+    let jobs = store.listJobs({ status, seenWithinDays })
+        .filter(job => status || job.status !== 'hidden')
+        .filter(job => !categories.length || categories.some(c => sameText(job.category, c)))
+        .filter(job => !platform || (job.platforms || [job.platform]).some(p => sameText(p, platform)))
+        .filter(job => !location || String(job.location || '').toLowerCase().includes(location.toLowerCase()))
+        .filter(job => minScore === undefined || (job.score ?? 0) >= minScore)
+        .filter(job => experience === undefined || job.expMin === null || job.expMin === undefined
+            || rangesOverlap(job.expMin, job.expMax, experience, experience))
+        .filter(job => !companyTag || hasCompanyTag(job, companyTag))
+        .filter(job => !lifecycle || hasLifecycle(job, lifecycle))
+        .filter(job => !postedWithinDays || isWithinDays(job.postedAt, now, postedWithinDays))
+        .filter(job => !text || matchesText(job, text));
+
+    if (sort) {
+        const key = SORTS[sort];
+        jobs = [...jobs].sort((a, b) => (key(a) < key(b) ? 1 : key(a) > key(b) ? -1 : 0));
+    }
+    return limit ? jobs.slice(0, limit) : jobs;
+}
+
+module.exports = { SORTS, COMPANY_TAGS, LIFECYCLES, matchesText, queryJobs };
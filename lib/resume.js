@@ -0,0 +1,104 @@
+// --- Resume Reader ---
+// A candidate's resume as plain text, read locally: .txt/.md as they are, PDFs by
+// pulling the text operators out of their (deflated) content streams. That covers
+// resumes exported from Word, Google Docs or LaTeX; scanned or oddly encoded PDFs
+// give little text, so keep a .txt copy next to those.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const TEXT_EXTENSIONS = ['.txt', '.md', '.text'];
+
+// A PDF literal string's bytes: "(Hello \(world\))" -> "Hello (world)"
+function literalString(raw) {
+    return raw.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (_, c) => {
+        if (/^[0-7]+$/.test(c)) return String.fromCharCode(parseInt(c, 8));
+        return { n: '\n', r: '\r', t: '\t', b: '', f: '', '(': '(', ')': ')', '\\': '\\' }[c] ?? '';
+    });
+}
+
+// A hex string's text when it is one byte per character (two-byte CID text is skipped)
+function hexString(raw) {
+    const hex = raw.replace(/\s+/g, '');
+    const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    if (bytes.length > 1 && bytes.length % 2 === 0 && bytes.every((b, i) => i % 2 ? b >= 32 : b === 0)) return bytes.swap16().toString('utf16le');
+    const text = bytes.toString('latin1');
+    return /^[\x20-\x7E\n\t]*$/.test(text) ? text : '';
+}
+
+const STRING = /\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<[0-9A-Fa-f\s]*>/g;
+
+const stringText = token => (token.startsWith('(') ? literalString(token.slice(1, -1)) : hexString(token.slice(1, -1)));
+
+// The text shown by one content stream: Tj/TJ/'/" strings, line breaks on Td/T*/ET
+function contentText(content) {
+    const out = [];
+    const newline = () => { if (out.length && out[out.length - 1] !== '\n') out.push('\n'); };
+    const ops = /(\[(?:[^\]\\(]|\\[\s\S]|\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\))*\]|\((?:\\[\s\S]|[^\\()]|\((?:\\[\s\S]|[^\\()])*\))*\)|<[0-9A-Fa-f\s]*>)\s*(TJ|Tj|'|")|\b(T\*|Td|TD|ET|BT)(?!\w)/g;
+    for (const match of content.matchAll(ops)) {
+        if (match[3]) {
+            if (match[3] !== 'BT') newline();
+            continue;
+        }
+        if (match[2] === 'TJ') {
+            // Strings and kerning numbers; a large negative kerning is a word gap
+            for (const [token] of match[1].slice(1, -1).matchAll(new RegExp(`${STRING.source}|-?\\d+(?:\\.\\d+)?`, 'g'))) {
+                if (/^-?\d/.test(token)) {
+                    if (Number(token) < -200) out.push(' ');
+                } else {
+                    out.push(stringText(token));
+                }
+            }
+        } else {
+            if (match[2] !== 'Tj') newline();
+            out.push(stringText(match[1]));
+        }
+    }
+    return out.join('');
+}
+
+/** The text of a PDF file's pages (best effort; '' when nothing is readable). */
+function pdfText(buffer) {
+    const data = buffer.toString('latin1');
+    const texts = [];
+    const streams = /<<([\s\S]*?)>>\s*stream\r?\n/g;
+    for (let match = streams.exec(data); match; match = streams.exec(data)) {
+        const start = match.index + match[0].length;
+        const end = data.indexOf('endstream', start);
+        if (end === -1) break;
+        streams.lastIndex = end;
+        const dict = match[1];
+        if (/\/(Subtype\s*\/(Image|Type1C|CIDFontType0C)|Length1|Type\s*\/(XRef|ObjStm))\b/.test(dict)) continue;
+        let bytes = buffer.subarray(start, end);
+        if (/\/FlateDecode/.test(dict)) {
+            try {
+                bytes = zlib.inflateSync(bytes);
+            } catch (e) {
+                continue; // damaged stream or another filter chain
+            }
+        } else if (/\/Filter/.test(dict)) {
+            continue; // images and other encodings hold no text we can read
+        }
+        const text = contentText(bytes.toString('latin1'));
+        if (text.trim()) texts.push(text);
+    }
+    return texts.join('\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/** The resume at `file` as text. Throws for unsupported file types. */
+function readResume(file) {
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.pdf') return pdfText(fs.readFileSync(file));
+    if (TEXT_EXTENSIONS.includes(extension)) return fs.readFileSync(file, 'utf8');
+    throw new Error(`Unsupported resume type "${extension}" (expected .pdf, ${TEXT_EXTENSIONS.join(', ')})`);
+}
+
+// Years of experience a resume claims ("5+ years of experience"), or null
+function resumeYears(text) {
+    const claims = [...String(text || '').matchAll(/(\d{1,2}(?:\.\d)?)\s*\+?\s*(?:years|yrs)\b(?:\s+of)?(?:\s+\w+){0,3}?\s+experience/gi)]
+        .map(match => Number(match[1]))
+        .filter(years => years <= 50);
+    return claims.length ? Math.max(...claims) : null;
+}
+
+module.exports = { pdfText, readResume, resumeYears };
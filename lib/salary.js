@@ -0,0 +1,57 @@
+// --- Salary Parsing ---
+// Reads salary texts from Indian and international boards ("6-12 Lacs PA",
+// "₹15L–₹20L", "₹25,000 - ₹40,000 a month", "$80k - $100k") into annual
+// { salaryMin, salaryMax, salaryCurrency }. "Not disclosed" and friends give null.
+
+const UNDISCLOSED = /not disclosed|undisclosed|competitive|as per (industry|company)|best in (the )?industry|negotiable/;
+
+const CURRENCIES = [
+    { code: 'INR', pattern: /₹|\binr\b|\brs\.?|lacs?\b|lakhs?\b|\blpa\b|\bcr\b|crores?\b/ },
+    { code: 'USD', pattern: /\$|\busd\b/ },
+    { code: 'EUR', pattern: /€|\beur\b/ },
+    { code: 'GBP', pattern: /£|\bgbp\b/ }
+];
+
+const UNIT_MULTIPLIERS = {
+    k: 1e3,
+    l: 1e5, lac: 1e5, lacs: 1e5, lakh: 1e5, lakhs: 1e5, lpa: 1e5,
+    cr: 1e7, crore: 1e7, crores: 1e7,
+    m: 1e6, mn: 1e6
+};
+
+const AMOUNT = /(\d+(?:\.\d+)?)\s*(lakhs?|lacs?|lpa|crores?|cr|mn|k|l|m)?\b/g;
+
+function periodMultiplier(lower) {
+    if (/per hour|an hour|\/\s*hr\b|hourly/.test(lower)) return 40 * 52;
+    if (/per month|a month|\/\s*mo(nth)?\b|monthly|\bpm\b/.test(lower)) return 12;
+    return 1;
+}
+
+/**
+ * Parses a salary text into annual amounts. `defaultCurrency` is used when the
+ * text has numbers but no currency marker (Indian boards usually omit it).
+ */
+function parseSalary(text, defaultCurrency = 'INR') {
+    const lower = String(text || '').toLowerCase().replace(/[–—]/g, '-').replace(/(\d),(?=\d)/g, '$1');
+    if (!lower || lower === 'n/a' || UNDISCLOSED.test(lower)) return null;
+
+    const amounts = [...lower.matchAll(AMOUNT)]
+        .map(m => ({ value: parseFloat(m[1]), unit: m[2] || null }))
+        .filter(a => a.value > 0)
+        .slice(0, 2);
+    if (amounts.length === 0) return null;
+
+    // "6-12 Lacs": the unit on the upper bound applies to both
+    const sharedUnit = amounts[amounts.length - 1].unit;
+    const period = periodMultiplier(lower);
+    const [low, high] = amounts.map(a => Math.round(a.value * (UNIT_MULTIPLIERS[a.unit || sharedUnit] || 1) * period));
+
+    const currency = CURRENCIES.find(c => c.pattern.test(lower));
+    return {
+        salaryMin: low,
+        salaryMax: high === undefined ? low : high,
+        salaryCurrency: currency ? currency.code : defaultCurrency
+    };
+}
+
+module.exports = { parseSalary };
@@ -0,0 +1,180 @@
+// --- Search Scheduling ---
+// Runs search tasks across a pool of browser pages. Each host gets a cap on tasks
+// at once and a minimum gap (plus jitter) between requests; a host whose task
+// fails is backed off exponentially before anyone requests it again.
+const { delay, withRetry, formatDuration } = require('./utils');
+
+const DEFAULT_SCHEDULING = {
+    pages: 3,       // browser pages searching at once
+    retries: 1,     // extra attempts for a failed search
+    hosts: {}       // per source name: { concurrency, minDelayMs } over the adapter's rateLimit
+};
+
+const DEFAULT_HOST_LIMITS = { concurrency: 2, minDelayMs: 3000 };
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Up to 50% on top, so parallel pages don't fire in lockstep
+const jittered = ms => Math.round(ms * (1 + Math.random() * 0.5));
+
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return String(url);
+    }
+}
+
+// A source's limits: defaults < the adapter's `rateLimit` < the profile's `scheduling.hosts.<name>`
+function hostLimits(source, scheduling = DEFAULT_SCHEDULING) {
+    return { ...DEFAULT_HOST_LIMITS, ...source.rateLimit, ...scheduling.hosts?.[source.name] };
+}
+
+/**
+ * Per-host limits shared by every page of a run:
+ * - throttle(url, limits)  waits for the host's next request slot (`minDelayMs` apart)
+ * - run(url, limits, fn)   runs fn once fewer than `concurrency` tasks hold the host;
+ *                          if it throws, the host's next slot moves out (2^failures x minDelayMs)
+ */
+function createHostLimiter() {
+    const hosts = new Map();
+    const stateOf = url => {
+        const host = hostOf(url);
+        if (!hosts.has(host)) hosts.set(host, { active: 0, waiting: [], nextSlot: 0, failures: 0 });
+        return hosts.get(host);
+    };
+
+    async function throttle(url, limits = {}) {
+        const { minDelayMs } = { ...DEFAULT_HOST_LIMITS, ...limits };
+        const host = stateOf(url);
+        const now = Date.now();
+        const slot = Math.max(now, host.nextSlot);
+        host.nextSlot = slot + jittered(minDelayMs);
+        if (slot > now) await delay(slot - now);
+    }
+
+    async function run(url, limits, fn) {
+        const { concurrency, minDelayMs } = { ...DEFAULT_HOST_LIMITS, ...limits };
+        const host = stateOf(url);
+        while (host.active >= concurrency) await new Promise(resolve => host.waiting.push(resolve));
+
+        host.active++;
+        try {
+            const result = await fn();
+            host.failures = 0;
+            return result;
+        } catch (err) {
+            host.failures++;
+            const backoff = Math.min(MAX_BACKOFF_MS, jittered(minDelayMs * 2 ** host.failures));
+            host.nextSlot = Math.max(host.nextSlot, Date.now() + backoff);
+            throw err;
+        } finally {
+            host.active--;
+            const next = host.waiting.shift();
+            if (next) next();
+        }
+    }
+
+    return { throttle, run };
+}
+
+/**
+ * Up to `size` browser pages from `openPage()`, opened on first use and handed out
+ * one task at a time. A page for which `retire(page)` is true when handed back is
+ * closed and replaced (e.g. its proxy went bad).
+ */
+function createPagePool(openPage, size, { retire = () => false } = {}) {
+    const pages = new Set();
+    const idle = [];
+    const waiting = [];
+    let opening = 0;
+
+    async function open() {
+        opening++;
+        try {
+            const page = await openPage();
+            pages.add(page);
+            return page;
+        } finally {
+            opening--;
+        }
+    }
+
+    function acquire() {
+        if (idle.length) return Promise.resolve(idle.pop());
+        if (pages.size + opening < size) return open();
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+
+    function release(page) {
+        const next = waiting.shift();
+        if (retire(page)) {
+            pages.delete(page);
+            page.close().catch(() => { });
+            if (next) open().then(next.resolve, next.reject);
+        } else if (next) {
+            next.resolve(page);
+        } else {
+            idle.push(page);
+        }
+    }
+
+    async function use(fn) {
+        const page = await acquire();
+        try {
+            return await fn(page);
+        } finally {
+            release(page);
+        }
+    }
+
+    const close = () => Promise.all([...pages].map(page => page.close().catch(() => { })));
+
+    return { use, close };
+}
+
+/**
+ * Runs `tasks` (`{ label, run }`) `concurrency` at a time. A failing task is retried
+ * `retries` times with jittered exponential backoff (unless its error has
+ * `retryable: false`), then counted as failed.
+ * Logs progress and an ETA as tasks finish. Returns `{ done, failed, durationMs }`.
+ */
+async function runTasks(tasks, { concurrency = 1, retries = 0, retryDelayMs = 5000, label = 'tasks' } = {}) {
+    const shouldRetry = err => err.retryable !== false; // e.g. a block page: retrying only makes it worse
+    const started = Date.now();
+    let next = 0;
+    let finished = 0;
+    let failed = 0;
+
+    const logProgress = () => {
+        const elapsed = Date.now() - started;
+        const remaining = elapsed / finished * (tasks.length - finished);
+        console.log(`[Progress] ${finished}/${tasks.length} ${label}${failed ? ` (${failed} failed)` : ''}, `
+            + `${formatDuration(elapsed)} elapsed${finished < tasks.length ? `, ~${formatDuration(remaining)} left` : ''}`);
+    };
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const task = tasks[next++];
+            try {
+                await withRetry(task.run, { retries, baseDelayMs: retryDelayMs, jitter: true, shouldRetry, label: task.label });
+            } catch (err) {
+                failed++;
+                console.error(`[Scheduler] ${task.label} failed:`, err.message);
+            }
+            finished++;
+            logProgress();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+    return { done: finished - failed, failed, durationMs: Date.now() - started };
+}
+
+module.exports = {
+    DEFAULT_SCHEDULING,
+    DEFAULT_HOST_LIMITS,
+    hostLimits,
+    createHostLimiter,
+    createPagePool,
+    runTasks
+};
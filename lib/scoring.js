@@ -0,0 +1,134 @@
+// --- Relevance Scoring ---
+// Ranks jobs 0-100 from weighted title keywords, skill matches, experience fit,
+// location preference and freshness, moved up for priority companies and down for
+// likely agencies. Each job keeps the reasons behind its score.
+const { DAY } = require('./dates');
+const { containsKeyword } = require('./filters');
+const { extractSkills, canonicalSkill } = require('./skills');
+const { rangesOverlap } = require('./utils');
+const { DEFAULT_COMPANIES } = require('./companies');
+
+// `weights` are each component's share of the score; components a profile gives
+// nothing to judge by (no skills, no preferred locations) are left out and the
+// rest are scaled back up to 100.
+const DEFAULT_SCORING = {
+    minScore: 0,
+    weights: { title: 40, skills: 25, experience: 15, location: 10, freshness: 10 },
+    titleWeights: {},
+    skills: [],
+    preferredLocations: []
+};
+
+// Jobs we know nothing about for a component sit halfway
+const UNKNOWN = 0.5;
+
+/**
+ * Title keywords count 1 unless `titleWeights` says otherwise ("engineer: 0.3" for
+ * broad words, negative to push a keyword down). The best positive match counts,
+ * negatives add up.
+ */
+function scoreTitle(title, config, titleWeights) {
+    const weightOf = keyword => titleWeights[keyword.trim().toLowerCase()] ?? 1;
+    const matched = [
+        ...config.titleKeywords.include,
+        ...Object.keys(titleWeights).filter(k => titleWeights[k] < 0)
+    ].filter(k => containsKeyword(title, k));
+
+    const positives = matched.filter(k => weightOf(k) > 0);
+    const best = positives.reduce((top, k) => (weightOf(k) > weightOf(top) ? k : top), positives[0]);
+    const penalty = matched.filter(k => weightOf(k) < 0).reduce((sum, k) => sum + weightOf(k), 0);
+    const value = Math.min(1, Math.max(0, (best ? weightOf(best) : 0) + penalty));
+
+    if (!matched.length) return { value, reason: 'title: no keyword match' };
+    return { value, reason: `title: ${matched.map(k => `${k.trim()} (${weightOf(k)})`).join(', ')}` };
+}
+
+function scoreSkills(job, wanted) {
+    const found = new Set([
+        ...(job.skills || []).map(canonicalSkill),
+        ...extractSkills(job.title),
+        ...extractSkills(job.description)
+    ]);
+    const hits = wanted.filter(skill => found.has(skill));
+    const listed = hits.length ? ` (${hits.join(', ')})` : '';
+
+    // Only the title to go on (not enriched): what it names counts, the rest is unknown
+    if (!job.description && !(job.skills || []).length) {
+        return { value: Math.max(UNKNOWN, hits.length / wanted.length), reason: `skills: unknown${listed}` };
+    }
+    return { value: hits.length / wanted.length, reason: `skills: ${hits.length}/${wanted.length}${listed}` };
+}
+
+function scoreExperience(job, band) {
+    if (job.expMin == null) return { value: UNKNOWN, reason: 'experience: unknown' };
+    const text = job.expMax == null ? `${job.expMin}+` : `${job.expMin}-${job.expMax}`;
+    if (job.expMin >= band.min && job.expMin <= band.max) return { value: 1, reason: `experience: ${text} yrs fits ${band.min}-${band.max}` };
+    if (rangesOverlap(job.expMin, job.expMax, band.min, band.max)) return { value: 0.75, reason: `experience: ${text} yrs overlaps ${band.min}-${band.max}` };
+    return { value: 0, reason: `experience: ${text} yrs outside ${band.min}-${band.max}` };
+}
+
+function scoreLocation(job, preferred) {
+    const hit = preferred.find(l => containsKeyword(job.location, l));
+    return hit ? { value: 1, reason: `location: ${hit}` } : { value: UNKNOWN, reason: 'location: not preferred' };
+}
+
+// 1 for just posted, falling to 0.1 at the edge of the freshness window
+function scoreFreshness(job, freshnessDays) {
+    if (!job.postedAt) return { value: UNKNOWN, reason: 'freshness: unknown' };
+    const age = Math.max(0, new Date(job.scrapedAt || Date.now()) - new Date(job.postedAt)) / DAY;
+    const value = Math.max(0, 1 - 0.9 * Math.min(1, age / freshnessDays));
+    return { value, reason: `freshness: ${age < 1 ? `${Math.round(age * 24)}h` : `${Math.round(age)}d`} old` };
+}
+
+/**
+ * Scores one job against a profile. Returns `{ score, reasons }` with score 0-100
+ * and one reason per component ("skills: 2/4 (React, CSS)").
+ */
+function scoreJob(job, config) {
+    const scoring = { ...DEFAULT_SCORING, ...config.scoring };
+    const weights = { ...DEFAULT_SCORING.weights, ...scoring.weights };
+    const titleWeights = Object.fromEntries(
+        Object.entries(scoring.titleWeights).map(([k, v]) => [k.trim().toLowerCase(), v])
+    );
+    const wantedSkills = [...new Set(scoring.skills.map(canonicalSkill))];
+
+    const components = [
+        ['title', scoreTitle(job.title, config, titleWeights)],
+        ['skills', wantedSkills.length ? scoreSkills(job, wantedSkills) : null],
+        ['experience', scoreExperience(job, config.experience)],
+        ['location', scoring.preferredLocations.length ? scoreLocation(job, scoring.preferredLocations) : null],
+        ['freshness', scoreFreshness(job, config.freshnessDays)]
+    ].filter(([name, result]) => result && weights[name] > 0);
+
+    const total = components.reduce((sum, [name]) => sum + weights[name], 0);
+    const points = components.reduce((sum, [name, result]) => sum + weights[name] * result.value, 0);
+    const reasons = components.map(([, result]) => result.reason);
+
+    // Company tags move the score by fixed points (lib/companies)
+    const companies = { ...DEFAULT_COMPANIES, ...config.companies };
+    const tags = job.companyTags || [];
+    let adjustment = 0;
+    if (tags.includes('priority') && companies.priorityBonus) {
+        adjustment += companies.priorityBonus;
+        reasons.push(`company: priority (+${companies.priorityBonus})`);
+    }
+    if (tags.includes('agency') && companies.agencyPenalty) {
+        adjustment -= companies.agencyPenalty;
+        reasons.push(`company: likely agency (-${companies.agencyPenalty})`);
+    }
+
+    const score = total ? Math.round((points / total) * 100) : 0;
+    return { score: Math.min(100, Math.max(0, score + adjustment)), reasons };
+}
+
+// Sets `score` and `scoreReasons` on each job; returns the jobs best-first
+function scoreJobs(jobs, config) {
+    for (const job of jobs) {
+        const { score, reasons } = scoreJob(job, config);
+        job.score = score;
+        job.scoreReasons = reasons;
+    }
+    return [...jobs].sort((a, b) => b.score - a.score);
+}
+
+module.exports = { DEFAULT_SCORING, scoreJob, scoreJobs };
@@ -0,0 +1,382 @@
+// --- Scrape Run ---
+// One pass over the enabled search profiles: scrape every source, enrich, score,
+// match candidates, then sync sheets, rewrite output files and send alerts.
+// Runs hold a lock (lib/lock) and checkpoint as they go (lib/checkpoint): a run
+// after a crash carries on where it stopped. Used by the CLI (`scrape`) and the scheduler.
+const puppeteer = require('puppeteer');
+const { SOURCES, getSources, getSourceByPlatform } = require('./sources');
+const { runSearch, searchLabel } = require('./pipeline');
+const { loadProfiles, getSheetOutputs } = require('./profiles');
+const { enrichJobs } = require('./enrich');
+const { jobsToRevalidate, revalidateJobs } = require('./lifecycle');
+const { tagCompany } = require('./companies');
+const { loadCandidates } = require('./candidates');
+const { forCategory, matchJobs, shortlist } = require('./matching');
+const { getFileOutputs, writeFileOutputs } = require('./outputs');
+const { createDedupIndex } = require('./dedupe');
+const { scoreJobs } = require('./scoring');
+const { queueNotifications, sendNotifications } = require('./notifiers');
+const { createSheetsClient, fetchExistingUrls, queueSheetRows, syncOutput, syncStatuses } = require('./sheets');
+const { openStore } = require('./store');
+const { hostLimits, createHostLimiter, createPagePool, runTasks } = require('./scheduler');
+const { createSearchMetrics, buildRunReport, writeRunReport, printAlerts } = require('./health');
+const { sessionOptions, createSession, createCooldowns } = require('./session');
+const { searchTask, profileTask, openCheckpoint } = require('./checkpoint');
+const { acquireLock } = require('./lock');
+const { planSearches, historySince } = require('./planner');
+const { formatDuration } = require('./utils');
+
+const RESULTS_FILE = 'jobs.json'; // Imported into the job store (jobs.db) once
+
+// Process exit codes, so a scheduler can tell a quiet run from a broken one
+const EXIT_CODES = {
+    ok: 0,           // new jobs found
+    broken: 1,       // browser failed, every search errored or a health alert (lib/health)
+    usage: 2,        // bad arguments or invalid profiles
+    noNewJobs: 3,    // ran fine, nothing new
+    busy: 4          // skipped: another run holds the lock
+};
+
+/**
+ * Narrows profiles to the command-line selectors:
+ * { categories, sources, locations, roles } (lists; empty means "as configured").
+ * Naming a category runs it even when disabled. Throws on unknown names.
+ */
+function selectProfiles(profiles, { categories = [], sources = [], locations = [], roles = [] } = {}) {
+    const wanted = categories.map(c => c.toLowerCase());
+    const unknownCategories = categories.filter(c => !profiles.some(p => p.category.toLowerCase() === c.toLowerCase()));
+    if (unknownCategories.length) {
+        throw new Error(`Unknown category "${unknownCategories.join('", "')}" (profiles: ${profiles.map(p => p.category).join(', ')})`);
+    }
+    const unknownSources = sources.filter(name => !SOURCES[name]);
+    if (unknownSources.length) {
+        throw new Error(`Unknown source "${unknownSources.join('", "')}" (available: ${Object.keys(SOURCES).join(', ')})`);
+    }
+
+    return profiles
+        .filter(p => (wanted.length ? wanted.includes(p.category.toLowerCase()) : p.enabled))
+        .map(p => ({
+            ...p,
+            sources: sources.length ? sources : p.sources,
+            roles: roles.length ? roles : p.roles,
+            locations: locations.length ? { ...p.locations, include: locations } : p.locations
+        }));
+}
+
+// Lines for a dry run: what would have gone to the sheet
+function printDryRun(config, jobs) {
+    console.log(`\n[Dry run] ${jobs.length} ${config.category} jobs would be written:`);
+    for (const job of jobs) {
+        console.log(`  ${String(job.score).padStart(3)}  ${job.title} — ${job.company} (${job.location}) ${job.detailUrl}`);
+    }
+}
+
+// Candidates' sheet tabs (their files are written with the profiles' at the end of the run)
+const candidateSheetOutputs = candidate => candidate.outputs.filter(output => output.type === 'sheets' && output.spreadsheetId);
+
+// The profile's searches this run: those not done before an interruption (checkpoint)
+// that the planner has due and within the budget (all of them with `everySearch`)
+function plannedSearches(config, sources, run) {
+    const { checkpoint, searchHistory, everySearch } = run;
+    const searches = sources.flatMap(source => source.buildSearches(config).map(search => ({ source, search, task: searchTask(config.category, source, search) })));
+    const pending = searches.filter(({ task }) => !checkpoint.isDone(task));
+    if (pending.length < searches.length) {
+        console.log(`[Checkpoint] ${searches.length - pending.length} of ${searches.length} ${config.category} searches were done before the interruption.`);
+    }
+    const planner = everySearch ? { ...config.planner, enabled: false } : config.planner;
+    const plan = planSearches(pending, searchHistory, planner);
+    if (plan.waiting.length || plan.overBudget.length) {
+        console.log(`[Planner] ${config.category}: running ${plan.run.length} of ${pending.length} searches; ${plan.waiting.length} found nothing lately and wait, ${plan.overBudget.length} are over the budget of ${planner.budget}.`);
+    }
+    return plan.run;
+}
+
+/**
+ * One scheduler task per planned search of a profile; each adds its metrics to
+ * `allMetrics`. `run` carries the page pool, browser session, cooldowns, checkpoint and
+ * search history. Searches of a source on cooldown (it showed a block page) are
+ * skipped, not failed.
+ */
+function searchTasks(config, sources, run, context, allMetrics) {
+    const { pool, session, cooldowns, skipped, checkpoint } = run;
+    return plannedSearches(config, sources, run).map(({ source, search, task }) => {
+        const metrics = createSearchMetrics(source, search, config.category);
+        allMetrics.push(metrics);
+        const attempt = async page => {
+            const started = Date.now();
+            metrics.attempts++;
+            try {
+                const accepted = await runSearch(page, source, search, config, context, metrics);
+                checkpoint.done(task, { accepted });
+                metrics.completed = true;
+                session.recordResult(page, true);
+                cooldowns.clear(source);
+            } catch (e) {
+                metrics.errors.push(e.message.split('\n')[0]);
+                session.recordResult(page, false);
+                if (metrics.blocked) cooldowns.start(source, metrics.blocked);
+                throw e;
+            } finally {
+                metrics.durationMs += Date.now() - started;
+            }
+        };
+        return {
+            label: `${source.platform} ${searchLabel(search)}`,
+            run: async () => {
+                const until = cooldowns.until(source);
+                if (until) {
+                    metrics.skipped = 'cooldown';
+                    if (!skipped.has(source.name)) console.log(`[Session] ${source.platform} is paused until ${until.toISOString()}. Skipping its searches.`);
+                    skipped.add(source.name);
+                    return;
+                }
+                await pool.use(page => context.limiter.run(search.url, hostLimits(source, config.scheduling), () => attempt(page)));
+            }
+        };
+    });
+}
+
+// Builds, stores and prints the run's health report; error alerts mark the run broken
+function finishReport(store, runId, started, searchMetrics, summary, dryRun) {
+    const previousReports = store.listRuns({ before: runId, limit: 10 }).map(run => run.report).filter(Boolean);
+    const report = buildRunReport({ runId, startedAt: new Date(started), dryRun, searches: searchMetrics, previousReports });
+    const { searches, ...totals } = report; // per-search detail only goes to the file
+    store.finishRun(runId, new Date(report.finishedAt), totals);
+    if (!dryRun) {
+        summary.reportFile = writeRunReport(report);
+        console.log(`[Health] Run report: ${summary.reportFile}`);
+    }
+    printAlerts(report.alerts);
+    summary.alerts = report.alerts;
+    if (report.alerts.some(alert => alert.level === 'error')) summary.broken = true;
+}
+
+const emptySummary = () => ({
+    newJobs: 0, categories: [], searches: 0, failedSearches: 0, alerts: [], reportFile: null, broken: false, busy: false, resumed: false, durationMs: 0
+});
+
+/**
+ * Runs one scrape. `options`: the selectProfiles selectors plus `dryRun` (no sheet
+ * writes, no alerts, the store file untouched), `fresh` (ignore an interrupted run's
+ * checkpoint), `everySearch` (every search, whatever the planner's yields and budget),
+ * `pages` (overrides the profiles' `scheduling.pages`), `profilesPath` and
+ * `candidatesPath`.
+ * Returns `{ newJobs, categories: [{ category, found, kept }], searches, failedSearches,
+ * alerts, reportFile, broken, busy, resumed, durationMs }`; `broken` means the browser
+ * failed, every search errored or the health check raised an error (see lib/health),
+ * `busy` that another run holds the lock (nothing was done), `resumed` that the run
+ * took up an interrupted one.
+ */
+async function runScraper(options = {}) {
+    const started = Date.now();
+    console.log(`\n[${new Date().toISOString()}] Starting Multi-Category Scrape${options.dryRun ? ' (dry run)' : ''}...`);
+
+    // Dry runs write nothing, so they may overlap a real run
+    const lock = options.dryRun ? { release: () => {} } : acquireLock();
+    if (!lock) return { ...emptySummary(), busy: true };
+    try {
+        return await scrape(options, started);
+    } finally {
+        lock.release();
+    }
+}
+
+// The run itself, under the lock
+async function scrape(options, started) {
+    const profiles = loadProfiles(options.profilesPath);
+    const CONFIGS = selectProfiles(profiles, options);
+    console.log(`[Init] Loaded search profiles: ${CONFIGS.map(c => c.category).join(', ') || 'none enabled'}`);
+    const candidates = loadCandidates(options.candidatesPath);
+    if (candidates.length) console.log(`[Init] Matching for candidates: ${candidates.map(c => c.name).join(', ')}`);
+
+    const summary = emptySummary();
+    const searchMetrics = [];
+    const limiter = createHostLimiter(); // shared by searches and enrichment across profiles
+    let browser;
+    let pool;
+    let session;
+
+    // --- Job store: every job seen so far, their URLs, history and status ---
+    const store = openStore(undefined, { scratch: Boolean(options.dryRun) });
+    store.importJsonFile(RESULTS_FILE); // one-time move from jobs.json
+    const checkpoint = openCheckpoint(store, { resume: !options.dryRun && !options.fresh });
+    const { runId } = checkpoint;
+    summary.resumed = checkpoint.resumed;
+
+    try {
+        // Jobs recent enough to be matched as duplicates or to have queued sheet rows/alerts
+        const recentDays = Math.max(...CONFIGS.map(c => Math.max(c.dedupe.windowDays, c.notifications.retryDays)), 1);
+        const existingJobs = store.listJobs({ seenWithinDays: recentDays });
+
+        // Load from Google Sheets (Source of Truth when running without a persisted store).
+        // Without sheet outputs the run needs no Google account (or network) for its outputs.
+        const needsSheets = CONFIGS.some(config => getSheetOutputs(config).length) || candidates.some(c => candidateSheetOutputs(c).length);
+        const sheets = needsSheets ? createSheetsClient() : null;
+        if (sheets) console.log('[Init] Fetching existing jobs from Google Sheets to prevent duplicates...');
+        for (const config of CONFIGS) {
+            for (const output of getSheetOutputs(config)) {
+                const sheetUrls = await fetchExistingUrls(sheets, output, { readOnly: options.dryRun });
+                console.log(`[Init] Loaded ${sheetUrls.length} URLs from Sheet (${config.category})`);
+                store.addKnownUrls(sheetUrls, 'sheet');
+            }
+        }
+        console.log(`[Init] Recent jobs tracked for dedup: ${existingJobs.length}`);
+
+        // Fuzzy matching across boards/reposts (exact URLs are looked up in the store)
+        const dedupIndex = createDedupIndex(existingJobs);
+
+        browser = await puppeteer.launch({
+            headless: 'new',
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-blink-features=AutomationControlled']
+        });
+        // Rotating UA/viewport, saved cookies and proxies for every page; block cooldowns persist in the store
+        const sessionConfig = sessionOptions();
+        session = createSession(browser, sessionConfig, getSources([...new Set(CONFIGS.flatMap(c => c.sources))]));
+        await session.start();
+        const cooldowns = createCooldowns(store, { minutes: sessionConfig.cooldownMinutes });
+
+        const poolSize = options.pages || Math.max(...CONFIGS.map(c => c.scheduling.pages), 1);
+        pool = createPagePool(session.openPage, poolSize, { retire: session.isRetired });
+        const searchHistory = store.taskHistory('search:', { since: historySince() }); // each search's yield over past runs
+        const scrapeRun = { pool, session, cooldowns, checkpoint, searchHistory, everySearch: Boolean(options.everySearch), skipped: new Set() };
+
+        // --- Iterating Categories ---
+        for (const config of CONFIGS) {
+            console.log(`\n--- Processing Category: ${config.category} ---`);
+            // Scored, synced and saved before the interruption
+            if (checkpoint.isDone(profileTask(config.category))) {
+                const { found = 0, kept = 0 } = checkpoint.result(profileTask(config.category)) || {};
+                console.log(`[Checkpoint] ${config.category} was finished before the interruption (${kept} new jobs). Skipping.`);
+                summary.newJobs += kept;
+                summary.categories.push({ category: config.category, found, kept });
+                continue;
+            }
+            // Jobs the interrupted run found (stored, but not yet ranked, synced or alerted)
+            const categoryJobs = existingJobs.filter(job => job.foundInRun === runId && job.category === config.category);
+            if (categoryJobs.length) console.log(`[Checkpoint] ${categoryJobs.length} ${config.category} jobs were found before the interruption.`);
+            const sources = getSources(config.sources);
+            const context = {
+                store,
+                runId,
+                existingJobs,
+                categoryJobs,
+                dedupIndex,
+                limiter
+            };
+
+            // Searches of every source, spread over the page pool within each host's limits
+            const tasks = searchTasks(config, sources, scrapeRun, context, searchMetrics);
+            const pages = options.pages || config.scheduling.pages;
+            console.log(`[Scheduler] ${tasks.length} searches on ${sources.map(s => s.platform).join(' + ')}, ${pages} pages at a time.`);
+            const result = await runTasks(tasks, { concurrency: pages, retries: config.scheduling.retries, label: 'searches' });
+            summary.searches += tasks.length;
+            summary.failedSearches += result.failed;
+            console.log(`[Scheduler] ${config.category} searches done in ${formatDuration(result.durationMs)}.`);
+
+            // Detail pages of the new jobs (optional, per profile)
+            if (config.enrichment.enabled && categoryJobs.length > 0) {
+                await enrichJobs(browser, categoryJobs, job => getSourceByPlatform(job.platform), { ...config.enrichment, limiter, openPage: session.openPage });
+            }
+
+            // Pages of jobs found in earlier runs: closed, expired or edited since (optional, per profile)
+            if (config.revalidation.enabled) {
+                const earlierJobs = jobsToRevalidate(store, config.category, runId);
+                await revalidateJobs(earlierJobs, job => getSourceByPlatform(job.platform), config.revalidation, { limiter, cooldowns, openPage: session.openPage });
+                // Jobs older than the tracked window that were just visited are saved and synced with the rest
+                const tracked = new Set(existingJobs);
+                existingJobs.push(...earlierJobs.filter(job => !tracked.has(job) && Date.parse(job.checkedAt) >= started));
+            }
+
+            // Rank; low scorers stay in the store (so they aren't re-scraped) but skip the sheet.
+            // Re-tag first: detail pages may have shown an agency's description.
+            categoryJobs.forEach(job => tagCompany(job, config.companies));
+            const rankedJobs = scoreJobs(categoryJobs, config);
+            const sheetJobs = rankedJobs.filter(job => job.score >= config.scoring.minScore);
+            if (sheetJobs.length < rankedJobs.length) {
+                console.log(`[Score] ${rankedJobs.length - sheetJobs.length} ${config.category} jobs scored below ${config.scoring.minScore}.`);
+            }
+            summary.newJobs += sheetJobs.length;
+            summary.categories.push({ category: config.category, found: rankedJobs.length, kept: sheetJobs.length });
+
+            if (sheetJobs.length > 0) {
+                const platforms = sources.map(s => s.platform).join(' + ');
+                console.log(`Found ${sheetJobs.length} new ${config.category} jobs (${platforms}), top score ${sheetJobs[0].score}.`);
+            } else {
+                console.log(`No new ${config.category} jobs found.`);
+            }
+
+            // Every candidate of the category gets a match score for each tracked job
+            const trackedJobs = existingJobs.filter(job => job.category === config.category);
+            const categoryCandidates = candidates.filter(candidate => forCategory(candidate, config.category));
+            matchJobs(trackedJobs, categoryCandidates);
+            for (const candidate of categoryCandidates) {
+                console.log(`[Match] ${candidate.name}: ${shortlist(trackedJobs, candidate).length} ${config.category} jobs at or above ${candidate.minScore}.`);
+            }
+
+            if (options.dryRun) {
+                printDryRun(config, sheetJobs);
+                continue;
+            }
+
+            // Save to the profile's Sheets: this run's jobs, merged ones, rows left over
+            // from a failed sync and dashboard status changes; anything that fails again
+            // stays queued in the store
+            queueSheetRows(sheetJobs);
+            const outputs = getSheetOutputs(config);
+            if (outputs.length === 0 && getFileOutputs(config).length === 0) {
+                console.log(`[Outputs] ${config.category} has no outputs (no Spreadsheet ID or file path); jobs are kept in the store only.`);
+            }
+            for (const output of outputs) {
+                await syncOutput(sheets, output, trackedJobs);
+                await syncStatuses(sheets, output, trackedJobs);
+            }
+
+            // Candidates' tabs: their shortlist, rows kept apart from the profile's sync state
+            for (const candidate of categoryCandidates) {
+                const outputs = candidateSheetOutputs(candidate);
+                if (outputs.length === 0) continue;
+                trackedJobs.forEach(job => { job.candidateSynced = job.candidateSynced || {}; });
+                const rows = shortlist(trackedJobs, candidate);
+                for (const output of outputs) await syncOutput(sheets, output, rows);
+            }
+
+            // Alerts for this run's jobs plus any held back earlier (quiet hours, failed sends)
+            queueNotifications(sheetJobs, config.notifications);
+            await sendNotifications(trackedJobs, config.notifications, config.category);
+
+            // Enrichment, scores and sync/alert state back to the store
+            for (const job of trackedJobs) store.saveJob(job, runId);
+            checkpoint.done(profileTask(config.category), { found: rankedJobs.length, kept: sheetJobs.length });
+        }
+
+        // CSV/Excel/feed/calendar files, from the store. Every profile's and candidate's
+        // files are rewritten, so a shared workbook keeps the tabs of profiles not run now.
+        if (!options.dryRun) writeFileOutputs(profiles, store, new Date(), candidates);
+        checkpoint.finish(); // a crash before here leaves the checkpoint for the next run
+    } catch (e) {
+        console.error('Run Error:', e); // browser, sheets client or a step of the run
+        summary.broken = true;
+    } finally {
+        if (pool) await pool.close();
+        if (session) {
+            if (!options.dryRun) await session.save();
+            await session.close();
+        }
+        if (browser) await browser.close();
+        finishReport(store, runId, started, searchMetrics, summary, Boolean(options.dryRun));
+        store.close();
+    }
+
+    if (summary.searches > 0 && summary.failedSearches === summary.searches) summary.broken = true;
+    summary.durationMs = Date.now() - started;
+    console.log(`[Run] Finished in ${formatDuration(summary.durationMs)} (${summary.searches} searches, ${summary.failedSearches} failed).`);
+    return summary;
+}
+
+function scrapeExitCode(summary) {
+    if (summary.busy) return EXIT_CODES.busy;
+    if (summary.broken) return EXIT_CODES.broken;
+    return summary.newJobs > 0 ? EXIT_CODES.ok : EXIT_CODES.noNewJobs;
+}
+
+module.exports = { RESULTS_FILE, EXIT_CODES, selectProfiles, runScraper, scrapeExitCode };
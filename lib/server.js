@@ -0,0 +1,247 @@
+// --- Dashboard Server ---
+// A small HTTP server over the job store: the triage page (lib/dashboard.html) and
+// the JSON API it uses, open to other tools too:
+//
+//   GET   /jobs       Filtered jobs (query: category, status, platform, location, q,
+//                     minScore, experience, companyTag, lifecycle, days, sort, limit, offset) and the filter values
+//   GET   /jobs/:id   One job with its sources, sightings, changes and status history
+//   PATCH /jobs/:id   { status, note } moves the job on; the status goes to its sheets
+//   GET   /companies  Employers of the filtered jobs (same query) with their open roles
+//   GET   /runs       Recent scrape runs with their health reports (query: limit)
+//
+// The store is opened per request, so jobs a scrape adds meanwhile show up.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { openStore, STATUSES } = require('./store');
+const { queryJobs, SORTS, COMPANY_TAGS, LIFECYCLES } = require('./query');
+const { lifecycleOf } = require('./lifecycle');
+const { groupByCompany } = require('./companies');
+const { outputKey, queueStatusSync, syncStatuses } = require('./sheets');
+
+const DASHBOARD_FILE = path.join(__dirname, 'dashboard.html');
+const DEFAULT_LIMIT = 500;
+const MAX_BODY_BYTES = 64 * 1024;
+const SHEET_RETRY = { retries: 1 }; // a click shouldn't hang on Sheets; failures stay queued for the scraper
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+// A query parameter as a non-negative number (undefined when absent)
+function numberParam(params, name) {
+    if (!params.has(name) || params.get(name) === '') return undefined;
+    const value = Number(params.get(name));
+    if (!Number.isFinite(value) || value < 0) throw httpError(400, `"${name}" must be a non-negative number`);
+    return value;
+}
+
+function jobFilters(params) {
+    const text = name => params.get(name) || undefined;
+    const status = text('status');
+    if (status && !STATUSES.includes(status)) throw httpError(400, `Unknown status "${status}" (expected one of: ${STATUSES.join(', ')})`);
+    const sort = text('sort');
+    if (sort && !SORTS[sort]) throw httpError(400, `Unknown sort "${sort}" (expected one of: ${Object.keys(SORTS).join(', ')})`);
+    const companyTag = text('companyTag');
+    if (companyTag && !COMPANY_TAGS.includes(companyTag)) {
+        throw httpError(400, `Unknown company tag "${companyTag}" (expected one of: ${COMPANY_TAGS.join(', ')})`);
+    }
+    const lifecycle = text('lifecycle');
+    if (lifecycle && !LIFECYCLES.includes(lifecycle)) {
+        throw httpError(400, `Unknown lifecycle "${lifecycle}" (expected one of: ${LIFECYCLES.join(', ')})`);
+    }
+    return {
+        category: text('category'),
+        status,
+        platform: text('platform'),
+        location: text('location'),
+        text: text('q'),
+        minScore: numberParam(params, 'minScore'),
+        experience: numberParam(params, 'experience'),
+        companyTag,
+        lifecycle,
+        postedWithinDays: numberParam(params, 'days'),
+        sort
+    };
+}
+
+// A job as listed: the fields the table shows, without the description
+function jobSummary(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        statusChangedAt: job.statusChangedAt,
+        category: job.category,
+        title: job.title,
+        company: job.company,
+        companyTags: job.companyTags || [],
+        lifecycle: lifecycleOf(job),
+        closedAt: job.closedAt || null,
+        location: job.location,
+        platform: job.platform,
+        platforms: job.platforms || [job.platform],
+        experience: job.experience,
+        expMin: job.expMin ?? null,
+        expMax: job.expMax ?? null,
+        salary: job.salary,
+        workMode: job.workMode || null,
+        postedAt: job.postedAt || null,
+        scrapedAt: job.scrapedAt || null,
+        score: job.score ?? null,
+        detailUrl: job.detailUrl
+    };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                reject(httpError(400, 'Request body must be JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * The dashboard's request handler. Options:
+ * - dbFile      job store file (default: JOBS_DB or jobs.db)
+ * - outputsFor  category -> its sheet outputs `{ spreadsheetId, tab }` for status sync
+ * - sheets      a Sheets client (lib/sheets); without one, statuses stay queued for the scraper
+ */
+function createDashboard({ dbFile, outputsFor = () => [], sheets = null } = {}) {
+    const page = fs.readFileSync(DASHBOARD_FILE, 'utf8');
+
+    async function withStore(fn) {
+        const store = openStore(dbFile);
+        try {
+            return await fn(store);
+        } finally {
+            store.close();
+        }
+    }
+
+    const listJobs = params => withStore(store => {
+        const matching = queryJobs(store, jobFilters(params));
+        const offset = numberParam(params, 'offset') || 0;
+        const limit = numberParam(params, 'limit') || DEFAULT_LIMIT;
+        const all = store.listJobs();
+        return {
+            total: matching.length,
+            jobs: matching.slice(offset, offset + limit).map(jobSummary),
+            filters: {
+                categories: [...new Set(all.map(job => job.category).filter(Boolean))].sort(),
+                platforms: [...new Set(all.flatMap(job => job.platforms || [job.platform]).filter(Boolean))].sort(),
+                statuses: STATUSES,
+                companyTags: COMPANY_TAGS,
+                lifecycles: LIFECYCLES,
+                sorts: Object.keys(SORTS)
+            }
+        };
+    });
+
+    const findJob = (store, id) => {
+        const job = /^\d+$/.test(id) ? store.getJob(Number(id)) : null;
+        if (!job) throw httpError(404, `No job with id ${id}`);
+        return job;
+    };
+
+    const getJob = id => withStore(store => {
+        const job = findJob(store, id);
+        return { ...job, lifecycle: lifecycleOf(job), history: store.getHistory(job.id) };
+    });
+
+    // Moves the job on, then writes the status to its category's sheets (queued if that fails)
+    const updateJob = (id, body) => withStore(async store => {
+        const job = findJob(store, id);
+        const { status, note } = body || {};
+        if (!STATUSES.includes(status)) throw httpError(400, `"status" must be one of: ${STATUSES.join(', ')}`);
+        if (note !== undefined && typeof note !== 'string') throw httpError(400, '"note" must be text');
+        if (job.status === status) return { job: jobSummary(job), sheets: 'unchanged' };
+
+        try {
+            store.setStatus(job.id, status, note || null);
+        } catch (e) {
+            throw httpError(409, e.message);
+        }
+        console.log(`[Dashboard] Job ${job.id} (${job.title} — ${job.company}): -> ${status}`);
+
+        const outputs = outputsFor(job.category);
+        let sheetState = 'none';
+        if (outputs.length) {
+            queueStatusSync(job);
+            if (sheets) {
+                for (const output of outputs) await syncStatuses(sheets, output, [job], new Date(), SHEET_RETRY);
+            }
+            sheetState = outputs.every(output => job.statusSynced[outputKey(output)]) ? 'synced' : 'queued';
+            store.saveJob(job);
+        }
+        return { job: jobSummary(job), sheets: sheetState };
+    });
+
+    const listCompanies = params => withStore(store => {
+        const groups = groupByCompany(queryJobs(store, jobFilters(params)));
+        const limit = numberParam(params, 'limit') || groups.length;
+        return {
+            total: groups.length,
+            companies: groups.slice(0, limit).map(({ jobs, ...group }) => ({ ...group, jobs: jobs.map(jobSummary) }))
+        };
+    });
+
+    const listRuns = params => withStore(store => store.listRuns({ limit: numberParam(params, 'limit') || 20 }));
+
+    async function route(req, url) {
+        const parts = url.pathname.split('/').filter(Boolean);
+        if (parts[0] === 'jobs' && parts.length === 1 && req.method === 'GET') return listJobs(url.searchParams);
+        if (parts[0] === 'jobs' && parts.length === 2 && req.method === 'GET') return getJob(parts[1]);
+        if (parts[0] === 'jobs' && parts.length === 2 && req.method === 'PATCH') return updateJob(parts[1], await readBody(req));
+        if (parts[0] === 'companies' && parts.length === 1 && req.method === 'GET') return listCompanies(url.searchParams);
+        if (parts[0] === 'runs' && parts.length === 1 && req.method === 'GET') return listRuns(url.searchParams);
+        if (['jobs', 'companies', 'runs'].includes(parts[0]) && parts.length <= 2) throw httpError(405, `${req.method} is not supported on ${url.pathname}`);
+        throw httpError(404, `Nothing at ${url.pathname}`);
+    }
+
+    return async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(page);
+            return;
+        }
+        try {
+            sendJson(res, 200, await route(req, url));
+        } catch (e) {
+            if (!e.status) console.error('[Dashboard] Request failed:', e);
+            sendJson(res, e.status || 500, { error: e.status ? e.message : 'Internal error' });
+        }
+    };
+}
+
+// Starts the dashboard; resolves to the listening http.Server
+function startDashboard({ port = 3000, host = '127.0.0.1', ...options } = {}) {
+    const server = http.createServer(createDashboard(options));
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server));
+    });
+}
+
+module.exports = { createDashboard, startDashboard, jobSummary };
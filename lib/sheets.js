@@ -0,0 +1,414 @@
+// --- Google Sheets Sync ---
+// Keeps a tab in step with the scraped jobs. Row 1 is a header and columns are
+// found by header name, so they can be moved or hand-added freely. Jobs already in
+// the tab (by any of their URLs) are updated in place; only the columns this file
+// owns are written, never ones filled in by hand ("Status", "Applied On", "Notes").
+const fs = require('fs');
+const { sourceList } = require('./dedupe');
+const { withRetry } = require('./utils');
+const { lifecycleOf } = require('./lifecycle');
+
+const SERVICE_ACCOUNT_FILE = 'service_account_credentials.json';
+const DESCRIPTION_LIMIT = 1000; // Full descriptions stay in the job store
+const CHANGES_SHOWN = 5;        // latest field changes in the "Changes" cell
+
+// In the order older sheets were written without a header (A=Company ... Y=Score Reasons)
+const SHEET_COLUMNS = [
+    { header: 'Company', value: job => job.company || '' },
+    { header: 'Title', value: job => job.title || '' },
+    { header: 'Experience', value: job => job.experience || '' },
+    { header: 'Location', value: job => job.location || '' },
+    { header: 'Detail URL', value: job => job.detailUrl || '' },
+    { header: 'Posted Date', value: job => job.postedDate || '' },
+    { header: 'Scraped At', value: job => job.scrapedAt || '' },
+    { header: 'Posted At', value: job => job.postedAt || '' },
+    { header: 'Exp Min', value: job => job.expMin ?? '' },
+    { header: 'Exp Max', value: job => job.expMax ?? '' },
+    { header: 'Salary', value: job => job.salary || '' },
+    { header: 'Salary Min', value: job => job.salaryMin ?? '' },
+    { header: 'Salary Max', value: job => job.salaryMax ?? '' },
+    { header: 'Salary Currency', value: job => job.salaryCurrency || '' },
+    { header: 'Work Mode', value: job => job.workMode || '' },
+    { header: 'Employment Type', value: job => job.employmentType || '' },
+    { header: 'Skills', value: job => (job.skills || []).join(', ') },
+    { header: 'Applicants', value: job => job.applicantCount ?? '' },
+    { header: 'Apply URL', value: job => job.applyUrl || '' },
+    { header: 'Enrichment Error', value: job => job.enrichmentError || '' },
+    { header: 'Description', value: job => (job.description || '').slice(0, DESCRIPTION_LIMIT) },
+    { header: 'Platforms', value: job => (job.platforms || [job.platform]).filter(Boolean).join(', ') },
+    {
+        header: 'Other Sources',
+        value: job => sourceList(job).filter(s => s.detailUrl !== job.detailUrl).map(s => s.detailUrl).join('\n')
+    },
+    { header: 'Score', value: job => job.score ?? '' },
+    { header: 'Score Reasons', value: job => (job.scoreReasons || []).join('\n') },
+    { header: 'Company Tags', value: job => (job.companyTags || []).join(', ') },
+    { header: 'Lifecycle', value: job => ({ open: 'Open', closed: 'Closed', reposted: 'Repost' })[lifecycleOf(job)] },
+    { header: 'Closed At', value: job => job.closedAt || '' },
+    { header: 'Closed Reason', value: job => job.closedReason || '' },
+    { header: 'Repost Of', value: job => job.repostOf?.detailUrl || '' },
+    {
+        header: 'Changes',
+        value: job => (job.changes || []).slice(-CHANGES_SHOWN).map(c => `${c.field}: ${c.from} -> ${c.to} (${c.at.slice(0, 10)})`).join('\n')
+    },
+    { header: 'Last Checked', value: job => job.checkedAt || '' }
+];
+
+// Added to the header when missing; like any column not in SHEET_COLUMNS, never written
+const MANUAL_COLUMNS = ['Status', 'Applied On', 'Notes'];
+
+const URL_HEADERS = ['Detail URL', 'Other Sources'];
+const SCORE_HEADER = 'Score';
+
+// --- Client ---
+// googleapis is required on first use: it takes seconds to load and the CLI's
+// store queries never touch Sheets
+const google = () => require('googleapis').google;
+
+function getAuth() {
+    return new (google().auth.GoogleAuth)({
+        keyFile: fs.existsSync(SERVICE_ACCOUNT_FILE) ? SERVICE_ACCOUNT_FILE : undefined,
+        credentials: !fs.existsSync(SERVICE_ACCOUNT_FILE) ? {
+            client_email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+            private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+        } : undefined,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+    });
+}
+
+function createSheetsClient() {
+    return google().sheets({ version: 'v4', auth: getAuth() });
+}
+
+// Rate limits, server errors and dropped connections are worth another try; 4xx are not
+function isRetryable(err) {
+    const status = Number(err.code || err.status || err.response?.status);
+    if (status) return status === 429 || status >= 500;
+    return ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'ENOTFOUND'].includes(err.code);
+}
+
+const RETRY_OPTIONS = { retries: 4, baseDelayMs: 2000, shouldRetry: isRetryable };
+
+function call(label, fn, retryOptions) {
+    return withRetry(fn, { ...RETRY_OPTIONS, ...retryOptions, label: `[Sheets] ${label}` });
+}
+
+// --- A1 Notation ---
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+const quoteTab = title => `'${title.replace(/'/g, "''")}'`;
+
+// Identifies a tab across runs in `job.sheetSynced`
+function outputKey(output) {
+    return output.tab ? `${output.spreadsheetId}/${output.tab}` : output.spreadsheetId;
+}
+
+// --- Tab & Header ---
+// The output's named tab (created when missing), or the first tab
+async function openTab(sheets, output, retryOptions) {
+    const { spreadsheetId } = output;
+    const meta = await call('Read spreadsheet', () => sheets.spreadsheets.get({ spreadsheetId }), retryOptions);
+    const tabs = meta.data.sheets.map(s => s.properties);
+    if (!output.tab) return tabs[0];
+
+    const existing = tabs.find(t => t.title === output.tab);
+    if (existing) return existing;
+
+    const created = await call(`Create tab "${output.tab}"`, () => sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: { requests: [{ addSheet: { properties: { title: output.tab } } }] },
+    }), retryOptions);
+    console.log(`[Sheets] Created tab "${output.tab}".`);
+    return created.data.replies[0].addSheet.properties;
+}
+
+const isKnownHeader = cell => SHEET_COLUMNS.some(c => c.header === cell) || MANUAL_COLUMNS.includes(cell);
+
+/**
+ * Makes sure row 1 is a header with every column this sync needs. An empty tab gets
+ * the full header; a tab of header-less rows (the old fixed layout) gets one inserted
+ * above them; an existing header gets missing columns added at the end.
+ * Returns the header cells.
+ */
+async function ensureHeader(sheets, spreadsheetId, tab, retryOptions) {
+    const response = await call('Read header', () => sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${quoteTab(tab.title)}!1:1`,
+    }), retryOptions);
+    const firstRow = (response.data.values?.[0] || []).map(cell => String(cell).trim());
+    const hasHeader = firstRow.some(isKnownHeader);
+
+    if (firstRow.length > 0 && !hasHeader) {
+        await call('Insert header row', () => sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: [{
+                    insertDimension: {
+                        range: { sheetId: tab.sheetId, dimension: 'ROWS', startIndex: 0, endIndex: 1 },
+                        inheritFromBefore: false
+                    }
+                }]
+            },
+        }), retryOptions);
+        console.log(`[Sheets] Added a header row above the existing rows of "${tab.title}".`);
+    }
+
+    const headers = hasHeader ? [...firstRow] : [];
+    const missing = [...SHEET_COLUMNS.map(c => c.header), ...MANUAL_COLUMNS].filter(h => !headers.includes(h));
+    if (missing.length === 0) return headers;
+
+    const start = headers.length;
+    headers.push(...missing);
+    await call('Write header', () => sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${quoteTab(tab.title)}!${columnLetter(start)}1`,
+        valueInputOption: 'RAW',
+        resource: { values: [missing] },
+    }), retryOptions);
+    if (hasHeader) console.log(`[Sheets] Added columns to "${tab.title}": ${missing.join(', ')}`);
+    return headers;
+}
+
+// Row number (1-based) of every URL in the tab's "Detail URL" and "Other Sources" columns
+function indexRows(rows, headers) {
+    const urlColumns = URL_HEADERS.map(h => headers.indexOf(h)).filter(i => i !== -1);
+    const rowByUrl = new Map();
+    rows.forEach((row, i) => {
+        if (i === 0) return; // header
+        for (const column of urlColumns) {
+            String(row[column] || '').split(/\s+/)
+                .filter(url => url.startsWith('http'))
+                .forEach(url => { if (!rowByUrl.has(url)) rowByUrl.set(url, i + 1); });
+        }
+    });
+    return rowByUrl;
+}
+
+async function readTab(sheets, output, retryOptions) {
+    const tab = await openTab(sheets, output, retryOptions);
+    const headers = await ensureHeader(sheets, output.spreadsheetId, tab, retryOptions);
+    const response = await call('Read rows', () => sheets.spreadsheets.values.get({
+        spreadsheetId: output.spreadsheetId,
+        range: quoteTab(tab.title),
+    }), retryOptions);
+    const rows = response.data.values || [];
+    return { tab, headers, rowByUrl: indexRows(rows, headers) };
+}
+
+// --- Sync ---
+// Every job URL already in the output's tab (dedup state for stateless runs).
+// `readOnly` (dry runs) reads what is there without adding a tab or header.
+async function fetchExistingUrls(sheets, output, { readOnly = false } = {}) {
+    try {
+        if (!readOnly) return [...(await readTab(sheets, output)).rowByUrl.keys()];
+
+        const meta = await call('Read spreadsheet', () => sheets.spreadsheets.get({ spreadsheetId: output.spreadsheetId }));
+        const tabs = meta.data.sheets.map(s => s.properties);
+        const tab = output.tab ? tabs.find(t => t.title === output.tab) : tabs[0];
+        if (!tab) return [];
+
+        const response = await call('Read rows', () => sheets.spreadsheets.values.get({
+            spreadsheetId: output.spreadsheetId,
+            range: quoteTab(tab.title),
+        }));
+        const rows = response.data.values || [];
+        const hasHeader = (rows[0] || []).some(cell => isKnownHeader(String(cell).trim()));
+        const headers = hasHeader ? rows[0].map(cell => String(cell).trim()) : SHEET_COLUMNS.map(c => c.header);
+        return [...indexRows(hasHeader ? rows : [[], ...rows], headers).keys()];
+    } catch (error) {
+        console.error(`[Sheets] Error fetching URLs from ${output.spreadsheetId}:`, error.message);
+        return [];
+    }
+}
+
+// The job's values for the columns this sync owns, placed by header position
+function rowValues(job, headers) {
+    return headers.map(header => {
+        const column = SHEET_COLUMNS.find(c => c.header === header);
+        return column ? column.value(job) : '';
+    });
+}
+
+// Updates for an existing row: one range per run of adjacent owned columns
+function rowUpdates(job, headers, tabTitle, rowNumber) {
+    const values = rowValues(job, headers);
+    const owned = headers.map(header => SHEET_COLUMNS.some(c => c.header === header));
+    const updates = [];
+    for (let start = 0; start < headers.length; start++) {
+        if (!owned[start]) continue;
+        let end = start;
+        while (end + 1 < headers.length && owned[end + 1]) end++;
+        updates.push({
+            range: `${quoteTab(tabTitle)}!${columnLetter(start)}${rowNumber}:${columnLetter(end)}${rowNumber}`,
+            values: [values.slice(start, end + 1)]
+        });
+        start = end;
+    }
+    return updates;
+}
+
+/**
+ * Writes `jobs` to the output's tab: updates the rows they already have, appends
+ * the rest, then sorts the tab by score (header stays on top).
+ * Retries transient errors with backoff and throws once retries run out, so the
+ * caller can keep the jobs queued. Returns `{ appended, updated }`.
+ */
+async function syncJobs(sheets, output, jobs, retryOptions) {
+    const { spreadsheetId } = output;
+    const { tab, headers, rowByUrl } = await readTab(sheets, output, retryOptions);
+
+    const updates = [];
+    const appends = [];
+    for (const job of jobs) {
+        const rowNumber = sourceList(job).map(s => rowByUrl.get(s.detailUrl)).find(Boolean);
+        if (rowNumber) updates.push(...rowUpdates(job, headers, tab.title, rowNumber));
+        else appends.push(rowValues(job, headers));
+    }
+
+    if (updates.length > 0) {
+        await call('Update rows', () => sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            resource: { valueInputOption: 'RAW', data: updates }, // scraped text must not be read as formulas or dates
+        }), retryOptions);
+    }
+    if (appends.length > 0) {
+        await call('Append rows', () => sheets.spreadsheets.values.append({
+            spreadsheetId,
+            range: `${quoteTab(tab.title)}!A1`,
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: appends },
+        }), retryOptions);
+    }
+
+    await call('Sort by score', () => sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+            requests: [{
+                sortRange: {
+                    range: { sheetId: tab.sheetId, startRowIndex: 1 },
+                    sortSpecs: [{ dimensionIndex: headers.indexOf(SCORE_HEADER), sortOrder: 'DESCENDING' }]
+                }
+            }]
+        },
+    }), retryOptions);
+
+    const result = { appended: appends.length, updated: jobs.length - appends.length };
+    console.log(`[Sheets] "${tab.title}" (${spreadsheetId.slice(0, 5)}...): appended ${result.appended}, updated ${result.updated}.`);
+    return result;
+}
+
+// Marks jobs as needing a write to the sheets (in place)
+function queueSheetRows(jobs) {
+    jobs.forEach(job => { job.sheetSynced = job.sheetSynced || {}; });
+}
+
+// Queued jobs not yet written to `output`, or changed (merged sources) since
+function pendingRows(jobs, output) {
+    const key = outputKey(output);
+    return jobs.filter(job => job.sheetSynced && (!job.sheetSynced[key] || (job.updatedAt && job.updatedAt > job.sheetSynced[key])));
+}
+
+/**
+ * Syncs the pending jobs to one output; on failure they stay pending for the next run.
+ */
+async function syncOutput(sheets, output, jobs, now = new Date(), retryOptions) {
+    const pending = pendingRows(jobs, output);
+    if (pending.length === 0) return null;
+    try {
+        const result = await syncJobs(sheets, output, pending, retryOptions);
+        pending.forEach(job => { job.sheetSynced[outputKey(output)] = now.toISOString(); });
+        return result;
+    } catch (err) {
+        console.error(`[Sheets] Sync to ${output.spreadsheetId} failed, ${pending.length} rows queued for the next run:`, err.message);
+        return null;
+    }
+}
+
+// --- Status ---
+// Status changes made in the dashboard go to the "Status" column (and "Applied On"
+// for an application); the row sync above never writes either.
+
+// Marks a job's status as needing a write to its sheets (in place)
+function queueStatusSync(job) {
+    job.statusSynced = {};
+}
+
+const statusLabel = status => status.charAt(0).toUpperCase() + status.slice(1);
+
+/**
+ * Writes the queued statuses of `jobs` to their rows in one output. Jobs without a
+ * row in the tab need nothing written. On failure they stay queued.
+ * Returns `{ updated }`, or null when nothing was pending or the write failed.
+ */
+async function syncStatuses(sheets, output, jobs, now = new Date(), retryOptions) {
+    const key = outputKey(output);
+    const pending = jobs.filter(job => job.statusSynced && !job.statusSynced[key]);
+    if (pending.length === 0) return null;
+    try {
+        const { tab, headers, rowByUrl } = await readTab(sheets, output, retryOptions);
+        const cell = (header, rowNumber) => `${quoteTab(tab.title)}!${columnLetter(headers.indexOf(header))}${rowNumber}`;
+        const data = [];
+        let updated = 0;
+        for (const job of pending) {
+            const rowNumber = sourceList(job).map(s => rowByUrl.get(s.detailUrl)).find(Boolean);
+            if (!rowNumber) continue;
+            updated++;
+            data.push({ range: cell('Status', rowNumber), values: [[statusLabel(job.status)]] });
+            if (job.status === 'applied') {
+                data.push({ range: cell('Applied On', rowNumber), values: [[(job.statusChangedAt || now.toISOString()).slice(0, 10)]] });
+            }
+        }
+        if (data.length > 0) {
+            await call('Update statuses', () => sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: output.spreadsheetId,
+                resource: { valueInputOption: 'USER_ENTERED', data },
+            }), retryOptions);
+        }
+        pending.forEach(job => { job.statusSynced[key] = now.toISOString(); });
+        console.log(`[Sheets] "${tab.title}": updated ${updated} statuses.`);
+        return { updated };
+    } catch (err) {
+        console.error(`[Sheets] Status sync to ${output.spreadsheetId} failed, ${pending.length} statuses queued:`, err.message);
+        return null;
+    }
+}
+
+// --- Report Tabs ---
+/**
+ * Replaces everything in the output's tab (created when missing) with `rows`, for
+ * tabs that are reports (e.g. Trends) rather than job rows. Throws once retries run out.
+ */
+async function writeReportTab(sheets, output, rows, retryOptions) {
+    const tab = await openTab(sheets, output, retryOptions);
+    const range = quoteTab(tab.title);
+    await call('Clear tab', () => sheets.spreadsheets.values.clear({ spreadsheetId: output.spreadsheetId, range }), retryOptions);
+    await call('Write tab', () => sheets.spreadsheets.values.update({
+        spreadsheetId: output.spreadsheetId,
+        range: `${range}!A1`,
+        valueInputOption: 'RAW',
+        resource: { values: rows },
+    }), retryOptions);
+    console.log(`[Sheets] "${tab.title}" (${output.spreadsheetId.slice(0, 5)}...): wrote ${rows.length} rows.`);
+}
+
+module.exports = {
+    SHEET_COLUMNS,
+    MANUAL_COLUMNS,
+    createSheetsClient,
+    columnLetter,
+    outputKey,
+    fetchExistingUrls,
+    syncJobs,
+    queueSheetRows,
+    syncOutput,
+    queueStatusSync,
+    syncStatuses,
+    writeReportTab
+};
@@ -0,0 +1,74 @@
+// --- Skill Dictionary ---
+// Canonical skill names and the spellings that show up in job posts.
+// Matching is case-insensitive and bounded so "java" does not match "javascript".
+
+const SKILLS = [
+    { name: 'JavaScript', aliases: ['javascript', 'js', 'es6', 'ecmascript'] },
+    { name: 'TypeScript', aliases: ['typescript', 'ts'] },
+    { name: 'React', aliases: ['react', 'react.js', 'reactjs', 'react js'] },
+    { name: 'React Native', aliases: ['react native'] },
+    { name: 'Next.js', aliases: ['next.js', 'nextjs', 'next js'] },
+    { name: 'Redux', aliases: ['redux', 'redux toolkit'] },
+    { name: 'Angular', aliases: ['angular', 'angularjs', 'angular.js'] },
+    { name: 'Vue', aliases: ['vue', 'vue.js', 'vuejs', 'nuxt'] },
+    { name: 'Svelte', aliases: ['svelte', 'sveltekit'] },
+    { name: 'jQuery', aliases: ['jquery'] },
+    { name: 'HTML', aliases: ['html', 'html5'] },
+    { name: 'CSS', aliases: ['css', 'css3'] },
+    { name: 'Sass', aliases: ['sass', 'scss'] },
+    { name: 'Tailwind CSS', aliases: ['tailwind', 'tailwindcss', 'tailwind css'] },
+    { name: 'Bootstrap', aliases: ['bootstrap'] },
+    { name: 'Material UI', aliases: ['material ui', 'material-ui', 'mui'] },
+    { name: 'Responsive Design', aliases: ['responsive design', 'responsive web design', 'mobile first', 'mobile-first'] },
+    { name: 'Accessibility', aliases: ['accessibility', 'a11y', 'wcag', 'aria'] },
+    { name: 'Webpack', aliases: ['webpack'] },
+    { name: 'Vite', aliases: ['vite'] },
+    { name: 'Jest', aliases: ['jest'] },
+    { name: 'Cypress', aliases: ['cypress'] },
+    { name: 'Playwright', aliases: ['playwright'] },
+    { name: 'Storybook', aliases: ['storybook'] },
+    { name: 'GraphQL', aliases: ['graphql', 'apollo'] },
+    { name: 'REST APIs', aliases: ['restful', 'rest api', 'rest apis'] },
+    { name: 'Node.js', aliases: ['node', 'node.js', 'nodejs', 'express.js', 'expressjs'] },
+    { name: 'Git', aliases: ['git', 'github', 'gitlab', 'bitbucket'] },
+    { name: 'Figma', aliases: ['figma'] },
+    { name: 'Adobe XD', aliases: ['adobe xd', 'xd'] },
+    { name: 'Sketch', aliases: ['sketch'] },
+    { name: 'Photoshop', aliases: ['photoshop'] },
+    { name: 'Illustrator', aliases: ['illustrator'] },
+    { name: 'Prototyping', aliases: ['prototyping', 'prototypes', 'prototype'] },
+    { name: 'Wireframing', aliases: ['wireframing', 'wireframes', 'wireframe'] },
+    { name: 'User Research', aliases: ['user research', 'usability testing', 'user interviews'] },
+    { name: 'Design Systems', aliases: ['design system', 'design systems'] },
+    { name: 'UI/UX', aliases: ['ui/ux', 'ux/ui', 'ui ux', 'user experience', 'user interface'] },
+    { name: 'Python', aliases: ['python'] },
+    { name: 'Java', aliases: ['java'] },
+    { name: 'AWS', aliases: ['aws', 'amazon web services'] },
+    { name: 'Docker', aliases: ['docker'] }
+];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+const SKILL_PATTERNS = SKILLS.map(skill => ({
+    name: skill.name,
+    aliases: skill.aliases,
+    // "." is part of names like "Next.js", so "js" there is not JavaScript
+    pattern: new RegExp(`(?<![a-z0-9.])(?:${skill.aliases.map(escapeRegExp).join('|')})(?![a-z0-9])`, 'i')
+}));
+
+// Canonical skills mentioned in `text`, in dictionary order
+function extractSkills(text) {
+    if (!text) return [];
+    return SKILL_PATTERNS.filter(skill => skill.pattern.test(text)).map(skill => skill.name);
+}
+
+// Maps a board's own skill chip ("ReactJS") to the canonical name, or keeps it as-is
+function canonicalSkill(label) {
+    const trimmed = String(label || '').trim();
+    const lower = trimmed.toLowerCase();
+    const match = SKILL_PATTERNS.find(skill => skill.aliases.includes(lower))
+        || SKILL_PATTERNS.find(skill => skill.pattern.test(trimmed) && trimmed.length <= skill.name.length + 12);
+    return match ? match.name : trimmed;
+}
+
+module.exports = { SKILLS, extractSkills, canonicalSkill };
@@ -0,0 +1,77 @@
+// --- Company Career Page Source Adapter (Greenhouse / Lever) ---
+// Reads the public job board APIs for the boards listed in `config.careerBoards`:
+//   { provider: 'greenhouse', board: 'acme', company: 'Acme Corp' }
+//   { provider: 'lever', board: 'acme' }
+// Boards list every opening, so roles are not searched; the title filter does the work.
+
+const PROVIDERS = {
+    greenhouse: {
+        url: board => `https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(board)}/jobs`,
+        jobs: data => (data.jobs || []).map(j => ({
+            title: j.title,
+            detailUrl: j.absolute_url,
+            location: j.location?.name,
+            postedAt: j.first_published || j.updated_at
+        }))
+    },
+    lever: {
+        url: board => `https://api.lever.co/v0/postings/${encodeURIComponent(board)}?mode=json`,
+        jobs: data => (Array.isArray(data) ? data : []).map(j => ({
+            title: j.text,
+            detailUrl: j.hostedUrl,
+            location: j.categories?.location,
+            postedAt: j.createdAt ? new Date(j.createdAt).toISOString() : null
+        }))
+    }
+};
+
+function buildSearches(config) {
+    return (config.careerBoards || [])
+        .filter(board => {
+            if (PROVIDERS[board.provider]) return true;
+            console.error(`[Careers] Unknown provider "${board.provider}" for board "${board.board}". Skipping.`);
+            return false;
+        })
+        .map(board => ({
+            url: PROVIDERS[board.provider].url(board.board),
+            role: null,
+            location: null,
+            board
+        }));
+}
+
+async function extractCards(page, search) {
+    const body = await page.evaluate(() => document.body.innerText);
+    const { provider, board, company } = search.board;
+
+    try {
+        return PROVIDERS[provider].jobs(JSON.parse(body))
+            .map(job => ({ ...job, company: company || board }));
+    } catch (e) {
+        console.error(`[Careers] Could not parse ${provider} board "${board}":`, e.message);
+        return [];
+    }
+}
+
+function normalize(raw) {
+    return {
+        title: raw.title || 'N/A',
+        detailUrl: raw.detailUrl,
+        company: raw.company,
+        location: raw.location || 'N/A',
+        postedDate: raw.postedAt ? raw.postedAt.slice(0, 10) : 'N/A',
+        postedDatetime: raw.postedAt || null,
+        experience: 'N/A',
+        salary: 'N/A',
+        platform: 'Careers'
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    name: 'careers',
+    platform: 'Careers',
+    buildSearches,
+    extractCards,
+    normalize
+};
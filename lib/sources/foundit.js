@@ -0,0 +1,59 @@
+// --- Foundit (formerly Monster India) Source Adapter ---
+const { buildQuerySearches } = require('./queries');
+
+// One role per query and no work-mode filter ("Remote" is searched as a place)
+function searchUrl({ roles, location }, config) {
+    const { min, max } = config.experience;
+    return `https://www.foundit.in/srp/results?query=${encodeURIComponent(roles[0])}&locations=${encodeURIComponent(location)}&experienceRanges=${min}~${max}&jobFreshness=${config.freshnessDays}`;
+}
+
+function buildSearches(config) {
+    return buildQuerySearches(config, { searchUrl });
+}
+
+async function prepare(page) {
+    await page.waitForSelector('.srpResultCardContainer, .cardContainer', { timeout: 10000 }).catch(() => { });
+}
+
+function extractCards(page) {
+    return page.evaluate(() => {
+        const jobs = [];
+        const cards = Array.from(document.querySelectorAll('.srpResultCardContainer, .cardContainer'));
+
+        cards.forEach(card => {
+            const titleEl = card.querySelector('.jobTitle, .job-tittle h3');
+            const linkEl = card.querySelector('a[href*="/job/"]');
+            const text = (selector) => card.querySelector(selector)?.innerText.trim() || 'N/A';
+
+            jobs.push({
+                title: titleEl ? titleEl.innerText.trim() : 'N/A',
+                detailUrl: linkEl ? linkEl.href.split('?')[0] : null,
+                company: text('.companyName, .company-name'),
+                location: text('.details.location, .location'),
+                experience: text('.experienceSalary .details, .experience'),
+                salary: text('.experienceSalary .details:nth-of-type(2), .package'),
+                postedDate: text('.jobAddedTime, .posted-update')
+            });
+        });
+        return jobs;
+    });
+}
+
+function normalize(raw) {
+    return {
+        ...raw,
+        experience: raw.experience.replace(/\s*Years?/i, ' Yrs'),
+        postedDate: raw.postedDate.replace(/^Posted\s*/i, ''),
+        platform: 'Foundit'
+    };
+}
+
+module.exports = {
+    name: 'foundit',
+    platform: 'Foundit',
+    domain: 'foundit.in',
+    buildSearches,
+    prepare,
+    extractCards,
+    normalize
+};
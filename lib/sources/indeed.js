@@ -0,0 +1,110 @@
+// --- Indeed India Source Adapter ---
+const { randomDelay } = require('../utils');
+const { buildQuerySearches } = require('./queries');
+
+// Work mode filters (sc=0kf:attr(...);)
+const WORK_MODES = { Remote: 'DSQF7', Hybrid: 'PAXZC' };
+
+// q takes boolean search: ("A" or "B")
+function searchUrl({ roles, location, workMode }, config) {
+    const query = roles.length > 1 ? `(${roles.map(role => `"${role}"`).join(' or ')})` : roles[0];
+    const place = workMode ? `sc=${encodeURIComponent(`0kf:attr(${WORK_MODES[workMode]});`)}` : `l=${encodeURIComponent(location)}`;
+    // fromage=N => Posted in the last N days
+    return `https://in.indeed.com/jobs?q=${encodeURIComponent(query)}&${place}&fromage=${config.freshnessDays}`;
+}
+
+function buildSearches(config) {
+    return buildQuerySearches(config, { searchUrl, maxTerms: 5, workModes: Object.keys(WORK_MODES) });
+}
+
+async function prepare(page) {
+    await page.waitForSelector('.job_seen_beacon, td.resultContent', { timeout: 10000 }).catch(() => { });
+}
+
+function extractCards(page) {
+    return page.evaluate(() => {
+        const jobs = [];
+        const cards = Array.from(document.querySelectorAll('.job_seen_beacon'));
+
+        cards.forEach(card => {
+            const linkEl = card.querySelector('h2.jobTitle a, a.jcs-JobTitle');
+            const titleEl = card.querySelector('h2.jobTitle span[title], h2.jobTitle span');
+            const jobKey = linkEl ? linkEl.getAttribute('data-jk') : null;
+
+            jobs.push({
+                title: titleEl ? titleEl.innerText.trim() : 'N/A',
+                jobKey,
+                href: linkEl ? linkEl.href : null,
+                company: card.querySelector('[data-testid="company-name"], .companyName')?.innerText.trim() || 'N/A',
+                location: card.querySelector('[data-testid="text-location"], .companyLocation')?.innerText.trim() || 'N/A',
+                postedDate: card.querySelector('[data-testid="myJobsStateDate"], span.date')?.innerText.trim() || 'N/A',
+                salary: card.querySelector('.salary-snippet-container, [data-testid="attribute_snippet_testid"]')?.innerText.trim() || 'N/A'
+            });
+        });
+        return jobs;
+    });
+}
+
+function normalize(raw) {
+    // Tracking links (/rc/clk?jk=...) change per search, the job key does not
+    const detailUrl = raw.jobKey
+        ? `https://in.indeed.com/viewjob?jk=${raw.jobKey}`
+        : (raw.href ? raw.href.split('&')[0] : null);
+
+    return {
+        title: raw.title,
+        detailUrl,
+        company: raw.company,
+        location: raw.location,
+        postedDate: raw.postedDate.replace(/^(Posted|Employer)\s*/i, ''),
+        experience: 'N/A', // Not shown on Indeed cards
+        salary: raw.salary,
+        platform: 'Indeed'
+    };
+}
+
+function extractDetail(page) {
+    return page.evaluate(() => {
+        const text = (selector) => document.querySelector(selector)?.innerText.trim() || null;
+        const applyLink = document.querySelector('#applyButtonLinkContainer a, a[href*="applystart"]');
+
+        return {
+            experience: null,
+            salary: text('#salaryInfoAndJobType span:first-child, #salaryInfoAndJobType'),
+            description: text('#jobDescriptionText'),
+            skills: Array.from(document.querySelectorAll('[data-testid$="-tile"] [data-testid="list-item"], #qualificationsSection li'))
+                .map(el => el.innerText.trim())
+                .filter(Boolean),
+            employmentType: text('[data-testid="jobsearch-JobInfoHeader-jobType"], #salaryInfoAndJobType span:last-child'),
+            workMode: text('[data-testid="jobsearch-JobInfoHeader-companyLocation"], [data-testid="inlineHeader-companyLocation"]'),
+            applicants: null,
+            applyUrl: applyLink ? applyLink.href : null
+        };
+    });
+}
+
+async function nextPage(page) {
+    const nextBtn = await page.$('a[data-testid="pagination-page-next"]');
+    if (!nextBtn) return false;
+
+    await Promise.all([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => { }),
+        nextBtn.click()
+    ]);
+    await randomDelay(2000, 4000);
+    return true;
+}
+
+module.exports = {
+    name: 'indeed',
+    platform: 'Indeed',
+    domain: 'indeed.com',
+    maxPages: 3,
+    rateLimit: { concurrency: 1, minDelayMs: 6000 }, // bot checks trip on parallel sessions
+    buildSearches,
+    prepare,
+    extractCards,
+    normalize,
+    extractDetail,
+    nextPage
+};
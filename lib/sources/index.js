@@ -0,0 +1,58 @@
+/**
+ * Source adapter registry.
+ *
+ * Every adapter module exports:
+ * - name / platform       Registry key and the label stored on each job.
+ * - domain                Optional. The board's cookie domain ("naukri.com"); sources with
+ *                         one keep cookies / storage state between runs (lib/session).
+ * - buildSearches(config) Search tasks `{ url, role, location }` for a search profile;
+ *                         `workMode` when the board filters on Remote/Hybrid. Boards
+ *                         with keyword search build theirs with ./queries (merged
+ *                         role spellings, OR queries, work-mode filters).
+ * - prepare(page, config, search)   Optional. UI interactions after navigation.
+ * - extractCards(page, search)      Raw card objects from the current results page; a card
+ *                         that couldn't be read may come back as `{ extractionError }`
+ *                         (counted in the run report, then skipped). Lists that grow in
+ *                         place may return cards of earlier pages again: the pipeline
+ *                         reads each job URL once per search.
+ * - normalize(raw, search)          Maps a raw card to the shared job shape:
+ *                         { title, detailUrl, company, location, experience, salary, postedDate, platform }
+ *                         plus an optional `postedDatetime` (ISO/epoch ms) when the
+ *                         page or API exposes one. The pipeline turns these into `postedAt`.
+ * - extractDetail(page)   Optional. Reads an open job page into
+ *                         `{ experience, salary, description, skills, employmentType,
+ *                            workMode, applicants, applyUrl }` (texts, `skills` a list).
+ *                         Used for enrichment and when the card has no experience.
+ * - nextPage(page, search, pageNumber)  Optional. Moves to results page `pageNumber`
+ *                         (2, 3, ...), resolves false when there is none. lib/sources/paging
+ *                         has waits for infinite scroll and "load more" buttons.
+ * - maxPages              Optional. Upper bound for nextPage (default 1). Paging also stops
+ *                         at a page with no new cards or only cards older than the
+ *                         profile's freshness window.
+ * - rateLimit             Optional. `{ concurrency, minDelayMs }` for the board's host:
+ *                         searches at once and the gap between requests (lib/scheduler).
+ */
+
+const SOURCES = {
+    naukri: require('./naukri'),
+    linkedin: require('./linkedin'),
+    indeed: require('./indeed'),
+    foundit: require('./foundit'),
+    careers: require('./careers')
+};
+
+const DEFAULT_SOURCES = ['naukri', 'linkedin'];
+
+function getSources(names = DEFAULT_SOURCES) {
+    return names.map(name => {
+        const source = SOURCES[name];
+        if (!source) throw new Error(`Unknown job source "${name}". Available: ${Object.keys(SOURCES).join(', ')}`);
+        return source;
+    });
+}
+
+function getSourceByPlatform(platform) {
+    return Object.values(SOURCES).find(source => source.platform === platform) || null;
+}
+
+module.exports = { SOURCES, DEFAULT_SOURCES, getSources, getSourceByPlatform };
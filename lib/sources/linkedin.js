@@ -0,0 +1,173 @@
+// --- LinkedIn Source Adapter ---
+// Uses the public guest job search. Cards are lazily loaded, so the list is
+// scrolled until it stops growing before extraction. The guest view pages with a
+// "See more jobs" button that appends to the same list; the signed-in view has a
+// "Next" button that replaces it.
+const { randomDelay } = require('../utils');
+const { scrollUntilStable, clickForMore } = require('./paging');
+const { buildQuerySearches } = require('./queries');
+
+// LinkedIn HTML classes are obfuscated/dynamic (e.g. "_52d04d34"), so we rely on
+// data-view-name="job-search-job-card" and fall back to the guest view's .base-card
+const CARD_SELECTOR = 'div[data-view-name="job-search-job-card"], li .base-card';
+const LINK_SELECTOR = 'a.job-card-list__title, a.base-card__full-link';
+const SEE_MORE_SELECTOR = 'button.infinite-scroller__show-more-button';
+const NEXT_SELECTOR = 'button[data-testid="pagination-controls-next-button-visible"], button[aria-label="Next"]';
+
+// Workplace type filter values (f_WT)
+const WORK_MODES = { Remote: 2, Hybrid: 3 };
+
+// Keywords take boolean search: "A" OR "B"
+function searchUrl({ roles, location, workMode }, config) {
+    const keywords = roles.length > 1 ? roles.map(role => `"${role}"`).join(' OR ') : roles[0];
+    // f_TPR=r<seconds> => Posted within the freshness window (r604800 = Past Week)
+    const postedWithin = config.freshnessDays * 24 * 60 * 60;
+    // geoId => 102713980 (India) - Forces India results; work-mode searches cover all of it
+    // sortBy=DD => Newest first, so paging can stop once cards fall out of the window
+    const place = workMode ? `location=India&f_WT=${WORK_MODES[workMode]}` : `location=${encodeURIComponent(location)}`;
+    return `https://www.linkedin.com/jobs/search?keywords=${encodeURIComponent(keywords)}&${place}&geoId=102713980&f_TPR=r${postedWithin}&sortBy=DD&position=1&pageNum=0`;
+}
+
+function buildSearches(config) {
+    return buildQuerySearches(config, { searchUrl, maxTerms: 5, workModes: Object.keys(WORK_MODES) });
+}
+
+// Every card in the list, including ones read on earlier pages (the pipeline skips those)
+async function extractCards(page) {
+    await scrollUntilStable(page, CARD_SELECTOR);
+
+    return page.evaluate((cardSelector, linkSelector) => {
+        const jobs = [];
+        const cards = Array.from(document.querySelectorAll(cardSelector));
+
+        cards.forEach(card => {
+            try {
+                const titleEl = card.querySelector('.job-card-list__title, h3.base-search-card__title');
+                const title = titleEl ? titleEl.innerText.trim() : 'N/A';
+
+                const linkEl = card.querySelector(linkSelector);
+                const detailUrl = linkEl ? linkEl.href.split('?')[0] : null; // Clean URL
+
+                const companyEl = card.querySelector('.job-card-container__company-name, h4.base-search-card__subtitle');
+                const company = companyEl ? companyEl.innerText.trim() : 'N/A';
+
+                const locEl = card.querySelector('.job-card-container__metadata-item, span.job-search-card__location');
+                const location = locEl ? locEl.innerText.trim() : 'N/A';
+
+                const timeEl = card.querySelector('time');
+                const postedDate = timeEl ? timeEl.innerText.trim() : 'N/A';
+                const postedDatetime = timeEl ? timeEl.getAttribute('datetime') : null;
+
+                const salaryEl = card.querySelector('.job-search-card__salary-info');
+                const salary = salaryEl ? salaryEl.innerText.trim() : 'N/A';
+
+                if (detailUrl && title !== 'N/A') {
+                    jobs.push({ title, detailUrl, company, location, postedDate, postedDatetime, salary });
+                }
+            } catch (err) {
+                jobs.push({ extractionError: err.message });
+            }
+        });
+        return jobs;
+    }, CARD_SELECTOR, LINK_SELECTOR);
+}
+
+function normalize(raw) {
+    return {
+        ...raw,
+        experience: 'N/A', // LinkedIn often hides this in details
+        salary: raw.salary || 'N/A',
+        platform: 'LinkedIn'
+    };
+}
+
+// Guest job page: experience and skills are only mentioned in the description text.
+// Off-site applications keep the company link in a commented-out <code id="applyUrl">.
+function extractDetail(page) {
+    return page.evaluate(() => {
+        const text = (selector) => document.querySelector(selector)?.innerText.trim() || null;
+        const criteria = Array.from(document.querySelectorAll('.description__job-criteria-item'));
+        const criterion = (label) => {
+            const item = criteria.find(el => el.querySelector('h3')?.innerText.trim().toLowerCase() === label);
+            return item ? item.querySelector('span')?.innerText.trim() || null : null;
+        };
+
+        let applyUrl = null;
+        const applyCode = document.querySelector('code#applyUrl');
+        const quoted = applyCode ? applyCode.innerHTML.match(/"(https?:[^"]+)"/) : null;
+        if (quoted) {
+            try {
+                const external = new URL(quoted[1]);
+                applyUrl = external.searchParams.get('url') || quoted[1];
+            } catch (e) {
+                applyUrl = quoted[1];
+            }
+        }
+
+        return {
+            experience: null,
+            salary: text('.compensation__salary, .salary'),
+            description: text('.show-more-less-html__markup, .description__text'),
+            skills: [],
+            employmentType: criterion('employment type'),
+            workMode: text('.topcard__flavor--metadata, .workplace-type'),
+            applicants: text('.num-applicants__caption, .num-applicants__figure'),
+            applyUrl
+        };
+    });
+}
+
+async function nextPage(page) {
+    try {
+        if (await page.$(SEE_MORE_SELECTOR)) {
+            if (await clickForMore(page, SEE_MORE_SELECTOR, CARD_SELECTOR)) return true;
+            console.log('[LinkedIn] "See more jobs" loaded nothing new. Stopping pagination.');
+            return false;
+        }
+
+        const nextBtn = await page.$(NEXT_SELECTOR);
+        if (!nextBtn) {
+            console.log('[LinkedIn] No Next button found. Stopping pagination.');
+            return false;
+        }
+
+        const isDisabled = await page.evaluate(el => el.disabled || el.classList.contains('disabled'), nextBtn);
+        if (isDisabled) {
+            console.log('[LinkedIn] Next button disabled. Stopping pagination.');
+            return false;
+        }
+
+        // The list is replaced in place: wait until its first card links somewhere else
+        const firstCardUrl = () => page.evaluate((cardSelector, linkSelector) => {
+            const card = document.querySelector(cardSelector);
+            return card?.querySelector(linkSelector)?.href || null;
+        }, CARD_SELECTOR, LINK_SELECTOR);
+        const before = await firstCardUrl();
+
+        console.log('[LinkedIn] Clicking Next Page...');
+        await nextBtn.click();
+        const loaded = await page.waitForFunction((cardSelector, linkSelector, previous) => {
+            const link = document.querySelector(cardSelector)?.querySelector(linkSelector);
+            return link && link.href !== previous;
+        }, { timeout: 15000 }, CARD_SELECTOR, LINK_SELECTOR, before).then(() => true, () => false);
+        if (!loaded) console.log('[LinkedIn] Next page did not load. Stopping pagination.');
+        return loaded;
+    } catch (navErr) {
+        console.log('[LinkedIn] Pagination error:', navErr.message);
+        return false;
+    }
+}
+
+module.exports = {
+    name: 'linkedin',
+    platform: 'LinkedIn',
+    domain: 'linkedin.com',
+    maxPages: 5,
+    rateLimit: { concurrency: 2, minDelayMs: 5000 }, // guest pages start rate limiting quickly
+    buildSearches,
+    prepare: () => randomDelay(2000, 5000),
+    extractCards,
+    normalize,
+    extractDetail,
+    nextPage
+};
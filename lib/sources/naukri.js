@@ -0,0 +1,182 @@
+// --- Naukri Source Adapter ---
+// Results are numbered pages: ".../react-developer-jobs-in-chennai-2?..." is page 2.
+const { randomDelay, slugify } = require('../utils');
+const { buildQuerySearches } = require('./queries');
+
+const RESULTS_SELECTOR = '.list, .srp-jobtuple-wrapper, .jobTuple';
+
+// Day windows offered by the "Freshness" dropdown
+const FRESHNESS_OPTIONS = [1, 3, 7, 15, 30];
+
+function freshnessOption(days) {
+    return FRESHNESS_OPTIONS.find(option => option >= days) || FRESHNESS_OPTIONS[FRESHNESS_OPTIONS.length - 1];
+}
+
+// Work mode filter values (wfhType)
+const WORK_MODES = { Remote: 2, Hybrid: 3 };
+
+// Several keywords (k, comma-separated) match any of them; the path names the first
+function searchUrl({ roles, location, workMode }, config) {
+    const path = location ? `${slugify(roles[0])}-jobs-in-${slugify(location)}` : `${slugify(roles[0])}-jobs`;
+    const params = new URLSearchParams();
+    if (roles.length > 1) params.set('k', roles.join(', '));
+    if (roles.length > 1 && location) params.set('l', location);
+    if (workMode) params.set('wfhType', WORK_MODES[workMode]);
+    params.set('experience', config.experience.min);
+    params.set('jobAge', config.freshnessDays);
+    return `https://www.naukri.com/${path}?${params}`;
+}
+
+function buildSearches(config) {
+    return buildQuerySearches(config, { searchUrl, maxTerms: 3, workModes: Object.keys(WORK_MODES) });
+}
+
+async function prepare(page, config) {
+    // --- UI FILTERING (Conditional) ---
+    for (const uiFilter of config.uiFilters) {
+        try {
+            await page.waitForSelector('.styles_filterContainer__4aQaD', { timeout: 3000 }).catch(() => { });
+            const filterClicked = await page.evaluate(async (filterName) => {
+                const labels = Array.from(document.querySelectorAll('label p span.styles_filterLabel__jRP04'));
+                const target = labels.find(l => l.innerText.includes(filterName));
+                if (target) {
+                    target.scrollIntoView();
+                    const labelNode = target.closest('label');
+                    labelNode.click();
+                    return true;
+                }
+                return false;
+            }, uiFilter);
+
+            if (filterClicked) {
+                console.log(`Applied Filter: ${uiFilter}`);
+                await randomDelay(3000, 5000);
+            }
+        } catch (e) {
+            console.log(`[Naukri] Filter "${uiFilter}" not applied: ${e.message.split('\n')[0]}`);
+        }
+    }
+
+    // --- Freshness UI (Shared) ---
+    // Ensure the "Last N days" context matches the profile for strict checks later
+    try {
+        const days = freshnessOption(config.freshnessDays);
+        const label = days === 1 ? 'Last 1 day' : `Last ${days} days`;
+        const freshnessBtn = await page.$('#filter-freshness');
+        if (freshnessBtn) {
+            const btnText = await page.evaluate(el => el.innerText, freshnessBtn);
+            if (!btnText.includes(label)) {
+                await freshnessBtn.click();
+                await page.waitForSelector(`a[data-id="filter-freshness-${days}"]`, { visible: true, timeout: 2000 });
+                await page.click(`a[data-id="filter-freshness-${days}"]`);
+                await randomDelay(2000, 4000);
+            }
+        }
+    } catch (e) {
+        console.log(`[Naukri] Freshness filter not applied: ${e.message.split('\n')[0]}`);
+    }
+
+    // Missing results are judged by the pipeline (block page or broken selectors)
+    await page.waitForSelector(RESULTS_SELECTOR, { timeout: 10000 }).catch(() => { });
+}
+
+function extractCards(page) {
+    return page.evaluate(() => {
+        const nodes = document.querySelectorAll('.srp-jobtuple-wrapper, article.jobTuple');
+        const data = [];
+        nodes.forEach(node => {
+            const titleEl = node.querySelector('.title, a[title]');
+            const url = titleEl ? titleEl.href : null;
+            const title = titleEl ? (titleEl.getAttribute('title') || titleEl.innerText) : 'N/A';
+            const postedDate = node.querySelector('.job-post-day, span.fleft.postedDate')?.innerText || 'N/A';
+            const company = node.querySelector('.comp-name, a.subTitle')?.innerText || 'N/A';
+            const location = node.querySelector('.loc, .loc-wrap, span[title*="location"]')?.innerText || 'N/A';
+            const experience = node.querySelector('.exp, .exp-wrap, span[title*="Exp"]')?.innerText || 'N/A';
+            const salary = node.querySelector('.sal, .sal-wrap, span[title*="salary"]')?.innerText || 'N/A';
+
+            if (url) {
+                data.push({ title, detailUrl: url, postedDate, company, location, experience, salary });
+            }
+        });
+        return data;
+    });
+}
+
+function normalize(raw) {
+    return { ...raw, platform: 'Naukri' };
+}
+
+// Job detail page: header ("2 - 5 years", "6-12 Lacs P.A."), stats, key skills
+// and the "Role / Employment Type" list below the description
+function extractDetail(page) {
+    return page.evaluate(() => {
+        const text = (selector) => document.querySelector(selector)?.innerText.trim() || null;
+        const otherDetails = Array.from(document.querySelectorAll('[class*="other-details"] [class*="details"]'));
+        const detailValue = (label) => {
+            const row = otherDetails.find(el => el.innerText.trim().toLowerCase().startsWith(label));
+            return row ? row.innerText.split(':').slice(1).join(':').trim() : null;
+        };
+        const stats = Array.from(document.querySelectorAll('[class*="jhc__stat"]'));
+        const applicantsStat = stats.find(el => /applicants/i.test(el.innerText));
+        const companySite = document.querySelector('a[class*="company-site"], a#company-site-button');
+        const skillChips = document.querySelectorAll('[class*="key-skill"] a').length
+            ? document.querySelectorAll('[class*="key-skill"] a')
+            : document.querySelectorAll('[class*="key-skill"] span');
+
+        return {
+            experience: text('[class*="jhc__exp"]'),
+            salary: text('[class*="jhc__salary"]'),
+            description: text('[class*="JDC__dang-inner-html"], .job-desc'),
+            skills: [...new Set(Array.from(skillChips).map(el => el.innerText.trim()).filter(Boolean))],
+            employmentType: detailValue('employment type'),
+            workMode: text('[class*="jhc__location"], [class*="jhc__wfhmode"]'),
+            applicants: applicantsStat ? applicantsStat.innerText : null,
+            applyUrl: companySite ? companySite.href : null
+        };
+    });
+}
+
+// URL of results page `pageNumber`, from the current page's URL (so applied UI filters stay in its query)
+function pageUrl(currentUrl, pageNumber) {
+    const url = new URL(currentUrl);
+    const path = pageNumber > 2 ? url.pathname.replace(new RegExp(`-${pageNumber - 1}$`), '') : url.pathname;
+    url.pathname = `${path}-${pageNumber}`;
+    return url.toString();
+}
+
+async function nextPage(page, search, pageNumber) {
+    try {
+        // The pagination bar's Next link is disabled on the last page (null: no bar found)
+        const hasNext = await page.evaluate(() => {
+            const controls = Array.from(document.querySelectorAll('[class*="pagination"] a, [class*="pagination"] button'));
+            const next = controls.find(el => /next/i.test(el.innerText));
+            if (!next) return null;
+            return !(next.disabled || next.hasAttribute('disabled') || /disabled/i.test(next.className));
+        });
+        if (hasNext === false) {
+            console.log('[Naukri] Last results page. Stopping pagination.');
+            return false;
+        }
+
+        await page.goto(pageUrl(page.url(), pageNumber), { waitUntil: 'domcontentloaded', timeout: 30000 });
+        await page.waitForSelector(RESULTS_SELECTOR, { timeout: 10000 }).catch(() => { });
+        return true;
+    } catch (e) {
+        console.log(`[Naukri] Page ${pageNumber} not loaded: ${e.message.split('\n')[0]}`);
+        return false;
+    }
+}
+
+module.exports = {
+    name: 'naukri',
+    platform: 'Naukri',
+    domain: 'naukri.com',
+    maxPages: 5,
+    buildSearches,
+    prepare,
+    extractCards,
+    normalize,
+    extractDetail,
+    nextPage,
+    pageUrl
+};
@@ -0,0 +1,48 @@
+// --- Paging Helpers ---
+// Shared by adapters whose result lists grow in place (infinite scroll, "See more")
+// or move to another URL. Every wait is on the page's card count or navigation,
+// not a fixed delay, and gives up after a timeout.
+
+const DEFAULT_SETTLE_MS = 2500;   // no new cards for this long = the list has stopped growing
+const MAX_SCROLL_ROUNDS = 20;
+
+const countCards = (page, selector) => page.evaluate(sel => document.querySelectorAll(sel).length, selector);
+
+// Resolves true once more than `count` cards match `selector`, false after `timeout`
+function waitForMoreCards(page, selector, count, timeout = DEFAULT_SETTLE_MS) {
+    return page.waitForFunction((sel, n) => document.querySelectorAll(sel).length > n, { timeout }, selector, count)
+        .then(() => true, () => false);
+}
+
+/**
+ * Scrolls to the bottom until the number of `selector` cards stops growing
+ * (or `maxRounds` scrolls). Returns the final card count.
+ */
+async function scrollUntilStable(page, selector, { settleMs = DEFAULT_SETTLE_MS, maxRounds = MAX_SCROLL_ROUNDS } = {}) {
+    let count = await countCards(page, selector);
+    for (let round = 0; round < maxRounds; round++) {
+        await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        if (!(await waitForMoreCards(page, selector, count, settleMs))) break;
+        count = await countCards(page, selector);
+    }
+    return count;
+}
+
+/**
+ * Clicks the first visible, enabled `buttonSelector` and waits for more `cardSelector`
+ * cards. Resolves false when there is no such button or nothing new loaded.
+ */
+async function clickForMore(page, buttonSelector, cardSelector, { timeout = 15000 } = {}) {
+    const before = await countCards(page, cardSelector);
+    const clicked = await page.evaluate(sel => {
+        const button = Array.from(document.querySelectorAll(sel))
+            .find(el => el.offsetParent !== null && !el.disabled && !el.classList.contains('disabled'));
+        if (!button) return false;
+        button.click();
+        return true;
+    }, buttonSelector);
+    if (!clicked) return false;
+    return waitForMoreCards(page, cardSelector, before, timeout);
+}
+
+module.exports = { countCards, waitForMoreCards, scrollUntilStable, clickForMore };
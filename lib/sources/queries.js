@@ -0,0 +1,61 @@
+// --- Search Queries ---
+// Turns a profile's roles × locations into a board's searches. Roles that differ only
+// in spelling ("UI/UX Developer", "UI UX Developer", "UX/UI Developer") are searched
+// once, and boards with boolean search get several roles per query (`maxTerms`).
+// "Remote"/"Hybrid" in `locations.include` are work modes, not places: boards that
+// filter on them (`workModes`) get that filter instead of a location.
+
+// Locations that mean a way of working (lowercase) -> the job's workMode
+const WORK_MODE_LOCATIONS = { remote: 'Remote', 'work from home': 'Remote', wfh: 'Remote', hybrid: 'Hybrid' };
+
+const workModeOf = location => WORK_MODE_LOCATIONS[String(location).trim().toLowerCase()] || null;
+
+// "Front End Developer", "Frontend developer" and "frontend-developer" share a key, as do "UI/UX" and "UX UI"
+function roleKey(role) {
+    const words = role.toLowerCase().replace(/\bfront[\s-]*end\b/g, 'frontend').split(/[^a-z0-9+#.]+/).filter(Boolean);
+    return [...new Set(words)].sort().join(' ');
+}
+
+/** The roles without spelling variants of an earlier one, in order. */
+function distinctRoles(roles) {
+    const seen = new Set();
+    return roles.filter(role => {
+        const key = roleKey(role);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function chunk(list, size) {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+    return chunks;
+}
+
+/**
+ * A board's searches for a profile: `{ url, role, roles, location, workMode }`.
+ * `board`: `searchUrl({ roles, location, workMode }, config)`, `maxTerms` (roles per
+ * query, default 1) and `workModes` (the work modes it can filter on). Role merging
+ * follows the profile's `planner.mergeRoles`.
+ */
+function buildQuerySearches(config, { searchUrl, maxTerms = 1, workModes = [] }) {
+    const merge = config.planner?.mergeRoles !== false;
+    const groups = merge ? chunk(distinctRoles(config.roles), maxTerms) : config.roles.map(role => [role]);
+
+    const targets = config.locations.include.map(location => {
+        const workMode = workModeOf(location);
+        // Boards without the filter search the word as a place, as they always did
+        return workMode && workModes.includes(workMode) ? { location, workMode } : { location, workMode: null };
+    });
+
+    return targets.flatMap(({ location, workMode }) => groups.map(roles => ({
+        url: searchUrl({ roles, location: workMode ? null : location, workMode }, config),
+        role: roles.join(' OR '),
+        roles,
+        location,
+        workMode
+    })));
+}
+
+module.exports = { WORK_MODE_LOCATIONS, workModeOf, roleKey, distinctRoles, buildQuerySearches };
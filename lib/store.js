@@ -0,0 +1,445 @@
+// --- Job Store (SQLite) ---
+// Every job ever accepted, each URL it was found under, every run that saw it,
+// changes to its fields and its application status. Jobs are kept as JSON (`data`)
+// next to indexed columns for the fields that are queried.
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { parsePostedDate } = require('./dates');
+const { sourceList } = require('./dedupe');
+const { addStructuredFields } = require('./fields');
+
+const DEFAULT_DB_FILE = 'jobs.db';
+
+// Application workflow; "rejected" can be reached from any open status. "hidden"
+// jobs (not of interest) drop out of listings until they are brought back.
+const STATUSES = ['new', 'shortlisted', 'applied', 'interviewing', 'rejected', 'offer', 'hidden'];
+const STATUS_TRANSITIONS = {
+    new: ['shortlisted', 'applied', 'rejected', 'hidden'],
+    shortlisted: ['new', 'applied', 'rejected', 'hidden'],
+    applied: ['interviewing', 'rejected'],
+    interviewing: ['offer', 'rejected'],
+    rejected: [],
+    offer: [],
+    hidden: ['new', 'shortlisted']
+};
+
+// Fields whose changes are kept in job_changes (filling an empty field is not a change)
+const TRACKED_FIELDS = [
+    'title', 'company', 'location', 'experience', 'salary', 'workMode',
+    'employmentType', 'applicantCount', 'applyUrl', 'score'
+];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY,
+    category TEXT,
+    title TEXT,
+    company TEXT,
+    location TEXT,
+    platform TEXT,
+    detail_url TEXT NOT NULL UNIQUE,
+    posted_at TEXT,
+    score REAL,
+    status TEXT NOT NULL DEFAULT 'new',
+    status_changed_at TEXT,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS jobs_category ON jobs (category, last_seen_at);
+CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status);
+CREATE INDEX IF NOT EXISTS jobs_company ON jobs (company);
+
+CREATE TABLE IF NOT EXISTS job_sources (
+    detail_url TEXT PRIMARY KEY,
+    job_id INTEGER NOT NULL REFERENCES jobs (id),
+    platform TEXT,
+    first_seen_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS job_sources_job ON job_sources (job_id);
+
+-- URLs known from elsewhere (e.g. rows already in a sheet), only used for dedup
+CREATE TABLE IF NOT EXISTS known_urls (
+    url TEXT PRIMARY KEY,
+    origin TEXT,
+    added_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    report TEXT
+);
+
+-- Searches and profiles a run finished, with what they found (lib/checkpoint)
+CREATE TABLE IF NOT EXISTS run_tasks (
+    run_id INTEGER NOT NULL REFERENCES runs (id),
+    task TEXT NOT NULL,
+    result TEXT,
+    finished_at TEXT NOT NULL,
+    PRIMARY KEY (run_id, task)
+);
+
+CREATE TABLE IF NOT EXISTS sightings (
+    job_id INTEGER NOT NULL REFERENCES jobs (id),
+    run_id INTEGER REFERENCES runs (id),
+    detail_url TEXT NOT NULL,
+    seen_at TEXT NOT NULL,
+    UNIQUE (job_id, run_id, detail_url)
+);
+
+CREATE TABLE IF NOT EXISTS job_changes (
+    id INTEGER PRIMARY KEY,
+    job_id INTEGER NOT NULL REFERENCES jobs (id),
+    run_id INTEGER REFERENCES runs (id),
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS job_changes_job ON job_changes (job_id);
+
+CREATE TABLE IF NOT EXISTS status_history (
+    id INTEGER PRIMARY KEY,
+    job_id INTEGER NOT NULL REFERENCES jobs (id),
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    note TEXT,
+    changed_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+`;
+
+const isEmpty = v => v === undefined || v === null || v === '' || v === 'N/A';
+const asText = v => (isEmpty(v) ? null : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+// The job as stored: id/status live in their own columns
+function serialize(job) {
+    const { id, status, statusChangedAt, ...data } = job;
+    return JSON.stringify(data);
+}
+
+const TABLES = ['jobs', 'job_sources', 'known_urls', 'runs', 'run_tasks', 'sightings', 'job_changes', 'status_history', 'meta'];
+
+// Columns added after a table was first created: [table, column, type]
+const ADDED_COLUMNS = [
+    ['runs', 'report', 'TEXT']
+];
+
+const columnsOf = (db, table, schema = 'main') => db.prepare(`PRAGMA ${schema}.table_info(${table})`).all().map(c => c.name);
+
+function migrate(db) {
+    for (const [table, column, type] of ADDED_COLUMNS) {
+        if (!columnsOf(db, table).includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+}
+
+// An in-memory copy of the store at `file`: reads see its data, writes are thrown away
+function openScratchCopy(file) {
+    const db = new Database(':memory:');
+    db.exec(SCHEMA);
+    if (fs.existsSync(file)) {
+        db.prepare('ATTACH DATABASE ? AS source').run(file);
+        db.transaction(() => TABLES.forEach(table => {
+            // Only the columns the file has (it may predate ADDED_COLUMNS)
+            const columns = columnsOf(db, table, 'source').join(', ');
+            if (columns) db.exec(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM source.${table}`);
+        }))();
+        db.exec('DETACH DATABASE source');
+    }
+    return db;
+}
+
+/**
+ * Opens (creating if needed) the store at `file` (':memory:' for tests).
+ * With `{ scratch: true }` the run works on a copy and the file is never written (dry runs).
+ * Jobs handed out are cached by id, so every caller in a run shares one object per job.
+ */
+function openStore(file = process.env.JOBS_DB || DEFAULT_DB_FILE, { scratch = false } = {}) {
+    const db = scratch ? openScratchCopy(file) : new Database(file);
+    if (!scratch) {
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+        migrate(db);
+    }
+    db.pragma('foreign_keys = ON');
+
+    const cache = new Map();
+    const nowIso = () => new Date().toISOString();
+
+    const q = {
+        jobById: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+        jobIdByUrl: db.prepare('SELECT job_id FROM job_sources WHERE detail_url = ?'),
+        knownUrl: db.prepare('SELECT 1 FROM known_urls WHERE url = ?'),
+        insertJob: db.prepare(`
+            INSERT INTO jobs (category, title, company, location, platform, detail_url, posted_at, score,
+                              first_seen_at, last_seen_at, data)
+            VALUES (@category, @title, @company, @location, @platform, @detailUrl, @postedAt, @score,
+                    @seenAt, @seenAt, @data)`),
+        updateJob: db.prepare(`
+            UPDATE jobs SET category = @category, title = @title, company = @company, location = @location,
+                            platform = @platform, posted_at = @postedAt, score = @score, data = @data,
+                            last_seen_at = MAX(last_seen_at, @seenAt)
+            WHERE id = @id`),
+        insertSource: db.prepare(`
+            INSERT INTO job_sources (detail_url, job_id, platform, first_seen_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (detail_url) DO NOTHING`),
+        insertKnownUrl: db.prepare('INSERT INTO known_urls (url, origin, added_at) VALUES (?, ?, ?) ON CONFLICT (url) DO NOTHING'),
+        insertSighting: db.prepare('INSERT OR IGNORE INTO sightings (job_id, run_id, detail_url, seen_at) VALUES (?, ?, ?, ?)'),
+        touchJob: db.prepare('UPDATE jobs SET last_seen_at = MAX(last_seen_at, ?) WHERE id = ?'),
+        insertChange: db.prepare(`
+            INSERT INTO job_changes (job_id, run_id, field, old_value, new_value, changed_at)
+            VALUES (?, ?, ?, ?, ?, ?)`),
+        setStatus: db.prepare('UPDATE jobs SET status = ?, status_changed_at = ? WHERE id = ?'),
+        insertStatus: db.prepare(`
+            INSERT INTO status_history (job_id, from_status, to_status, note, changed_at) VALUES (?, ?, ?, ?, ?)`),
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    };
+
+    function fromRow(row) {
+        if (!row) return null;
+        if (cache.has(row.id)) return cache.get(row.id);
+        const job = { ...JSON.parse(row.data), id: row.id, status: row.status, statusChangedAt: row.status_changed_at };
+        cache.set(row.id, job);
+        return job;
+    }
+
+    function getJob(id) {
+        return fromRow(q.jobById.get(id));
+    }
+
+    function findByUrl(url) {
+        const match = q.jobIdByUrl.get(url);
+        return match ? getJob(match.job_id) : null;
+    }
+
+    // Whether a URL belongs to a stored job or is otherwise known (dedup)
+    function hasUrl(url) {
+        return Boolean(q.jobIdByUrl.get(url) || q.knownUrl.get(url));
+    }
+
+    function addKnownUrls(urls, origin) {
+        const at = nowIso();
+        db.transaction(() => urls.forEach(url => q.insertKnownUrl.run(url, origin, at)))();
+    }
+
+    function startRun(startedAt = new Date()) {
+        return Number(db.prepare('INSERT INTO runs (started_at) VALUES (?)').run(startedAt.toISOString()).lastInsertRowid);
+    }
+
+    // `report`: the run's health totals and alerts (lib/health), the next runs' baseline
+    function finishRun(runId, finishedAt = new Date(), report = null) {
+        db.prepare('UPDATE runs SET finished_at = ?, report = ? WHERE id = ?')
+            .run(finishedAt.toISOString(), report ? JSON.stringify(report) : null, runId);
+    }
+
+    // An interrupted run taken up again: unfinished until finishRun
+    function reopenRun(runId) {
+        db.prepare('UPDATE runs SET finished_at = NULL WHERE id = ?').run(runId);
+    }
+
+    // `result`: what the task found (JSON); recording a task again replaces it
+    function recordTask(runId, task, result = null, finishedAt = new Date()) {
+        db.prepare(`INSERT INTO run_tasks (run_id, task, result, finished_at) VALUES (?, ?, ?, ?)
+                    ON CONFLICT (run_id, task) DO UPDATE SET result = excluded.result, finished_at = excluded.finished_at`)
+            .run(runId, task, result === null ? null : JSON.stringify(result), finishedAt.toISOString());
+    }
+
+    // A run's finished tasks in order: { task, result, finishedAt }
+    function listTasks(runId) {
+        return db.prepare('SELECT * FROM run_tasks WHERE run_id = ? ORDER BY finished_at, task').all(runId)
+            .map(row => ({ task: row.task, result: row.result ? JSON.parse(row.result) : null, finishedAt: row.finished_at }));
+    }
+
+    // Finished tasks whose name starts with `prefix`, since `since`: task -> [{ result, finishedAt }], newest first
+    function taskHistory(prefix, { since = new Date(0) } = {}) {
+        const rows = db.prepare(`SELECT task, result, finished_at FROM run_tasks
+                                 WHERE substr(task, 1, length(@prefix)) = @prefix AND finished_at >= @since
+                                 ORDER BY finished_at DESC`).all({ prefix, since: since.toISOString() });
+        const history = new Map();
+        for (const row of rows) {
+            if (!history.has(row.task)) history.set(row.task, []);
+            history.get(row.task).push({ result: row.result ? JSON.parse(row.result) : null, finishedAt: row.finished_at });
+        }
+        return history;
+    }
+
+    // Runs newest first, with their reports: { id, startedAt, finishedAt, report }
+    function listRuns({ limit = 20, before } = {}) {
+        return db.prepare(`SELECT * FROM runs ${before ? 'WHERE id < @before' : ''} ORDER BY id DESC LIMIT @limit`)
+            .all({ limit, before })
+            .map(row => ({ id: row.id, startedAt: row.started_at, finishedAt: row.finished_at, report: row.report ? JSON.parse(row.report) : null }));
+    }
+
+    function recordChanges(id, runId, before, after, at) {
+        for (const field of TRACKED_FIELDS) {
+            const oldValue = asText(before[field]);
+            const newValue = asText(after[field]);
+            if (oldValue !== null && newValue !== null && oldValue !== newValue) {
+                q.insertChange.run(id, runId ?? null, field, oldValue, newValue, at);
+            }
+        }
+    }
+
+    /**
+     * Inserts a new job (setting `job.id` and status "new") or writes an existing one
+     * back, recording its field changes. Its source URLs are added either way.
+     */
+    const saveJob = db.transaction((job, runId = null) => {
+        const seenAt = job.scrapedAt || nowIso();
+        const params = {
+            category: job.category ?? null,
+            title: job.title ?? null,
+            company: job.company ?? null,
+            location: job.location ?? null,
+            platform: job.platform ?? null,
+            detailUrl: job.detailUrl,
+            postedAt: job.postedAt ?? null,
+            score: job.score ?? null,
+            seenAt,
+            data: serialize(job)
+        };
+
+        if (job.id) {
+            const row = q.jobById.get(job.id);
+            recordChanges(job.id, runId, JSON.parse(row.data), job, nowIso());
+            q.updateJob.run({ ...params, id: job.id });
+        } else {
+            job.id = Number(q.insertJob.run(params).lastInsertRowid);
+            job.status = 'new';
+            job.statusChangedAt = null;
+            cache.set(job.id, job);
+            q.insertStatus.run(job.id, null, 'new', null, seenAt);
+            if (runId) q.insertSighting.run(job.id, runId, job.detailUrl, seenAt);
+        }
+
+        for (const source of sourceList(job)) {
+            q.insertSource.run(source.detailUrl, job.id, source.platform ?? null, seenAt);
+        }
+        return job;
+    });
+
+    // A run found `url` (one of the job's sources) again
+    function recordSighting(job, url, runId, seenAt = new Date()) {
+        q.insertSighting.run(job.id, runId ?? null, url, seenAt.toISOString());
+        q.touchJob.run(seenAt.toISOString(), job.id);
+    }
+
+    /**
+     * Jobs matching every given filter, newest sighting first:
+     * { category, status, seenWithinDays, limit }
+     */
+    function listJobs({ category, status, seenWithinDays, limit } = {}) {
+        const where = [];
+        const params = {};
+        if (category) { where.push('category = @category'); params.category = category; }
+        if (status) { where.push('status = @status'); params.status = status; }
+        if (seenWithinDays) {
+            where.push('last_seen_at >= @since');
+            params.since = new Date(Date.now() - seenWithinDays * 24 * 60 * 60 * 1000).toISOString();
+        }
+        const sql = `SELECT * FROM jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''} `
+            + `ORDER BY last_seen_at DESC, id DESC ${limit ? `LIMIT ${Number(limit)}` : ''}`;
+        return db.prepare(sql).all(params).map(fromRow);
+    }
+
+    const setStatus = db.transaction((id, status, note = null, at = new Date()) => {
+        const job = getJob(id);
+        if (!job) throw new Error(`No job with id ${id}`);
+        if (!STATUSES.includes(status)) throw new Error(`Unknown status "${status}" (expected one of: ${STATUSES.join(', ')})`);
+        if (job.status === status) return job;
+        if (!STATUS_TRANSITIONS[job.status].includes(status)) {
+            const allowed = STATUS_TRANSITIONS[job.status];
+            throw new Error(`Job ${id} can't go from "${job.status}" to "${status}"${allowed.length ? ` (allowed: ${allowed.join(', ')})` : ' (final status)'}`);
+        }
+        q.setStatus.run(status, at.toISOString(), id);
+        q.insertStatus.run(id, job.status, status, note, at.toISOString());
+        job.status = status;
+        job.statusChangedAt = at.toISOString();
+        return job;
+    });
+
+    // Sources, sightings, field changes and status changes of one job
+    function getHistory(id) {
+        return {
+            sources: db.prepare('SELECT detail_url AS detailUrl, platform, first_seen_at AS firstSeenAt FROM job_sources WHERE job_id = ? ORDER BY first_seen_at').all(id),
+            sightings: db.prepare('SELECT run_id AS runId, detail_url AS detailUrl, seen_at AS seenAt FROM sightings WHERE job_id = ? ORDER BY seen_at').all(id),
+            changes: db.prepare('SELECT run_id AS runId, field, old_value AS oldValue, new_value AS newValue, changed_at AS changedAt FROM job_changes WHERE job_id = ? ORDER BY id').all(id),
+            statuses: db.prepare('SELECT from_status AS fromStatus, to_status AS toStatus, note, changed_at AS changedAt FROM status_history WHERE job_id = ? ORDER BY id').all(id)
+        };
+    }
+
+    /**
+     * One-time import of a jobs.json array. Entries that can't be stored are
+     * reported and skipped; the file is left in place. Returns the counts, or null
+     * when the file was already imported (or there is none).
+     */
+    function importJsonFile(file) {
+        if (q.getMeta.get(`imported:${file}`) || !fs.existsSync(file)) return null;
+
+        let entries;
+        try {
+            entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(entries)) throw new Error('expected a list of jobs');
+        } catch (e) {
+            console.error(`[Store] Could not import ${file}: ${e.message}. Fix it and run again.`);
+            return { imported: 0, alreadyStored: 0, failed: 0 };
+        }
+
+        const result = { imported: 0, alreadyStored: 0, failed: 0 };
+        entries.forEach((entry, i) => {
+            try {
+                if (!entry || !entry.detailUrl) throw new Error('no detailUrl');
+                let job = entry;
+                // Older entries only kept the raw "2 days ago" / "2-5 Yrs" texts
+                if (job.postedAt === undefined) job.postedAt = parsePostedDate(job.postedDate, null, job.scrapedAt);
+                if (job.expMin === undefined) job = addStructuredFields(job);
+
+                const known = sourceList(job).map(s => findByUrl(s.detailUrl)).find(Boolean);
+                if (known) {
+                    result.alreadyStored++;
+                    return;
+                }
+                saveJob(job);
+                result.imported++;
+            } catch (e) {
+                console.error(`[Store] Skipped entry ${i} of ${file}: ${e.message}`);
+                result.failed++;
+            }
+        });
+        q.setMeta.run(`imported:${file}`, nowIso());
+        console.log(`[Store] Imported ${result.imported} jobs from ${file} (${result.alreadyStored} already stored, ${result.failed} skipped).`);
+        return result;
+    }
+
+    return {
+        getMeta: key => q.getMeta.get(key)?.value ?? null,
+        setMeta: (key, value) => { q.setMeta.run(key, value); },
+        getJob,
+        findByUrl,
+        hasUrl,
+        addKnownUrls,
+        startRun,
+        finishRun,
+        reopenRun,
+        recordTask,
+        listTasks,
+        taskHistory,
+        listRuns,
+        saveJob,
+        recordSighting,
+        listJobs,
+        setStatus,
+        getHistory,
+        importJsonFile,
+        close: () => db.close()
+    };
+}
+
+module.exports = { DEFAULT_DB_FILE, STATUSES, STATUS_TRANSITIONS, openStore };
@@ -0,0 +1,186 @@
+// --- Trends Report ---
+// The market report over the job store (lib/analytics): one self-contained HTML page
+// with inline SVG charts, written to reports/trends-<date>.html (TRENDS_DIR), and a
+// Trends tab in the spreadsheets of profiles whose sheets output names a `trendsTab`.
+// It runs on demand (`node cli.js trends`) or weekly: the service schedules it
+// (TRENDS_CRON) and `--if-due` (CI) skips it until a week has passed since the last.
+const fs = require('fs');
+const path = require('path');
+const { analyzeJobs, trendRows } = require('./analytics');
+const { DEFAULT_REPORTS_DIR } = require('./health');
+const { getSheetOutputs } = require('./profiles');
+const { writeReportTab } = require('./sheets');
+const { DAY } = require('./dates');
+
+const DEFAULT_TRENDS_CRON = '0 8 * * 1'; // Mondays 08:00
+const REPORT_EVERY_DAYS = 7;
+const LAST_REPORT_KEY = 'trends:lastReport';
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// --- Charts ---
+const BAR_COLOR = '#0969da';
+
+// Listings per week as columns, the count above each
+function weeklyChart(weeks) {
+    const width = 640;
+    const height = 180;
+    const slot = width / weeks.length;
+    const max = Math.max(...weeks.map(w => w.jobs), 1);
+    const bars = weeks.map((w, i) => {
+        const barHeight = Math.round((w.jobs / max) * (height - 50));
+        const x = Math.round(i * slot + slot * 0.15);
+        const y = height - 24 - barHeight;
+        return `<rect x="${x}" y="${y}" width="${Math.round(slot * 0.7)}" height="${barHeight}" fill="${BAR_COLOR}"><title>Week of ${w.week}: ${w.jobs} jobs</title></rect>`
+            + `<text x="${Math.round(x + slot * 0.35)}" y="${y - 4}" text-anchor="middle">${w.jobs}</text>`
+            + `<text x="${Math.round(x + slot * 0.35)}" y="${height - 8}" text-anchor="middle" class="axis">${w.week.slice(5)}</text>`;
+    });
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Jobs per week">${bars.join('')}</svg>`;
+}
+
+// ▲/▼ when the latest weeks had more/fewer jobs than the weeks before them
+function trendMark(entry, recentWeeks) {
+    const title = `Last ${recentWeeks} weeks: ${entry.recent}, ${recentWeeks} weeks before: ${entry.previous}`;
+    if (entry.recent > entry.previous) return `<tspan class="up"><title>${title}</title> ▲</tspan>`;
+    if (entry.recent < entry.previous) return `<tspan class="down"><title>${title}</title> ▼</tspan>`;
+    return '';
+}
+
+// A top list as horizontal bars: name, bar, count and trend
+function barList(title, entries, recentWeeks) {
+    if (entries.length === 0) return `<div class="card"><h3>${escapeHtml(title)}</h3><p class="meta">No data.</p></div>`;
+    const row = 22;
+    const max = Math.max(...entries.map(e => e.jobs), 1);
+    const rows = entries.map((entry, i) => {
+        const y = i * row;
+        const width = Math.max(2, Math.round((entry.jobs / max) * 180));
+        return `<text x="0" y="${y + 15}">${escapeHtml(entry.name.length > 24 ? `${entry.name.slice(0, 23)}…` : entry.name)}<title>${escapeHtml(entry.name)}</title></text>`
+            + `<rect x="170" y="${y + 4}" width="${width}" height="14" fill="${BAR_COLOR}"></rect>`
+            + `<text x="${176 + width}" y="${y + 15}">${entry.jobs}${trendMark(entry, recentWeeks)}</text>`;
+    });
+    return `<div class="card"><h3>${escapeHtml(title)}</h3>`
+        + `<svg class="chart" viewBox="0 0 420 ${entries.length * row}" role="img" aria-label="${escapeHtml(title)}">${rows.join('')}</svg></div>`;
+}
+
+function timeOpenTable(open) {
+    if (open.closed === 0) return '<p class="meta">No closed postings seen yet (profiles\' <code>revalidation</code> finds them).</p>';
+    const rows = open.platforms.map(p => `<tr><td>${escapeHtml(p.name)}</td><td>${p.closed}</td><td>${p.medianDays ?? ''}</td><td>${p.p75Days ?? ''}</td></tr>`);
+    return `<table><thead><tr><th>Platform</th><th>Closed</th><th>Median days</th><th>75th percentile</th></tr></thead><tbody>`
+        + `<tr><td><b>All</b></td><td>${open.closed}</td><td>${open.medianDays}</td><td>${open.p75Days}</td></tr>${rows.join('')}</tbody></table>`;
+}
+
+function scopeSection(id, title, scope, recentWeeks) {
+    const { totals } = scope;
+    const figures = [
+        ['Jobs', totals.jobs], ['Companies', totals.companies], ['Closed', totals.closed],
+        ['Reposts', totals.reposts], ['Via agencies', totals.agencies]
+    ].map(([label, value]) => `<div class="figure"><b>${value}</b><span>${label}</span></div>`).join('');
+    return `<section id="${escapeHtml(id)}"><h2>${escapeHtml(title)}</h2>
+<div class="figures">${figures}</div>
+<div class="card"><h3>Jobs per week</h3>${weeklyChart(scope.weeks)}</div>
+<div class="grid">
+${barList('Companies hiring most', scope.companies, recentWeeks)}
+${barList('Locations', scope.locations, recentWeeks)}
+${barList('Skills asked for', scope.skills, recentWeeks)}
+${barList('Platforms', scope.platforms, recentWeeks)}
+${barList('Work modes', scope.workModes, recentWeeks)}
+<div class="card"><h3>How long postings stay open</h3>${timeOpenTable(scope.timeOpen)}</div>
+</div></section>`;
+}
+
+/** The analysis (lib/analytics) as a self-contained HTML page. */
+function toTrendsHtml(analysis) {
+    const date = analysis.generatedAt.slice(0, 10);
+    const scopes = [
+        { id: 'all', title: 'All categories', scope: analysis.overall },
+        ...analysis.categories.map(c => ({ id: `category-${c.category.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`, title: c.category, scope: c }))
+    ];
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Job market trends — ${date}</title>
+<style>
+    body { margin: 0 auto; max-width: 1100px; padding: 16px 24px; font: 14px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2328; }
+    h1 { margin-bottom: 0; font-size: 22px; }
+    h2 { margin-top: 32px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+    h3 { margin: 0 0 8px; font-size: 14px; }
+    .meta { color: #57606a; }
+    nav a { margin-right: 12px; }
+    .figures { display: flex; gap: 12px; margin: 12px 0; }
+    .figure { padding: 8px 16px; border: 1px solid #d0d7de; border-radius: 6px; }
+    .figure b { display: block; font-size: 20px; }
+    .figure span { color: #57606a; font-size: 12px; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(460px, 1fr)); gap: 12px; }
+    .card { padding: 12px; border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 12px; }
+    .chart { width: 100%; height: auto; font-size: 11px; }
+    .chart .axis { fill: #57606a; }
+    .up { fill: #1a7f37; }
+    .down { fill: #cf222e; }
+    table { border-collapse: collapse; }
+    th, td { padding: 2px 12px 2px 0; text-align: left; }
+</style>
+</head>
+<body>
+<h1>Job market trends</h1>
+<p class="meta">Jobs listed in the ${analysis.weeks} weeks from ${analysis.since}; ▲/▼ compare the last ${analysis.recentWeeks} weeks with the ${analysis.recentWeeks} before. Generated ${analysis.generatedAt.slice(0, 16).replace('T', ' ')} UTC.</p>
+<nav>${scopes.map(s => `<a href="#${escapeHtml(s.id)}">${escapeHtml(s.title)}</a>`).join('')}</nav>
+${scopes.map(s => scopeSection(s.id, s.title, s.scope, analysis.recentWeeks)).join('\n')}
+</body>
+</html>
+`;
+}
+
+// --- Report ---
+// Whether a week has passed since the last report (for scheduled runs)
+function isDue(store, now = new Date()) {
+    const last = store.getMeta(LAST_REPORT_KEY);
+    return !last || now - new Date(last) >= REPORT_EVERY_DAYS * DAY * 0.95;
+}
+
+/**
+ * Writes the trends report of the store's jobs: the HTML file (`file`, default
+ * reports/trends-<date>.html) and, with a `sheets` client, every profile's `trendsTab`
+ * (that profile's category). `options`: store, profiles, sheets, categories, weeks,
+ * file, ifDue (skip unless a week has passed), now.
+ * Returns `{ file, tabs, skipped }`; a failed tab is logged, not thrown.
+ */
+async function writeTrendsReport(options) {
+    const { store, profiles = [], sheets = null, categories, weeks, ifDue = false, now = new Date() } = options;
+    if (ifDue && !isDue(store, now)) {
+        console.log(`[Trends] Last report ${store.getMeta(LAST_REPORT_KEY)}; the next is due after ${REPORT_EVERY_DAYS} days.`);
+        return { file: null, tabs: 0, skipped: true };
+    }
+
+    const jobs = store.listJobs();
+    const analysis = analyzeJobs(jobs, { categories, weeks }, now);
+    const file = options.file || path.join(process.env.TRENDS_DIR || DEFAULT_REPORTS_DIR, `trends-${now.toISOString().slice(0, 10)}.html`);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, toTrendsHtml(analysis));
+    console.log(`[Trends] Wrote ${file} (${analysis.overall.totals.jobs} jobs since ${analysis.since}).`);
+
+    let tabs = 0;
+    if (sheets) {
+        for (const profile of profiles) {
+            const scope = analysis.categories.find(c => c.category === profile.category);
+            for (const output of getSheetOutputs(profile).filter(o => o.trendsTab)) {
+                const rows = trendRows(scope || analyzeJobs([], { weeks }, now).overall, {
+                    title: `${profile.category} trends, ${analysis.weeks} weeks from ${analysis.since}`,
+                    generatedAt: analysis.generatedAt,
+                    recentWeeks: analysis.recentWeeks
+                });
+                try {
+                    await writeReportTab(sheets, { spreadsheetId: output.spreadsheetId, tab: output.trendsTab }, rows);
+                    tabs++;
+                } catch (err) {
+                    console.error(`[Trends] Could not write "${output.trendsTab}" of ${output.spreadsheetId}:`, err.message);
+                }
+            }
+        }
+    }
+    store.setMeta(LAST_REPORT_KEY, now.toISOString());
+    return { file, tabs, skipped: false };
+}
+
+module.exports = { DEFAULT_TRENDS_CRON, toTrendsHtml, writeTrendsReport };
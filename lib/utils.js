@@ -0,0 +1,45 @@
+// --- Shared Helpers ---
+const delay = (time) => new Promise(resolve => setTimeout(resolve, time));
+const randomDelay = (min = 2000, max = 5000) => delay(Math.floor(Math.random() * (max - min) + min));
+
+// Lowercase slug used in search URLs ("UI/UX Developer" -> "ui-ux-developer")
+function slugify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Whether [aMin, aMax] and [bMin, bMax] overlap; a null max means open-ended ("5+ years")
+function rangesOverlap(aMin, aMax, bMin, bMax) {
+    const aHigh = aMax === null || aMax === undefined ? Infinity : aMax;
+    const bHigh = bMax === null || bMax === undefined ? Infinity : bMax;
+    return (aMin || 0) <= bHigh && aHigh >= (bMin || 0);
+}
+
+// "1h 02m", "4m 10s", "12s"
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    if (h) return `${h}h ${String(m).padStart(2, '0')}m`;
+    return m ? `${m}m ${String(s).padStart(2, '0')}s` : `${s}s`;
+}
+
+/**
+ * Calls `fn` until it resolves, waiting baseDelayMs, 2x, 4x... between attempts
+ * (each wait scaled by a random 0.5-1.5 with `jitter`, so parallel callers spread out).
+ * Errors for which `shouldRetry(err)` is false are thrown straight away.
+ */
+async function withRetry(fn, { retries = 3, baseDelayMs = 1000, jitter = false, shouldRetry = () => true, label = 'Request' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries || !shouldRetry(err)) throw err;
+            const wait = Math.round(baseDelayMs * 2 ** attempt * (jitter ? 0.5 + Math.random() : 1));
+            console.log(`[Retry] ${label} failed (${err.message}). Retrying in ${wait}ms...`);
+            await delay(wait);
+        }
+    }
+}
+
+module.exports = { delay, randomDelay, slugify, rangesOverlap, formatDuration, withRetry };
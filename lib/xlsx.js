@@ -0,0 +1,185 @@
+// --- Excel Workbooks ---
+// Writes .xlsx files without a spreadsheet library: a workbook is a zip of a few
+// XML parts. Cells are numbers or inline strings, the first row is bold and frozen.
+const zlib = require('zlib');
+
+// --- Zip ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// DOS date/time of the entries; Excel doesn't care, unzip tools show it
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/** A zip archive (deflated) of `files`: `[{ name, data (string or Buffer) }]`. */
+function zip(files, date = new Date()) {
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);         // version needed
+        local.writeUInt16LE(0x0800, 6);     // UTF-8 names
+        local.writeUInt16LE(8, 8);          // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);       // made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// --- Sheets ---
+
+const MAX_CELL_TEXT = 32767; // Excel's limit per cell
+const MAX_SHEET_NAME = 31;
+
+// XML text: escaped, without the control characters XML can't hold
+function xmlText(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+}
+
+function cellXml(value, ref, header) {
+    const style = header ? ' s="1"' : '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    if (value === null || value === undefined || value === '') return '';
+    const text = xmlText(String(value).slice(0, MAX_CELL_TEXT));
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+function sheetXml(rows) {
+    const body = rows.map((row, r) => {
+        const cells = row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`, r === 0)).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${body}</sheetData></worksheet>`;
+}
+
+// Sheet names: no []:*?/\, at most 31 characters, unique (case-insensitive)
+function sheetNames(names) {
+    const used = new Set();
+    return names.map(name => {
+        const base = String(name || 'Sheet').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME) || 'Sheet';
+        let unique = base;
+        for (let n = 2; used.has(unique.toLowerCase()); n++) unique = `${base.slice(0, MAX_SHEET_NAME - String(n).length - 1)} ${n}`;
+        used.add(unique.toLowerCase());
+        return unique;
+    });
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>';
+
+/**
+ * An .xlsx workbook of `sheets`: `[{ name, rows }]`, where `rows` are arrays of cell
+ * values (numbers stay numbers, the rest is text) and the first row is the header.
+ */
+function toWorkbook(sheets, date = new Date()) {
+    const names = sheetNames(sheets.map(sheet => sheet.name));
+    const parts = names.map((name, i) => ({ name, file: `sheet${i + 1}.xml`, rows: sheets[i].rows }));
+    const workbookNs = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+        + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+    const relType = type => `http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}`;
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            data: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + parts.map(p => `<Override PartName="/xl/worksheets/${p.file}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${relType('officeDocument')}" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: `${xml}<workbook ${workbookNs}><sheets>`
+                + parts.map((p, i) => `<sheet name="${xmlText(p.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+                + '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + parts.map((p, i) => `<Relationship Id="rId${i + 1}" Type="${relType('worksheet')}" Target="worksheets/${p.file}"/>`).join('')
+                + `<Relationship Id="rId${parts.length + 1}" Type="${relType('styles')}" Target="styles.xml"/></Relationships>`
+        },
+        { name: 'xl/styles.xml', data: STYLES_XML },
+        ...parts.map(p => ({ name: `xl/worksheets/${p.file}`, data: sheetXml(p.rows) }))
+    ], date);
+}
+
+module.exports = { crc32, zip, sheetNames, toWorkbook };
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { weekOf, analyzeJobs, trendRows } = require('../lib/analytics');
+
+const NOW = new Date('2026-06-10T12:00:00.000Z'); // a Wednesday
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(NOW.getTime() - days * DAY).toISOString();
+
+let nextId = 1;
+const job = (overrides = {}) => ({
+    id: nextId++,
+    title: 'Frontend Developer',
+    company: 'Acme',
+    location: 'Chennai',
+    platform: 'Naukri',
+    category: 'Frontend',
+    workMode: 'Onsite',
+    skills: ['React'],
+    postedAt: daysAgo(1),
+    ...overrides
+});
+
+test('weekOf gives the Monday of a date\'s week', () => {
+    assert.equal(weekOf(new Date('2026-06-10T12:00:00Z')), '2026-06-08');
+    assert.equal(weekOf(new Date('2026-06-08T00:00:00Z')), '2026-06-08');
+    assert.equal(weekOf(new Date('2026-06-14T23:59:00Z')), '2026-06-08');
+});
+
+test('analyzeJobs counts jobs per week and per category within the window', () => {
+    const jobs = [
+        job(),
+        job({ company: 'ACME Pvt Ltd', postedAt: daysAgo(8) }),
+        job({ company: 'Globex', category: 'Design', platform: 'LinkedIn', repostOf: { id: 1 } }),
+        job({ company: 'Initech', postedAt: null, scrapedAt: daysAgo(2), companyTags: ['agency'] }),
+        job({ postedAt: daysAgo(200) }), // before the window
+        job({ postedAt: 'not a date' })
+    ];
+    const analysis = analyzeJobs(jobs, { weeks: 4 }, NOW);
+
+    assert.equal(analysis.since, '2026-05-18');
+    assert.deepEqual(analysis.overall.weeks, [
+        { week: '2026-05-18', jobs: 0 }, { week: '2026-05-25', jobs: 0 }, { week: '2026-06-01', jobs: 1 }, { week: '2026-06-08', jobs: 3 }
+    ]);
+    assert.deepEqual(analysis.overall.totals, { jobs: 4, companies: 3, closed: 0, reposts: 1, agencies: 1 });
+    assert.equal(analysis.overall.companies[0].name, 'Acme');
+    assert.equal(analysis.overall.companies[0].jobs, 2);
+    assert.deepEqual(analysis.categories.map(c => [c.category, c.totals.jobs]), [['Design', 1], ['Frontend', 3]]);
+    assert.deepEqual(analyzeJobs(jobs, { weeks: 4, categories: ['design'] }, NOW).categories.map(c => c.category), ['Design']);
+});
+
+test('top lists compare the latest weeks with the weeks before', () => {
+    const jobs = [
+        job({ skills: ['React', 'TypeScript'], location: 'Chennai, Bengaluru' }),
+        job({ skills: ['React'], location: 'Bangalore', workMode: 'Remote' }),
+        job({ skills: ['Angular'], postedAt: daysAgo(40) }),
+        job({ skills: ['Angular'], postedAt: daysAgo(45) })
+    ];
+    const { overall } = analyzeJobs(jobs, { weeks: 12, recentWeeks: 4 }, NOW);
+
+    assert.deepEqual(overall.skills.map(s => [s.name, s.jobs, s.recent, s.previous]), [
+        ['Angular', 2, 0, 2], ['React', 2, 2, 0], ['TypeScript', 1, 1, 0]
+    ]);
+    assert.deepEqual(overall.locations.map(l => [l.name, l.jobs]), [['Chennai', 3], ['Bengaluru', 2], ['Remote', 1]]);
+    assert.deepEqual(overall.workModes.map(w => w.name), ['Onsite', 'Remote']);
+    assert.equal(analyzeJobs(jobs, { top: 1 }, NOW).overall.skills.length, 1);
+});
+
+test('timeOpen measures how long closed postings stayed open', () => {
+    const jobs = [
+        job({ postedAt: daysAgo(20), closedAt: daysAgo(10) }),
+        job({ postedAt: daysAgo(20), closedAt: daysAgo(16) }),
+        job({ postedAt: daysAgo(20), closedAt: daysAgo(0), platform: 'LinkedIn' }),
+        job()
+    ];
+    const { timeOpen, totals } = analyzeJobs(jobs, {}, NOW).overall;
+
+    assert.equal(totals.closed, 3);
+    assert.deepEqual(timeOpen, {
+        closed: 3,
+        medianDays: 10,
+        p75Days: 15,
+        platforms: [{ name: 'LinkedIn', closed: 1, medianDays: 20, p75Days: 20 }, { name: 'Naukri', closed: 2, medianDays: 7, p75Days: 8.5 }]
+    });
+});
+
+test('trendRows lays a scope out as sheet tables', () => {
+    const analysis = analyzeJobs([job(), job({ closedAt: daysAgo(0), postedAt: daysAgo(3) })], { weeks: 2 }, NOW);
+    const rows = trendRows(analysis.overall, { title: 'Frontend trends', generatedAt: analysis.generatedAt, recentWeeks: 4 });
+
+    assert.deepEqual(rows[0], ['Frontend trends', 'Generated 2026-06-10 12:00 UTC']);
+    assert.deepEqual(rows[1].slice(0, 6), ['Jobs', 2, 'Companies', 1, 'Closed', 1]);
+    assert.deepEqual(rows.slice(3, 6), [['Week of', 'Jobs'], ['2026-06-01', 1], ['2026-06-08', 1]]);
+    assert.deepEqual(rows.find(row => row[0] === 'Skill'), ['Skill', 'Jobs', 'Last 4 weeks', '4 weeks before']);
+    assert.deepEqual(rows.find(row => row[0] === 'React'), ['React', 2, 2, 0]);
+    assert.deepEqual(rows.at(-2), ['All platforms', 1, 3, 3]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toIcal } = require('../lib/calendar');
+
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+const job = (id, status, overrides) => ({
+    id,
+    status,
+    statusChangedAt: '2026-03-09T18:30:00.000Z',
+    title: `Frontend Developer ${id}`,
+    company: 'Acme, Inc.',
+    category: 'Frontend',
+    detailUrl: `https://jobs.example.com/${id}`,
+    ...overrides
+});
+
+test('toIcal adds a follow-up per applied job and reminder day', () => {
+    const ics = toIcal([job(1, 'applied'), job(2, 'shortlisted'), job(3, 'applied', { statusChangedAt: null })], { followUpDays: [7, 14], now: NOW });
+    const lines = ics.split('\r\n');
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines.at(-2), 'END:VCALENDAR');
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.ok(lines.includes('UID:job-1-follow-up-7d@job-search'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20260316'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20260317'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20260323'));
+    assert.ok(lines.includes('DTSTAMP:20260310T120000Z'));
+    assert.ok(lines.includes('SUMMARY:Follow up: Frontend Developer 1 — Acme\\, Inc.'));
+    assert.ok(lines.includes('TRIGGER:PT9H'));
+});
+
+test('toIcal escapes text and folds long lines', () => {
+    const ics = toIcal([job(1, 'applied', { title: `Senior ${'Frontend '.repeat(12)}Engineer; React` })], { now: NOW });
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    const summary = ics.replace(/\r\n /g, '').split('\r\n').find(line => line.startsWith('SUMMARY:'));
+    assert.match(summary, /Engineer\\; React — Acme\\, Inc\.$/);
+    assert.match(ics.replace(/\r\n /g, ''), /DESCRIPTION:Applied on 2026-03-09 \(7 days ago\)\.\\nhttps:\/\/jobs.example.com\/1/);
+});
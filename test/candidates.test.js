@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CANDIDATES_PATH, loadCandidates, validateCandidate } = require('../lib/candidates');
+
+function writeTemp(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candidates-'));
+    for (const [name, text] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), text);
+    }
+    return dir;
+}
+
+test('the bundled example candidate is valid and disabled; no directory means no candidates', () => {
+    assert.deepEqual(loadCandidates(DEFAULT_CANDIDATES_PATH), []);
+    assert.deepEqual(loadCandidates(path.join(os.tmpdir(), 'no-such-candidates')), []);
+});
+
+test('validateCandidate reports every problem of a candidate', () => {
+    assert.deepEqual(validateCandidate({ name: 'Priya', skills: ['React'] }, 'c.yml'), []);
+    assert.deepEqual(validateCandidate({ name: 'Priya', resume: 'cv.pdf' }, 'c.yml'), []);
+
+    const errors = validateCandidate({
+        skills: [],
+        experience: -1,
+        minScore: 120,
+        salary: 10,
+        outputs: [{ type: 'sheets', spreadsheetId: 'x' }, { type: 'csv' }, { type: 'fax' }]
+    }, 'c.yml');
+    assert.deepEqual(errors, [
+        'c.yml: "salary" is not a known candidate field (expected one of: name, enabled, skills, experience, locations, resume, categories, minScore, limit, outputs)',
+        'c.yml: "name" is required',
+        'c.yml: "skills" are required without a resume',
+        'c.yml: "experience" must be a number of years',
+        'c.yml: "minScore" must be a number from 0 to 100',
+        'c.yml: "outputs[0].tab" is required (the candidate\'s own tab)',
+        'c.yml: "outputs[1].path" must be a file path',
+        'c.yml: "outputs[2].type" must be one of: sheets, csv, xlsx, feed, ical'
+    ]);
+});
+
+test('loadCandidates reads resumes next to the file and merges their skills and experience', () => {
+    const dir = writeTemp({
+        'priya.yml': 'name: Priya\nskills: [reactjs, Storefront Builder]\nresume: resumes/priya.txt\ncategories: [Frontend]\n',
+        'resumes/priya.txt': 'Frontend developer, 5+ years of experience with TypeScript and Redux.',
+        'arun.yml': 'name: Arun\nenabled: false\nskills: [Figma]\n',
+        'dev.yml': 'name: Dev\nskills: [Vue]\nexperience: 2\nresume: missing.pdf\nminScore: 70\n'
+    });
+    const byName = Object.fromEntries(loadCandidates(dir).map(c => [c.name, c]));
+
+    assert.deepEqual(Object.keys(byName).sort(), ['Dev', 'Priya']);
+    assert.deepEqual(byName.Priya.skills, ['React', 'Storefront Builder', 'TypeScript', 'Redux']);
+    assert.equal(byName.Priya.experience, 5);
+    assert.equal(byName.Priya.minScore, 50);
+    assert.match(byName.Priya.text, /^Frontend developer/);
+
+    // An unreadable resume falls back to the listed skills
+    assert.deepEqual(byName.Dev.skills, ['Vue']);
+    assert.equal(byName.Dev.experience, 2);
+    assert.equal(byName.Dev.minScore, 70);
+    assert.deepEqual(byName.Dev.locations, []);
+});
+
+test('loadCandidates rejects invalid files and duplicate names', () => {
+    const dir = writeTemp({
+        'a.yml': 'name: Priya\nskills: [React]\n',
+        'b.yml': 'name: priya\nskills: [Vue]\n',
+        'c.yml': 'name: Bad\n'
+    });
+    assert.throws(() => loadCandidates(dir), (e) => {
+        assert.deepEqual(e.errors.map(error => error.replace(/^.*c\.yml/, 'c.yml')), [
+            'c.yml: "skills" are required without a resume',
+            'Duplicate candidate name "priya"'
+        ]);
+        return true;
+    });
+});
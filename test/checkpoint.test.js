@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore } = require('../lib/store');
+const { searchTask, profileTask, openCheckpoint } = require('../lib/checkpoint');
+
+const source = { name: 'naukri' };
+const search = { url: 'https://www.naukri.com/react-jobs-in-chennai' };
+const HOUR = 60 * 60 * 1000;
+
+test('an interrupted run is resumed with the searches and profiles it finished', (t) => {
+    const store = openStore(':memory:');
+    t.after(() => store.close());
+    const start = new Date('2026-05-01T10:00:00.000Z');
+
+    const first = openCheckpoint(store, { now: start });
+    assert.equal(first.resumed, false);
+    first.done(searchTask('Frontend', source, search), { accepted: 4 });
+    first.done(profileTask('Design'), { found: 2, kept: 1 });
+    // ...the process dies here
+
+    const second = openCheckpoint(store, { now: new Date(start.getTime() + 2 * HOUR) });
+    assert.equal(second.resumed, true);
+    assert.equal(second.runId, first.runId);
+    assert.equal(second.isDone(searchTask('Frontend', source, search)), true);
+    assert.deepEqual(second.result(profileTask('Design')), { found: 2, kept: 1 });
+    assert.equal(second.isDone(profileTask('Frontend')), false);
+    assert.equal(store.listRuns()[0].finishedAt, null);
+
+    second.finish();
+    const third = openCheckpoint(store, { now: new Date(start.getTime() + 3 * HOUR) });
+    assert.equal(third.resumed, false);
+    assert.notEqual(third.runId, first.runId);
+    assert.equal(third.isDone(profileTask('Design')), false);
+});
+
+test('a stale checkpoint, a fresh start or a dry run begins a new run', (t) => {
+    const store = openStore(':memory:');
+    t.after(() => store.close());
+    const start = new Date('2026-05-01T10:00:00.000Z');
+    const interrupted = openCheckpoint(store, { now: start });
+    interrupted.done(profileTask('Frontend'));
+
+    const fresh = openCheckpoint(store, { resume: false, now: new Date(start.getTime() + HOUR) });
+    assert.equal(fresh.resumed, false);
+    assert.equal(fresh.isDone(profileTask('Frontend')), false);
+
+    const stale = openCheckpoint(store, { maxHours: 6, now: new Date(start.getTime() + 8 * HOUR) });
+    assert.equal(stale.resumed, false);
+    assert.deepEqual(store.listTasks(interrupted.runId).map(task => task.task), ['profile:Frontend']);
+});
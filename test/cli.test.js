@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { openStore } = require('../lib/store');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+function job(id, overrides) {
+    return {
+        title: `Frontend Developer ${id}`,
+        company: 'Acme',
+        location: 'Chennai',
+        detailUrl: `https://jobs.example.com/${id}`,
+        platform: 'Naukri',
+        category: 'Frontend',
+        scrapedAt: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+// A store file with three jobs; every CLI call in a test points at it
+function seedStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const file = path.join(dir, 'jobs.db');
+    const store = openStore(file);
+    store.saveJob(job(1, { score: 80, skills: ['React'] }));
+    store.saveJob(job(2, { title: 'UI Designer', category: 'Design', score: 55, description: 'Figma and prototyping' }));
+    store.saveJob(job(3, { score: 40, closedAt: '2026-05-01T00:00:00.000Z', closedReason: 'job has expired' }));
+    store.close();
+    return { dir, file };
+}
+
+function run(args, { file, cwd }) {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        cwd,
+        env: { ...process.env, JOBS_DB: file, CI: '' },
+        encoding: 'utf8',
+        timeout: 20000
+    });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('list filters stored jobs and prints JSON', () => {
+    const ctx = seedStore();
+    const { code, stdout } = run(['list', '--category', 'frontend', '--min-score', '50', '--json'], ctx);
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout).map(j => j.title), ['Frontend Developer 1']);
+    assert.match(run(['list', '--lifecycle', 'closed'], ctx).stdout, /Frontend Developer 3 — Acme .*\[closed 2026-05-01\]\n1 job\./);
+    assert.equal(run(['list', '--lifecycle', 'gone'], ctx).code, 2);
+});
+
+test('search matches descriptions and skills', () => {
+    const ctx = seedStore();
+    assert.match(run(['search', 'figma'], ctx).stdout, /UI Designer[\s\S]*1 job\./);
+    assert.match(run(['search', 'react', '--json'], ctx).stdout, /Frontend Developer 1/);
+    assert.equal(run(['search'], ctx).code, 2);
+});
+
+test('status set moves a job by id or URL and rejects invalid transitions', () => {
+    const ctx = seedStore();
+
+    assert.equal(run(['status', 'set', '1', 'applied', '--note', 'via referral'], ctx).code, 0);
+    assert.equal(run(['status', 'set', 'https://jobs.example.com/2', 'rejected'], ctx).code, 0);
+    const invalid = run(['status', 'set', '1', 'new'], ctx);
+    assert.equal(invalid.code, 2);
+    assert.match(invalid.stderr, /can't go from "applied" to "new"/);
+    assert.equal(run(['status', 'set', '99', 'applied'], ctx).code, 2);
+
+    const store = openStore(ctx.file);
+    assert.equal(store.getJob(1).status, 'applied');
+    assert.equal(store.getHistory(1).statuses.at(-1).note, 'via referral');
+    assert.equal(store.getJob(2).status, 'rejected');
+    store.close();
+});
+
+test('export writes CSV, JSON, Excel and feed files', () => {
+    const ctx = seedStore();
+    const csvFile = path.join(ctx.dir, 'jobs.csv');
+
+    assert.equal(run(['export', '--output', csvFile, '--status', 'new'], ctx).code, 0);
+    const lines = fs.readFileSync(csvFile, 'utf8').trim().split('\r\n');
+    assert.equal(lines.length, 4);
+    assert.match(lines[0], /^Id,Status,Category,Company,Title/);
+
+    const json = run(['export', '--format', 'json', '--category', 'Design'], ctx);
+    assert.deepEqual(JSON.parse(json.stdout).map(j => j.id), [2]);
+    assert.equal(run(['export', '--format', 'xml'], ctx).code, 2);
+
+    const xlsxFile = path.join(ctx.dir, 'jobs.xlsx');
+    assert.equal(run(['export', '--format', 'xlsx', '-o', xlsxFile], ctx).code, 0);
+    assert.equal(fs.readFileSync(xlsxFile).readUInt32LE(0), 0x04034B50);
+    assert.equal(run(['export', '--format', 'rss', '--min-score', '50'], ctx).stdout.match(/<item>/g).length, 2);
+});
+
+test('validate-config and bad arguments use the usage exit code', () => {
+    const ctx = seedStore();
+    fs.writeFileSync(path.join(ctx.dir, 'broken.yml'), 'category: Broken\nroles: []\n');
+
+    assert.equal(run(['validate-config'], { ...ctx, cwd: path.join(__dirname, '..') }).code, 0);
+    const invalid = run(['validate-config', '--profiles', path.join(ctx.dir, 'broken.yml')], ctx);
+    assert.equal(invalid.code, 2);
+    assert.match(invalid.stderr, /Invalid search profiles/);
+
+    assert.equal(run(['scrape', '--category', 'Backend'], { ...ctx, cwd: path.join(__dirname, '..') }).code, 2);
+    assert.equal(run(['frobnicate'], ctx).code, 2);
+    assert.equal(run(['list', '--bogus'], ctx).code, 2);
+});
+
+test('matches prints a candidate\'s shortlist with matched and missing skills', () => {
+    const ctx = seedStore();
+    const store = openStore(ctx.file);
+    const matches = { Priya: { score: 72, reasons: ['skills: 1/2'], matched: ['React'], missing: ['Redux'], similarity: 0.2 } };
+    store.saveJob(Object.assign(store.getJob(1), { matches }));
+    store.close();
+    fs.writeFileSync(path.join(ctx.dir, 'priya.yml'), 'name: Priya\nskills: [React]\nminScore: 60\n');
+    const withCandidates = args => run([...args, '--candidates', path.join(ctx.dir, 'priya.yml')], ctx);
+
+    const { code, stdout } = withCandidates(['matches', 'priya']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^\s+1\s+72 {2}Frontend Developer 1 — Acme/);
+    assert.match(stdout, /matched: React; missing: Redux\n1 job for Priya at or above 60\./);
+    assert.deepEqual(JSON.parse(withCandidates(['matches', 'Priya', '--json']).stdout).map(j => j.match.score), [72]);
+    assert.equal(withCandidates(['matches', 'Arun']).code, 2);
+    assert.equal(withCandidates(['matches']).code, 2);
+});
+
+test('plan lists a profile\'s searches with their state and yield', () => {
+    const ctx = seedStore();
+    const repo = { ...ctx, cwd: path.join(__dirname, '..') };
+
+    const { code, stdout } = run(['plan', '--category', 'Frontend', '--source', 'linkedin', '--json'], repo);
+    assert.equal(code, 0);
+    const rows = JSON.parse(stdout);
+    assert.ok(rows.length > 0);
+    assert.ok(rows.every(row => row.category === 'Frontend' && row.source === 'linkedin' && row.runs === 0));
+    assert.match(run(['plan', '--category', 'Frontend'], repo).stdout, /\[Plan\] Frontend: \d+ searches due \(budget 60\)/);
+});
+
+test('trends writes the HTML report once a week and prints the figures', () => {
+    const ctx = seedStore();
+    const file = path.join(ctx.dir, 'trends.html');
+
+    const { code, stdout } = run(['trends', '--output', file, '--if-due'], ctx);
+    assert.equal(code, 0);
+    assert.match(stdout, /\[Trends\] Wrote .*trends\.html \(3 jobs since/);
+    assert.match(fs.readFileSync(file, 'utf8'), /<h2>Frontend<\/h2>/);
+    fs.unlinkSync(file);
+    assert.match(run(['trends', '--output', file, '--if-due'], ctx).stdout, /the next is due after 7 days/);
+    assert.ok(!fs.existsSync(file));
+
+    const analysis = JSON.parse(run(['trends', '--category', 'design', '--json'], ctx).stdout);
+    assert.equal(analysis.overall.totals.jobs, 1);
+    assert.deepEqual(analysis.categories.map(c => c.category), ['Design']);
+    assert.equal(run(['trends', '--weeks', '0'], ctx).code, 2);
+});
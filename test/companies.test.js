@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_COMPANIES, agencyReason, tagCompany, companyRejectReason, groupByCompany } = require('../lib/companies');
+
+const job = (company, overrides) => ({ title: 'Frontend Developer', company, ...overrides });
+
+test('agencyReason spots known agencies, recruiter names and client-facing descriptions', () => {
+    assert.equal(agencyReason(job('Randstad India Pvt Ltd')), 'known agency');
+    assert.equal(agencyReason(job('Kelly Services')), 'known agency');
+    assert.equal(agencyReason(job('Bright Future Staffing Solutions')), 'name: staffing');
+    assert.equal(agencyReason(job('Skyline HR Consultancy')), 'name: hr consultancy');
+    assert.equal(agencyReason(job('Acme', { description: 'We are hiring for one of our esteemed clients, a product company.' })),
+        'description: hiring for one of our esteemed clients');
+
+    assert.equal(agencyReason(job('Tata Consultancy Services')), null);
+    assert.equal(agencyReason(job('Zoho', { description: 'Build tools our clients love.' })), null);
+});
+
+test('tagCompany keys employers by their normalized name and tags agencies and priorities', () => {
+    const labs = tagCompany(job('Walmart Labs'));
+    const tech = tagCompany(job('Walmart Global Tech India'));
+    assert.equal(labs.companyKey, 'walmart');
+    assert.equal(tech.companyKey, 'walmart');
+    assert.deepEqual(labs.companyTags, []);
+
+    const agency = tagCompany(job('TeamLease Services'));
+    assert.deepEqual(agency.companyTags, ['agency']);
+    assert.equal(agency.agencyReason, 'known agency');
+
+    const settings = { ...DEFAULT_COMPANIES, priority: ['Walmart'], allow: ['Global Staffing Co'] };
+    assert.deepEqual(tagCompany(job('Walmart Labs'), settings).companyTags, ['priority']);
+    assert.deepEqual(tagCompany(job('Global Staffing Co'), settings).companyTags, []);
+    assert.deepEqual(tagCompany(agency, { ...DEFAULT_COMPANIES, agencies: 'ignore' }).companyTags, []);
+    assert.equal(agency.agencyReason, undefined);
+});
+
+test('companyRejectReason applies the block and allow lists and skips agencies on request', () => {
+    const tagged = (company, settings) => tagCompany(job(company), settings);
+
+    const blocking = { ...DEFAULT_COMPANIES, block: ['Walmart'] };
+    assert.equal(companyRejectReason(tagged('Walmart Labs', blocking), blocking), 'company');
+    assert.equal(companyRejectReason(tagged('Acme', blocking), blocking), null);
+
+    const allowing = { ...DEFAULT_COMPANIES, allow: ['Zoho'] };
+    assert.equal(companyRejectReason(tagged('Zoho Corporation', allowing), allowing), null);
+    assert.equal(companyRejectReason(tagged('Acme', allowing), allowing), 'company');
+
+    const skipping = { ...DEFAULT_COMPANIES, agencies: 'skip' };
+    assert.equal(companyRejectReason(tagged('Adecco', skipping), skipping), 'agency');
+    assert.equal(companyRejectReason(tagged('Adecco'), DEFAULT_COMPANIES), null);
+});
+
+test('groupByCompany counts open roles per employer under its most used name', () => {
+    const jobs = [
+        job('Walmart Global Tech India', { category: 'Frontend' }),
+        job('Walmart Labs', { category: 'Frontend' }),
+        job('Walmart Labs', { category: 'Design' }),
+        job('Randstad', { category: 'Frontend' }),
+        job('N/A')
+    ].map(j => tagCompany(j));
+
+    const groups = groupByCompany(jobs);
+    assert.deepEqual(groups.map(g => [g.company, g.openRoles]), [['Walmart Labs', 3], ['Randstad', 1]]);
+    assert.deepEqual(groups[0].categories, ['Frontend', 'Design']);
+    assert.deepEqual(groups[1].tags, ['agency']);
+});
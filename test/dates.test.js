@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRelativeAge, parsePostedDate, isWithinDays, DAY } = require('../lib/dates');
+const { stampDates } = require('../lib/pipeline');
+
+const SCRAPED_AT = '2026-02-02T12:00:00.000Z';
+const HOUR = 60 * 60 * 1000;
+
+test('parseRelativeAge reads Naukri, LinkedIn and Indeed texts', () => {
+    assert.equal(parseRelativeAge('Just Now'), 0);
+    assert.equal(parseRelativeAge('Just posted'), 0);
+    assert.equal(parseRelativeAge('Today'), 0);
+    assert.equal(parseRelativeAge('45 mins ago'), 45 * 60 * 1000);
+    assert.equal(parseRelativeAge('an hour ago'), HOUR);
+    assert.equal(parseRelativeAge('Few Hours Ago'), 3 * HOUR);
+    assert.equal(parseRelativeAge('1 Day Ago'), DAY);
+    assert.equal(parseRelativeAge('Posted 2 days ago'), 2 * DAY);
+    assert.equal(parseRelativeAge('30+ Days Ago'), 30 * DAY);
+    assert.equal(parseRelativeAge('3 weeks ago'), 21 * DAY);
+    assert.equal(parseRelativeAge('1 month ago'), 30 * DAY);
+});
+
+test('parseRelativeAge returns null for unreadable text', () => {
+    for (const text of ['N/A', '', null, undefined, 'Hiring now']) {
+        assert.equal(parseRelativeAge(text), null, String(text));
+    }
+});
+
+test('parsePostedDate measures relative texts from scrapedAt', () => {
+    assert.equal(parsePostedDate('Just Now', null, SCRAPED_AT), SCRAPED_AT);
+    assert.equal(parsePostedDate('5 hours ago', null, SCRAPED_AT), '2026-02-02T07:00:00.000Z');
+    assert.equal(parsePostedDate('30+ Days Ago', null, SCRAPED_AT), '2026-01-03T12:00:00.000Z');
+});
+
+test('parsePostedDate combines card text with <time datetime> values', () => {
+    // Sub-week texts are at least as precise as a date-only attribute
+    assert.equal(parsePostedDate('5 hours ago', '2026-02-02', SCRAPED_AT), '2026-02-02T07:00:00.000Z');
+    // Older texts are rounded, so the attribute wins
+    assert.equal(parsePostedDate('3 weeks ago', '2026-01-10', SCRAPED_AT), '2026-01-10T00:00:00.000Z');
+    // Unreadable text falls back to the attribute or an epoch value
+    assert.equal(parsePostedDate('N/A', '2026-01-30T08:00:00Z', SCRAPED_AT), '2026-01-30T08:00:00.000Z');
+    assert.equal(parsePostedDate(null, Date.parse('2026-01-30T08:00:00Z'), SCRAPED_AT), '2026-01-30T08:00:00.000Z');
+});
+
+test('parsePostedDate accepts ISO text but not ambiguous free text', () => {
+    assert.equal(parsePostedDate('2026-01-30', null, SCRAPED_AT), '2026-01-30T00:00:00.000Z');
+    assert.equal(parsePostedDate('12 Jan', null, SCRAPED_AT), null);
+    assert.equal(parsePostedDate('N/A', null, SCRAPED_AT), null);
+});
+
+test('isWithinDays applies the freshness window inclusively', () => {
+    assert.equal(isWithinDays('2026-02-01T12:00:00.000Z', SCRAPED_AT, 1), true);
+    assert.equal(isWithinDays('2026-02-01T11:59:00.000Z', SCRAPED_AT, 1), false);
+    assert.equal(isWithinDays('2026-01-27T12:00:00.000Z', SCRAPED_AT, 7), true);
+    assert.equal(isWithinDays(null, SCRAPED_AT, 7), false);
+});
+
+test('stampDates adds scrapedAt and postedAt and drops postedDatetime', () => {
+    const job = stampDates({ title: 'UI Developer', postedDate: '2 days ago', postedDatetime: '2026-01-31' }, new Date(SCRAPED_AT));
+    assert.deepEqual(job, {
+        title: 'UI Developer',
+        postedDate: '2 days ago',
+        scrapedAt: SCRAPED_AT,
+        postedAt: '2026-01-31T12:00:00.000Z'
+    });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeCompany,
+    normalizeTitle,
+    normalizeLocations,
+    isSameOpening,
+    mergeInto,
+    createDedupIndex,
+    DEFAULT_DEDUPE
+} = require('../lib/dedupe');
+
+const naukriJob = {
+    title: 'Front End Developer',
+    company: 'Acme Software Pvt. Ltd.',
+    location: 'Chennai',
+    detailUrl: 'https://www.naukri.com/job-listings-front-end-developer-acme-010226500123',
+    platform: 'Naukri',
+    postedAt: '2026-02-01T10:00:00.000Z',
+    salary: '6-12 Lacs PA',
+    description: null
+};
+
+const linkedinJob = {
+    title: 'Frontend Developer',
+    company: 'Acme Software',
+    location: 'Chennai, Tamil Nadu, India',
+    detailUrl: 'https://in.linkedin.com/jobs/view/frontend-developer-at-acme-software-4328487238',
+    platform: 'LinkedIn',
+    postedAt: '2026-01-31T12:00:00.000Z',
+    salary: 'N/A',
+    description: 'Build dashboards in React.'
+};
+
+test('normalizeCompany drops legal and generic suffixes', () => {
+    assert.equal(normalizeCompany('Acme Software Pvt. Ltd.'), 'acme');
+    assert.equal(normalizeCompany('Walmart Labs'), 'walmart');
+    assert.equal(normalizeCompany('Walmart Global Tech India'), 'walmart');
+    assert.equal(normalizeCompany('Tata Consultancy Services'), 'tata consultancy');
+});
+
+test('normalizeTitle unifies spellings and drops noise words', () => {
+    assert.deepEqual(normalizeTitle('Sr. Front-End Developer (React.js) - Urgent Hiring'), ['senior', 'frontend', 'developer']);
+    assert.deepEqual(normalizeTitle('UI/UX Developer'), ['uiux', 'developer']);
+    assert.deepEqual(normalizeTitle('ReactJS Dev'), ['react', 'developer']);
+});
+
+test('normalizeLocations keeps cities and drops states and work modes', () => {
+    assert.deepEqual([...normalizeLocations('Chennai, Tamil Nadu, India')], ['chennai']);
+    assert.deepEqual([...normalizeLocations('Hybrid - Bangalore')], ['bengaluru']);
+    assert.deepEqual([...normalizeLocations('Chennai, Kochi')], ['chennai', 'kochi']);
+});
+
+test('isSameOpening matches across boards but not across seniority, cities or time', () => {
+    assert.equal(isSameOpening(naukriJob, linkedinJob), true);
+    assert.equal(isSameOpening(naukriJob, { ...linkedinJob, title: 'Senior Frontend Developer' }), false);
+    assert.equal(isSameOpening(naukriJob, { ...linkedinJob, location: 'Hyderabad, Telangana, India' }), false);
+    assert.equal(isSameOpening(naukriJob, { ...linkedinJob, postedAt: '2025-11-01T00:00:00.000Z' }), false);
+    assert.equal(isSameOpening(naukriJob, { ...linkedinJob, postedAt: '2025-11-01T00:00:00.000Z' }, { ...DEFAULT_DEDUPE, windowDays: 120 }), true);
+});
+
+test('mergeInto records every source and fills missing fields', () => {
+    const canonical = mergeInto({ ...naukriJob }, linkedinJob);
+
+    assert.equal(canonical.detailUrl, naukriJob.detailUrl);
+    assert.deepEqual(canonical.platforms, ['Naukri', 'LinkedIn']);
+    assert.deepEqual(canonical.sources.map(s => s.detailUrl), [naukriJob.detailUrl, linkedinJob.detailUrl]);
+    assert.equal(canonical.salary, '6-12 Lacs PA');
+    assert.equal(canonical.description, 'Build dashboards in React.');
+
+    // Merging the same URL again is a no-op
+    mergeInto(canonical, linkedinJob);
+    assert.equal(canonical.sources.length, 2);
+});
+
+test('createDedupIndex finds reposts under a new Naukri ID', () => {
+    const index = createDedupIndex([naukriJob]);
+    const repost = { ...naukriJob, detailUrl: 'https://www.naukri.com/job-listings-front-end-developer-acme-150226509999', postedAt: '2026-02-15T10:00:00.000Z' };
+
+    assert.equal(index.find(repost), naukriJob);
+    assert.equal(index.find({ ...repost, company: 'Other Corp' }), null);
+    assert.equal(index.find({ ...repost, company: 'N/A' }), null);
+});
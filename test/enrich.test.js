@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectWorkMode, parseApplicantCount, applyDetail, enrichJobs } = require('../lib/enrich');
+
+test('detectWorkMode reads hybrid, remote and onsite markers', () => {
+    assert.equal(detectWorkMode('Hybrid - Bengaluru'), 'Hybrid');
+    assert.equal(detectWorkMode('Chennai', 'Work from home'), 'Remote');
+    assert.equal(detectWorkMode('On-site'), 'Onsite');
+    assert.equal(detectWorkMode('Work from office 5 days a week'), 'Onsite');
+    assert.equal(detectWorkMode('Chennai'), null);
+    assert.equal(detectWorkMode(null, undefined), null);
+});
+
+test('parseApplicantCount keeps the lower bound', () => {
+    assert.equal(parseApplicantCount('Over 200 applicants'), 200);
+    assert.equal(parseApplicantCount('Applicants: 1,000+'), 1000);
+    assert.equal(parseApplicantCount(null), null);
+});
+
+test('applyDetail fills missing fields and keeps card values', () => {
+    const job = {
+        location: 'Bengaluru',
+        experience: 'N/A', expMin: null, expMax: null,
+        salary: '6-12 Lacs PA', salaryMin: 600000, salaryMax: 1200000, salaryCurrency: 'INR'
+    };
+    applyDetail(job, {
+        salary: '20-30 Lacs PA',
+        description: 'Hybrid role. You have 3+ years of experience with React and TypeScript.',
+        skills: ['ReactJS', 'Redux'],
+        employmentType: ' Full-time ',
+        applicants: 'Over 100 applicants',
+        applyUrl: 'https://careers.example.com/apply/1'
+    });
+
+    assert.equal(job.experience, '3+ Yrs');
+    assert.equal(job.expMin, 3);
+    assert.equal(job.expMax, null);
+    assert.equal(job.salaryMin, 600000);
+    assert.deepEqual(job.skills, ['React', 'Redux', 'TypeScript']);
+    assert.equal(job.employmentType, 'Full-time');
+    assert.equal(job.workMode, 'Hybrid');
+    assert.equal(job.applicantCount, 100);
+    assert.equal(job.applyUrl, 'https://careers.example.com/apply/1');
+    assert.ok(job.enrichedAt);
+    assert.equal(job.enrichmentError, null);
+
+    const remote = applyDetail({ location: 'Chennai', expMin: 2, salaryMin: null, workMode: 'Remote' }, { description: 'Build dashboards in React.' });
+    assert.equal(remote.workMode, 'Remote');
+});
+
+function fakeBrowser(pages) {
+    return {
+        opened: 0,
+        async newPage() {
+            this.opened++;
+            let url;
+            return {
+                goto: async (target) => {
+                    url = target;
+                    if (pages[url] instanceof Error) throw pages[url];
+                },
+                evaluate: async () => pages[url],
+                close: async () => { }
+            };
+        }
+    };
+}
+
+const fakeSource = { platform: 'Test', extractDetail: page => page.evaluate() };
+
+test('enrichJobs enriches every job and records failures without dropping them', async () => {
+    const browser = fakeBrowser({
+        'https://a.example/1': { description: 'Remote React role' },
+        'https://a.example/2': new Error('net::ERR_TIMED_OUT\nat goto'),
+        'https://b.example/3': { description: 'Vue role', employmentType: 'Contract' }
+    });
+    const jobs = [
+        { detailUrl: 'https://a.example/1', expMin: null, salaryMin: null },
+        { detailUrl: 'https://a.example/2', expMin: null, salaryMin: null },
+        { detailUrl: 'https://b.example/3', expMin: null, salaryMin: null },
+        { detailUrl: 'https://b.example/4', enrichedAt: '2026-01-01T00:00:00.000Z' }
+    ];
+
+    const result = await enrichJobs(browser, jobs, () => fakeSource, { concurrency: 2, minDelayMs: 0 });
+
+    assert.deepEqual(result, { enriched: 2, failed: 1 });
+    assert.equal(browser.opened, 2);
+    assert.equal(jobs.length, 4);
+    assert.deepEqual(jobs[0].skills, ['React']);
+    assert.equal(jobs[0].workMode, 'Remote');
+    assert.equal(jobs[1].enrichmentError, 'net::ERR_TIMED_OUT');
+    assert.equal(jobs[1].enrichedAt, undefined);
+    assert.equal(jobs[2].employmentType, 'Contract');
+    assert.equal(jobs[3].description, undefined);
+});
+
+test('enrichJobs skips sources without a detail extractor', async () => {
+    const browser = fakeBrowser({});
+    const result = await enrichJobs(browser, [{ detailUrl: 'https://a.example/1' }], () => ({ platform: 'Careers' }));
+    assert.deepEqual(result, { enriched: 0, failed: 0 });
+    assert.equal(browser.opened, 0);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExperience, formatExperience } = require('../lib/experience');
+
+test('parseExperience reads card ranges', () => {
+    assert.deepEqual(parseExperience('2-5 Yrs'), { expMin: 2, expMax: 5 });
+    assert.deepEqual(parseExperience('0-1 Yrs'), { expMin: 0, expMax: 1 });
+    assert.deepEqual(parseExperience('3 to 5 years'), { expMin: 3, expMax: 5 });
+    assert.deepEqual(parseExperience('2 – 4 years'), { expMin: 2, expMax: 4 });
+    assert.deepEqual(parseExperience('4 Yrs'), { expMin: 4, expMax: 4 });
+    assert.deepEqual(parseExperience('Fresher'), { expMin: 0, expMax: 0 });
+});
+
+test('parseExperience treats "+" and "minimum" as open-ended', () => {
+    assert.deepEqual(parseExperience('5+ years'), { expMin: 5, expMax: null });
+    assert.deepEqual(parseExperience('Minimum 3 years of experience'), { expMin: 3, expMax: null });
+});
+
+test('parseExperience reads descriptions with singleIsMinimum', () => {
+    const text = 'We are looking for a developer with 3 years of experience in React.';
+    assert.deepEqual(parseExperience(text, { singleIsMinimum: true }), { expMin: 3, expMax: null });
+    assert.deepEqual(parseExperience(text), { expMin: 3, expMax: 3 });
+});
+
+test('parseExperience returns null when nothing is stated', () => {
+    for (const text of ['N/A', '', null, undefined, 'Great team culture']) {
+        assert.equal(parseExperience(text), null, String(text));
+    }
+});
+
+test('formatExperience renders the card format', () => {
+    assert.equal(formatExperience({ expMin: 2, expMax: 5 }), '2-5 Yrs');
+    assert.equal(formatExperience({ expMin: 3, expMax: null }), '3+ Yrs');
+    assert.equal(formatExperience({ expMin: 4, expMax: 4 }), '4 Yrs');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, toJson, toXlsx, EXPORT_COLUMNS } = require('../lib/export');
+const { crc32, sheetNames } = require('../lib/xlsx');
+const { unzip } = require('./helpers/unzip');
+
+const JOB = {
+    id: 7,
+    status: 'applied',
+    category: 'Frontend',
+    company: 'Acme, Inc.',
+    title: 'Frontend "Wizard"',
+    detailUrl: 'https://jobs.example.com/7',
+    skills: ['React', 'CSS'],
+    score: 82,
+    scoreReasons: ['title: frontend', 'skills: 2/5'],
+    companyTags: ['agency']
+};
+
+test('toCsv writes a header and quotes commas, quotes and line breaks', () => {
+    const lines = toCsv([JOB]).split('\r\n');
+
+    assert.equal(lines.length, 3);
+    assert.equal(lines[0], EXPORT_COLUMNS.map(c => c.header).join(','));
+    assert.match(lines[1], /^7,applied,Frontend,"Acme, Inc.","Frontend ""Wizard""",/);
+    assert.match(lines[1], /,"React, CSS",/);
+    assert.match(lines[1], /,82,"title: frontend\nskills: 2\/5",agency,Open,/);
+    assert.equal(lines[2], '');
+});
+
+test('toJson keeps every field', () => {
+    assert.deepEqual(JSON.parse(toJson([JOB])), [JOB]);
+});
+
+test('toXlsx writes a workbook with a tab per category', () => {
+    const design = { ...JOB, id: 8, category: 'Design', title: 'UI <Designer> & Co', score: 60 };
+    const files = unzip(toXlsx([JOB, design, { ...JOB, id: 9 }], { tabs: { Design: 'UX/UI' } }));
+
+    assert.ok(files['[Content_Types].xml'].includes('/xl/worksheets/sheet2.xml'));
+    assert.match(files['xl/workbook.xml'], /<sheet name="Frontend" sheetId="1" r:id="rId1"\/><sheet name="UX UI" sheetId="2"/);
+
+    const frontend = files['xl/worksheets/sheet1.xml'];
+    assert.equal(frontend.match(/<row /g).length, 3);
+    assert.match(frontend, /<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Id<\/t>/);
+    assert.match(frontend, /<c r="A2"><v>7<\/v><\/c>/);
+    assert.match(files['xl/worksheets/sheet2.xml'], /UI &lt;Designer&gt; &amp; Co/);
+});
+
+test('xlsx helpers checksum entries and clean up sheet names', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.deepEqual(sheetNames(['Frontend', 'frontend', 'A/B: [test]?', 'x'.repeat(40)]),
+        ['Frontend', 'frontend 2', 'A B   test', 'x'.repeat(31)]);
+});
@@ -0,0 +1,178 @@
+// Runs the source adapters' DOM extraction against saved search result pages.
+// Only the local fixture server is reachable: every other request is aborted.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const naukri = require('../lib/sources/naukri');
+const linkedin = require('../lib/sources/linkedin');
+
+let browser;
+let fixtures;
+let skipReason;
+
+before(async () => {
+    fixtures = await startFixtureServer();
+    try {
+        browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox'] });
+    } catch (e) {
+        skipReason = `Chromium unavailable: ${e.message.split('\n')[0]}`;
+    }
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    if (fixtures) fixtures.server.close();
+});
+
+async function loadFixture(name) {
+    const page = await browser.newPage();
+    await page.setRequestInterception(true);
+    page.on('request', req => {
+        if (req.url().startsWith(fixtures.baseUrl)) req.continue();
+        else req.abort();
+    });
+    await page.goto(`${fixtures.baseUrl}/${name}`, { waitUntil: 'domcontentloaded' });
+    return page;
+}
+
+async function extract(source, fixture) {
+    const page = await loadFixture(fixture);
+    try {
+        const raw = await source.extractCards(page, {});
+        return raw.map(card => source.normalize(card, {}));
+    } finally {
+        await page.close();
+    }
+}
+
+describe('Naukri extractor', () => {
+    test('extracts job tuples from the search results page', async (t) => {
+        if (!browser) return t.skip(skipReason);
+
+        const jobs = await extract(naukri, 'naukri-search.html');
+        assert.deepEqual(jobs, [
+            {
+                title: 'Frontend Developer',
+                detailUrl: 'https://www.naukri.com/job-listings-frontend-developer-acme-software-chennai-2-to-4-years-010226500123',
+                postedDate: 'Just Now',
+                company: 'Acme Software',
+                location: 'Chennai',
+                experience: '2-4 Yrs',
+                salary: '6-12 Lacs PA',
+                platform: 'Naukri'
+            },
+            {
+                title: 'React JS Developer',
+                detailUrl: 'https://www.naukri.com/job-listings-react-js-developer-pixel-labs-bengaluru-hybrid-3-to-5-years-310126504411',
+                postedDate: '1 Day Ago',
+                company: 'Pixel Labs',
+                location: 'Hybrid - Bengaluru',
+                experience: '3-5 Yrs',
+                salary: 'N/A',
+                platform: 'Naukri'
+            },
+            {
+                title: 'UI Developer',
+                detailUrl: 'https://www.naukri.com/job-listings-ui-developer-orbit-tech-coimbatore-1-to-2-years-290126507788',
+                postedDate: '3 Days Ago',
+                company: 'Orbit Tech',
+                location: 'Coimbatore',
+                experience: '1-2 Yrs',
+                salary: 'N/A',
+                platform: 'Naukri'
+            }
+        ]);
+    });
+});
+
+describe('LinkedIn extractor', () => {
+    test('extracts guest and logged-in job cards', async (t) => {
+        if (!browser) return t.skip(skipReason);
+
+        const jobs = await extract(linkedin, 'linkedin-search.html');
+        assert.deepEqual(jobs, [
+            {
+                title: 'Frontend Developer',
+                detailUrl: 'https://in.linkedin.com/jobs/view/frontend-developer-at-acme-software-4328487238',
+                company: 'Acme Software',
+                location: 'Chennai, Tamil Nadu, India',
+                postedDate: '2 days ago',
+                postedDatetime: '2026-01-31',
+                salary: '₹15L - ₹20L',
+                experience: 'N/A',
+                platform: 'LinkedIn'
+            },
+            {
+                title: 'Senior UI Developer',
+                detailUrl: 'https://in.linkedin.com/jobs/view/senior-ui-developer-at-pixel-labs-4330011122',
+                company: 'Pixel Labs',
+                location: 'Bengaluru, Karnataka, India',
+                postedDate: '5 hours ago',
+                postedDatetime: '2026-02-02',
+                salary: 'N/A',
+                experience: 'N/A',
+                platform: 'LinkedIn'
+            },
+            {
+                title: 'React Frontend Developer',
+                detailUrl: 'https://www.linkedin.com/jobs/view/4331234567/',
+                company: 'Orbit Tech',
+                location: 'Hyderabad, Telangana, India (Hybrid)',
+                postedDate: '1 week ago',
+                postedDatetime: '2026-01-26',
+                salary: 'N/A',
+                experience: 'N/A',
+                platform: 'LinkedIn'
+            }
+        ]);
+    });
+
+    test('stops pagination when the Next button is disabled', async (t) => {
+        if (!browser) return t.skip(skipReason);
+
+        const page = await loadFixture('linkedin-search.html');
+        try {
+            assert.equal(await linkedin.nextPage(page), false);
+        } finally {
+            await page.close();
+        }
+    });
+});
+
+describe('Detail page extractors', () => {
+    async function extractDetail(source, fixture) {
+        const page = await loadFixture(fixture);
+        try {
+            return await source.extractDetail(page);
+        } finally {
+            await page.close();
+        }
+    }
+
+    test('Naukri detail page', async (t) => {
+        if (!browser) return t.skip(skipReason);
+
+        const detail = await extractDetail(naukri, 'naukri-detail.html');
+        assert.equal(detail.experience, '2 - 4 years');
+        assert.equal(detail.salary, '6-12 Lacs P.A.');
+        assert.match(detail.description, /customer dashboards in React and TypeScript/);
+        assert.deepEqual(detail.skills, ['ReactJS', 'Redux', 'HTML5']);
+        assert.equal(detail.employmentType, 'Full Time, Permanent');
+        assert.equal(detail.workMode, 'Hybrid - Chennai');
+        assert.match(detail.applicants, /100\+/);
+        assert.equal(detail.applyUrl, 'https://careers.acme.example/jobs/42');
+    });
+
+    test('LinkedIn guest job page', async (t) => {
+        if (!browser) return t.skip(skipReason);
+
+        const detail = await extractDetail(linkedin, 'linkedin-detail.html');
+        assert.equal(detail.experience, null);
+        assert.equal(detail.salary, '₹15,00,000.00/yr - ₹20,00,000.00/yr');
+        assert.match(detail.description, /3\+ years of experience/);
+        assert.equal(detail.employmentType, 'Full-time');
+        assert.equal(detail.applicants, 'Over 200 applicants');
+        assert.equal(detail.applyUrl, 'https://jobs.lever.co/acme/123/apply');
+    });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toRss, toAtom } = require('../lib/feed');
+
+const job = (id, scrapedAt, overrides) => ({
+    id,
+    title: `Frontend Developer ${id}`,
+    company: 'Acme & Sons',
+    location: 'Chennai',
+    category: 'Frontend',
+    detailUrl: `https://jobs.example.com/${id}?a=1&b=2`,
+    scrapedAt,
+    score: 80,
+    skills: ['React'],
+    ...overrides
+});
+
+const JOBS = [
+    job(1, '2026-03-01T10:00:00.000Z'),
+    job(2, '2026-03-03T10:00:00.000Z', { scoreReasons: ['title: frontend (1)'] }),
+    job(3, '2026-03-02T10:00:00.000Z'),
+    job(4, null)
+];
+
+test('toRss lists the newest jobs first, keyed by URL and escaped', () => {
+    const rss = toRss(JOBS, { title: 'Frontend jobs', link: 'https://example.com/', limit: 2 });
+
+    assert.match(rss, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0">/);
+    assert.match(rss, /<title>Frontend jobs<\/title>/);
+    assert.match(rss, /<lastBuildDate>Tue, 03 Mar 2026 10:00:00 GMT<\/lastBuildDate>/);
+    assert.deepEqual([...rss.matchAll(/<guid isPermaLink="true">(.*?)<\/guid>/g)].map(m => m[1]),
+        ['https://jobs.example.com/2?a=1&amp;b=2', 'https://jobs.example.com/3?a=1&amp;b=2']);
+    assert.match(rss, /<title>Frontend Developer 2 — Acme &amp; Sons \(Chennai\)<\/title>/);
+    assert.match(rss, /<description>&lt;ul&gt;&lt;li&gt;Category: Frontend&lt;\/li&gt;/);
+    assert.match(rss, /title: frontend \(1\)/);
+});
+
+test('toAtom writes a valid feed skeleton with one entry per job', () => {
+    const atom = toAtom(JOBS, { now: new Date('2026-03-05T00:00:00.000Z') });
+
+    assert.match(atom, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+    assert.match(atom, /<id>urn:job-search:New%20jobs<\/id>/);
+    assert.match(atom, /<updated>2026-03-03T10:00:00.000Z<\/updated>/);
+    assert.equal(atom.match(/<entry>/g).length, 3);
+    assert.match(atom, /<category term="Frontend"\/>/);
+    assert.match(toAtom([], { now: new Date('2026-03-05T00:00:00.000Z') }), /<updated>2026-03-05T00:00:00.000Z<\/updated>/);
+});
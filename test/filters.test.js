@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    containsKeyword,
+    matchesTitleKeywords,
+    isValidLocation
+} = require('../lib/filters');
+const { loadProfiles, DEFAULT_PROFILES_PATH } = require('../lib/profiles');
+
+// Title checks with the bundled profiles' keywords (profiles/*.yml)
+const PROFILES = loadProfiles(DEFAULT_PROFILES_PATH);
+const titleKeywords = category => PROFILES.find(p => p.category === category).titleKeywords;
+const isDevTitle = title => matchesTitleKeywords(title, titleKeywords('Frontend'));
+const isDesignTitle = title => matchesTitleKeywords(title, titleKeywords('Design'));
+
+const LOCATIONS = ['Chennai', 'Bengaluru', 'Coimbatore', 'Hyderabad', 'Kerala', 'Remote', 'Hybrid'];
+
+test('Frontend title keywords keep frontend roles', () => {
+    for (const title of ['Frontend Developer', 'Senior Front End Engineer', 'React JS Developer', 'UI Developer', 'Angular Developer']) {
+        assert.equal(isDevTitle(title), true, title);
+    }
+});
+
+test('Frontend title keywords drop backend, sales and management roles', () => {
+    for (const title of ['Backend Developer', 'Python Developer', '.NET Developer', 'Sales Executive', 'Engineering Manager', '', null]) {
+        assert.equal(isDevTitle(title), false, String(title));
+    }
+});
+
+test('title keywords match whole words only', () => {
+    for (const title of ['Network UI Developer', 'Internet Web Developer', 'Frontend Developer - Three.js', 'Chrome Extension Frontend Developer']) {
+        assert.equal(isDevTitle(title), true, title);
+    }
+    assert.equal(isDevTitle('JavaScript Developer'), true);
+    assert.equal(isDevTitle('Java Developer'), false);
+    assert.equal(isDevTitle('HR Executive - Frontend Hiring'), false);
+});
+
+test('Frontend title keywords take engineers only with a software or UI qualifier', () => {
+    for (const title of ['Software Engineer - UI', 'UI Engineer', 'Web Engineer', 'SDE - Frontend', 'Software Development Engineer']) {
+        assert.equal(isDevTitle(title), true, title);
+    }
+    for (const title of ['Civil Engineer', 'Mechanical Design Engineer', 'Site Engineer', 'Sales Engineer', 'SDE']) {
+        assert.equal(isDevTitle(title), false, title);
+    }
+});
+
+test('title keywords ending in * match word prefixes', () => {
+    const keywords = { include: ['web develop*', 'react*'], exclude: [] };
+    assert.equal(matchesTitleKeywords('Web Development Lead', keywords), true);
+    assert.equal(matchesTitleKeywords('ReactJS Developer', keywords), true);
+    assert.equal(matchesTitleKeywords('Webflow Developer', keywords), false);
+    assert.equal(containsKeyword('UI/UX Designer', 'ui ux'), true);
+});
+
+test('Design title keywords keep "Product Manager" despite the manager exclude', () => {
+    assert.equal(isDesignTitle('Product Manager'), true);
+    assert.equal(isDesignTitle('Senior Product Manager - UX'), true);
+    assert.equal(isDesignTitle('UX Manager'), false);
+});
+
+test('Design title keywords keep design roles and drop unrelated ones', () => {
+    assert.equal(isDesignTitle('UI / UX Designer'), true);
+    assert.equal(isDesignTitle('Product Designer'), true);
+    assert.equal(isDesignTitle('SENIOR UX DESIGNER'), true);
+    assert.equal(isDesignTitle('Sheet Metal Design Engineer'), false);
+    assert.equal(isDesignTitle('HVAC Design Engineer'), false);
+    assert.equal(isDesignTitle('Design Manager'), false);
+    assert.equal(isDesignTitle(''), false);
+});
+
+test('isValidLocation requires a target location and rejects foreign ones', () => {
+    assert.equal(isValidLocation('Chennai', LOCATIONS), true);
+    assert.equal(isValidLocation('Hybrid - Bengaluru', LOCATIONS), true);
+    assert.equal(isValidLocation('Chennai, Kochi', LOCATIONS), true);
+    assert.equal(isValidLocation('Mumbai', LOCATIONS), false);
+    assert.equal(isValidLocation('Remote, United States', LOCATIONS), false);
+    assert.equal(isValidLocation('London, UK', LOCATIONS), false);
+    assert.equal(isValidLocation('', LOCATIONS), false);
+});
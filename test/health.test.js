@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    createSearchMetrics, countDrop, detectBlock, summarizeSources, checkHealth, buildRunReport, writeRunReport
+} = require('../lib/health');
+
+const NAUKRI = { name: 'naukri', platform: 'Naukri' };
+
+function metrics(overrides = {}) {
+    return { ...createSearchMetrics(NAUKRI, { url: 'https://www.naukri.com/x', role: 'Frontend Developer', location: 'Chennai' }, 'Frontend'), completed: true, pagesLoaded: 1, ...overrides };
+}
+
+// A previous run's report where Naukri averaged `cards` per search
+const pastRun = (cards, alerts = []) => ({ sources: { Naukri: { cardsPerSearch: cards } }, alerts });
+
+test('summarizeSources totals searches, cards and drops per platform', () => {
+    const a = metrics({ rawCards: 20, accepted: 2 });
+    countDrop(a, 'duplicate');
+    countDrop(a, 'duplicate');
+    const b = metrics({ rawCards: 10, completed: false, errors: ['timeout'] });
+    countDrop(b, 'title');
+    const c = metrics({ pagesLoaded: 0, completed: false, blocked: 'captcha' });
+
+    assert.deepEqual(summarizeSources([a, b, c]).Naukri, {
+        searches: 3, loaded: 2, failed: 2, blocked: 1, skipped: 0, pagesLoaded: 2, rawCards: 30, accepted: 2,
+        dropped: { duplicate: 2, title: 1 }, durationMs: 0, cardsPerSearch: 15
+    });
+});
+
+test('checkHealth flags selectors that stopped matching against the baseline', () => {
+    const sources = summarizeSources([metrics(), metrics(), metrics()]);
+
+    const [alert] = checkHealth(sources, [pastRun(18), pastRun(22), pastRun(20)]);
+    assert.equal(alert.level, 'error');
+    assert.equal(alert.type, 'selectors-broken');
+    assert.match(alert.message, /Naukri selectors likely broken: 0 cards from 3 loaded pages \(baseline 20 per search/);
+
+    // Without enough history it is only a warning; broken runs don't count as history
+    assert.deepEqual(checkHealth(sources, [pastRun(20)]).map(a => [a.level, a.type]), [['warning', 'no-cards']]);
+    const brokenRuns = [pastRun(0, [{ level: 'error', platform: 'Naukri' }]), pastRun(0, [{ level: 'error', platform: 'Naukri' }]), pastRun(20)];
+    assert.deepEqual(checkHealth(sources, brokenRuns).map(a => a.type), ['no-cards']);
+});
+
+test('checkHealth reports blocks, failing sources and drops in cards', () => {
+    const blocked = summarizeSources([metrics({ pagesLoaded: 1, completed: false, blocked: 'login-wall' })]);
+    assert.deepEqual(checkHealth(blocked).map(a => [a.level, a.type]), [['error', 'blocked']]);
+
+    // A block after other searches got through, or a source still paused from an earlier block, is a warning
+    const partlyBlocked = summarizeSources([metrics({ rawCards: 12 }), metrics({ completed: false, blocked: 'captcha' })]);
+    assert.deepEqual(checkHealth(partlyBlocked).map(a => [a.level, a.type]), [['warning', 'blocked']]);
+    const pausedSearches = [metrics({ pagesLoaded: 0, completed: false, skipped: 'cooldown' })];
+    assert.deepEqual(checkHealth(summarizeSources(pausedSearches)).map(a => [a.level, a.type]), [['warning', 'cooldown']]);
+
+    const failing = summarizeSources([metrics({ pagesLoaded: 0, completed: false }), metrics({ pagesLoaded: 0, completed: false })]);
+    assert.deepEqual(checkHealth(failing).map(a => [a.level, a.type]), [['error', 'failing']]);
+
+    const fewer = summarizeSources([metrics({ rawCards: 2 }), metrics({ rawCards: 1, completed: false }), metrics({ pagesLoaded: 0, completed: false })]);
+    assert.deepEqual(checkHealth(fewer, [pastRun(20), pastRun(20)]).map(a => [a.level, a.type]), [['warning', 'card-drop'], ['warning', 'errors']]);
+
+    const healthy = summarizeSources([metrics({ rawCards: 19 })]);
+    assert.deepEqual(checkHealth(healthy, [pastRun(20), pastRun(20)]), []);
+});
+
+test('detectBlock recognizes CAPTCHA pages and login walls', async () => {
+    const page = (url, text) => ({ url: () => url, evaluate: async () => text });
+
+    assert.equal(await detectBlock(page('https://www.linkedin.com/authwall?trk=x', '')), 'login-wall');
+    assert.equal(await detectBlock(page('https://www.naukri.com/x', 'Access Denied\nPlease complete the CAPTCHA')), 'captcha');
+    assert.equal(await detectBlock(page('https://www.linkedin.com/jobs', 'Sign in to view more jobs')), 'login-wall');
+    assert.equal(await detectBlock(page('https://www.naukri.com/x', 'No jobs found for this search')), null);
+    assert.equal(await detectBlock({ evaluate: async () => { throw new Error('detached'); } }), null);
+});
+
+test('buildRunReport and writeRunReport save the run as JSON', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+    const startedAt = new Date('2026-03-10T10:00:00Z');
+    const report = buildRunReport({ runId: 7, startedAt, finishedAt: new Date('2026-03-10T10:20:00Z'), searches: [metrics({ rawCards: 12 })] });
+
+    assert.equal(report.durationMs, 20 * 60 * 1000);
+    assert.equal(report.sources.Naukri.cardsPerSearch, 12);
+    assert.deepEqual(report.alerts, []);
+
+    const file = writeRunReport(report, dir);
+    assert.equal(path.basename(file), 'run-7-2026-03-10T10-00-00-000Z.json');
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), report);
+});
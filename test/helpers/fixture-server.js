@@ -0,0 +1,27 @@
+// Serves test/fixtures over HTTP on a random local port
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function startFixtureServer() {
+    const server = http.createServer((req, res) => {
+        const file = path.join(FIXTURES_DIR, path.normalize(decodeURIComponent(req.url.split('?')[0])));
+        if (!file.startsWith(FIXTURES_DIR) || !fs.existsSync(file)) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        fs.createReadStream(file).pipe(res);
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({ server, baseUrl: `http://127.0.0.1:${port}` });
+        });
+    });
+}
+
+module.exports = { startFixtureServer };
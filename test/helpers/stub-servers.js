@@ -0,0 +1,61 @@
+// Local stand-ins for webhook/bot APIs and an SMTP server; both record what they receive
+const http = require('http');
+const net = require('net');
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+// `stub.status` sets the reply code for the next requests (e.g. 500 to test retries)
+async function startHttpStub() {
+    const stub = { requests: [], status: 200 };
+    stub.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            stub.requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+            res.writeHead(stub.status, { 'Content-Type': 'application/json' });
+            res.end(stub.status < 400 ? '{"ok":true}' : '{"ok":false}');
+        });
+    });
+    const port = await listen(stub.server);
+    stub.baseUrl = `http://127.0.0.1:${port}`;
+    return stub;
+}
+
+// Just enough SMTP for a client to deliver: no auth, no TLS
+async function startSmtpStub() {
+    const stub = { messages: [] };
+    stub.server = net.createServer(socket => {
+        let buffer = '';
+        let message = null;
+        socket.write('220 stub ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            if (message) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                message.data = buffer.slice(0, end);
+                stub.messages.push(message);
+                message = null;
+                buffer = buffer.slice(end + 5);
+                socket.write('250 OK queued\r\n');
+            }
+            let line;
+            while (!message && (line = buffer.indexOf('\r\n')) !== -1) {
+                const command = buffer.slice(0, line);
+                buffer = buffer.slice(line + 2);
+                const verb = command.slice(0, 4).toUpperCase();
+                if (verb === 'EHLO' || verb === 'HELO') socket.write('250 stub\r\n');
+                else if (verb === 'MAIL') stub.from = command;
+                else if (verb === 'DATA') {
+                    message = { from: stub.from };
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+                if (verb === 'MAIL' || verb === 'RCPT' || verb === 'RSET' || verb === 'NOOP') socket.write('250 OK\r\n');
+            }
+        });
+    });
+    stub.port = await listen(stub.server);
+    return stub;
+}
+
+module.exports = { startHttpStub, startSmtpStub };
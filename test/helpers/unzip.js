@@ -0,0 +1,21 @@
+// Reads the entries of a zip written by lib/xlsx (sizes in the local headers, deflated)
+const zlib = require('zlib');
+
+function unzip(buffer) {
+    const files = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034B50) {
+        const method = buffer.readUInt16LE(offset + 8);
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        const data = buffer.subarray(start, start + size);
+        files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+        offset = start + size;
+    }
+    return files;
+}
+
+module.exports = { unzip };
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    closedReason, lifecycleOf, applyRevalidation, revalidateJob, dueForRevalidation, jobsToRevalidate, revalidateJobs
+} = require('../lib/lifecycle');
+const { openStore } = require('../lib/store');
+const { SHEET_COLUMNS } = require('../lib/sheets');
+
+const NOW = new Date('2026-06-01T08:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+const job = (overrides = {}) => ({
+    id: 1,
+    title: 'Frontend Developer',
+    company: 'Acme',
+    platform: 'Naukri',
+    detailUrl: 'https://jobs.example.com/1',
+    status: 'new',
+    experience: '2-4 Yrs',
+    expMin: 2,
+    expMax: 4,
+    salary: '6-12 Lacs PA',
+    salaryMin: 600000,
+    salaryMax: 1200000,
+    salaryCurrency: 'INR',
+    workMode: 'Onsite',
+    ...overrides
+});
+
+// A job page answering with `status` and showing `text`; `detail` is what the adapter reads
+function fakePage({ status = 200, text = 'Frontend Developer at Acme', url } = {}) {
+    return {
+        goto: async target => { fakePage.visited.push(target); return { status: () => status }; },
+        url: () => url || 'https://jobs.example.com/1',
+        evaluate: async () => text,
+        close: async () => { }
+    };
+}
+fakePage.visited = [];
+
+const sheetValue = (header, value) => SHEET_COLUMNS.find(c => c.header === header).value(value);
+
+test('closedReason finds expiry banners and lifecycleOf names the state', () => {
+    assert.equal(closedReason('Senior UI Engineer\nNo longer accepting applications'), 'no longer accepting applications');
+    assert.equal(closedReason('This job has expired on Indeed'), 'job has expired');
+    assert.equal(closedReason('Sorry, this position has been filled.'), 'position has been filled');
+    assert.equal(closedReason('Apply before the posting closes in June'), null);
+    assert.equal(closedReason(`${'x'.repeat(6000)} job has expired`), null);
+
+    assert.equal(lifecycleOf(job()), 'open');
+    assert.equal(lifecycleOf(job({ repostOf: { detailUrl: 'https://jobs.example.com/0' } })), 'reposted');
+    assert.equal(lifecycleOf(job({ closedAt: NOW.toISOString() })), 'closed');
+});
+
+test('applyRevalidation records real changes, not rewordings', () => {
+    const listing = job();
+    const diffs = applyRevalidation(listing, {
+        experience: '2 to 4 years',
+        salary: '₹ 8-14 Lacs P.A.',
+        workMode: 'Hybrid',
+        applicants: '120 applicants'
+    }, NOW);
+
+    assert.deepEqual(diffs.map(d => d.field), ['salary', 'workMode']);
+    assert.deepEqual(diffs[0], { field: 'salary', from: '6-12 Lacs PA', to: '₹ 8-14 Lacs P.A.', at: NOW.toISOString() });
+    assert.equal(listing.salaryMin, 800000);
+    assert.equal(listing.applicantCount, 120);
+    assert.equal(listing.updatedAt, NOW.toISOString());
+    assert.equal(sheetValue('Changes', listing), 'salary: 6-12 Lacs PA -> ₹ 8-14 Lacs P.A. (2026-06-01)\nworkMode: Onsite -> Hybrid (2026-06-01)');
+
+    const unchanged = job();
+    assert.deepEqual(applyRevalidation(unchanged, { salary: '6 - 12 Lacs PA', workMode: 'Work from office' }, NOW), []);
+    assert.equal(unchanged.updatedAt, undefined);
+});
+
+test('revalidateJob closes gone and expired postings and leaves blocked ones for later', async () => {
+    const source = { platform: 'Naukri', extractDetail: async () => ({ salary: '10-15 Lacs PA' }) };
+
+    const gone = job();
+    assert.equal(await revalidateJob(fakePage({ status: 404 }), source, gone, NOW), 'closed');
+    assert.equal(gone.closedAt, NOW.toISOString());
+    assert.equal(gone.closedReason, 'page gone (HTTP 404)');
+    assert.equal(sheetValue('Lifecycle', gone), 'Closed');
+
+    const expired = job();
+    assert.equal(await revalidateJob(fakePage({ text: 'Frontend Developer\nThis job is no longer available' }), source, expired, NOW), 'closed');
+    assert.equal(expired.closedReason, 'job is no longer available');
+
+    const edited = job();
+    assert.equal(await revalidateJob(fakePage(), source, edited, NOW), 'changed');
+    assert.equal(edited.salaryMax, 1500000);
+    assert.equal(edited.checkedAt, NOW.toISOString());
+    assert.equal(edited.closedAt, undefined);
+
+    const blocked = job();
+    assert.equal(await revalidateJob(fakePage({ text: 'Please verify you are human' }), source, blocked, NOW), 'blocked');
+    assert.equal(blocked.checkedAt, undefined);
+    assert.equal(blocked.closedAt, undefined);
+
+    const failing = { platform: 'Naukri', extractDetail: async () => { throw new Error('Navigation timeout'); } };
+    const failed = job();
+    assert.equal(await revalidateJob(fakePage(), failing, failed, NOW), 'failed');
+    assert.equal(failed.checkError, 'Navigation timeout');
+    assert.equal(failed.checkedAt, NOW.toISOString());
+});
+
+test('revalidateJobs visits the due open jobs within the budget, applied ones first', async () => {
+    const recent = new Date(NOW - 2 * HOUR).toISOString();
+    const old = new Date(NOW - 30 * HOUR).toISOString();
+    const jobs = [
+        job({ id: 1, detailUrl: 'https://jobs.example.com/1', checkedAt: old }),
+        job({ id: 2, detailUrl: 'https://jobs.example.com/2', checkedAt: recent }),
+        job({ id: 3, detailUrl: 'https://jobs.example.com/3' }),
+        job({ id: 4, detailUrl: 'https://jobs.example.com/4', status: 'hidden' }),
+        job({ id: 5, detailUrl: 'https://jobs.example.com/5', closedAt: old }),
+        job({ id: 6, detailUrl: 'https://jobs.example.com/6', status: 'applied', checkedAt: old })
+    ];
+    const revalidation = { budget: 2, everyHours: 24, concurrency: 1, minDelayMs: 0 };
+    assert.deepEqual(dueForRevalidation(jobs, revalidation, NOW).map(j => j.id), [6, 3]);
+
+    fakePage.visited = [];
+    const source = { platform: 'Naukri', extractDetail: async () => ({}) };
+    const pages = { '/3': 'No longer accepting applications' };
+    let opened = 0;
+    const openPage = async () => {
+        opened++;
+        const page = fakePage();
+        page.evaluate = async () => pages[fakePage.visited[fakePage.visited.length - 1].slice(-2)] || 'Frontend Developer';
+        return page;
+    };
+    const totals = await revalidateJobs(jobs, () => source, revalidation, { openPage, now: NOW });
+
+    assert.deepEqual(totals, { checked: 2, closed: 1, changed: 0, failed: 0 });
+    assert.deepEqual(fakePage.visited, ['https://jobs.example.com/6', 'https://jobs.example.com/3']);
+    assert.equal(opened, 1);
+    assert.equal(jobs[2].closedAt, NOW.toISOString());
+    assert.equal(jobs[5].closedAt, undefined);
+});
+
+test('jobsToRevalidate includes open jobs no search has shown for weeks', () => {
+    const store = openStore(':memory:');
+    const daysAgo = days => new Date(Date.now() - days * 24 * HOUR).toISOString();
+    const stored = (id, overrides) => store.saveJob(job({ id: undefined, category: 'Frontend', detailUrl: `https://jobs.example.com/${id}`, ...overrides }));
+    stored(1, { scrapedAt: daysAgo(45), foundInRun: 'run-1' });
+    stored(2, { scrapedAt: daysAgo(1), foundInRun: 'run-2' });
+    stored(3, { scrapedAt: daysAgo(60), closedAt: daysAgo(50) });
+    stored(4, { scrapedAt: daysAgo(45), category: 'Design' });
+    store.setStatus(1, 'applied');
+
+    assert.deepEqual(store.listJobs({ category: 'Frontend', seenWithinDays: 30 }).map(j => j.id), [2]);
+    const jobs = jobsToRevalidate(store, 'Frontend', 'run-2');
+    assert.deepEqual(jobs.map(j => j.id), [1]);
+    assert.deepEqual(dueForRevalidation(jobs, { budget: 5, everyHours: 24 }).map(j => j.id), [1]);
+    store.close();
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { acquireLock, readLock } = require('../lib/lock');
+
+const tempLock = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lock-')), 'scrape.lock');
+
+test('acquireLock lets one run in at a time and release frees it', () => {
+    const file = tempLock();
+    const lock = acquireLock(file);
+    assert.ok(lock);
+    assert.equal(readLock(file).pid, process.pid);
+    assert.equal(acquireLock(file), null);
+
+    lock.release();
+    assert.equal(fs.existsSync(file), false);
+    const next = acquireLock(file);
+    assert.ok(next);
+    next.release();
+});
+
+test('acquireLock takes over the lock of an ended process or an old one', () => {
+    const file = tempLock();
+    const now = new Date('2026-05-01T10:00:00.000Z');
+
+    // A process id that is not running: the ended child of this test
+    const { pid } = require('child_process').spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(file, JSON.stringify({ pid, host: os.hostname(), startedAt: now.toISOString() }));
+    const lock = acquireLock(file, { now });
+    assert.ok(lock);
+    lock.release();
+
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid, host: 'other-host', startedAt: now.toISOString() }));
+    assert.equal(acquireLock(file, { now: new Date(now.getTime() + 60 * 60 * 1000), hours: 6 }), null);
+    const late = acquireLock(file, { now: new Date(now.getTime() + 7 * 60 * 60 * 1000), hours: 6 });
+    assert.ok(late);
+    late.release();
+    assert.equal(fs.existsSync(file), false);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, createTfIdf, createMatcher, matchJobs, shortlist } = require('../lib/matching');
+
+const candidate = (overrides) => ({
+    name: 'Priya',
+    skills: ['React', 'TypeScript', 'Redux', 'Storefront Builder'],
+    experience: 4,
+    locations: ['Chennai', 'Remote'],
+    categories: [],
+    minScore: 50,
+    limit: 100,
+    text: 'Frontend developer building React and TypeScript dashboards with Redux. Storefront Builder plugins.',
+    ...overrides
+});
+
+const job = (id, overrides) => ({
+    id,
+    title: 'React Developer',
+    company: 'Acme',
+    location: 'Chennai',
+    category: 'Frontend',
+    expMin: 3,
+    expMax: 6,
+    description: 'Build dashboards in React, TypeScript and Redux.',
+    ...overrides
+});
+
+test('tokenize drops filler words and adds dictionary skills as terms', () => {
+    assert.deepEqual(tokenize('We are looking for a React.js developer with 3 years of experience'),
+        ['react.js', 'developer', 'skill:react']);
+});
+
+test('createTfIdf scores shared rare terms above shared common ones', () => {
+    const model = createTfIdf(['payments dashboards', 'payments forms', 'payments charts', 'maps dashboards']);
+    const query = model.vector('payments dashboards');
+    assert.ok(Math.abs(model.similarity(query, model.vector('payments dashboards')) - 1) < 1e-9);
+    assert.ok(model.similarity(query, model.vector('maps dashboards')) > model.similarity(query, model.vector('payments forms')));
+    assert.equal(model.similarity(query, model.vector('logistics services')), 0);
+});
+
+test('createMatcher scores skills, resume similarity, experience and location with reasons', () => {
+    const fit = job(1, { description: 'Build dashboards in React, TypeScript and Redux. Storefront Builder experience a plus.' });
+    const partial = job(2, { title: 'Angular Developer', description: 'Angular, RxJS and GraphQL; some React.', location: 'Pune', expMin: 8, expMax: 12 });
+    const match = createMatcher([fit, partial], [candidate()]);
+
+    const good = match(fit, candidate());
+    assert.deepEqual(good.matched.sort(), ['React', 'Redux', 'Storefront Builder', 'TypeScript']);
+    assert.deepEqual(good.missing, []);
+    assert.ok(good.score >= 90, `score ${good.score}`);
+    assert.ok(good.reasons.includes('experience: 4 yrs fits 3-6'));
+    assert.ok(good.reasons.includes('location: Chennai'));
+
+    const poor = match(partial, candidate());
+    assert.deepEqual(poor.matched, ['React']);
+    assert.deepEqual(poor.missing.sort(), ['Angular', 'GraphQL']);
+    assert.ok(poor.score < 30, `score ${poor.score}`);
+    assert.ok(poor.reasons.includes('experience: 4 yrs outside 8-12'));
+    assert.ok(poor.reasons.includes('missing skills: Angular, GraphQL'));
+
+    const remote = match(job(3, { location: 'Bangalore', workMode: 'Remote' }), candidate());
+    assert.ok(remote.reasons.includes('location: Remote'));
+    const anywhere = match(job(3, { location: 'Bangalore' }), candidate({ locations: [] }));
+    assert.ok(!anywhere.reasons.some(reason => reason.startsWith('location')));
+});
+
+test('matchJobs and shortlist rank a candidate\'s jobs of their categories', () => {
+    const jobs = [
+        job(1),
+        job(2, { title: 'Angular Developer', description: 'Angular and GraphQL.', location: 'Pune', expMin: 8, expMax: 12 }),
+        job(3, { status: 'hidden' }),
+        job(4, { category: 'Design', title: 'UI Designer', description: 'Figma and React prototypes.' }),
+        job(5, { title: 'Frontend Engineer', description: 'React and TypeScript.', location: 'Delhi' })
+    ];
+    const priya = candidate({ categories: ['frontend'] });
+    assert.equal(matchJobs(jobs, [priya]), 4);
+    assert.equal(jobs[3].matches, undefined);
+
+    const list = shortlist(jobs, priya);
+    assert.deepEqual(list.map(row => row.id), [1, 5]);
+    assert.equal(list[0].score, jobs[0].matches.Priya.score);
+    assert.deepEqual(list[0].scoreReasons, jobs[0].matches.Priya.reasons);
+    assert.deepEqual(shortlist(jobs, { ...priya, limit: 1 }).map(row => row.id), [1]);
+    assert.deepEqual(shortlist(jobs, { ...priya, minScore: 0 }).map(row => row.id), [1, 5, 2]);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isQuietTime, queueNotifications, sendNotifications, DEFAULT_NOTIFICATIONS } = require('../lib/notifiers');
+const { startHttpStub, startSmtpStub } = require('./helpers/stub-servers');
+
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+function job(id, overrides) {
+    return {
+        title: `Frontend Developer ${id}`,
+        company: 'Acme',
+        location: 'Chennai',
+        experience: '2-4 Yrs',
+        salary: '6-12 Lacs PA',
+        detailUrl: `https://jobs.example.com/${id}`,
+        platform: 'Naukri',
+        category: 'Frontend',
+        score: 80,
+        scrapedAt: NOW.toISOString(),
+        ...overrides
+    };
+}
+
+const notificationsFor = (sinks, overrides) => ({ ...DEFAULT_NOTIFICATIONS, sinks, ...overrides });
+
+test('isQuietTime handles windows across midnight and time zones', () => {
+    const night = { start: '22:00', end: '07:00', timezone: 'UTC' };
+    assert.equal(isQuietTime(night, new Date('2026-03-10T23:30:00Z')), true);
+    assert.equal(isQuietTime(night, new Date('2026-03-10T06:59:00Z')), true);
+    assert.equal(isQuietTime(night, new Date('2026-03-10T07:00:00Z')), false);
+    assert.equal(isQuietTime({ start: '13:00', end: '14:00', timezone: 'Asia/Kolkata' }, new Date('2026-03-10T07:45:00Z')), true);
+    assert.equal(isQuietTime(null, NOW), false);
+});
+
+test('queueNotifications marks only jobs passing the score and keyword rules', () => {
+    const jobs = [job(1), job(2, { score: 40 }), job(3, { title: 'React Native Developer' })];
+    const queued = queueNotifications(jobs, notificationsFor([{ type: 'slack' }], { minScore: 50, keywords: ['frontend'] }));
+
+    assert.equal(queued, 1);
+    assert.deepEqual(jobs.map(j => j.notified), [{}, undefined, undefined]);
+    assert.equal(queueNotifications([job(4)], notificationsFor([])), 0);
+});
+
+test('sendNotifications posts batches to Slack and Discord webhooks', async (t) => {
+    const stub = await startHttpStub();
+    t.after(() => stub.server.close());
+
+    const jobs = [job(1, { score: 70 }), job(2, { score: 90, title: 'UI <Dev> & Co' }), job(3)];
+    const notifications = notificationsFor([
+        { type: 'slack', webhookUrl: `${stub.baseUrl}/slack`, batchSize: 2 },
+        { type: 'discord', webhookUrl: `${stub.baseUrl}/discord` }
+    ]);
+    queueNotifications(jobs, notifications);
+
+    const result = await sendNotifications(jobs, notifications, 'Frontend', NOW);
+    assert.deepEqual(result, { sent: 6, failed: 0, held: 0 });
+    assert.deepEqual(stub.requests.map(r => r.url), ['/slack', '/slack', '/discord']);
+
+    const [first, second] = stub.requests;
+    assert.match(first.body.text, /^\*2 new Frontend jobs\*/);
+    assert.ok(first.body.text.indexOf('UI &lt;Dev&gt; &amp; Co') < first.body.text.indexOf('Developer 3'), 'best score first');
+    assert.match(second.body.text, /<https:\/\/jobs\.example\.com\/1\|Frontend Developer 1>/);
+    assert.match(stub.requests[2].body.content, /\*\*\[Frontend Developer 3\]\(<https:\/\/jobs\.example\.com\/3>\)\*\*/);
+    assert.match(stub.requests[2].body.content, /Acme · Chennai · 2-4 Yrs · 6-12 Lacs PA · score 80/);
+    assert.deepEqual(jobs[0].notified, { slack: NOW.toISOString(), discord: NOW.toISOString() });
+
+    // Nothing left to send
+    assert.deepEqual(await sendNotifications(jobs, notifications, 'Frontend', NOW), { sent: 0, failed: 0, held: 0 });
+});
+
+test('sendNotifications calls the Telegram Bot API', async (t) => {
+    const stub = await startHttpStub();
+    t.after(() => stub.server.close());
+
+    const jobs = [job(1)];
+    const notifications = notificationsFor([{ type: 'telegram', botToken: '123:abc', chatId: -100200, apiBase: stub.baseUrl }]);
+    queueNotifications(jobs, notifications);
+    await sendNotifications(jobs, notifications, 'Frontend', NOW);
+
+    const [request] = stub.requests;
+    assert.equal(request.url, '/bot123:abc/sendMessage');
+    assert.equal(request.body.chat_id, -100200);
+    assert.equal(request.body.parse_mode, 'HTML');
+    assert.match(request.body.text, /<a href="https:\/\/jobs\.example\.com\/1">Frontend Developer 1<\/a>/);
+});
+
+test('sendNotifications keeps failed and quiet-hour jobs pending for a later run', async (t) => {
+    const stub = await startHttpStub();
+    t.after(() => stub.server.close());
+
+    const jobs = [job(1), job(2)];
+    const notifications = notificationsFor([{ type: 'slack', webhookUrl: `${stub.baseUrl}/slack` }], {
+        quietHours: { start: '22:00', end: '07:00', timezone: 'UTC' }
+    });
+    queueNotifications(jobs, notifications);
+
+    assert.deepEqual(await sendNotifications(jobs, notifications, 'Frontend', new Date('2026-03-10T23:00:00Z')), { sent: 0, failed: 0, held: 2 });
+    assert.equal(stub.requests.length, 0);
+
+    stub.status = 500;
+    assert.deepEqual(await sendNotifications(jobs, notifications, 'Frontend', NOW), { sent: 0, failed: 2, held: 0 });
+    assert.deepEqual(jobs[0].notified, {});
+
+    stub.status = 200;
+    assert.deepEqual(await sendNotifications(jobs, notifications, 'Frontend', NOW), { sent: 2, failed: 0, held: 0 });
+
+    // Past retryDays a pending job is dropped
+    const old = [job(3, { scrapedAt: '2026-03-01T00:00:00Z', notified: {} })];
+    assert.deepEqual(await sendNotifications(old, notifications, 'Frontend', NOW), { sent: 0, failed: 0, held: 0 });
+});
+
+test('sendNotifications skips sinks whose settings are empty', async () => {
+    const jobs = [job(1)];
+    const notifications = notificationsFor([{ type: 'slack', webhookUrl: '' }]);
+    queueNotifications(jobs, notifications);
+
+    assert.deepEqual(await sendNotifications(jobs, notifications, 'Frontend', NOW), { sent: 0, failed: 0, held: 0 });
+    assert.deepEqual(jobs[0].notified, {});
+});
+
+test('sendNotifications mails one HTML digest over SMTP', async (t) => {
+    const smtp = await startSmtpStub();
+    t.after(() => smtp.server.close());
+
+    const jobs = [job(1, { skills: ['React', 'CSS'] }), job(2, { title: 'Angular & Vue Developer' })];
+    const notifications = notificationsFor([{
+        type: 'email',
+        host: '127.0.0.1',
+        port: smtp.port,
+        from: 'alerts@example.com',
+        to: ['me@example.com', 'team@example.com']
+    }]);
+    queueNotifications(jobs, notifications);
+
+    const result = await sendNotifications(jobs, notifications, 'Frontend', NOW);
+    assert.deepEqual(result, { sent: 2, failed: 0, held: 0 });
+    assert.equal(smtp.messages.length, 1);
+
+    const data = smtp.messages[0].data.replace(/=\r\n/g, '').replace(/=3D/g, '=');
+    assert.match(smtp.messages[0].from, /alerts@example\.com/);
+    assert.match(data, /Subject: \[Job Alert\] 2 new Frontend jobs/);
+    assert.match(data, /To: me@example\.com, team@example\.com/);
+    assert.match(data, /<a href="https:\/\/jobs\.example\.com\/1">Frontend Developer 1<\/a>/);
+    assert.match(data, /Angular &amp; Vue Developer/);
+    assert.match(data, /React, CSS/);
+});
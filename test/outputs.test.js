@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStore } = require('../lib/store');
+const { getFileOutputs, writeFileOutputs } = require('../lib/outputs');
+const { unzip } = require('./helpers/unzip');
+
+function job(id, overrides) {
+    return {
+        title: `Developer ${id}`,
+        company: 'Acme',
+        detailUrl: `https://jobs.example.com/${id}`,
+        platform: 'Naukri',
+        category: 'Frontend',
+        scrapedAt: '2026-03-01T10:00:00.000Z',
+        ...overrides
+    };
+}
+
+const profile = (category, outputs, minScore = 0) => ({ category, outputs, scoring: { minScore } });
+
+function seedStore() {
+    const store = openStore(':memory:');
+    store.saveJob(job(1, { score: 80 }));
+    store.saveJob(job(2, { score: 30 }));
+    store.saveJob(job(3, { score: 90, category: 'Design' }));
+    store.saveJob(job(4, { score: 95 }));
+    store.setStatus(4, 'hidden');
+    store.saveJob(job(5, { score: 70 }));
+    store.setStatus(5, 'applied', null, new Date('2026-03-02T09:00:00.000Z'));
+    return store;
+}
+
+test('writeFileOutputs writes each file from the store with the sheet\'s jobs', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outputs-'));
+    const store = seedStore();
+    t.after(() => store.close());
+    const file = name => path.join(dir, name);
+
+    const profiles = [
+        profile('Frontend', [
+            { type: 'sheets', spreadsheetId: 'sheet-1' },
+            { type: 'csv', path: file('frontend.csv') },
+            { type: 'xlsx', path: file('jobs.xlsx'), tab: 'Dev' },
+            { type: 'feed', path: file('feed/jobs.xml'), format: 'atom' },
+            { type: 'ical', path: file('follow-ups.ics'), followUpDays: 3 }
+        ], 50),
+        profile('Design', [{ type: 'xlsx', path: file('jobs.xlsx') }, { type: 'csv', path: '' }])
+    ];
+
+    const written = writeFileOutputs(profiles, store, new Date('2026-03-03T00:00:00.000Z'));
+    assert.deepEqual(written.map(w => [path.basename(w.file), w.jobs]),
+        [['frontend.csv', 2], ['jobs.xlsx', 3], ['jobs.xml', 2], ['follow-ups.ics', 1]]);
+
+    const csv = fs.readFileSync(file('frontend.csv'), 'utf8').split('\r\n');
+    assert.deepEqual(csv.slice(1, -1).map(line => line.split(',')[0]), ['1', '5']);
+
+    const workbook = unzip(fs.readFileSync(file('jobs.xlsx')));
+    assert.match(workbook['xl/workbook.xml'], /<sheet name="Dev" [^>]+\/><sheet name="Design" /);
+
+    assert.equal(fs.readFileSync(file('feed/jobs.xml'), 'utf8').match(/<entry>/g).length, 2);
+    assert.match(fs.readFileSync(file('follow-ups.ics'), 'utf8'), /DTSTART;VALUE=DATE:20260305/);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['feed', 'follow-ups.ics', 'frontend.csv', 'jobs.xlsx']);
+});
+
+test('writeFileOutputs skips a file claimed by different output types', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outputs-'));
+    const store = seedStore();
+    t.after(() => store.close());
+    const shared = path.join(dir, 'jobs.out');
+
+    const written = writeFileOutputs([
+        profile('Frontend', [{ type: 'csv', path: shared }]),
+        profile('Design', [{ type: 'feed', path: shared }])
+    ], store);
+    assert.deepEqual(written, []);
+    assert.equal(fs.existsSync(shared), false);
+    assert.deepEqual(getFileOutputs(profile('Design', [{ type: 'sheets', spreadsheetId: 'x' }, { type: 'csv', path: '' }])), []);
+});
+
+test('writeFileOutputs gives each candidate a tab of their shortlist with match scores', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outputs-'));
+    const store = seedStore();
+    t.after(() => store.close());
+    const match = score => ({ score, reasons: [`skills: ${score}`], matched: [], missing: [] });
+    for (const [id, score] of [[1, 85], [2, 40], [4, 99], [5, 60]]) {
+        store.saveJob(Object.assign(store.getJob(id), { matches: { Priya: match(score) } }));
+    }
+
+    const workbook = path.join(dir, 'jobs.xlsx');
+    const priya = { name: 'Priya', categories: [], minScore: 50, limit: 10, outputs: [{ type: 'xlsx', path: workbook }] };
+    const written = writeFileOutputs([profile('Frontend', [{ type: 'xlsx', path: workbook }])], store, new Date(), [priya]);
+    assert.deepEqual(written.map(w => w.jobs), [5]);
+
+    const files = unzip(fs.readFileSync(workbook));
+    assert.match(files['xl/workbook.xml'], /<sheet name="Frontend" [^>]+\/><sheet name="Priya" /);
+    const ids = [...files['xl/worksheets/sheet2.xml'].matchAll(/<row r="\d+"[^>]*><c r="A\d+"[^>]*><v>(\d+)<\/v>/g)].map(m => m[1]);
+    assert.deepEqual(ids, ['1', '5']);
+    assert.match(files['xl/worksheets/sheet2.xml'], /skills: 85/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scrollUntilStable, clickForMore } = require('../lib/sources/paging');
+const naukri = require('../lib/sources/naukri');
+
+// A results list of `cards` that grows by `step` on every scroll or click, up to `total`
+function growingPage({ cards = 10, step = 10, total = 30, hasButton = true } = {}) {
+    const page = {
+        cards,
+        scrolls: 0,
+        clicks: 0,
+        async evaluate(fn, ...args) {
+            const source = String(fn);
+            if (source.includes('scrollTo')) {
+                page.scrolls++;
+                page.cards = Math.min(total, page.cards + step);
+                return undefined;
+            }
+            if (source.includes('click()')) {
+                if (!hasButton) return false;
+                page.clicks++;
+                page.cards = Math.min(total, page.cards + step);
+                return true;
+            }
+            return page.cards; // countCards
+        },
+        async waitForFunction(fn, options, selector, count) {
+            if (page.cards > count) return true;
+            throw new Error(`Waiting failed: ${options.timeout}ms exceeded`);
+        }
+    };
+    return page;
+}
+
+test('scrollUntilStable scrolls until the card count stops growing', async () => {
+    const page = growingPage();
+    assert.equal(await scrollUntilStable(page, '.card', { settleMs: 1 }), 30);
+    assert.equal(page.scrolls, 3);
+
+    const capped = growingPage({ total: 1000 });
+    assert.equal(await scrollUntilStable(capped, '.card', { settleMs: 1, maxRounds: 2 }), 30);
+});
+
+test('clickForMore reports whether the button loaded more cards', async () => {
+    assert.equal(await clickForMore(growingPage(), 'button.more', '.card', { timeout: 1 }), true);
+    assert.equal(await clickForMore(growingPage({ cards: 30 }), 'button.more', '.card', { timeout: 1 }), false);
+    assert.equal(await clickForMore(growingPage({ hasButton: false }), 'button.more', '.card', { timeout: 1 }), false);
+});
+
+test('Naukri page URLs number the search path and keep the query', () => {
+    const first = 'https://www.naukri.com/frontend-developer-jobs-in-chennai?experience=2&jobAge=1&wfhType=2';
+    const second = naukri.pageUrl(first, 2);
+    assert.equal(second, 'https://www.naukri.com/frontend-developer-jobs-in-chennai-2?experience=2&jobAge=1&wfhType=2');
+    assert.equal(naukri.pageUrl(second, 3), 'https://www.naukri.com/frontend-developer-jobs-in-chennai-3?experience=2&jobAge=1&wfhType=2');
+    assert.equal(naukri.pageUrl('https://www.naukri.com/react-jobs-in-sector-62?k=1', 2), 'https://www.naukri.com/react-jobs-in-sector-62-2?k=1');
+});
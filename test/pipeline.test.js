@@ -0,0 +1,261 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rejectReason, stampDates } = require('../lib/pipeline');
+const { addStructuredFields } = require('../lib/fields');
+const { openStore } = require('../lib/store');
+const { tagCompany } = require('../lib/companies');
+
+const CONFIG = {
+    category: 'Frontend',
+    titleKeywords: { include: ['frontend'], exclude: [] },
+    locations: { include: ['Chennai'], exclude: ['usa'] },
+    experience: { min: 2, max: 3 },
+    salary: null,
+    freshnessDays: 1
+};
+
+function makeJob(overrides = {}) {
+    return addStructuredFields(stampDates({
+        title: 'Frontend Developer',
+        detailUrl: 'https://example.com/job/1',
+        company: 'Acme',
+        location: 'Chennai',
+        experience: '2-4 Yrs',
+        salary: '6-12 Lacs PA',
+        postedDate: 'Just Now',
+        ...overrides
+    }));
+}
+
+function storeWith(urls = []) {
+    const store = openStore(':memory:');
+    store.addKnownUrls(urls, 'test');
+    return store;
+}
+
+const SEARCH = { url: 'about:blank', role: 'Frontend Developer', location: 'Chennai' };
+
+const reject = (job, config = CONFIG, store = storeWith()) => rejectReason(job, {}, config, { store });
+
+test('rejectReason keeps jobs that pass every filter', () => {
+    assert.equal(reject(makeJob()), null);
+});
+
+test('rejectReason names the first failing filter', () => {
+    assert.equal(reject(makeJob(), CONFIG, storeWith(['https://example.com/job/1'])), 'duplicate');
+    assert.equal(reject(makeJob({ title: 'Backend Developer' })), 'title');
+    assert.equal(reject(makeJob({ location: 'Austin, USA' })), 'location');
+    assert.equal(reject(makeJob({ postedDate: '3 Days Ago' })), 'stale');
+    assert.equal(reject(makeJob({ experience: '5-8 Yrs' })), 'experience');
+});
+
+test('rejectReason takes a remote job for a Remote location', () => {
+    const config = { ...CONFIG, locations: { include: ['Chennai', 'Remote'], exclude: ['usa'] } };
+    assert.equal(reject(makeJob({ location: 'Bengaluru' }), config), 'location');
+    assert.equal(reject(makeJob({ location: 'Bengaluru', workMode: 'Remote' }), config), null);
+});
+
+test('rejectReason applies the profile\'s company lists', () => {
+    const companies = { block: ['Walmart'], agencies: 'skip' };
+    const config = { ...CONFIG, companies };
+    const tagged = overrides => tagCompany(makeJob(overrides), companies);
+
+    assert.equal(reject(tagged({ company: 'Walmart Labs' }), config), 'company');
+    assert.equal(reject(tagged({ company: 'Quess Corp Limited' }), config), 'agency');
+    assert.equal(reject(tagged({ company: 'Quess Corp Limited' })), null);
+    assert.equal(reject(tagged({ company: 'Acme' }), config), null);
+});
+
+test('rejectReason keeps jobs whose experience is unknown', () => {
+    const job = makeJob({ experience: 'N/A' });
+    assert.equal(job.expMin, null);
+    assert.equal(reject(job), null);
+});
+
+test('rejectReason applies the salary band by overlap', () => {
+    const band = { ...CONFIG, salary: { min: 1000000, max: 2000000, currency: 'INR', includeUndisclosed: true } };
+    assert.equal(reject(makeJob(), band), null);
+    assert.equal(reject(makeJob({ salary: '3-5 Lacs PA' }), band), 'salary');
+    assert.equal(reject(makeJob({ salary: 'Not disclosed' }), band), null);
+    assert.equal(reject(makeJob({ salary: 'Not disclosed' }), { ...band, salary: { ...band.salary, includeUndisclosed: false } }), 'salary');
+    assert.equal(reject(makeJob({ salary: '$5k' }), band), null);
+});
+
+test('addStructuredFields adds numeric experience and salary', () => {
+    const job = makeJob();
+    assert.equal(job.expMin, 2);
+    assert.equal(job.expMax, 4);
+    assert.equal(job.salaryMin, 600000);
+    assert.equal(job.salaryMax, 1200000);
+    assert.equal(job.salaryCurrency, 'INR');
+});
+
+test('runSearch merges cross-board duplicates instead of adding rows', async () => {
+    const { runSearch } = require('../lib/pipeline');
+    const { createDedupIndex } = require('../lib/dedupe');
+
+    const store = openStore(':memory:');
+    const existing = store.saveJob(makeJob({ platform: 'Naukri', company: 'Acme Software Pvt Ltd', category: 'Frontend' }));
+    const context = {
+        store,
+        runId: store.startRun(),
+        existingJobs: [existing],
+        categoryJobs: [],
+        dedupIndex: createDedupIndex([existing])
+    };
+    const source = {
+        platform: 'LinkedIn',
+        extractCards: async () => [
+            { title: 'Frontend Developer (React)', detailUrl: 'https://example.com/linkedin/1', company: 'Acme Software', location: 'Chennai, Tamil Nadu, India', experience: '2-3 Yrs', postedDate: '5 hours ago' },
+            { title: 'Frontend Developer', detailUrl: 'https://example.com/linkedin/2', company: 'Other Corp', location: 'Chennai', experience: '2-3 Yrs', postedDate: '5 hours ago' }
+        ],
+        normalize: raw => ({ ...raw, salary: 'N/A', platform: 'LinkedIn' })
+    };
+    const page = { goto: async () => { } };
+
+    const accepted = await runSearch(page, source, SEARCH, { ...CONFIG, dedupe: { windowDays: 30, titleSimilarity: 0.8 } }, context);
+
+    assert.equal(accepted, 1);
+    assert.deepEqual(context.categoryJobs.map(j => j.company), ['Other Corp']);
+    assert.deepEqual(existing.platforms, ['Naukri', 'LinkedIn']);
+    assert.equal(store.findByUrl('https://example.com/linkedin/1'), existing);
+    assert.ok(store.findByUrl('https://example.com/linkedin/2'));
+    assert.deepEqual(store.getHistory(existing.id).sightings.map(s => s.detailUrl), ['https://example.com/linkedin/1']);
+});
+
+test('runSearch records stored jobs seen again and their changed card fields', async () => {
+    const { runSearch } = require('../lib/pipeline');
+
+    const store = openStore(':memory:');
+    const existing = store.saveJob(makeJob({ platform: 'Naukri', category: 'Frontend', closedAt: '2026-01-01T00:00:00.000Z', closedReason: 'job has expired' }));
+    const context = { store, runId: store.startRun(), existingJobs: [existing], categoryJobs: [] };
+    const source = {
+        platform: 'Naukri',
+        extractCards: async () => [{ title: 'Frontend Developer', detailUrl: existing.detailUrl, company: 'Acme', location: 'Chennai', experience: '2-4 Yrs', salary: '8-14 Lacs PA', postedDate: '1 Day Ago' }],
+        normalize: raw => ({ ...raw, platform: 'Naukri' })
+    };
+
+    const accepted = await runSearch({ goto: async () => { } }, source, SEARCH, CONFIG, context);
+
+    assert.equal(accepted, 0);
+    assert.equal(existing.salary, '8-14 Lacs PA');
+    assert.equal(existing.salaryMin, 800000);
+    const history = store.getHistory(existing.id);
+    assert.equal(history.sightings.length, 1);
+    assert.deepEqual(history.changes.map(c => [c.field, c.oldValue, c.newValue]), [['salary', '6-12 Lacs PA', '8-14 Lacs PA']]);
+    assert.deepEqual(existing.changes.map(c => [c.field, c.from, c.to]), [['salary', '6-12 Lacs PA', '8-14 Lacs PA']]);
+    // Listed again, so it is open again
+    assert.equal(existing.closedAt, null);
+    assert.ok(existing.reopenedAt);
+});
+
+test('runSearch flags a new listing of a closed opening as a repost', async () => {
+    const { runSearch } = require('../lib/pipeline');
+    const { createDedupIndex } = require('../lib/dedupe');
+
+    const store = openStore(':memory:');
+    const closed = store.saveJob(makeJob({ platform: 'Naukri', category: 'Frontend', closedAt: '2026-01-01T00:00:00.000Z' }));
+    const context = { store, runId: store.startRun(), existingJobs: [closed], categoryJobs: [], dedupIndex: createDedupIndex([closed]) };
+    const source = {
+        platform: 'Naukri',
+        extractCards: async () => [{ title: 'Frontend Developer', detailUrl: 'https://example.com/job/2', company: 'Acme', location: 'Chennai', experience: '2-4 Yrs', postedDate: 'Just Now' }],
+        normalize: raw => ({ ...raw, platform: 'Naukri' })
+    };
+
+    const accepted = await runSearch({ goto: async () => { } }, source, SEARCH, { ...CONFIG, dedupe: { windowDays: 30, titleSimilarity: 0.8 } }, context);
+
+    assert.equal(accepted, 1);
+    const [repost] = context.categoryJobs;
+    assert.deepEqual(repost.repostOf, { id: closed.id, detailUrl: closed.detailUrl, postedAt: closed.postedAt, closedAt: closed.closedAt });
+    assert.equal(store.findByUrl('https://example.com/job/2').repostOf.id, closed.id);
+});
+
+test('runSearch counts cards and drops, and fails on a block page', async () => {
+    const { runSearch } = require('../lib/pipeline');
+    const { createSearchMetrics } = require('../lib/health');
+
+    const store = storeWith(['https://example.com/job/known']);
+    const context = { store, runId: store.startRun(), existingJobs: [], categoryJobs: [] };
+    const search = { url: 'https://www.naukri.com/frontend-jobs', role: 'Frontend Developer', location: 'Chennai' };
+    let cards = [
+        { title: 'Frontend Developer', detailUrl: 'https://example.com/job/new', company: 'Acme', location: 'Chennai', experience: '2-4 Yrs', postedDate: 'Just Now' },
+        { title: 'Frontend Developer', detailUrl: 'https://example.com/job/known', company: 'Acme', location: 'Chennai', experience: '2-4 Yrs', postedDate: 'Just Now' },
+        { title: 'Java Developer', detailUrl: 'https://example.com/job/java', company: 'Acme', location: 'Chennai', experience: '2-4 Yrs', postedDate: 'Just Now' },
+        { extractionError: 'Cannot read properties of null' }
+    ];
+    const source = {
+        name: 'naukri',
+        platform: 'Naukri',
+        extractCards: async () => cards,
+        normalize: raw => ({ ...raw, salary: 'N/A', platform: 'Naukri' })
+    };
+    const page = { goto: async () => { }, url: () => search.url, evaluate: async () => 'Verify you are human' };
+
+    const metrics = createSearchMetrics(source, search, 'Frontend');
+    assert.equal(await runSearch(page, source, search, CONFIG, context, metrics), 1);
+    assert.deepEqual(
+        { pagesLoaded: metrics.pagesLoaded, rawCards: metrics.rawCards, accepted: metrics.accepted, dropped: metrics.dropped },
+        { pagesLoaded: 1, rawCards: 4, accepted: 1, dropped: { duplicate: 1, title: 1, 'extraction-error': 1 } }
+    );
+
+    cards = [];
+    const blocked = createSearchMetrics(source, search, 'Frontend');
+    await assert.rejects(runSearch(page, source, search, CONFIG, context, blocked), /Naukri showed a captcha/);
+    assert.equal(blocked.blocked, 'captcha');
+});
+
+test('runSearch reads each job once across pages and stops when nothing new loads', async () => {
+    const { runSearch } = require('../lib/pipeline');
+    const { createSearchMetrics } = require('../lib/health');
+
+    const store = storeWith();
+    const context = { store, runId: store.startRun(), existingJobs: [], categoryJobs: [] };
+    const search = { url: 'https://www.linkedin.com/jobs/search', role: 'Frontend Developer', location: 'Chennai' };
+    const card = id => ({ title: 'Frontend Developer', detailUrl: `https://example.com/job/${id}`, company: `Company ${id}`, location: 'Chennai', experience: '2-4 Yrs', postedDate: 'Just Now' });
+    // A list that grows in place: every page returns the earlier cards too
+    const pages = [[card(1), card(2)], [card(1), card(2), card(3)], [card(1), card(2), card(3)]];
+    const requested = [];
+    let current = 0;
+    const source = {
+        name: 'linkedin',
+        platform: 'LinkedIn',
+        maxPages: 5,
+        extractCards: async () => pages[current],
+        normalize: raw => ({ ...raw, salary: 'N/A', platform: 'LinkedIn' }),
+        nextPage: async (page, s, pageNumber) => {
+            requested.push(pageNumber);
+            current = pageNumber - 1;
+            return true;
+        }
+    };
+
+    const metrics = createSearchMetrics(source, search, 'Frontend');
+    assert.equal(await runSearch({ goto: async () => { } }, source, search, CONFIG, context, metrics), 3);
+    assert.deepEqual(requested, [2, 3]);
+    assert.equal(metrics.pagesLoaded, 3);
+    assert.equal(metrics.rawCards, 3);
+    assert.deepEqual(metrics.dropped, {});
+});
+
+test('runSearch stops paging once a page only has jobs past the freshness window', async () => {
+    const { runSearch } = require('../lib/pipeline');
+
+    const store = storeWith();
+    const context = { store, runId: store.startRun(), existingJobs: [], categoryJobs: [] };
+    const search = { url: 'https://www.naukri.com/frontend-jobs', role: 'Frontend Developer', location: 'Chennai' };
+    let nextPageCalls = 0;
+    const source = {
+        name: 'naukri',
+        platform: 'Naukri',
+        maxPages: 5,
+        extractCards: async () => [
+            { title: 'Frontend Developer', detailUrl: 'https://example.com/job/old', company: 'Acme', location: 'Chennai', experience: '2-4 Yrs', postedDate: '5 Days Ago' },
+            { title: 'Frontend Developer', detailUrl: 'https://example.com/job/older', company: 'Acme', location: 'Chennai', experience: '2-4 Yrs', postedDate: '30+ Days Ago' }
+        ],
+        normalize: raw => ({ ...raw, salary: 'N/A', platform: 'Naukri' }),
+        nextPage: async () => ++nextPageCalls > 0
+    };
+
+    assert.equal(await runSearch({ goto: async () => { } }, source, search, CONFIG, context), 0);
+    assert.equal(nextPageCalls, 0);
+});
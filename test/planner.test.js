@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PLANNER, searchStats, planSearches } = require('../lib/planner');
+const { openStore } = require('../lib/store');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-05-10T12:00:00.000Z');
+
+// Runs an hour apart, newest first, with the given accepted counts
+const runs = (...accepted) => accepted.map((count, i) => ({ result: { accepted: count }, finishedAt: new Date(NOW - (i + 1) * HOUR).toISOString() }));
+
+test('searchStats reads yield and empty runs in a row from the newest run back', () => {
+    const stats = searchStats(runs(0, 0, 3, 1), 8);
+    assert.equal(stats.runs, 4);
+    assert.equal(stats.yield, 1);
+    assert.equal(stats.emptyStreak, 2);
+    assert.equal(stats.lastRunAt.getTime(), NOW - HOUR);
+    assert.deepEqual(searchStats(undefined, 8), { runs: 0, yield: null, emptyStreak: 0, lastRunAt: null });
+    assert.equal(searchStats(runs(0, 0, 0, 5), 3).emptyStreak, 3);
+});
+
+test('planSearches spaces out empty searches and keeps to the budget, best yield first', () => {
+    const history = new Map([
+        ['busy', runs(4, 2, 3)],
+        ['quiet', runs(1, 0, 0)],
+        ['empty', runs(0, 0, 0)],           // 2 hours between runs, last ran an hour ago
+        ['dead', runs(...Array(8).fill(0))]
+    ]);
+    const searches = ['quiet', 'dead', 'empty', 'new', 'busy'].map(task => ({ task }));
+
+    const plan = planSearches(searches, history, { ...DEFAULT_PLANNER, budget: 3 }, NOW);
+    assert.deepEqual(plan.run.map(s => s.task), ['new', 'busy', 'quiet']);
+    assert.deepEqual(plan.waiting.map(s => s.task), ['dead', 'empty']);
+    assert.deepEqual(plan.overBudget, []);
+    assert.equal(plan.waiting[1].intervalHours, 2);
+    assert.equal(plan.waiting[0].intervalHours, 24);
+
+    // Later the empty one is due again; the budget leaves the least productive out
+    const later = planSearches(searches, history, { ...DEFAULT_PLANNER, budget: 3 }, new Date(NOW.getTime() + HOUR));
+    assert.deepEqual(later.run.map(s => s.task), ['new', 'busy', 'quiet']);
+    assert.deepEqual(later.overBudget.map(s => s.task), ['empty']);
+
+    const everything = planSearches(searches, history, { ...DEFAULT_PLANNER, enabled: false }, NOW);
+    assert.equal(everything.run.length, searches.length);
+});
+
+test('the store keeps each search\'s results across runs for the planner', (t) => {
+    const store = openStore(':memory:');
+    t.after(() => store.close());
+    const first = store.startRun(new Date(NOW - 2 * HOUR));
+    store.recordTask(first, 'search:Frontend:naukri:a', { accepted: 3 }, new Date(NOW - 2 * HOUR));
+    store.recordTask(first, 'profile:Frontend', { found: 3, kept: 3 }, new Date(NOW - 2 * HOUR));
+    const second = store.startRun(new Date(NOW - HOUR));
+    store.recordTask(second, 'search:Frontend:naukri:a', { accepted: 0 }, new Date(NOW - HOUR));
+
+    const history = store.taskHistory('search:');
+    assert.deepEqual([...history.keys()], ['search:Frontend:naukri:a']);
+    assert.deepEqual(history.get('search:Frontend:naukri:a').map(run => run.result.accepted), [0, 3]);
+    assert.equal(store.taskHistory('search:', { since: new Date(NOW - 90 * 60 * 1000) }).get('search:Frontend:naukri:a').length, 1);
+});
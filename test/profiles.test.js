@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProfiles, validateProfile, getSheetOutputs, DEFAULT_PROFILES_PATH } = require('../lib/profiles');
+
+const VALID = {
+    category: 'Frontend',
+    roles: ['Frontend Developer'],
+    locations: { include: ['Chennai'] },
+    experience: { min: 2, max: 3 },
+    freshnessDays: 1,
+    titleKeywords: { include: ['frontend'] },
+    sources: ['naukri']
+};
+
+function writeTemp(name, text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    fs.writeFileSync(path.join(dir, name), text);
+    return dir;
+}
+
+test('bundled profiles are valid and Design is available but disabled', () => {
+    const profiles = loadProfiles(DEFAULT_PROFILES_PATH);
+    const byCategory = Object.fromEntries(profiles.map(p => [p.category, p]));
+
+    assert.equal(byCategory.Frontend.enabled, true);
+    assert.equal(byCategory.Design.enabled, false);
+    assert.deepEqual(byCategory.Design.uiFilters, ['UX, Design']);
+});
+
+test('validateProfile accepts a minimal profile', () => {
+    assert.deepEqual(validateProfile(VALID, 'test'), []);
+});
+
+test('validateProfile reports each invalid field', () => {
+    const errors = validateProfile({
+        ...VALID,
+        roles: [],
+        experience: { min: 5, max: 2 },
+        sources: ['naukri', 'monster'],
+        outputs: [{ type: 'fax' }],
+        freshness: 7
+    }, 'bad.yml');
+
+    assert.equal(errors.length, 5);
+    assert.match(errors.join('\n'), /"freshness" is not a known profile field/);
+    assert.match(errors.join('\n'), /"roles" must be a non-empty list/);
+    assert.match(errors.join('\n'), /min \(5\) must not be greater than max \(2\)/);
+    assert.match(errors.join('\n'), /unknown source "monster"/);
+    assert.match(errors.join('\n'), /"outputs\[0\].type" must be one of/);
+});
+
+test('validateProfile checks file outputs', () => {
+    const errors = validateProfile({
+        ...VALID,
+        outputs: [
+            { type: 'csv', path: 'exports/jobs.csv' },
+            { type: 'xlsx' },
+            { type: 'feed', path: 'exports/jobs.xml', format: 'json', limit: 0 },
+            { type: 'ical', path: 'exports/follow-ups.ics', followUpDays: [7, -1] }
+        ]
+    }, 'test');
+
+    assert.equal(errors.length, 4);
+    assert.match(errors.join('\n'), /"outputs\[1\].path" must be a file path/);
+    assert.match(errors.join('\n'), /"outputs\[2\].format" must be one of: rss, atom/);
+    assert.match(errors.join('\n'), /"outputs\[2\].limit" must be a whole number/);
+    assert.match(errors.join('\n'), /"outputs\[3\].followUpDays" must be a number of days/);
+});
+
+test('validateProfile checks a sheets output\'s trendsTab', () => {
+    const sheet = { type: 'sheets', spreadsheetId: 'abc', tab: 'Jobs' };
+    assert.deepEqual(validateProfile({ ...VALID, outputs: [{ ...sheet, trendsTab: 'Trends' }] }, 'test'), []);
+
+    const errors = validateProfile({ ...VALID, outputs: [{ ...sheet, trendsTab: 'Jobs' }, { ...sheet, trendsTab: 3 }] }, 'test');
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /"outputs\[0\].trendsTab" must differ from the jobs' tab/);
+    assert.match(errors[1], /"outputs\[1\].trendsTab" must be a tab name/);
+});
+
+test('validateProfile requires career boards for the careers source', () => {
+    const errors = validateProfile({ ...VALID, sources: ['careers'] }, 'test');
+    assert.match(errors.join('\n'), /at least one board/);
+});
+
+test('validateProfile checks the scoring block', () => {
+    const errors = validateProfile({
+        ...VALID,
+        scoring: { minScore: 120, weights: { title: 40, salary: 10 }, titleWeights: { engineer: 2 }, skills: 'React' }
+    }, 'test');
+
+    assert.equal(errors.length, 4);
+    assert.match(errors.join('\n'), /"scoring.minScore" must be a number from 0 to 100/);
+    assert.match(errors.join('\n'), /"scoring.weights.salary" is not a score component/);
+    assert.match(errors.join('\n'), /"scoring.titleWeights.engineer" must be a number from -1 to 1/);
+    assert.match(errors.join('\n'), /"scoring.skills" must be a list/);
+});
+
+test('validateProfile checks the companies block', () => {
+    const errors = validateProfile({
+        ...VALID,
+        companies: { block: 'Acme', priority: ['Zoho'], agencies: 'drop', agencyPenalty: 150 }
+    }, 'test');
+
+    assert.equal(errors.length, 3);
+    assert.match(errors.join('\n'), /"companies.block" must be a list of company names/);
+    assert.match(errors.join('\n'), /"companies.agencies" must be one of: tag, skip, ignore/);
+    assert.match(errors.join('\n'), /"companies.agencyPenalty" must be a number from 0 to 100/);
+});
+
+test('validateProfile checks the scheduling block', () => {
+    const errors = validateProfile({
+        ...VALID,
+        scheduling: { pages: 0, retries: 1, hosts: { linkedin: { concurrency: 1, minDelayMs: -5 }, monster: {} } }
+    }, 'test');
+
+    assert.equal(errors.length, 3);
+    assert.match(errors.join('\n'), /"scheduling.pages" must be a whole number from 1 to 8/);
+    assert.match(errors.join('\n'), /"scheduling.hosts.linkedin.minDelayMs" must be a whole number of milliseconds/);
+    assert.match(errors.join('\n'), /"scheduling.hosts.monster" is not a source/);
+});
+
+test('validateProfile checks the revalidation block', () => {
+    const errors = validateProfile({ ...VALID, revalidation: { enabled: true, budget: 2.5, everyHours: 0 } }, 'test');
+
+    assert.equal(errors.length, 2);
+    assert.match(errors.join('\n'), /"revalidation.budget" must be a whole number of job pages/);
+    assert.match(errors.join('\n'), /"revalidation.everyHours" must be a number of hours/);
+});
+
+test('validateProfile checks the planner block', () => {
+    const errors = validateProfile({ ...VALID, planner: { enabled: 'yes', budget: 0, maxIntervalHours: 24 } }, 'test');
+
+    assert.equal(errors.length, 2);
+    assert.match(errors.join('\n'), /"planner.enabled" must be true or false/);
+    assert.match(errors.join('\n'), /"planner.budget" must be a whole number of searches/);
+});
+
+test('validateProfile checks notification sinks and quiet hours', () => {
+    const errors = validateProfile({
+        ...VALID,
+        notifications: {
+            quietHours: { start: '10pm', end: '07:00', timezone: 'Mars/Olympus' },
+            sinks: [
+                { type: 'slack', webhookUrl: 'https://hooks.example.com/1' },
+                { type: 'slack', webhookUrl: 'https://hooks.example.com/2' },
+                { type: 'telegram', botToken: 'x' },
+                { type: 'pager' }
+            ]
+        }
+    }, 'test');
+
+    assert.equal(errors.length, 5);
+    assert.match(errors.join('\n'), /"notifications.quietHours.start" must be a 24h time/);
+    assert.match(errors.join('\n'), /"notifications.quietHours.timezone" must be an IANA time zone/);
+    assert.match(errors.join('\n'), /"notifications.sinks\[1\].name" must be set/);
+    assert.match(errors.join('\n'), /"notifications.sinks\[2\].chatId" is required for telegram/);
+    assert.match(errors.join('\n'), /"notifications.sinks\[3\].type" must be one of: slack, discord, email, telegram/);
+});
+
+test('loadProfiles reads JSON and YAML lists, fills defaults and expands env vars', () => {
+    process.env.TEST_PROFILE_SHEET = 'sheet-123';
+    const dir = writeTemp('profiles.yml', `
+profiles:
+  - category: Frontend
+    roles: [Frontend Developer]
+    locations: { include: [Chennai] }
+    experience: { min: 2, max: 3 }
+    freshnessDays: 3
+    titleKeywords: { include: [frontend] }
+    sources: [naukri, linkedin]
+    outputs:
+      - type: sheets
+        spreadsheetId: \${TEST_PROFILE_SHEET}
+`);
+    fs.writeFileSync(path.join(dir, 'design.json'), JSON.stringify({ ...VALID, category: 'Design' }));
+
+    const profiles = loadProfiles(dir);
+    assert.deepEqual(profiles.map(p => p.category), ['Design', 'Frontend']);
+
+    const [design, frontend] = profiles;
+    assert.equal(design.enabled, true);
+    assert.deepEqual(design.uiFilters, []);
+    assert.equal(design.scoring.minScore, 0);
+    assert.equal(design.scoring.weights.title, 40);
+    assert.deepEqual(design.scheduling, { pages: 3, retries: 1, hosts: {} });
+    assert.equal(design.planner.budget, 100);
+    assert.ok(design.locations.exclude.includes('usa'));
+    assert.deepEqual(getSheetOutputs(frontend).map(output => output.spreadsheetId), ['sheet-123']);
+    assert.deepEqual(getSheetOutputs(design), []);
+});
+
+test('loadProfiles throws one error listing every problem', () => {
+    const dir = writeTemp('a.yml', 'category: Frontend\nroles: [x]\n');
+    fs.writeFileSync(path.join(dir, 'b.yml'), 'category: [unclosed');
+
+    assert.throws(() => loadProfiles(dir), (err) => {
+        assert.match(err.message, /^Invalid search profiles:/);
+        assert.ok(err.errors.some(e => e.includes('a.yml') && e.includes('"locations.include"')));
+        assert.ok(err.errors.some(e => e.includes('b.yml') && e.includes('could not parse')));
+        return true;
+    });
+});
+
+test('loadProfiles rejects duplicate categories', () => {
+    const dir = writeTemp('a.json', JSON.stringify(VALID));
+    fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify(VALID));
+
+    assert.throws(() => loadProfiles(dir), /Duplicate profile category "Frontend"/);
+});
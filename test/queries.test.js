@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roleKey, distinctRoles, workModeOf, buildQuerySearches } = require('../lib/sources/queries');
+const naukri = require('../lib/sources/naukri');
+const linkedin = require('../lib/sources/linkedin');
+
+const CONFIG = {
+    category: 'Frontend',
+    roles: ['UI/UX Developer', 'UI UX Developer', 'Front End Developer', 'Frontend developer', 'React Developer'],
+    locations: { include: ['Chennai', 'Remote'], exclude: [] },
+    experience: { min: 2, max: 3 },
+    freshnessDays: 1,
+    planner: { mergeRoles: true }
+};
+
+test('role spellings share a key and are searched once', () => {
+    assert.equal(roleKey('UI/UX Developer'), roleKey('UX UI developer'));
+    assert.equal(roleKey('Front End Developer'), roleKey('frontend-developer'));
+    assert.notEqual(roleKey('React Developer'), roleKey('React Native Developer'));
+    assert.deepEqual(distinctRoles(CONFIG.roles), ['UI/UX Developer', 'Front End Developer', 'React Developer']);
+    assert.equal(workModeOf(' Work From Home '), 'Remote');
+    assert.equal(workModeOf('Chennai'), null);
+});
+
+test('buildQuerySearches groups roles per query and filters work modes where it can', () => {
+    const searchUrl = ({ roles, location, workMode }) => `${roles.join('|')}@${location || workMode}`;
+    const searches = buildQuerySearches(CONFIG, { searchUrl, maxTerms: 2, workModes: ['Remote'] });
+    assert.deepEqual(searches.map(s => s.url), [
+        'UI/UX Developer|Front End Developer@Chennai',
+        'React Developer@Chennai',
+        'UI/UX Developer|Front End Developer@Remote',
+        'React Developer@Remote'
+    ]);
+    assert.equal(searches[0].role, 'UI/UX Developer OR Front End Developer');
+    assert.equal(searches[2].workMode, 'Remote');
+    assert.equal(searches[2].location, 'Remote');
+
+    // No work-mode filter: "Remote" is searched as a place
+    const places = buildQuerySearches(CONFIG, { searchUrl, maxTerms: 2 });
+    assert.equal(places[2].workMode, null);
+
+    // mergeRoles: false searches every role as written, one per query
+    const unmerged = buildQuerySearches({ ...CONFIG, planner: { mergeRoles: false } }, { searchUrl, maxTerms: 2 });
+    assert.equal(unmerged.length, CONFIG.roles.length * 2);
+});
+
+test('boards put merged roles and work modes in their own query syntax', () => {
+    const remote = naukri.buildSearches(CONFIG).find(s => s.workMode === 'Remote');
+    const url = new URL(remote.url);
+    assert.equal(url.searchParams.get('wfhType'), '2');
+    assert.equal(url.searchParams.get('l'), null);
+    assert.match(url.searchParams.get('k'), /UI\/UX Developer, Front End Developer, React Developer/);
+
+    const [chennai] = linkedin.buildSearches(CONFIG);
+    const keywords = new URL(chennai.url).searchParams.get('keywords');
+    assert.equal(keywords, '"UI/UX Developer" OR "Front End Developer" OR "React Developer"');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pdfText, readResume, resumeYears } = require('../lib/resume');
+
+// A one-page PDF the way editors write them: a deflated content stream and an embedded font
+function samplePdf() {
+    const content = zlib.deflateSync(Buffer.from([
+        'BT /F1 14 Tf 72 720 Td (Priya Raman) Tj ET',
+        'BT /F1 10 Tf 72 700 Td [(Senior Front)-20(end Developer)] TJ',
+        '0 -14 Td [(React,)-250(TypeScript)-250(and Node.js \\(5+ years of experience\\))] TJ',
+        'T* <4A657374> Tj ET'
+    ].join('\n'), 'latin1'));
+    const font = Buffer.from('\x00\x01binary font program\xff', 'latin1');
+    return Buffer.concat([
+        Buffer.from('%PDF-1.4\n1 0 obj\n<< /Length ' + content.length + ' /Filter /FlateDecode >>\nstream\n', 'latin1'),
+        content,
+        Buffer.from('\nendstream\nendobj\n2 0 obj\n<< /Length ' + font.length + ' /Length1 ' + font.length + ' >>\nstream\n', 'latin1'),
+        font,
+        Buffer.from('\nendstream\nendobj\ntrailer\n<< /Root 3 0 R >>\n%%EOF\n', 'latin1')
+    ]);
+}
+
+test('pdfText reads the text of deflated content streams and skips fonts', () => {
+    assert.equal(pdfText(samplePdf()), [
+        'Priya Raman',
+        'Senior Frontend Developer',
+        'React, TypeScript and Node.js (5+ years of experience)',
+        'Jest'
+    ].join('\n'));
+    assert.equal(pdfText(Buffer.from('%PDF-1.4\n%%EOF\n')), '');
+});
+
+test('readResume reads PDFs and text files and rejects other types', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-'));
+    fs.writeFileSync(path.join(dir, 'cv.pdf'), samplePdf());
+    fs.writeFileSync(path.join(dir, 'cv.txt'), 'Vue and Nuxt');
+    fs.writeFileSync(path.join(dir, 'cv.docx'), 'PK');
+
+    assert.match(readResume(path.join(dir, 'cv.pdf')), /^Priya Raman\n/);
+    assert.equal(readResume(path.join(dir, 'cv.txt')), 'Vue and Nuxt');
+    assert.throws(() => readResume(path.join(dir, 'cv.docx')), /Unsupported resume type "\.docx"/);
+});
+
+test('resumeYears takes the largest claim of experience', () => {
+    assert.equal(resumeYears('5+ years of experience in React. 3 years professional experience with Node.'), 5);
+    assert.equal(resumeYears('Over 6.5 yrs of frontend development experience'), 6.5);
+    assert.equal(resumeYears('Graduated 2019. 4 years at Acme.'), null);
+    assert.equal(resumeYears(''), null);
+});
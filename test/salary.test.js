@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalary } = require('../lib/salary');
+
+const inr = (salaryMin, salaryMax) => ({ salaryMin, salaryMax, salaryCurrency: 'INR' });
+
+test('parseSalary reads Naukri lakh ranges', () => {
+    assert.deepEqual(parseSalary('6-12 Lacs PA'), inr(600000, 1200000));
+    assert.deepEqual(parseSalary('3.5-6 Lacs P.A.'), inr(350000, 600000));
+    assert.deepEqual(parseSalary('12 LPA'), inr(1200000, 1200000));
+});
+
+test('parseSalary reads rupee amounts with units and separators', () => {
+    assert.deepEqual(parseSalary('₹15L–₹20L'), inr(1500000, 2000000));
+    assert.deepEqual(parseSalary('₹ 8,00,000 - 12,00,000 a year'), inr(800000, 1200000));
+    assert.deepEqual(parseSalary('1.5 Cr'), inr(15000000, 15000000));
+});
+
+test('parseSalary annualizes monthly amounts', () => {
+    assert.deepEqual(parseSalary('₹25,000 - ₹40,000 a month'), inr(300000, 480000));
+});
+
+test('parseSalary detects other currencies', () => {
+    assert.deepEqual(parseSalary('$80k - $100k'), { salaryMin: 80000, salaryMax: 100000, salaryCurrency: 'USD' });
+    assert.deepEqual(parseSalary('£45,000'), { salaryMin: 45000, salaryMax: 45000, salaryCurrency: 'GBP' });
+});
+
+test('parseSalary returns null for undisclosed salaries', () => {
+    for (const text of ['Not disclosed', 'Competitive', 'N/A', '', null, undefined]) {
+        assert.equal(parseSalary(text), null, String(text));
+    }
+});
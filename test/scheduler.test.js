@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hostLimits, createHostLimiter, createPagePool, runTasks, DEFAULT_HOST_LIMITS } = require('../lib/scheduler');
+const { delay } = require('../lib/utils');
+
+// Tracks how many calls run at once
+function gauge() {
+    const g = { active: 0, peak: 0 };
+    g.track = async (ms = 10) => {
+        g.active++;
+        g.peak = Math.max(g.peak, g.active);
+        await delay(ms);
+        g.active--;
+    };
+    return g;
+}
+
+test('hostLimits layers the profile over the adapter over the defaults', () => {
+    const source = { name: 'linkedin', rateLimit: { concurrency: 1, minDelayMs: 5000 } };
+    assert.deepEqual(hostLimits({ name: 'naukri' }), DEFAULT_HOST_LIMITS);
+    assert.deepEqual(hostLimits(source), { concurrency: 1, minDelayMs: 5000 });
+    assert.deepEqual(hostLimits(source, { hosts: { linkedin: { minDelayMs: 8000 } } }), { concurrency: 1, minDelayMs: 8000 });
+});
+
+test('runTasks runs tasks concurrently up to the limit and retries failures', async () => {
+    const g = gauge();
+    let flakyCalls = 0;
+    const tasks = Array.from({ length: 6 }, (_, i) => ({ label: `task ${i}`, run: () => g.track() }));
+    tasks.push({
+        label: 'flaky',
+        run: async () => {
+            if (++flakyCalls === 1) throw new Error('timeout');
+        }
+    });
+    tasks.push({ label: 'broken', run: async () => { throw new Error('selector missing'); } });
+
+    const result = await runTasks(tasks, { concurrency: 3, retries: 1, retryDelayMs: 1 });
+
+    assert.equal(g.peak, 3);
+    assert.equal(flakyCalls, 2);
+    assert.equal(result.done, 7);
+    assert.equal(result.failed, 1);
+    assert.ok(result.durationMs >= 0);
+});
+
+test('the host limiter caps tasks per host, not across hosts', async () => {
+    const limiter = createHostLimiter();
+    const a = gauge();
+    const b = gauge();
+    await Promise.all([
+        ...Array.from({ length: 4 }, () => limiter.run('https://a.example/search', { concurrency: 1 }, () => a.track())),
+        ...Array.from({ length: 4 }, () => limiter.run('https://b.example/search', { concurrency: 2 }, () => b.track()))
+    ]);
+    assert.equal(a.peak, 1);
+    assert.equal(b.peak, 2);
+});
+
+test('the host limiter spaces requests and backs a failing host off', async () => {
+    const limiter = createHostLimiter();
+    const limits = { concurrency: 2, minDelayMs: 20 };
+
+    let started = Date.now();
+    await limiter.throttle('https://a.example/1', limits);
+    await limiter.throttle('https://a.example/2', limits);
+    await limiter.throttle('https://b.example/1', limits);
+    const spaced = Date.now() - started;
+    assert.ok(spaced >= 18 && spaced < 200, `waited ${spaced}ms`);
+
+    await assert.rejects(limiter.run('https://c.example/1', limits, async () => { throw new Error('429'); }), /429/);
+    started = Date.now();
+    await limiter.throttle('https://c.example/2', limits);
+    assert.ok(Date.now() - started >= 35, 'waits out the backoff (2 x minDelayMs)');
+});
+
+test('the page pool opens at most `size` pages and reuses them', async () => {
+    let opened = 0;
+    let closed = 0;
+    const openPage = async () => ({ id: ++opened, close: async () => { closed++; } });
+    const pool = createPagePool(openPage, 2);
+    const used = new Set();
+
+    await Promise.all(Array.from({ length: 5 }, () => pool.use(async page => {
+        used.add(page.id);
+        await delay(5);
+    })));
+    await pool.close();
+
+    assert.equal(opened, 2);
+    assert.deepEqual([...used].sort(), [1, 2]);
+    assert.equal(closed, 2);
+});
+
+test('the page pool replaces retired pages', async () => {
+    let opened = 0;
+    const closed = [];
+    const openPage = async () => {
+        const id = ++opened;
+        return { id, close: async () => { closed.push(id); } };
+    };
+    const pool = createPagePool(openPage, 1, { retire: page => page.id === 1 });
+    const used = [];
+
+    await Promise.all(Array.from({ length: 3 }, () => pool.use(async page => {
+        used.push(page.id);
+        await delay(5);
+    })));
+
+    assert.deepEqual(used, [1, 2, 2]);
+    assert.deepEqual(closed, [1]);
+});
+
+test('runTasks does not retry errors marked as not retryable', async () => {
+    let calls = 0;
+    const blocked = Object.assign(new Error('captcha'), { retryable: false });
+    const result = await runTasks([{ label: 'blocked', run: async () => { calls++; throw blocked; } }], { retries: 3, retryDelayMs: 1 });
+
+    assert.equal(calls, 1);
+    assert.equal(result.failed, 1);
+});
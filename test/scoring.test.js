@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreJob, scoreJobs } = require('../lib/scoring');
+
+const SCRAPED_AT = '2026-03-10T12:00:00.000Z';
+
+const CONFIG = {
+    experience: { min: 2, max: 3 },
+    freshnessDays: 1,
+    titleKeywords: { include: ['frontend', 'react*', 'engineer'], exclude: [] },
+    scoring: {
+        minScore: 60,
+        titleWeights: { engineer: 0.3, intern: -0.5 },
+        skills: ['React', 'TypeScript', 'CSS', 'Jest'],
+        preferredLocations: ['Chennai']
+    }
+};
+
+function job(overrides) {
+    return {
+        title: 'Frontend Developer',
+        location: 'Chennai',
+        expMin: 2,
+        expMax: 3,
+        description: 'React, TypeScript, CSS and Jest.',
+        scrapedAt: SCRAPED_AT,
+        postedAt: SCRAPED_AT,
+        ...overrides
+    };
+}
+
+test('scoreJob gives a perfect match 100 with a reason per component', () => {
+    const { score, reasons } = scoreJob(job(), CONFIG);
+    assert.equal(score, 100);
+    assert.deepEqual(reasons, [
+        'title: frontend (1)',
+        'skills: 4/4 (React, TypeScript, CSS, Jest)',
+        'experience: 2-3 yrs fits 2-3',
+        'location: Chennai',
+        'freshness: 0h old'
+    ]);
+});
+
+test('scoreJob ranks broad title keywords and penalties below specific ones', () => {
+    const frontend = scoreJob(job(), CONFIG).score;
+    const engineer = scoreJob(job({ title: 'Mechanical Engineer', description: 'AutoCAD and HVAC.' }), CONFIG);
+    const intern = scoreJob(job({ title: 'Frontend Intern' }), CONFIG);
+
+    assert.ok(engineer.score < CONFIG.scoring.minScore, String(engineer.score));
+    assert.equal(engineer.reasons[0], 'title: engineer (0.3)');
+    assert.ok(intern.score < frontend);
+    assert.equal(intern.reasons[0], 'title: frontend (1), intern (-0.5)');
+});
+
+test('scoreJob scores experience, location and freshness fit', () => {
+    const outside = scoreJob(job({ expMin: 5, expMax: 8 }), CONFIG);
+    const overlap = scoreJob(job({ expMin: 1, expMax: 4 }), CONFIG);
+    const elsewhere = scoreJob(job({ location: 'Mumbai' }), CONFIG);
+    const stale = scoreJob(job({ postedAt: '2026-03-09T12:00:00.000Z' }), CONFIG);
+
+    assert.equal(outside.reasons[2], 'experience: 5-8 yrs outside 2-3');
+    assert.equal(overlap.reasons[2], 'experience: 1-4 yrs overlaps 2-3');
+    assert.ok(outside.score < overlap.score && overlap.score < 100);
+    assert.equal(elsewhere.reasons[3], 'location: not preferred');
+    assert.equal(stale.reasons[4], 'freshness: 1d old');
+    assert.equal(stale.score, 91);
+});
+
+test('scoreJob treats missing details as unknown and drops unused components', () => {
+    const bare = scoreJob(job({ description: undefined, expMin: null, expMax: null, postedAt: null }), CONFIG);
+    assert.deepEqual(bare.reasons.slice(1, 3), ['skills: unknown', 'experience: unknown']);
+    assert.equal(bare.reasons[4], 'freshness: unknown');
+
+    const plain = scoreJob(job(), { ...CONFIG, scoring: {} });
+    assert.equal(plain.score, 100);
+    assert.equal(plain.reasons.length, 3);
+});
+
+test('scoreJob moves priority companies up and likely agencies down', () => {
+    const base = scoreJob(job({ location: 'Mumbai' }), CONFIG);
+    const priority = scoreJob(job({ location: 'Mumbai', companyTags: ['priority'] }), CONFIG);
+    const agency = scoreJob(job({ location: 'Mumbai', companyTags: ['agency'] }), { ...CONFIG, companies: { agencyPenalty: 20 } });
+
+    assert.equal(priority.score, Math.min(100, base.score + 10));
+    assert.equal(priority.reasons.at(-1), 'company: priority (+10)');
+    assert.equal(agency.score, base.score - 20);
+    assert.equal(agency.reasons.at(-1), 'company: likely agency (-20)');
+    assert.equal(scoreJob(job({ companyTags: ['priority'] }), CONFIG).score, 100);
+});
+
+test('scoreJobs stores scores on the jobs and returns them best-first', () => {
+    const jobs = [job({ title: 'Site Engineer' }), job(), job({ title: 'React Developer', location: 'Pune' })];
+    const ranked = scoreJobs(jobs, CONFIG);
+
+    assert.deepEqual(ranked.map(j => j.title), ['Frontend Developer', 'React Developer', 'Site Engineer']);
+    assert.ok(jobs.every(j => typeof j.score === 'number' && j.scoreReasons.length === 5));
+});
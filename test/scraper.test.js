@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProfiles, DEFAULT_PROFILES_PATH } = require('../lib/profiles');
+const { selectProfiles, scrapeExitCode, EXIT_CODES } = require('../lib/scraper');
+
+const PROFILES = loadProfiles(DEFAULT_PROFILES_PATH);
+
+test('selectProfiles runs the enabled profiles when nothing is selected', () => {
+    assert.deepEqual(selectProfiles(PROFILES).map(p => p.category), ['Frontend']);
+});
+
+test('selectProfiles picks categories by name, including disabled ones', () => {
+    const [design] = selectProfiles(PROFILES, { categories: ['design'] });
+    assert.equal(design.category, 'Design');
+    assert.deepEqual(selectProfiles(PROFILES, { categories: ['Frontend', 'Design'] }).map(p => p.category).sort(), ['Design', 'Frontend']);
+});
+
+test('selectProfiles overrides sources, roles and included locations', () => {
+    const [frontend] = selectProfiles(PROFILES, { sources: ['linkedin'], roles: ['React Developer'], locations: ['Bangalore'] });
+    const original = PROFILES.find(p => p.category === 'Frontend');
+
+    assert.deepEqual(frontend.sources, ['linkedin']);
+    assert.deepEqual(frontend.roles, ['React Developer']);
+    assert.deepEqual(frontend.locations.include, ['Bangalore']);
+    assert.deepEqual(frontend.locations.exclude, original.locations.exclude);
+    assert.notDeepEqual(original.roles, ['React Developer']);
+});
+
+test('selectProfiles rejects unknown categories and sources', () => {
+    assert.throws(() => selectProfiles(PROFILES, { categories: ['Backend'] }), /Unknown category "Backend"/);
+    assert.throws(() => selectProfiles(PROFILES, { sources: ['monster'] }), /Unknown source "monster"/);
+});
+
+test('scrapeExitCode tells new jobs, a quiet run, a broken run and a skipped one apart', () => {
+    assert.equal(scrapeExitCode({ newJobs: 2, broken: false }), EXIT_CODES.ok);
+    assert.equal(scrapeExitCode({ newJobs: 0, broken: false }), EXIT_CODES.noNewJobs);
+    assert.equal(scrapeExitCode({ newJobs: 0, broken: true }), EXIT_CODES.broken);
+    assert.equal(scrapeExitCode({ newJobs: 0, broken: false, busy: true }), EXIT_CODES.busy);
+});
+
+test('runScraper closes the store, releases the lock and reports when setup fails', async (t) => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const sheets = require('../lib/sheets');
+    const storeModule = require('../lib/store');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-'));
+    fs.writeFileSync(path.join(dir, 'frontend.yml'), [
+        'category: Frontend', 'roles: [Frontend Developer]', 'locations: { include: [Chennai] }',
+        'experience: { min: 2, max: 3 }', 'freshnessDays: 1', 'titleKeywords: { include: [frontend] }',
+        'sources: [naukri]', 'outputs: [{ type: sheets, spreadsheetId: sheet-1 }]'
+    ].join('\n'));
+    const cwd = process.cwd();
+    process.chdir(dir);
+    process.env.RUN_REPORTS_DIR = path.join(dir, 'reports');
+
+    let closed = false;
+    const openStore = storeModule.openStore;
+    t.mock.method(storeModule, 'openStore', (...args) => {
+        const store = openStore(...args);
+        const close = store.close;
+        store.close = () => { closed = true; close(); };
+        return store;
+    });
+    t.mock.method(sheets, 'createSheetsClient', () => { throw new Error('Unexpected token in credentials JSON'); });
+    // Loaded again so it picks up the stubs
+    const scraperPath = require.resolve('../lib/scraper');
+    delete require.cache[scraperPath];
+    t.after(() => {
+        delete require.cache[scraperPath];
+        delete process.env.RUN_REPORTS_DIR;
+        process.chdir(cwd);
+    });
+    const { runScraper } = require('../lib/scraper');
+
+    const summary = await runScraper({ profilesPath: dir, candidatesPath: path.join(dir, 'candidates') });
+
+    assert.equal(summary.broken, true);
+    assert.equal(closed, true);
+    assert.ok(fs.existsSync(summary.reportFile));
+    assert.ok(!fs.existsSync(path.join(dir, 'scrape.lock')));
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStore } = require('../lib/store');
+const { startDashboard } = require('../lib/server');
+
+function job(id, overrides) {
+    return {
+        title: `Frontend Developer ${id}`,
+        company: 'Acme',
+        location: 'Chennai',
+        detailUrl: `https://jobs.example.com/${id}`,
+        platform: 'Naukri',
+        category: 'Frontend',
+        experience: '2-4 Yrs',
+        expMin: 2,
+        expMax: 4,
+        postedAt: new Date().toISOString(),
+        scrapedAt: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+// A dashboard over a store of five jobs; Frontend has a sheet output, without a client
+async function startWithStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-'));
+    const dbFile = path.join(dir, 'jobs.db');
+    const store = openStore(dbFile);
+    store.saveJob(job(1, { score: 80, skills: ['React'], description: 'React and TypeScript' }));
+    store.saveJob(job(2, { title: 'UI Designer', category: 'Design', platform: 'LinkedIn', location: 'Bengaluru', score: 55 }));
+    store.saveJob(job(3, { score: 40, expMin: 6, expMax: 9, postedAt: '2020-01-01T00:00:00.000Z', closedAt: '2026-05-01T00:00:00.000Z' }));
+    store.saveJob(job(4, { score: 70 }));
+    store.saveJob(job(5, { company: 'TeamLease', companyKey: 'teamlease', companyTags: ['agency'], location: 'Pune', expMin: 5, expMax: 8, score: 60 }));
+    store.setStatus(4, 'hidden');
+    store.finishRun(store.startRun(), new Date(), { sources: {}, alerts: [] });
+    store.close();
+
+    const outputsFor = category => (category === 'Frontend' ? [{ spreadsheetId: 'sheet-1' }] : []);
+    const server = await startDashboard({ port: 0, dbFile, outputsFor });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const call = async (url, options) => {
+        const response = await fetch(base + url, options);
+        const type = response.headers.get('content-type');
+        return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+    };
+    const patch = (id, body) => call(`/jobs/${id}`, { method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const close = () => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections?.();
+    });
+    return { dbFile, call, patch, close };
+}
+
+test('GET /jobs filters jobs, leaves hidden ones out and lists the filter values', async (t) => {
+    const app = await startWithStore();
+    t.after(app.close);
+
+    const all = await app.call('/jobs?sort=score');
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.jobs.map(j => j.id), [1, 5, 2, 3]);
+    assert.deepEqual(all.body.filters.categories, ['Design', 'Frontend']);
+    assert.deepEqual(all.body.filters.platforms, ['LinkedIn', 'Naukri']);
+    assert.equal(all.body.jobs[0].description, undefined);
+
+    const filtered = async query => (await app.call(`/jobs?${query}`)).body.jobs.map(j => j.id);
+    assert.deepEqual(await filtered('platform=linkedin'), [2]);
+    assert.deepEqual(await filtered('companyTag=agency'), [5]);
+    assert.deepEqual(await filtered('category=Frontend&experience=3'), [1]);
+    assert.deepEqual(await filtered('days=7&location=chennai'), [1]);
+    assert.deepEqual(await filtered('q=typescript'), [1]);
+    assert.deepEqual(await filtered('status=hidden'), [4]);
+    assert.deepEqual(await filtered('lifecycle=closed'), [3]);
+    assert.equal(all.body.jobs.find(j => j.id === 3).lifecycle, 'closed');
+
+    assert.equal((await app.call('/jobs?minScore=lots')).status, 400);
+    assert.equal((await app.call('/jobs?sort=salary')).status, 400);
+    assert.equal((await app.call('/jobs?companyTag=startup')).status, 400);
+    assert.equal((await app.call('/jobs?lifecycle=gone')).status, 400);
+});
+
+test('GET /companies groups the filtered jobs by employer', async (t) => {
+    const app = await startWithStore();
+    t.after(app.close);
+
+    const all = await app.call('/companies?sort=score');
+    assert.equal(all.status, 200);
+    assert.deepEqual(all.body.companies.map(c => [c.company, c.openRoles, c.tags]), [['Acme', 3, []], ['TeamLease', 1, ['agency']]]);
+    assert.deepEqual(all.body.companies[0].jobs.map(j => j.id), [1, 2, 3]);
+
+    const direct = await app.call('/companies?companyTag=direct&category=Frontend');
+    assert.deepEqual(direct.body.companies.map(c => c.openRoles), [2]);
+});
+
+test('GET /jobs/:id returns the job with its history', async (t) => {
+    const app = await startWithStore();
+    t.after(app.close);
+
+    const { status, body } = await app.call('/jobs/1');
+    assert.equal(status, 200);
+    assert.equal(body.description, 'React and TypeScript');
+    assert.deepEqual(body.history.statuses.map(s => s.toStatus), ['new']);
+    assert.equal((await app.call('/jobs/99')).status, 404);
+});
+
+test('PATCH /jobs/:id changes the status and queues it for the sheet', async (t) => {
+    const app = await startWithStore();
+    t.after(app.close);
+
+    const shortlisted = await app.patch(1, { status: 'shortlisted', note: 'Strong match' });
+    assert.equal(shortlisted.status, 200);
+    assert.equal(shortlisted.body.job.status, 'shortlisted');
+    assert.equal(shortlisted.body.sheets, 'queued'); // no Sheets client: the next scrape writes it
+    assert.equal((await app.patch(2, { status: 'hidden' })).body.sheets, 'none');
+
+    assert.equal((await app.patch(1, { status: 'maybe' })).status, 400);
+    const final = await app.patch(3, { status: 'rejected' });
+    assert.equal(final.status, 200);
+    const conflict = await app.patch(3, { status: 'applied' });
+    assert.equal(conflict.status, 409);
+    assert.match(conflict.body.error, /final status/);
+
+    const store = openStore(app.dbFile);
+    assert.equal(store.getJob(1).status, 'shortlisted');
+    assert.deepEqual(store.getJob(1).statusSynced, {});
+    assert.equal(store.getHistory(1).statuses[1].note, 'Strong match');
+    store.close();
+});
+
+test('GET /runs lists runs and GET / serves the dashboard page', async (t) => {
+    const app = await startWithStore();
+    t.after(app.close);
+
+    const runs = await app.call('/runs');
+    assert.equal(runs.status, 200);
+    assert.equal(runs.body.length, 1);
+    assert.deepEqual(runs.body[0].report, { sources: {}, alerts: [] });
+
+    const page = await app.call('/');
+    assert.match(page.body, /<title>Job Triage<\/title>/);
+    assert.equal((await app.call('/runs', { method: 'DELETE' })).status, 405);
+    assert.equal((await app.call('/nothing')).status, 404);
+});
@@ -0,0 +1,275 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    SHEET_COLUMNS, columnLetter, fetchExistingUrls, syncJobs, queueSheetRows, syncOutput, queueStatusSync, syncStatuses, writeReportTab
+} = require('../lib/sheets');
+
+const FAST_RETRY = { baseDelayMs: 1 };
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+// In-memory stand-in for the googleapis Sheets client (the calls lib/sheets makes)
+function fakeSheets(tabs = { Sheet1: [] }) {
+    const state = { tabs, failures: [], calls: [] };
+    const names = () => Object.keys(state.tabs);
+    const sheetId = title => names().indexOf(title);
+    const colIndex = letters => [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+
+    // 'Tab'!B2:D2, 'Tab'!1:1, 'Tab'!A1 or 'Tab'
+    function parseRange(range) {
+        const [, quoted, cells] = range.match(/^'((?:[^']|'')+)'(?:!(.+))?$/);
+        const title = quoted.replace(/''/g, "'");
+        if (!cells) return { title };
+        const rowOnly = cells.match(/^(\d+):\d+$/);
+        if (rowOnly) return { title, row: Number(rowOnly[1]) - 1, col: 0 };
+        const [, col, row] = cells.match(/^([A-Z]+)(\d+)/);
+        return { title, row: Number(row) - 1, col: colIndex(col) };
+    }
+
+    const maybeFail = (name) => {
+        state.calls.push(name);
+        const failure = state.failures.shift();
+        if (failure) throw Object.assign(new Error(failure.message || 'fail'), { code: failure.code });
+    };
+
+    // USER_ENTERED input is parsed as if typed: formulas show as their (error) result
+    const write = (title, row, col, values, inputOption = 'RAW') => {
+        const grid = state.tabs[title];
+        const entered = cell => (inputOption === 'USER_ENTERED' && /^[=+]/.test(String(cell)) ? '#ERROR!' : String(cell));
+        values.forEach((cells, r) => {
+            grid[row + r] = grid[row + r] || [];
+            cells.forEach((cell, c) => { grid[row + r][col + c] = entered(cell); });
+        });
+    };
+
+    state.client = {
+        spreadsheets: {
+            async get() {
+                maybeFail('get');
+                return { data: { sheets: names().map(title => ({ properties: { title, sheetId: sheetId(title) } })) } };
+            },
+            async batchUpdate({ resource }) {
+                maybeFail('batchUpdate');
+                const replies = resource.requests.map(request => {
+                    if (request.addSheet) {
+                        const { title } = request.addSheet.properties;
+                        state.tabs[title] = [];
+                        return { addSheet: { properties: { title, sheetId: sheetId(title) } } };
+                    }
+                    const title = names()[(request.insertDimension || request.sortRange).range.sheetId];
+                    const grid = state.tabs[title];
+                    if (request.insertDimension) grid.unshift([]);
+                    if (request.sortRange) {
+                        const { startRowIndex } = request.sortRange.range;
+                        const { dimensionIndex } = request.sortRange.sortSpecs[0];
+                        const body = grid.splice(startRowIndex).sort((a, b) => Number(b[dimensionIndex] || 0) - Number(a[dimensionIndex] || 0));
+                        grid.push(...body);
+                    }
+                    return {};
+                });
+                return { data: { replies } };
+            },
+            values: {
+                async get({ range }) {
+                    maybeFail('values.get');
+                    const { title, row } = parseRange(range);
+                    const grid = state.tabs[title];
+                    return { data: { values: row === undefined ? grid : grid.slice(row, row + 1) } };
+                },
+                async update({ range, valueInputOption, resource }) {
+                    maybeFail('values.update');
+                    const { title, row, col } = parseRange(range);
+                    write(title, row, col, resource.values, valueInputOption);
+                },
+                async batchUpdate({ resource }) {
+                    maybeFail('values.batchUpdate');
+                    for (const { range, values } of resource.data) {
+                        const { title, row, col } = parseRange(range);
+                        write(title, row, col, values, resource.valueInputOption);
+                    }
+                },
+                async clear({ range }) {
+                    maybeFail('values.clear');
+                    state.tabs[parseRange(range).title].length = 0;
+                },
+                async append({ range, valueInputOption, resource }) {
+                    maybeFail('values.append');
+                    const { title } = parseRange(range);
+                    write(title, state.tabs[title].length, 0, resource.values, valueInputOption);
+                }
+            }
+        }
+    };
+    return state;
+}
+
+function job(id, overrides) {
+    return {
+        title: `Frontend Developer ${id}`,
+        company: 'Acme',
+        location: 'Chennai',
+        detailUrl: `https://jobs.example.com/${id}`,
+        platform: 'Naukri',
+        score: 50 + id,
+        ...overrides
+    };
+}
+
+const headerOf = grid => grid[0];
+const cell = (grid, row, header) => grid[row][grid[0].indexOf(header)];
+
+test('columnLetter converts column indexes to A1 letters', () => {
+    assert.equal(columnLetter(0), 'A');
+    assert.equal(columnLetter(25), 'Z');
+    assert.equal(columnLetter(26), 'AA');
+    assert.equal(columnLetter(52), 'BA');
+});
+
+test('syncJobs writes a header to an empty tab and sorts rows by score', async () => {
+    const fake = fakeSheets();
+    const result = await syncJobs(fake.client, { spreadsheetId: 'sheet-1' }, [job(1), job(3), job(2)], FAST_RETRY);
+
+    const grid = fake.tabs.Sheet1;
+    assert.deepEqual(result, { appended: 3, updated: 0 });
+    assert.deepEqual(headerOf(grid), [...SHEET_COLUMNS.map(c => c.header), 'Status', 'Applied On', 'Notes']);
+    assert.deepEqual(grid.slice(1).map(row => row[1]), ['Frontend Developer 3', 'Frontend Developer 2', 'Frontend Developer 1']);
+});
+
+test('syncJobs adds a header above rows written without one', async () => {
+    const legacy = ['Acme', 'Old Job', '2-4 Yrs', 'Chennai', 'https://jobs.example.com/old'];
+    const fake = fakeSheets({ Sheet1: [legacy] });
+
+    assert.deepEqual(await fetchExistingUrls(fake.client, { spreadsheetId: 'sheet-1' }), ['https://jobs.example.com/old']);
+    assert.equal(headerOf(fake.tabs.Sheet1)[4], 'Detail URL');
+    assert.deepEqual(fake.tabs.Sheet1[1], legacy);
+});
+
+test('syncJobs updates existing rows without touching hand-filled columns', async () => {
+    const fake = fakeSheets({
+        Sheet1: [
+            ['Notes', 'Title', 'Detail URL', 'My Column', 'Status', 'Score'],
+            ['Call back Monday', 'Old title', 'https://jobs.example.com/1', 'keep me', 'Applied', '10']
+        ]
+    });
+    const merged = job(1, {
+        title: 'Frontend Developer (React)',
+        detailUrl: 'https://jobs.example.com/1',
+        sources: [
+            { detailUrl: 'https://jobs.example.com/1', platform: 'Naukri' },
+            { detailUrl: 'https://other.example.com/9', platform: 'LinkedIn' }
+        ]
+    });
+    // Found on another board under a URL the sheet only lists in "Other Sources"
+    const reposted = job(2, { sources: [{ detailUrl: 'https://jobs.example.com/2', platform: 'Naukri' }] });
+
+    const first = await syncJobs(fake.client, { spreadsheetId: 'sheet-1' }, [merged, reposted], FAST_RETRY);
+    assert.deepEqual(first, { appended: 1, updated: 1 });
+
+    const grid = fake.tabs.Sheet1;
+    const row = grid.findIndex(r => r[2] === 'https://jobs.example.com/1');
+    assert.equal(cell(grid, row, 'Notes'), 'Call back Monday');
+    assert.equal(cell(grid, row, 'My Column'), 'keep me');
+    assert.equal(cell(grid, row, 'Status'), 'Applied');
+    assert.equal(cell(grid, row, 'Title'), 'Frontend Developer (React)');
+    assert.equal(cell(grid, row, 'Score'), '51');
+    assert.equal(cell(grid, row, 'Other Sources'), 'https://other.example.com/9');
+    assert.ok(headerOf(grid).includes('Applied On'));
+    assert.equal(grid.length, 3);
+
+    const again = await syncJobs(fake.client, { spreadsheetId: 'sheet-1' }, [job(9, { detailUrl: 'https://other.example.com/9' })], FAST_RETRY);
+    assert.deepEqual(again, { appended: 0, updated: 1 });
+});
+
+test('syncJobs writes scraped text as-is, never as formulas', async () => {
+    const fake = fakeSheets();
+    const output = { spreadsheetId: 'sheet-1' };
+    await syncJobs(fake.client, output, [job(1, { title: '=1+1', company: '+91 Staffing', description: '=HYPERLINK("x")' })], FAST_RETRY);
+    const grid = fake.tabs.Sheet1;
+    assert.equal(cell(grid, 1, 'Title'), '=1+1');
+    assert.equal(cell(grid, 1, 'Company'), '+91 Staffing');
+    assert.equal(cell(grid, 1, 'Description'), '=HYPERLINK("x")');
+
+    // Updating the row
+    await syncJobs(fake.client, output, [job(1, { title: '=2+2', experience: '2-5' })], FAST_RETRY);
+    assert.equal(grid.length, 2);
+    assert.equal(cell(grid, 1, 'Title'), '=2+2');
+    assert.equal(cell(grid, 1, 'Experience'), '2-5');
+});
+
+test('syncJobs writes to a named tab, creating it when missing', async () => {
+    const fake = fakeSheets({ Sheet1: [['Something else']] });
+    await syncJobs(fake.client, { spreadsheetId: 'sheet-1', tab: "Design's" }, [job(1)], FAST_RETRY);
+
+    assert.deepEqual(fake.tabs.Sheet1, [['Something else']]);
+    assert.equal(cell(fake.tabs["Design's"], 1, 'Title'), 'Frontend Developer 1');
+});
+
+test('syncOutput retries transient errors and queues rows when retries run out', async () => {
+    const fake = fakeSheets();
+    const output = { spreadsheetId: 'sheet-1' };
+    const jobs = [job(1), job(2), job(3, { category: 'Other' })];
+    queueSheetRows(jobs.slice(0, 2));
+
+    fake.failures.push({ code: 503 }, { code: 429 });
+    const result = await syncOutput(fake.client, output, jobs, NOW, FAST_RETRY);
+    assert.deepEqual(result, { appended: 2, updated: 0 });
+    assert.deepEqual(jobs[0].sheetSynced, { 'sheet-1': NOW.toISOString() });
+    assert.equal(jobs[2].sheetSynced, undefined);
+
+    // Nothing pending until a job changes (e.g. a merged duplicate)
+    assert.equal(await syncOutput(fake.client, output, jobs, NOW, FAST_RETRY), null);
+
+    jobs[1].updatedAt = '2026-03-11T00:00:00.000Z';
+    fake.failures.push(...Array(5).fill({ code: 'ECONNRESET', message: 'socket hang up' }));
+    assert.equal(await syncOutput(fake.client, output, jobs, new Date('2026-03-11T01:00:00Z'), FAST_RETRY), null);
+    assert.equal(jobs[1].sheetSynced['sheet-1'], NOW.toISOString());
+
+    // Permission errors are not retried
+    fake.failures.push({ code: 403 });
+    const calls = fake.calls.length;
+    assert.equal(await syncOutput(fake.client, output, jobs, new Date('2026-03-11T01:00:00Z'), FAST_RETRY), null);
+    assert.equal(fake.calls.length, calls + 1);
+
+    const synced = await syncOutput(fake.client, output, jobs, new Date('2026-03-11T02:00:00Z'), FAST_RETRY);
+    assert.deepEqual(synced, { appended: 0, updated: 1 });
+});
+
+test('syncStatuses writes queued statuses to the Status and Applied On columns', async () => {
+    const fake = fakeSheets();
+    const output = { spreadsheetId: 'sheet-1' };
+    await syncJobs(fake.client, output, [job(1), job(2)], FAST_RETRY);
+    const grid = fake.tabs.Sheet1;
+    const row = grid.findIndex(r => r.includes('https://jobs.example.com/1'));
+    grid[row][grid[0].indexOf('Notes')] = 'Call back Monday';
+
+    const jobs = [
+        job(1, { status: 'applied', statusChangedAt: '2026-03-09T08:00:00.000Z' }),
+        job(2, { status: 'hidden' }),
+        job(3, { status: 'shortlisted' })
+    ];
+    queueStatusSync(jobs[0]);
+    queueStatusSync(jobs[2]); // not in the tab: nothing to write
+
+    assert.deepEqual(await syncStatuses(fake.client, output, jobs, NOW, FAST_RETRY), { updated: 1 });
+    assert.equal(cell(grid, row, 'Status'), 'Applied');
+    assert.equal(cell(grid, row, 'Applied On'), '2026-03-09');
+    assert.equal(cell(grid, row, 'Notes'), 'Call back Monday');
+    assert.ok(!cell(grid, 3 - row, 'Status'));
+    assert.deepEqual(jobs[2].statusSynced, { 'sheet-1': NOW.toISOString() });
+
+    assert.equal(await syncStatuses(fake.client, output, jobs, NOW, FAST_RETRY), null);
+    queueStatusSync(jobs[1]);
+    fake.failures.push({ code: 403 });
+    assert.equal(await syncStatuses(fake.client, output, jobs, NOW, FAST_RETRY), null);
+    assert.deepEqual(jobs[1].statusSynced, {});
+});
+
+test('writeReportTab replaces a report tab, creating it when missing', async () => {
+    const fake = fakeSheets();
+    const output = { spreadsheetId: 'sheet-1', tab: 'Trends' };
+    await writeReportTab(fake.client, output, [['Week of', 'Jobs'], ['2026-03-02', 4], ['2026-03-09', 6]], FAST_RETRY);
+    assert.deepEqual(fake.tabs.Trends, [['Week of', 'Jobs'], ['2026-03-02', '4'], ['2026-03-09', '6']]);
+
+    await writeReportTab(fake.client, output, [['Week of', 'Jobs']], FAST_RETRY);
+    assert.deepEqual(fake.tabs.Trends, [['Week of', 'Jobs']]);
+    assert.deepEqual(fake.tabs.Sheet1, []);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSkills, canonicalSkill } = require('../lib/skills');
+
+test('extractSkills finds canonical skills in free text', () => {
+    const text = 'Strong in JavaScript (ES6), React.js, HTML5/CSS3 and Tailwind. Figma and WCAG experience is a plus.';
+    assert.deepEqual(extractSkills(text), ['JavaScript', 'React', 'HTML', 'CSS', 'Tailwind CSS', 'Accessibility', 'Figma']);
+});
+
+test('extractSkills matches whole words only', () => {
+    assert.deepEqual(extractSkills('JavaScript developer'), ['JavaScript']);
+    assert.deepEqual(extractSkills('Java developer'), ['Java']);
+    assert.deepEqual(extractSkills('Take care of the rest of the reactor'), []);
+    assert.deepEqual(extractSkills(''), []);
+});
+
+test('canonicalSkill maps board chips and keeps unknown ones', () => {
+    assert.equal(canonicalSkill('ReactJS'), 'React');
+    assert.equal(canonicalSkill(' Next.js '), 'Next.js');
+    assert.equal(canonicalSkill('Team Player'), 'Team Player');
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStore } = require('../lib/store');
+
+function job(id, overrides) {
+    return {
+        title: `Frontend Developer ${id}`,
+        company: 'Acme',
+        location: 'Chennai',
+        experience: '2-4 Yrs',
+        salary: 'Not disclosed',
+        detailUrl: `https://jobs.example.com/${id}`,
+        platform: 'Naukri',
+        category: 'Frontend',
+        scrapedAt: '2026-03-10T12:00:00.000Z',
+        ...overrides
+    };
+}
+
+test('saveJob stores new jobs with their sources and status "new"', () => {
+    const store = openStore(':memory:');
+    const saved = store.saveJob(job(1, { sources: [{ detailUrl: 'https://jobs.example.com/1' }, { detailUrl: 'https://other.example.com/a', platform: 'LinkedIn' }] }));
+
+    assert.equal(saved.id, 1);
+    assert.equal(saved.status, 'new');
+    assert.equal(store.hasUrl('https://other.example.com/a'), true);
+    assert.equal(store.hasUrl('https://jobs.example.com/2'), false);
+    assert.equal(store.findByUrl('https://other.example.com/a'), saved);
+    assert.deepEqual(store.getHistory(saved.id).statuses.map(s => s.toStatus), ['new']);
+});
+
+test('saveJob records field changes but not fields being filled in', () => {
+    const store = openStore(':memory:');
+    const saved = store.saveJob(job(1));
+    const runId = store.startRun();
+
+    Object.assign(saved, { title: 'Senior Frontend Developer', workMode: 'Hybrid', salary: '6-12 Lacs PA' });
+    store.saveJob(saved, runId);
+
+    const { changes } = store.getHistory(saved.id);
+    assert.deepEqual(changes.map(c => [c.runId, c.field, c.oldValue, c.newValue]), [
+        [runId, 'title', 'Frontend Developer 1', 'Senior Frontend Developer'],
+        [runId, 'salary', 'Not disclosed', '6-12 Lacs PA']
+    ]);
+});
+
+test('listJobs filters by category, status and last sighting', () => {
+    const store = openStore(':memory:');
+    const now = new Date();
+    const recent = store.saveJob(job(1, { scrapedAt: now.toISOString() }));
+    store.saveJob(job(2, { category: 'Design', scrapedAt: now.toISOString() }));
+    const old = store.saveJob(job(3, { scrapedAt: '2020-01-01T00:00:00.000Z' }));
+
+    assert.deepEqual(store.listJobs({ category: 'Frontend' }).map(j => j.id), [recent.id, old.id]);
+    assert.deepEqual(store.listJobs({ seenWithinDays: 30 }).map(j => j.id).sort(), [1, 2]);
+
+    store.recordSighting(old, old.detailUrl, store.startRun(), now);
+    assert.equal(store.listJobs({ seenWithinDays: 30 }).length, 3);
+
+    store.setStatus(recent.id, 'shortlisted');
+    assert.deepEqual(store.listJobs({ status: 'shortlisted' }).map(j => j.id), [recent.id]);
+});
+
+test('setStatus follows the application workflow and keeps its history', () => {
+    const store = openStore(':memory:');
+    const { id } = store.saveJob(job(1));
+
+    store.setStatus(id, 'shortlisted');
+    store.setStatus(id, 'applied', 'Referred by Priya');
+    store.setStatus(id, 'interviewing');
+    assert.throws(() => store.setStatus(id, 'new'), /can't go from "interviewing" to "new" \(allowed: offer, rejected\)/);
+    store.setStatus(id, 'offer');
+    assert.throws(() => store.setStatus(id, 'rejected'), /final status/);
+    assert.throws(() => store.setStatus(id, 'ghosted'), /Unknown status "ghosted"/);
+    assert.throws(() => store.setStatus(99, 'applied'), /No job with id 99/);
+
+    const statuses = store.getHistory(id).statuses;
+    assert.deepEqual(statuses.map(s => s.toStatus), ['new', 'shortlisted', 'applied', 'interviewing', 'offer']);
+    assert.equal(statuses[2].note, 'Referred by Priya');
+    assert.equal(store.listJobs({ status: 'offer' }).length, 1);
+});
+
+test('importJsonFile imports jobs.json once and reports entries it cannot store', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    const file = path.join(dir, 'jobs.json');
+    fs.writeFileSync(file, JSON.stringify([
+        { title: 'Old Job', company: 'Acme', detailUrl: 'https://jobs.example.com/old', experience: '3-5 Yrs', postedDate: '1 Day Ago', scrapedAt: '2025-01-02T00:00:00.000Z', category: 'Frontend' },
+        { title: 'No URL' },
+        { title: 'Old Job (repost)', detailUrl: 'https://jobs.example.com/old' }
+    ]));
+
+    const dbFile = path.join(dir, 'jobs.db');
+    const store = openStore(dbFile);
+    assert.deepEqual(store.importJsonFile(file), { imported: 1, alreadyStored: 1, failed: 1 });
+    assert.equal(store.importJsonFile(file), null);
+
+    const [imported] = store.listJobs();
+    assert.equal(imported.expMin, 3);
+    assert.equal(imported.postedAt, '2025-01-01T00:00:00.000Z');
+    store.close();
+
+    // Persisted on disk
+    const reopened = openStore(dbFile);
+    assert.equal(reopened.findByUrl('https://jobs.example.com/old').title, 'Old Job');
+    assert.equal(reopened.importJsonFile(file), null);
+    reopened.close();
+});
+
+test('importJsonFile leaves an unreadable jobs.json for a later try', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    const file = path.join(dir, 'jobs.json');
+    fs.writeFileSync(file, '[{"title": ');
+
+    const store = openStore(':memory:');
+    assert.deepEqual(store.importJsonFile(file), { imported: 0, alreadyStored: 0, failed: 0 });
+    fs.writeFileSync(file, '[]');
+    assert.deepEqual(store.importJsonFile(file), { imported: 0, alreadyStored: 0, failed: 0 });
+    assert.equal(store.importJsonFile(file), null);
+});
+
+test('finishRun keeps the run report and listRuns returns the newest runs first', () => {
+    const store = openStore(':memory:');
+    const first = store.startRun(new Date('2026-03-10T10:00:00Z'));
+    store.finishRun(first, new Date('2026-03-10T10:30:00Z'), { sources: { Naukri: { cardsPerSearch: 20 } } });
+    const second = store.startRun(new Date('2026-03-10T12:00:00Z'));
+
+    const runs = store.listRuns();
+    assert.deepEqual(runs.map(r => r.id), [second, first]);
+    assert.equal(runs[0].report, null);
+    assert.equal(runs[1].report.sources.Naukri.cardsPerSearch, 20);
+    assert.deepEqual(store.listRuns({ before: second }).map(r => r.id), [first]);
+});
+
+test('openStore adds columns missing from older store files', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'store-')), 'jobs.db');
+    const Database = require('better-sqlite3');
+    const old = new Database(file);
+    old.exec('CREATE TABLE runs (id INTEGER PRIMARY KEY, started_at TEXT NOT NULL, finished_at TEXT)');
+    old.prepare('INSERT INTO runs (started_at) VALUES (?)').run('2026-03-01T00:00:00.000Z');
+    old.close();
+
+    const scratch = openStore(file, { scratch: true });
+    assert.equal(scratch.listRuns()[0].report, null);
+    scratch.close();
+
+    const store = openStore(file);
+    const runId = store.startRun();
+    store.finishRun(runId, new Date(), { alerts: [] });
+    assert.deepEqual(store.listRuns().map(r => r.report), [{ alerts: [] }, null]);
+    store.close();
+});
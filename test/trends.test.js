@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStore } = require('../lib/store');
+const { analyzeJobs } = require('../lib/analytics');
+const { toTrendsHtml, writeTrendsReport } = require('../lib/trends');
+
+const NOW = new Date('2026-06-10T12:00:00.000Z');
+
+const job = (id, overrides = {}) => ({
+    title: `Frontend Developer ${id}`,
+    company: 'Acme',
+    location: 'Chennai',
+    detailUrl: `https://jobs.example.com/${id}`,
+    platform: 'Naukri',
+    category: 'Frontend',
+    skills: ['React'],
+    postedAt: '2026-06-09T00:00:00.000Z',
+    ...overrides
+});
+
+// Records the tabs written; `failing` spreadsheets reject every call
+function fakeSheets(failing = []) {
+    const written = {};
+    const check = spreadsheetId => {
+        if (failing.includes(spreadsheetId)) throw Object.assign(new Error('forbidden'), { code: 403 });
+    };
+    const client = {
+        spreadsheets: {
+            async get({ spreadsheetId }) {
+                check(spreadsheetId);
+                return { data: { sheets: [{ properties: { title: 'Jobs', sheetId: 0 } }] } };
+            },
+            async batchUpdate({ resource }) {
+                return { data: { replies: [{ addSheet: { properties: { ...resource.requests[0].addSheet.properties, sheetId: 1 } } }] } };
+            },
+            values: {
+                async clear() { },
+                async update({ spreadsheetId, range, resource }) {
+                    written[`${spreadsheetId} ${range}`] = resource.values;
+                }
+            }
+        }
+    };
+    return { client, written };
+}
+
+test('toTrendsHtml draws every scope and escapes the data', () => {
+    const analysis = analyzeJobs([
+        job(1, { company: '<b>Acme</b> & Co' }),
+        job(2, { category: 'Design', skills: ['Figma'], closedAt: '2026-06-10T00:00:00.000Z' })
+    ], { weeks: 4 }, NOW);
+    const html = toTrendsHtml(analysis);
+
+    assert.match(html, /<title>Job market trends — 2026-06-10<\/title>/);
+    assert.match(html, /<a href="#all">All categories<\/a><a href="#category-design">Design<\/a><a href="#category-frontend">Frontend<\/a>/);
+    assert.match(html, /&lt;b&gt;Acme&lt;\/b&gt; &amp; Co/);
+    assert.ok(!html.includes('<b>Acme</b>'));
+    assert.match(html, /<title>Week of 2026-06-08: 2 jobs<\/title>/);
+    assert.match(html, /<td><b>All<\/b><\/td><td>1<\/td><td>1<\/td>/);
+    assert.match(html, /<tr><td>Naukri<\/td><td>1<\/td><td>1<\/td><td>1<\/td><\/tr>/);
+    assert.match(html, /No closed postings seen yet/); // Frontend's
+});
+
+test('writeTrendsReport writes the file and each profile\'s Trends tab, once a week with ifDue', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trends-'));
+    const file = path.join(dir, 'reports', 'trends.html');
+    const store = openStore(':memory:');
+    store.saveJob(job(1));
+    store.saveJob(job(2, { category: 'Design' }));
+    const profiles = [
+        { category: 'Frontend', outputs: [{ type: 'sheets', spreadsheetId: 'front', tab: 'Jobs', trendsTab: 'Trends' }, { type: 'sheets', spreadsheetId: 'plain' }] },
+        { category: 'Backend', outputs: [{ type: 'sheets', spreadsheetId: 'back', trendsTab: 'Trends' }] },
+        { category: 'Design', outputs: [{ type: 'sheets', spreadsheetId: 'locked', trendsTab: 'Trends' }] }
+    ];
+    const fake = fakeSheets(['locked']);
+
+    const result = await writeTrendsReport({ store, profiles, sheets: fake.client, file, ifDue: true, now: NOW });
+    assert.deepEqual(result, { file, tabs: 2, skipped: false });
+    assert.match(fs.readFileSync(file, 'utf8'), /<h2>Frontend<\/h2>/);
+    assert.deepEqual(Object.keys(fake.written), ["front 'Trends'!A1", "back 'Trends'!A1"]);
+    assert.match(fake.written["front 'Trends'!A1"][0][0], /^Frontend trends, 12 weeks from 2026-03-23$/);
+    assert.deepEqual(fake.written["front 'Trends'!A1"][1].slice(0, 2), ['Jobs', 1]);
+    assert.deepEqual(fake.written["back 'Trends'!A1"][1].slice(0, 2), ['Jobs', 0]);
+
+    const later = new Date(NOW.getTime() + 2 * 24 * 60 * 60 * 1000);
+    assert.deepEqual(await writeTrendsReport({ store, file, ifDue: true, now: later }), { file: null, tabs: 0, skipped: true });
+    const nextWeek = new Date(NOW.getTime() + 7 * 24 * 60 * 60 * 1000);
+    assert.equal((await writeTrendsReport({ store, file, ifDue: true, now: nextWeek })).skipped, false);
+    store.close();
+});